@@ -1,12 +1,14 @@
 // CourseSnag - Main Application
 
+import { formatMeetingTimes } from './meeting-times.mjs';
+
 (function() {
   'use strict';
 
   // ============================================
   // Configuration
   // ============================================
-  const API_BASE = 'https://classes.cornell.edu/api/2.0';
+  const API_BASE = window.COURSESNAG_CONFIG?.cornellApiBase || 'https://classes.cornell.edu/api/2.0';
   const STORAGE_PREFIX = 'csw.';
   const DEBOUNCE_DELAY_MS = 400;
   const RATE_LIMIT_MS = 1000; // 1 request per second
@@ -16,6 +18,19 @@
   const GLOBAL_SEARCH_RESULT_LIMIT = 25;
   const GLOBAL_SEARCH_INSTRUCTION_MODES = ['RE', 'AD', 'OL', 'SD', 'HY', 'P', 'IS'];
   const WATCHER_COUNT_CACHE_MS = 30_000;
+  const SECTION_HISTORY_CACHE_MS = 5 * 60_000;
+  const SECTION_HISTORY_WINDOW_DAYS = 14;
+  const MISSING_REFRESHES_BEFORE_REMOVAL = 3;
+  const ROSTER_TERM_ORDER = { WI: 0, SP: 1, SU: 2, FA: 3 };
+  const DEFAULT_NOTIFICATION_PREFERENCES = Object.freeze({
+    notifyOnOpen: true,
+    notifyOnWaitlist: true,
+    notifyOnClose: true,
+    removeAfterOpen: false
+  });
+  const ROSTER_OVERRIDE = (window.COURSESNAG_CONFIG?.activeRosters || [])
+    .map(slug => String(slug).trim().toUpperCase())
+    .filter(Boolean);
 
   // ============================================
   // State
@@ -23,7 +38,10 @@
   const state = {
     rosters: [],
     subjectSet: new Set(),
+    // Roster shown in the search panel; the default roster is Cornell's current term
     currentRoster: null,
+    defaultRoster: null,
+    activeRosters: [],
     // Cache for subject classes (avoid re-fetching when typing numbers)
     cachedSearchKey: null,
     cachedClasses: [],
@@ -42,6 +60,8 @@
     searchRequestSeq: 0,
     watcherCounts: new Map(),
     watcherCountRequests: new Map(),
+    sectionHistories: new Map(),
+    sectionHistoryRequests: new Map(),
     // Error states
     initError: null,
     searchError: null,
@@ -63,6 +83,8 @@
   // ============================================
   const els = {
     rosterLabel: document.getElementById('roster-label'),
+    rosterSwitch: document.getElementById('roster-switch'),
+    rosterSelect: document.getElementById('roster-select'),
     searchInput: document.getElementById('search-input'),
     refreshBtn: document.getElementById('refresh-btn'),
     lastUpdated: document.getElementById('last-updated'),
@@ -306,8 +328,8 @@
 
     // For each opened section, show alert over it
     for (const item of openedSections) {
-      const trackedKey = `${item.roster}:${item.classNbr}`;
-      if (!state.trackedKeySet.has(trackedKey)) {
+      const trackedKey = trackerKey(item);
+      if (!state.trackedKeySet.has(trackedKey) || !wantsOpenAlert(item)) {
         continue;
       }
 
@@ -356,7 +378,9 @@
 
     const messageEl = alertClone.querySelector('#alert-message');
     if (messageEl) {
-      messageEl.textContent = `${item.subject} ${item.catalogNbr} ${item.section}`;
+      messageEl.textContent = isCourseTracker(item)
+        ? `${item.subject} ${item.catalogNbr} ${formatOpenSections(item) || courseTrackerScope(item)}`
+        : `${item.subject} ${item.catalogNbr} ${item.section}`;
       messageEl.removeAttribute('id');
     }
 
@@ -367,7 +391,9 @@
     if (dismiss5minBtn) {
       dismiss5minBtn.removeAttribute('id');
       dismiss5minBtn.onclick = () => {
-        dismissAlertFor5Minutes(trackedKey);
+        // One-shot trackers leave the watchlist once their open alert is seen.
+        if (notificationPreferences(item).removeAfterOpen) untrackKey(trackedKey);
+        else dismissAlertFor5Minutes(trackedKey);
         alertClone.remove();
       };
     }
@@ -375,7 +401,7 @@
     if (untrackBtn) {
       untrackBtn.removeAttribute('id');
       untrackBtn.onclick = () => {
-        untrack(item.classNbr, item.roster);
+        untrackKey(trackedKey);
         alertClone.remove();
       };
     }
@@ -409,8 +435,8 @@
 
   function hasActiveUndismissedOpenAlerts() {
     return state.trackedSections.some(item => {
-      const key = `${item.roster}:${item.classNbr}`;
-      return item.lastStatus === 'O' && !isAlertDismissed(key);
+      const key = trackerKey(item);
+      return wantsOpenAlert(item) && item.lastStatus === 'O' && !isAlertDismissed(key);
     });
   }
 
@@ -638,6 +664,14 @@
     els.rosterLabel.textContent = roster ? roster.descr : state.currentRoster;
   }
 
+  function renderRosterSelect() {
+    if (!els.rosterSwitch || !els.rosterSelect) return;
+    els.rosterSwitch.hidden = state.activeRosters.length < 2;
+    els.rosterSelect.innerHTML = state.activeRosters.map(slug => `
+      <option value="${escapeAttr(slug)}"${slug === state.currentRoster ? ' selected' : ''}>${escapeHtml(rosterDescription(slug))}</option>
+    `).join('');
+  }
+
   function renderSearchResults() {
     const setEmptyState = (isEmpty) => {
       els.searchResults.classList.toggle('is-empty', isEmpty);
@@ -697,7 +731,7 @@
             <span class="course-toggle">▼</span>
           </div>
           <div class="sections-list"${isExpanded ? ' data-loaded="true"' : ''}>
-            ${isExpanded ? sections.map(sec => renderSectionRow(course, sec)).join('') : ''}
+            ${isExpanded ? renderSectionsList(course) : ''}
           </div>
         </div>
       `;
@@ -724,13 +758,6 @@
     return sections;
   }
 
-  function formatMeetingTimes(meetings) {
-    if (!meetings || meetings.length === 0) return '';
-    const mtg = meetings[0];
-    if (!mtg.timeStart || !mtg.timeEnd) return mtg.pattern ? mtg.pattern : 'TBA';
-    return `${mtg.pattern || ''} ${mtg.timeStart} - ${mtg.timeEnd}`.trim();
-  }
-
   function watcherKey(roster, classNbr) {
     return `${roster}:${String(classNbr)}`;
   }
@@ -803,6 +830,7 @@
   function loadWatcherCountsForTrackedSections() {
     const groups = new Map();
     for (const tracker of state.trackedSections) {
+      if (isCourseTracker(tracker)) continue;
       const key = `${tracker.roster}:${tracker.subject}`;
       if (!groups.has(key)) groups.set(key, []);
       groups.get(key).push(tracker.classNbr);
@@ -813,6 +841,163 @@
     }
   }
 
+  // Splits the last two weeks into status segments from the section's
+  // recorded transitions. The status before the window comes from the last
+  // transition before it, or the first transition's previous status.
+  function sectionTimelineSegments(history, now = Date.now()) {
+    const windowStart = now - SECTION_HISTORY_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const transitions = (history?.transitions || [])
+      .map(item => ({ ...item, at: Date.parse(item.observedAt) }))
+      .filter(item => Number.isFinite(item.at) && item.at <= now)
+      .sort((left, right) => left.at - right.at);
+    const before = transitions.filter(item => item.at <= windowStart).at(-1);
+    const inWindow = transitions.filter(item => item.at > windowStart);
+    let status = before?.status || inWindow[0]?.previousStatus || 'UNKNOWN';
+    let cursor = windowStart;
+    const segments = [];
+    for (const item of inWindow) {
+      segments.push({ start: cursor, end: item.at, status });
+      cursor = item.at;
+      status = item.status;
+    }
+    segments.push({ start: cursor, end: now, status });
+    return {
+      segments: segments.filter(segment => segment.end > segment.start),
+      openings: inWindow.filter(item => item.status === 'O').length
+    };
+  }
+
+  function seatOpeningSummary(statistics) {
+    if (!statistics) return '';
+    if (!statistics.openings) return 'No openings seen this term';
+    const hour = statistics.peakHour;
+    const minutes = statistics.medianOpenMinutes;
+    return [
+      statistics.openings === 1 ? 'Opened once this term' : `Opened ${statistics.openings} times this term`,
+      minutes === null ? '' : `usually open ${minutes < 60 ? `${minutes} min` : `${Math.round(minutes / 60)} hr`}`,
+      hour === null ? '' : `most often around ${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`
+    ].filter(Boolean).join(' · ');
+  }
+
+  function renderSectionTimeline(history) {
+    const timeline = sectionTimelineSegments(history);
+    const total = timeline.segments.reduce((sum, segment) => sum + segment.end - segment.start, 0) || 1;
+    const openings = timeline.openings === 1 ? 'Opened once' : `Opened ${timeline.openings} times`;
+    const caption = `${openings} in the last ${SECTION_HISTORY_WINDOW_DAYS} days`;
+    const bar = timeline.segments.map(segment => {
+      const label = segment.status === 'UNKNOWN' ? 'Not yet checked' : getStatusLabel(segment.status);
+      const range = `${new Date(segment.start).toLocaleString()} – ${new Date(segment.end).toLocaleString()}`;
+      return `<span class="history-segment ${getStatusClass(segment.status)}" style="width: ${((segment.end - segment.start) / total * 100).toFixed(2)}%" title="${escapeAttr(`${label}: ${range}`)}"></span>`;
+    }).join('');
+    return `<div class="history-bar" role="img" aria-label="${escapeAttr(caption)}">${bar}</div><span class="history-caption">${escapeHtml(caption)}</span>`;
+  }
+
+  // Section cards show a timeline from the section's history plus the
+  // periodic seat statistics; course cards only have the statistics.
+  function renderTrackerHistory(payload) {
+    const summary = seatOpeningSummary(payload?.statistics);
+    return [
+      payload?.transitions?.length ? renderSectionTimeline(payload) : '',
+      summary ? `<span class="history-caption">${escapeHtml(summary)}</span>` : ''
+    ].join('');
+  }
+
+  function trackerHistoryKey(tracker) {
+    return isCourseTracker(tracker)
+      ? `course:${tracker.roster}:${tracker.subject}:${tracker.catalogNbr}:${tracker.ssrComponent || ''}`
+      : watcherKey(tracker.roster, tracker.classNbr);
+  }
+
+  function updateSectionHistoryElements() {
+    for (const element of els.trackedList.querySelectorAll('[data-history-key]')) {
+      const cached = state.sectionHistories.get(element.dataset.historyKey);
+      const content = cached ? renderTrackerHistory(cached.history) : '';
+      element.hidden = !content;
+      if (content) element.innerHTML = content;
+    }
+  }
+
+  function loadSectionHistories() {
+    const cloud = window.CourseSnagCloud;
+    if (!cloud?.getSectionHistory || !cloud?.getCourseStatistics) return;
+    for (const tracker of state.trackedSections) {
+      const key = trackerHistoryKey(tracker);
+      const cached = state.sectionHistories.get(key);
+      if ((cached && cached.expiresAt > Date.now()) || state.sectionHistoryRequests.has(key)) continue;
+
+      const request = (isCourseTracker(tracker)
+        ? cloud.getCourseStatistics(tracker.roster, tracker.subject, tracker.catalogNbr, tracker.ssrComponent)
+        : cloud.getSectionHistory(tracker.roster, tracker.classNbr))
+        .then(history => {
+          state.sectionHistories.set(key, {
+            history,
+            expiresAt: Date.now() + SECTION_HISTORY_CACHE_MS
+          });
+        })
+        .catch(error => {
+          console.warn('Section history could not be loaded:', error);
+        })
+        .finally(() => {
+          state.sectionHistoryRequests.delete(key);
+          updateSectionHistoryElements();
+        });
+      state.sectionHistoryRequests.set(key, request);
+    }
+    updateSectionHistoryElements();
+  }
+
+  function renderSectionsList(course) {
+    return renderCourseTrackRow(course)
+      + getCourseSections(course).map(section => renderSectionRow(course, section)).join('');
+  }
+
+  function courseTrackerFor(course, ssrComponent = '') {
+    return {
+      kind: 'course',
+      roster: state.currentRoster,
+      subject: String(course.subject),
+      catalogNbr: String(course.catalogNbr),
+      ssrComponent
+    };
+  }
+
+  function renderCourseTrackButton(course, ssrComponent, label) {
+    const isTracked = state.trackedKeySet.has(trackerKey(courseTrackerFor(course, ssrComponent)));
+    return `
+      <button
+        class="btn btn-small ${isTracked ? 'btn-secondary' : 'btn-primary'}"
+        type="button"
+        data-action="track-course"
+        data-subject="${escapeAttr(course.subject)}"
+        data-catalog-nbr="${escapeAttr(course.catalogNbr)}"
+        data-title="${escapeAttr(course.titleShort || course.titleLong || '')}"
+        data-ssr-component="${escapeAttr(ssrComponent)}"
+        ${isTracked ? 'disabled' : ''}
+      >${escapeHtml(label)}</button>
+    `;
+  }
+
+  // Course-level trackers alert when any matching section opens, including
+  // sections Cornell adds after the tracker is created.
+  function renderCourseTrackRow(course) {
+    const components = [...new Set(
+      getCourseSections(course).map(section => String(section.ssrComponent || '')).filter(Boolean)
+    )];
+    const componentButtons = components.length > 1
+      ? components.map(component => renderCourseTrackButton(course, component, `Any ${component}`)).join('')
+      : '';
+
+    return `
+      <div class="course-track-row">
+        <span class="course-track-label">Alert when any section opens</span>
+        <div class="section-actions">
+          ${renderCourseTrackButton(course, '', 'Any section')}
+          ${componentButtons}
+        </div>
+      </div>
+    `;
+  }
+
   function renderSectionRow(course, section) {
     const trackKey = `${state.currentRoster}:${String(section.classNbr)}`;
     const isTracked = state.trackedKeySet.has(trackKey);
@@ -860,6 +1045,20 @@
       button.disabled = isTracked;
       button.textContent = isTracked ? 'Tracked' : 'Track';
     }
+
+    if (classNbr !== null) return;
+    for (const button of els.searchResults.querySelectorAll('button[data-action="track-course"]')) {
+      const isTracked = state.trackedKeySet.has(trackerKey({
+        kind: 'course',
+        roster: state.currentRoster,
+        subject: button.dataset.subject,
+        catalogNbr: button.dataset.catalogNbr,
+        ssrComponent: button.dataset.ssrComponent || ''
+      }));
+      button.classList.toggle('btn-primary', !isTracked);
+      button.classList.toggle('btn-secondary', isTracked);
+      button.disabled = isTracked;
+    }
   }
 
   function renderTrackedList() {
@@ -873,7 +1072,8 @@
     els.trackedList.innerHTML = state.trackedSections.map(item => {
       const statusClass = getStatusClass(item.lastStatus);
       const statusLabel = getStatusLabel(item.lastStatus);
-      const trackedKey = `${item.roster}:${item.classNbr}`;
+      const trackedKey = trackerKey(item);
+      if (isCourseTracker(item)) return renderCourseTrackedItem(item, trackedKey, statusClass, statusLabel);
 
       return `
         <div class="tracked-item" data-tracked-key="${escapeAttr(trackedKey)}">
@@ -883,18 +1083,22 @@
               Section ${item.section}
               <span class="tracked-class-number">Class #${escapeHtml(item.classNbr)}</span>
               <span class="badge badge-component">${item.ssrComponent}</span>
+              ${renderRosterBadge(item)}
               <span class="badge badge-status ${statusClass}">${statusLabel}</span>
+              ${renderSyncPendingBadge(trackedKey)}
               ${item.classTime ? `<span class="tracked-time" title="${escapeAttr(item.classTime)}">${escapeHtml(item.classTime)}</span>` : ''}
             </div>
+            ${renderRolloverNote(item)}
+            ${renderNotificationControls(item, trackedKey)}
             <span class="tracked-watchers" data-watcher-key="${escapeAttr(trackedKey)}" hidden></span>
+            <div class="tracked-history" data-history-key="${escapeAttr(trackerHistoryKey(item))}" hidden></div>
           </div>
           <div class="tracked-actions">
             <button
               type="button"
               class="btn-remove"
               data-action="untrack"
-              data-class-nbr="${escapeAttr(item.classNbr)}"
-              data-roster="${escapeAttr(item.roster)}"
+              data-tracked-key="${escapeAttr(trackedKey)}"
               title="Remove"
             >
               &times;
@@ -903,7 +1107,110 @@
         </div>
       `;
     }).join('');
+    updateSyncPendingBadges();
     loadWatcherCountsForTrackedSections();
+    loadSectionHistories();
+  }
+
+  function renderSyncPendingBadge(trackedKey) {
+    return `<span class="badge badge-sync-pending" data-sync-key="${escapeAttr(trackedKey)}" title="Waiting to save to your Discord watchlist" hidden>Sync pending</span>`;
+  }
+
+  function updateSyncPendingBadges() {
+    const pending = new Set(window.CourseSnagCloud?.getPendingTrackerIds?.() || []);
+    for (const badge of els.trackedList.querySelectorAll('[data-sync-key]')) {
+      badge.hidden = !pending.has(badge.dataset.syncKey);
+    }
+  }
+
+  function courseTrackerScope(tracker) {
+    return tracker.ssrComponent ? `Any ${tracker.ssrComponent} section` : 'Any section';
+  }
+
+  function formatOpenSections(tracker) {
+    return (tracker.openSections || [])
+      .map(section => `${section.ssrComponent || ''} ${section.section || section.classNbr}`.trim())
+      .join(', ');
+  }
+
+  function renderRolloverNote(item) {
+    if (item.rolloverStatus === 'unmatched') {
+      return `<div class="tracked-rollover">Not offered in ${escapeHtml(rosterDescription(item.rolloverRoster))}</div>`;
+    }
+    if (trackerNeedsRollover(item)) {
+      return `<div class="tracked-rollover">Moving to ${escapeHtml(rosterDescription(state.defaultRoster))}</div>`;
+    }
+    if (state.defaultRoster && !trackerIsPolled(item)) {
+      return `<div class="tracked-rollover">Not checked until ${escapeHtml(rosterDescription(item.roster))} is active</div>`;
+    }
+    return '';
+  }
+
+  // Waitlist and close alerts are Discord messages; the browser only alerts
+  // when a section opens.
+  function renderNotificationControls(item, trackedKey) {
+    const preferences = notificationPreferences(item);
+    const options = [
+      ['notifyOnOpen', 'Open'],
+      ...(state.alertMode === 'cloud'
+        ? [['notifyOnWaitlist', 'Waitlist'], ['notifyOnClose', 'Closed']]
+        : []),
+      ['removeAfterOpen', 'Remove after first open alert']
+    ];
+    return `
+            <details class="tracked-alerts">
+              <summary>Alerts</summary>
+              ${options.map(([preference, label]) => `
+                <label class="tracked-alert-option">
+                  <input
+                    type="checkbox"
+                    data-action="notification-preference"
+                    data-tracked-key="${escapeAttr(trackedKey)}"
+                    data-preference="${preference}"
+                    ${preferences[preference] ? 'checked' : ''}
+                  >
+                  ${escapeHtml(label)}
+                </label>
+              `).join('')}
+            </details>
+    `;
+  }
+
+  function renderRosterBadge(item) {
+    if (state.activeRosters.length < 2) return '';
+    return `<span class="badge badge-roster" title="${escapeAttr(rosterDescription(item.roster))}">${escapeHtml(item.roster)}</span>`;
+  }
+
+  function renderCourseTrackedItem(item, trackedKey, statusClass, statusLabel) {
+    const openSections = item.lastStatus === 'O' ? formatOpenSections(item) : '';
+    return `
+        <div class="tracked-item" data-tracked-key="${escapeAttr(trackedKey)}">
+          <div class="tracked-info">
+            <div class="tracked-course">${escapeHtml(item.subject)} ${escapeHtml(item.catalogNbr)}</div>
+            <div class="tracked-section">
+              ${escapeHtml(courseTrackerScope(item))}
+              ${renderRosterBadge(item)}
+              <span class="badge badge-status ${statusClass}">${statusLabel}</span>
+              ${renderSyncPendingBadge(trackedKey)}
+              <span class="tracked-open-sections"${openSections ? '' : ' hidden'}>${openSections ? `Open: ${escapeHtml(openSections)}` : ''}</span>
+            </div>
+            ${renderRolloverNote(item)}
+            ${renderNotificationControls(item, trackedKey)}
+            <div class="tracked-history" data-history-key="${escapeAttr(trackerHistoryKey(item))}" hidden></div>
+          </div>
+          <div class="tracked-actions">
+            <button
+              type="button"
+              class="btn-remove"
+              data-action="untrack"
+              data-tracked-key="${escapeAttr(trackedKey)}"
+              title="Remove"
+            >
+              &times;
+            </button>
+          </div>
+        </div>
+      `;
   }
 
   function updateTrackedStatuses() {
@@ -925,6 +1232,13 @@
         if (statusBadge.textContent !== label) statusBadge.textContent = label;
       }
 
+      const openSectionsElement = element.querySelector('.tracked-open-sections');
+      if (openSectionsElement) {
+        const openSections = item.lastStatus === 'O' ? formatOpenSections(item) : '';
+        openSectionsElement.hidden = !openSections;
+        openSectionsElement.textContent = openSections ? `Open: ${openSections}` : '';
+      }
+
       if (item.lastStatus !== 'O') {
         document.getElementById(`alert-${key}`)?.remove();
       }
@@ -1027,18 +1341,22 @@
     try {
       state.rosters = await fetchRosters();
 
-      // Auto-select the default (most recent) roster
+      // Search the default roster unless another active roster was chosen
       const defaultRoster = state.rosters.find(r => r.isDefaultRoster === 'Y');
-      state.currentRoster = defaultRoster ? defaultRoster.slug : state.rosters[0]?.slug;
-
-      if (state.currentRoster) {
-        removeTrackedSections(item => item.roster !== state.currentRoster);
-      }
+      state.defaultRoster = defaultRoster ? defaultRoster.slug : state.rosters[0]?.slug;
+      state.activeRosters = activeRosterSlugs(state.rosters, state.defaultRoster);
+      const searchRoster = loadFromStorage('searchRoster', null);
+      state.currentRoster = state.activeRosters.includes(searchRoster)
+        ? searchRoster
+        : state.defaultRoster;
 
       renderRosterLabel();
+      renderRosterSelect();
+      renderTrackedList();
 
       if (state.currentRoster) {
         await loadSubjects();
+        await rollOverLocalTrackers();
       }
     } catch (error) {
       console.error('Failed to load rosters:', error);
@@ -1048,6 +1366,25 @@
     }
   }
 
+  async function onRosterChange() {
+    const roster = els.rosterSelect.value;
+    if (!state.activeRosters.includes(roster) || roster === state.currentRoster) return;
+
+    state.currentRoster = roster;
+    saveToStorage('searchRoster', roster);
+    cancelActiveSearch();
+    state.subjectSet = new Set();
+    state.cachedSearchKey = null;
+    state.cachedClasses = [];
+    state.searchResults = [];
+    state.expandedCourses.clear();
+    renderRosterLabel();
+    renderSearchResults();
+
+    await loadSubjects();
+    await performSearch();
+  }
+
   async function loadSubjects() {
     if (!state.currentRoster) return;
 
@@ -1207,9 +1544,7 @@
       if (sectionsList && sectionsList.dataset.loaded !== 'true') {
         const course = state.searchResults.find(result => getCourseId(result) === courseId);
         if (course) {
-          sectionsList.innerHTML = getCourseSections(course)
-            .map(section => renderSectionRow(course, section))
-            .join('');
+          sectionsList.innerHTML = renderSectionsList(course);
           sectionsList.dataset.loaded = 'true';
         }
       }
@@ -1225,7 +1560,7 @@
   function loadTrackedSections() {
     state.trackedSections = loadFromStorage('tracked', []);
     state.trackedKeySet = new Set(
-      state.trackedSections.map(item => `${item.roster}:${String(item.classNbr)}`)
+      state.trackedSections.map(trackerKey)
     );
     renderTrackedList();
   }
@@ -1233,7 +1568,7 @@
   function showAlertsForOpenSections() {
     // After page load, check if any tracked sections are open and show alerts for them
     const openSections = state.trackedSections.filter(item =>
-      item.lastStatus === 'O' && !isAlertDismissed(`${item.roster}:${item.classNbr}`)
+      wantsOpenAlert(item) && item.lastStatus === 'O' && !isAlertDismissed(trackerKey(item))
     );
 
     if (openSections.length > 0) {
@@ -1248,7 +1583,15 @@
     saveToStorage('tracked', state.trackedSections);
   }
 
+  function isCourseTracker(tracker) {
+    return tracker?.kind === 'course';
+  }
+
   function trackerKey(tracker) {
+    if (isCourseTracker(tracker)) {
+      const courseKey = `${tracker.roster}:${tracker.subject}-${tracker.catalogNbr}`;
+      return tracker.ssrComponent ? `${courseKey}-${tracker.ssrComponent}` : courseKey;
+    }
     return `${tracker.roster}:${String(tracker.classNbr)}`;
   }
 
@@ -1285,14 +1628,15 @@
   function replaceLocalTrackers(cloudTrackers) {
     const replacement = [];
     const replacementKeys = new Set();
-    const staleTrackers = [];
-    const staleTrackerKeys = new Set();
 
     for (const cloudTracker of cloudTrackers) {
-      if (!cloudTracker?.roster || !cloudTracker?.classNbr || !cloudTracker?.subject) continue;
+      const isCourse = isCourseTracker(cloudTracker);
+      if (!cloudTracker?.roster || !cloudTracker?.subject) continue;
+      if (isCourse ? !cloudTracker.catalogNbr : !cloudTracker.classNbr) continue;
 
       const normalizedCloud = {
-        classNbr: String(cloudTracker.classNbr),
+        ...(isCourse ? { kind: 'course', openSections: cloudTracker.openSections || [] } : {}),
+        classNbr: String(cloudTracker.classNbr || ''),
         roster: String(cloudTracker.roster),
         subject: String(cloudTracker.subject),
         catalogNbr: cloudTracker.catalogNbr || '',
@@ -1301,16 +1645,16 @@
         ssrComponent: cloudTracker.ssrComponent || '',
         classTime: cloudTracker.classTime || '',
         lastStatus: cloudTracker.lastStatus || 'UNKNOWN',
-        lastCheckedAt: cloudTracker.lastCheckedAt || null
+        lastCheckedAt: cloudTracker.lastCheckedAt || null,
+        ...(cloudTracker.notifications ? { notifications: cloudTracker.notifications } : {}),
+        ...(cloudTracker.rolloverStatus ? {
+          rolloverStatus: cloudTracker.rolloverStatus,
+          rolloverRoster: cloudTracker.rolloverRoster || ''
+        } : {})
       };
+      // Trackers from a previous roster stay listed while the Discord monitor
+      // moves them to the new roster.
       const key = trackerKey(normalizedCloud);
-      if (state.currentRoster && normalizedCloud.roster !== state.currentRoster) {
-        if (!staleTrackerKeys.has(key)) {
-          staleTrackers.push(normalizedCloud);
-          staleTrackerKeys.add(key);
-        }
-        continue;
-      }
       if (replacementKeys.has(key)) continue;
       replacement.push(normalizedCloud);
       replacementKeys.add(key);
@@ -1326,9 +1670,6 @@
     renderTrackedList();
     syncSearchTrackButtons();
     if (!hasActiveUndismissedOpenAlerts()) stopAlertSound();
-    for (const tracker of staleTrackers) {
-      void window.CourseSnagCloud?.trackerRemoved(tracker);
-    }
   }
 
   function toggleTrack(classNbr, subject, catalogNbr, title, section, ssrComponent, openStatus, classTime = '') {
@@ -1365,11 +1706,192 @@
     }
   }
 
-  function untrack(classNbr, roster = null) {
-    const classNbrStr = String(classNbr);
-    removeTrackedSections(tracker => (
-      tracker.classNbr === classNbrStr && (!roster || tracker.roster === roster)
+  function trackCourse(subject, catalogNbr, title, ssrComponent = '') {
+    const newItem = {
+      kind: 'course',
+      classNbr: '',
+      roster: state.currentRoster,
+      subject,
+      catalogNbr,
+      title,
+      section: '',
+      ssrComponent,
+      classTime: '',
+      lastStatus: 'UNKNOWN',
+      lastCheckedAt: null,
+      openSections: []
+    };
+    const trackKey = trackerKey(newItem);
+    if (state.trackedKeySet.has(trackKey)) return;
+
+    const course = state.searchResults.find(result => (
+      String(result.subject) === subject && String(result.catalogNbr) === catalogNbr
     ));
+    if (course) {
+      applyCourseObservation(newItem, getCourseSections(course));
+      newItem.lastCheckedAt = new Date().toISOString();
+    }
+
+    state.trackedSections.push(newItem);
+    state.trackedKeySet.add(trackKey);
+
+    saveTrackedSections();
+    renderTrackedList();
+    syncSearchTrackButtons();
+    void window.CourseSnagCloud?.trackerAdded(newItem);
+
+    if (newItem.lastStatus === 'O') {
+      triggerOpenAlert([newItem]);
+    }
+  }
+
+  function applyCourseObservation(tracker, sections) {
+    const matching = sections.filter(section => (
+      !tracker.ssrComponent || String(section.ssrComponent) === tracker.ssrComponent
+    ));
+    const open = matching.filter(section => section.openStatus === 'O');
+    tracker.openSections = open.map(section => ({
+      classNbr: String(section.classNbr),
+      section: String(section.section || ''),
+      ssrComponent: String(section.ssrComponent || '')
+    }));
+    if (open.length) tracker.lastStatus = 'O';
+    else if (matching.some(section => section.openStatus === 'W')) tracker.lastStatus = 'W';
+    else tracker.lastStatus = 'C';
+  }
+
+  function rosterDescription(slug) {
+    return state.rosters.find(roster => roster.slug === slug)?.descr || slug;
+  }
+
+  function rosterTermOrder(slug) {
+    const match = /^(WI|SP|SU|FA)(\d{2})$/.exec(String(slug || ''));
+    return match ? Number(match[2]) * 4 + ROSTER_TERM_ORDER[match[1]] : -1;
+  }
+
+  function rosterIsBefore(slug, otherSlug) {
+    return rosterTermOrder(slug) < rosterTermOrder(otherSlug);
+  }
+
+  // Mirrors the monitor: the default roster plus every later roster Cornell
+  // publishes, or the default roster plus the configured override.
+  function activeRosterSlugs(rosters, defaultRoster) {
+    if (!defaultRoster) return [];
+    const published = rosters.map(roster => String(roster.slug));
+    const additional = ROSTER_OVERRIDE.length
+      ? ROSTER_OVERRIDE.filter(slug => published.includes(slug))
+      : published.filter(slug => rosterIsBefore(defaultRoster, slug));
+    return [...new Set([defaultRoster, ...additional])];
+  }
+
+  function trackerNeedsRollover(tracker) {
+    return Boolean(state.defaultRoster)
+      && !tracker.rolloverStatus
+      && !state.activeRosters.includes(tracker.roster)
+      && rosterIsBefore(tracker.roster, state.defaultRoster);
+  }
+
+  function trackerIsPolled(tracker) {
+    return !tracker.rolloverStatus && state.activeRosters.includes(tracker.roster);
+  }
+
+  function notificationPreferences(tracker) {
+    return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...(tracker.notifications || {}) };
+  }
+
+  function wantsOpenAlert(tracker) {
+    return trackerIsPolled(tracker) && notificationPreferences(tracker).notifyOnOpen;
+  }
+
+  function rolloverMatch(tracker, classes) {
+    const course = classes.find(candidate => (
+      String(candidate.subject) === tracker.subject
+      && String(candidate.catalogNbr) === String(tracker.catalogNbr)
+    ));
+    if (!course) return null;
+    if (isCourseTracker(tracker)) return { course, section: null };
+    const section = getCourseSections(course).find(candidate => (
+      String(candidate.section) === String(tracker.section)
+      && String(candidate.ssrComponent) === String(tracker.ssrComponent)
+    ));
+    return section ? { course, section } : null;
+  }
+
+  // Browser watchlists move to the same course, section, and component when
+  // Cornell's default roster changes. Discord watchlists are moved by the
+  // monitor, which also reports unmatched trackers by DM.
+  async function rollOverLocalTrackers() {
+    if (state.alertMode === 'cloud') return;
+    const stale = state.trackedSections.filter(trackerNeedsRollover);
+    if (!stale.length) return;
+
+    const bySubject = new Map();
+    for (const item of stale) {
+      if (!bySubject.has(item.subject)) bySubject.set(item.subject, []);
+      bySubject.get(item.subject).push(item);
+    }
+
+    const previousKeys = new Map(stale.map(item => [item, trackerKey(item)]));
+    let moved = 0;
+    let unmatched = 0;
+    for (const [subject, items] of bySubject) {
+      let classes;
+      try {
+        classes = await searchClasses(state.defaultRoster, subject);
+      } catch (error) {
+        console.warn(`Could not move ${subject} trackers to the new roster:`, error);
+        continue;
+      }
+      if (!classes.length) continue;
+
+      for (const item of items) {
+        const match = rolloverMatch(item, classes);
+        if (!match) {
+          item.rolloverStatus = 'unmatched';
+          item.rolloverRoster = state.defaultRoster;
+          unmatched += 1;
+          continue;
+        }
+        item.roster = state.defaultRoster;
+        item.lastCheckedAt = new Date().toISOString();
+        delete item.missingPolls;
+        if (match.section) {
+          item.classNbr = String(match.section.classNbr);
+          item.classTime = formatMeetingTimes(match.section.meetings);
+          item.lastStatus = match.section.openStatus;
+        } else {
+          applyCourseObservation(item, getCourseSections(match.course));
+        }
+        moved += 1;
+      }
+    }
+    if (!moved && !unmatched) return;
+
+    const seen = new Set();
+    state.trackedSections = state.trackedSections.filter(item => {
+      const key = trackerKey(item);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    state.trackedKeySet = seen;
+    for (const key of previousKeys.values()) {
+      if (!seen.has(key)) dismissedAlerts.delete(key);
+    }
+    saveDismissedAlerts();
+    saveTrackedSections();
+    renderTrackedList();
+    syncSearchTrackButtons();
+
+    const roster = rosterDescription(state.defaultRoster);
+    const parts = [];
+    if (moved) parts.push(`${moved} moved to ${roster}`);
+    if (unmatched) parts.push(`${unmatched} not offered in ${roster}`);
+    setTrackedStatus(`Watchlist updated for the new roster: ${parts.join(', ')}.`);
+  }
+
+  function untrackKey(key) {
+    removeTrackedSections(tracker => trackerKey(tracker) === key);
   }
 
   // ============================================
@@ -1388,6 +1910,7 @@
     // Group tracked sections by roster + subject
     const groups = {};
     for (const item of state.trackedSections) {
+      if (!trackerIsPolled(item)) continue;
       const key = `${item.roster}:${item.subject}`;
       if (!groups[key]) {
         groups[key] = { roster: item.roster, subject: item.subject, items: [] };
@@ -1403,8 +1926,10 @@
       for (const group of Object.values(groups)) {
         const classes = await searchClasses(group.roster, group.subject);
         const statusIndex = new Map();
+        const courseIndex = new Map();
 
         for (const course of classes) {
+          courseIndex.set(`${course.subject}:${course.catalogNbr}`, getCourseSections(course));
           for (const eg of (course.enrollGroups || [])) {
             for (const sec of (eg.classSections || [])) {
               statusIndex.set(String(sec.classNbr), sec.openStatus);
@@ -1412,12 +1937,28 @@
           }
         }
 
+        const groupMissing = [];
         for (const item of group.items) {
+          if (isCourseTracker(item)) {
+            const sections = courseIndex.get(`${item.subject}:${item.catalogNbr}`);
+            if (!sections) {
+              groupMissing.push(item);
+              continue;
+            }
+            delete item.missingPolls;
+            const wasOpen = item.lastStatus === 'O';
+            applyCourseObservation(item, sections);
+            if (!wasOpen && item.lastStatus === 'O') newlyOpened.push(item);
+            item.lastCheckedAt = checkedAt;
+            continue;
+          }
+
           const newStatus = statusIndex.get(item.classNbr);
           if (newStatus === undefined) {
-            missingTrackerKeys.add(trackerKey(item));
+            groupMissing.push(item);
             continue;
           }
+          delete item.missingPolls;
 
           const oldStatus = item.lastStatus;
 
@@ -1429,6 +1970,20 @@
           item.lastStatus = newStatus;
           item.lastCheckedAt = checkedAt;
         }
+
+        // A partial Cornell response must not wipe the watchlist: skip the
+        // count when most of a subject vanishes at once, and remove a tracker
+        // only after several consecutive refreshes could not find it.
+        if (missingTrackersLookPartial(classes, group.items, groupMissing)) {
+          console.warn(`Cornell returned a partial ${group.subject} response; keeping missing sections.`);
+          continue;
+        }
+        for (const item of groupMissing) {
+          item.missingPolls = Number(item.missingPolls || 0) + 1;
+          if (item.missingPolls >= MISSING_REFRESHES_BEFORE_REMOVAL) {
+            missingTrackerKeys.add(trackerKey(item));
+          }
+        }
       }
 
       const removed = removeTrackedSections(
@@ -1444,11 +1999,11 @@
         updateTrackedStatuses();
       }
       updateLastUpdated();
-      setTrackedStatus('');
+      setTrackedStatus(removed.length ? removedTrackersMessage(removed) : '');
 
       // Trigger full alert (sound + notification + overlay) for newly opened sections
       const actionableNewlyOpened = newlyOpened.filter(item =>
-        state.trackedKeySet.has(`${item.roster}:${item.classNbr}`)
+        state.trackedKeySet.has(trackerKey(item))
       );
 
       if (actionableNewlyOpened.length > 0) {
@@ -1457,13 +2012,13 @@
 
       // Re-show visual overlays for already-open sections (no sound/notification replay)
       // Exclude newly opened (already handled above) and dismissed sections
-      const newlyOpenedSet = new Set(actionableNewlyOpened.map(i => `${i.roster}:${i.classNbr}`));
+      const newlyOpenedSet = new Set(actionableNewlyOpened.map(trackerKey));
       const currentlyOpen = state.trackedSections.filter(item => {
-        const key = `${item.roster}:${item.classNbr}`;
-        return item.lastStatus === 'O' && !isAlertDismissed(key) && !newlyOpenedSet.has(key);
+        const key = trackerKey(item);
+        return wantsOpenAlert(item) && item.lastStatus === 'O' && !isAlertDismissed(key) && !newlyOpenedSet.has(key);
       });
       for (const item of currentlyOpen) {
-        const trackedKey = `${item.roster}:${item.classNbr}`;
+        const trackedKey = trackerKey(item);
         const trackedElement = document.querySelector(`[data-tracked-key="${trackedKey}"]`);
         if (trackedElement) {
           showAlertOverItem(item, trackedElement, trackedKey);
@@ -1478,6 +2033,22 @@
     }
   }
 
+  function missingTrackersLookPartial(classes, items, missingItems) {
+    if (!missingItems.length) return false;
+    if (!classes.length) return true;
+    return items.length > 1 && missingItems.length * 2 > items.length;
+  }
+
+  function removedTrackersMessage(removed) {
+    const names = removed.map(item => (
+      isCourseTracker(item)
+        ? `${item.subject} ${item.catalogNbr}`
+        : `${item.subject} ${item.catalogNbr} ${item.section}`.trim()
+    ));
+    const subject = names.length === 1 ? names[0] : `${names.length} tracked sections`;
+    return `${subject} removed: Cornell no longer lists ${names.length === 1 ? 'it' : 'them'} after ${MISSING_REFRESHES_BEFORE_REMOVAL} checks.`;
+  }
+
   function startPolling() {
     stopPolling();
     state.pollingTimer = setInterval(
@@ -1544,6 +2115,19 @@
       return;
     }
 
+    const courseTrackBtn = event.target.closest('button[data-action="track-course"]');
+    if (courseTrackBtn && els.searchResults.contains(courseTrackBtn)) {
+      const { subject, catalogNbr } = courseTrackBtn.dataset;
+      if (courseTrackBtn.disabled || !subject || !catalogNbr) return;
+      trackCourse(
+        subject,
+        catalogNbr,
+        courseTrackBtn.dataset.title || '',
+        courseTrackBtn.dataset.ssrComponent || ''
+      );
+      return;
+    }
+
     const trackBtn = event.target.closest('button[data-action="toggle-track"]');
     if (!trackBtn || !els.searchResults.contains(trackBtn) || trackBtn.disabled) return;
 
@@ -1564,11 +2148,27 @@
     const untrackBtn = event.target.closest('button[data-action="untrack"]');
     if (!untrackBtn || !els.trackedList.contains(untrackBtn)) return;
 
-    const classNbr = untrackBtn.dataset.classNbr;
-    const roster = untrackBtn.dataset.roster || null;
-    if (!classNbr) return;
+    const key = untrackBtn.dataset.trackedKey;
+    if (!key) return;
+
+    untrackKey(key);
+  }
+
+  function onTrackedListChange(event) {
+    const input = event.target.closest('input[data-action="notification-preference"]');
+    if (!input || !els.trackedList.contains(input)) return;
+
+    const preference = input.dataset.preference;
+    const item = state.trackedSections.find(tracker => trackerKey(tracker) === input.dataset.trackedKey);
+    if (!item || !Object.hasOwn(DEFAULT_NOTIFICATION_PREFERENCES, preference)) return;
 
-    untrack(classNbr, roster);
+    item.notifications = { ...notificationPreferences(item), [preference]: input.checked };
+    saveTrackedSections();
+    if (preference === 'notifyOnOpen' && !input.checked) {
+      document.getElementById(`alert-${trackerKey(item)}`)?.remove();
+      if (!hasActiveUndismissedOpenAlerts()) stopAlertSound();
+    }
+    void window.CourseSnagCloud?.trackerPreferencesChanged(item, { [preference]: input.checked });
   }
 
   async function onRefreshClick() {
@@ -1852,9 +2452,13 @@
     const discordSetupRequested = setupParams.get('setup') === 'discord';
     // Attach event listeners
     els.searchInput.addEventListener('input', onSearchInput);
+    if (els.rosterSelect) {
+      els.rosterSelect.addEventListener('change', onRosterChange);
+    }
     els.searchResults.addEventListener('click', onSearchResultsClick);
     els.refreshBtn.addEventListener('click', onRefreshClick);
     els.trackedList.addEventListener('click', onTrackedListClick);
+    els.trackedList.addEventListener('change', onTrackedListChange);
     if (els.searchPanel) {
       els.searchPanel.addEventListener('click', onSearchShortcutClick);
     }
@@ -1900,6 +2504,7 @@
       updateWatcherCountElements();
       loadWatcherCountsForTrackedSections();
     });
+    window.addEventListener('coursesnag:outbox-changed', updateSyncPendingBadges);
     window.addEventListener('coursesnag:discord-return', event => {
       if (event.detail?.result === 'connected' && cloudIsAvailable()) {
         state.alertMode = 'cloud';
@@ -1924,6 +2529,7 @@
     }
     const cloudInitialization = Promise.resolve(
       window.CourseSnagCloud?.initialize({
+        getLocalTrackers: () => state.trackedSections.map(tracker => ({ ...tracker })),
         replaceLocalTrackers,
         initialAlertMode: state.alertMode,
         cloudSetupRequested: discordSetupRequested
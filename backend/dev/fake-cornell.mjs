@@ -0,0 +1,304 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { config } from '../src/config.mjs';
+import { defaultRosterSlug, wait } from '../src/cornell.mjs';
+
+// Cornell asks API clients for no more than one request per second.
+const RECORDING_PAUSE_MS = 1_000;
+const USER_AGENT = 'CourseSnag/0.1 (course availability monitor)';
+
+function errorPayload(message) {
+  return { status: 'error', data: null, message };
+}
+
+// Records Cornell's roster, subject, and class responses verbatim, one second
+// apart, as a fixture for startFakeCornell. A status: error payload is kept.
+export async function recordCornellFixtures({
+  rosters = [],
+  subjects = [],
+  base = config.cornellApiBase,
+  fetchImpl = fetch,
+  pauseMs = RECORDING_PAUSE_MS,
+  now = () => new Date()
+} = {}) {
+  let requests = 0;
+  const get = async (path, searchParams = {}) => {
+    if (requests > 0) await wait(pauseMs);
+    requests += 1;
+    const url = new URL(`${base}${path}`);
+    for (const [key, value] of Object.entries(searchParams)) url.searchParams.set(key, value);
+    const response = await fetchImpl(url, {
+      headers: { 'user-agent': USER_AGENT },
+      signal: AbortSignal.timeout(15_000)
+    });
+    if (!response.ok) throw new Error(`Cornell API returned HTTP ${response.status} for ${url.pathname}`);
+    return response.json();
+  };
+
+  const fixture = {
+    source: base,
+    recordedAt: now().toISOString(),
+    rosters: await get('/config/rosters.json'),
+    subjects: {},
+    classes: {}
+  };
+  const slugs = rosters.length ? rosters : [defaultRosterSlug(fixture.rosters.data?.rosters)].filter(Boolean);
+  for (const roster of slugs) {
+    fixture.subjects[roster] = await get('/config/subjects.json', { roster });
+    fixture.classes[roster] = {};
+    for (const subject of subjects) {
+      fixture.classes[roster][subject] = await get('/search/classes.json', { roster, subject });
+    }
+  }
+  return fixture;
+}
+
+export async function loadCornellFixtures(path) {
+  return JSON.parse(await readFile(path, 'utf8'));
+}
+
+// Replays a recorded fixture for the Class Roster endpoints CourseSnag calls.
+// Status changes, removed sections, roster flips, errors, and latency can be
+// scripted per request, and every request is kept in `requests`.
+export async function startFakeCornell({
+  fixtures = {},
+  port = 0,
+  latencyMs = 0,
+  now = () => new Date()
+} = {}) {
+  const recorded = structuredClone({
+    rosters: fixtures.rosters || { status: 'success', data: { rosters: [] } },
+    subjects: fixtures.subjects || {},
+    classes: fixtures.classes || {}
+  });
+  const statusOverrides = new Map();
+  const removedSections = new Set();
+  const requests = [];
+  const injected = [];
+  let defaultRoster = '';
+  let latency = latencyMs;
+
+  const sectionKey = (roster, classNbr) => `${roster}:${classNbr}`;
+
+  function takeInjected(kind, request) {
+    const index = injected.findIndex(entry => (
+      entry.kind === kind
+      && (!entry.path || entry.path.test(request.path))
+      && (!entry.roster || entry.roster === request.roster)
+      && (!entry.subject || entry.subject === request.subject)
+    ));
+    if (index < 0) return null;
+    const entry = injected[index];
+    entry.remaining -= 1;
+    if (entry.remaining <= 0) injected.splice(index, 1);
+    return entry;
+  }
+
+  function rostersPayload() {
+    const payload = structuredClone(recorded.rosters);
+    if (defaultRoster && payload.data) {
+      const rosters = payload.data.rosters || [];
+      if (!rosters.some(roster => roster.slug === defaultRoster)) rosters.push({ slug: defaultRoster });
+      for (const roster of rosters) roster.isDefaultRoster = roster.slug === defaultRoster ? 'Y' : 'N';
+      payload.data.rosters = rosters;
+    }
+    return payload;
+  }
+
+  // Applies scripted status changes and removals to a recorded class list.
+  function replayClasses(roster, classes) {
+    return classes.map(course => ({
+      ...course,
+      enrollGroups: (course.enrollGroups || []).map(group => ({
+        ...group,
+        classSections: (group.classSections || [])
+          .filter(section => !removedSections.has(sectionKey(roster, section.classNbr)))
+          .map(section => {
+            const status = statusOverrides.get(sectionKey(roster, section.classNbr));
+            return status ? { ...section, openStatus: status } : section;
+          })
+      }))
+    })).filter(course => course.enrollGroups.some(group => group.classSections.length));
+  }
+
+  function classesPayload(roster, subject, query) {
+    if (subject) {
+      const payload = recorded.classes[roster]?.[subject];
+      if (!payload) return errorPayload(`No classes found for ${subject} in ${roster}.`);
+      if (payload.status !== 'success') return structuredClone(payload);
+      return { ...payload, data: { ...payload.data, classes: replayClasses(roster, payload.data?.classes || []) } };
+    }
+    const needle = String(query || '').trim().toLowerCase();
+    const matches = Object.values(recorded.classes[roster] || {})
+      .filter(payload => payload.status === 'success')
+      .flatMap(payload => payload.data?.classes || [])
+      .filter(course => needle && [
+        `${course.subject} ${course.catalogNbr}`,
+        course.titleShort,
+        course.titleLong
+      ].some(text => String(text || '').toLowerCase().includes(needle)));
+    if (!matches.length) return errorPayload('No classes found for the given criteria.');
+    return { status: 'success', data: { classes: replayClasses(roster, matches) }, message: null };
+  }
+
+  function route(request) {
+    if (request.path === '/config/rosters.json') return [200, rostersPayload()];
+    if (request.path === '/config/subjects.json') {
+      const payload = recorded.subjects[request.roster];
+      return [200, payload ? structuredClone(payload) : errorPayload(`Roster ${request.roster} was not recorded.`)];
+    }
+    if (request.path === '/search/classes.json') {
+      return [200, classesPayload(request.roster, request.subject, request.q)];
+    }
+    return [404, errorPayload('Not found.')];
+  }
+
+  const server = http.createServer(async (incoming, response) => {
+    const url = new URL(incoming.url, 'http://localhost');
+    const request = {
+      method: incoming.method,
+      path: url.pathname.replace(/^\/api\/2\.0/, ''),
+      roster: url.searchParams.get('roster') || '',
+      subject: url.searchParams.get('subject') || '',
+      q: url.searchParams.get('q') || '',
+      at: now().toISOString()
+    };
+    requests.push(request);
+
+    const slow = takeInjected('slow', request);
+    const delay = slow ? slow.ms : latency;
+    if (delay > 0) await wait(delay);
+
+    let status;
+    let payload;
+    const failure = takeInjected('fail', request);
+    const error = failure ? null : takeInjected('error', request);
+    if (incoming.method !== 'GET') {
+      [status, payload] = [405, errorPayload('Method not allowed.')];
+    } else if (failure) {
+      [status, payload] = [failure.status, failure.body];
+    } else if (error) {
+      [status, payload] = [200, errorPayload(error.message)];
+    } else {
+      [status, payload] = route(request);
+    }
+    // The site calls Cornell straight from the browser, as it does in production.
+    const headers = { 'access-control-allow-origin': '*', 'cache-control': 'no-store' };
+    if (typeof payload === 'string') {
+      response.writeHead(status, headers);
+      response.end(payload);
+      return;
+    }
+    response.writeHead(status, { ...headers, 'content-type': 'application/json' });
+    response.end(JSON.stringify(payload));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    apiBase: `http://127.0.0.1:${server.address().port}/api/2.0`,
+    requests,
+
+    // Replays the section with a different openStatus ('O', 'W', or 'C').
+    setStatus(roster, classNbr, openStatus) {
+      statusOverrides.set(sectionKey(roster, classNbr), openStatus);
+    },
+
+    // Leaves the section out of later class lists, as a partial response would.
+    removeSection(roster, classNbr) {
+      removedSections.add(sectionKey(roster, classNbr));
+    },
+
+    restoreSection(roster, classNbr) {
+      removedSections.delete(sectionKey(roster, classNbr));
+    },
+
+    // Marks the roster as Cornell's default, adding it if it was not recorded.
+    setDefaultRoster(slug) {
+      defaultRoster = String(slug);
+    },
+
+    setLatency(milliseconds) {
+      latency = milliseconds;
+    },
+
+    failNext({ status = 503, body = 'Service Unavailable', count = 1, path, roster, subject } = {}) {
+      injected.push({ kind: 'fail', remaining: count, status, body, path, roster, subject });
+    },
+
+    errorNext({ message = 'Cornell API is temporarily unavailable.', count = 1, path, roster, subject } = {}) {
+      injected.push({ kind: 'error', remaining: count, message, path, roster, subject });
+    },
+
+    slowNext({ ms, count = 1, path, roster, subject }) {
+      injected.push({ kind: 'slow', remaining: count, ms, path, roster, subject });
+    },
+
+    close() {
+      return new Promise(resolve => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      });
+    }
+  };
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      roster: { type: 'string', multiple: true, default: [] },
+      subject: { type: 'string', multiple: true, default: [] },
+      out: { type: 'string' },
+      fixtures: { type: 'string' },
+      port: { type: 'string', default: '8788' },
+      'latency-ms': { type: 'string', default: '0' }
+    }
+  });
+
+  if (positionals[0] === 'record' && values.out) {
+    const fixture = await recordCornellFixtures({
+      rosters: values.roster.map(slug => slug.toUpperCase()),
+      subjects: values.subject.map(subject => subject.toUpperCase())
+    });
+    await writeFile(values.out, `${JSON.stringify(fixture, null, 2)}\n`);
+    const recordedClasses = Object.values(fixture.classes).reduce((total, bySubject) => total + Object.keys(bySubject).length, 0);
+    console.log(`Recorded ${Object.keys(fixture.subjects).length} roster(s) and ${recordedClasses} subject(s) to ${values.out}`);
+    return;
+  }
+
+  if (positionals[0] === 'serve' && values.fixtures) {
+    const cornell = await startFakeCornell({
+      fixtures: await loadCornellFixtures(values.fixtures),
+      port: Number(values.port),
+      latencyMs: Number(values['latency-ms'])
+    });
+    console.log(`Fake Cornell API: ${cornell.apiBase}`);
+    console.log('Press Ctrl+C to stop.');
+    const stop = async () => {
+      await cornell.close();
+      process.exit(0);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    return;
+  }
+
+  throw new Error([
+    'Usage:',
+    '  node dev/fake-cornell.mjs record --out FILE [--roster FA26] [--subject CS ...]',
+    '  node dev/fake-cornell.mjs serve --fixtures FILE [--port 8788] [--latency-ms 0]'
+  ].join('\n'));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,329 @@
+import { randomBytes } from 'node:crypto';
+import http from 'node:http';
+
+// Discord's epoch for snowflake IDs: 2015-01-01T00:00:00.000Z.
+const DISCORD_EPOCH_MS = 1_420_070_400_000n;
+const ACCESS_TOKEN_LIFETIME_SECONDS = 7 * 24 * 60 * 60;
+
+const discordErrors = {
+  unauthorized: [401, { message: '401: Unauthorized', code: 0 }],
+  unknownChannel: [404, { message: 'Unknown Channel', code: 10003 }],
+  unknownMessage: [404, { message: 'Unknown Message', code: 10008 }],
+  unknownUser: [404, { message: 'Unknown User', code: 10013 }],
+  unknownWebhook: [404, { message: 'Unknown Webhook', code: 10015 }],
+  missingAccess: [403, { message: 'Missing Access', code: 50001 }],
+  cannotMessageUser: [403, { message: 'Cannot send messages to this user', code: 50007 }]
+};
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function parsedBody(request, text) {
+  if (!text) return {};
+  if (String(request.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  return JSON.parse(text);
+}
+
+// Answers the Discord OAuth, user, DM, channel message, and deferred command
+// response calls CourseSnag makes, with Discord's credential checks and error bodies, and records every
+// request and message for tests to assert on.
+export async function startFakeDiscord({
+  applicationId = '100000000000000001',
+  clientSecret = 'fake-client-secret',
+  botToken = 'fake-bot-token',
+  port = 0,
+  now = () => new Date()
+} = {}) {
+  const users = new Map();
+  const closedDms = new Set();
+  const channels = new Map();
+  const codes = new Map();
+  const accessTokens = new Map();
+  const requests = [];
+  const messages = [];
+  const interactionResponses = [];
+  const revokedTokens = [];
+  const injected = [];
+  let sequence = 0n;
+  let authorizeAs = '';
+
+  function snowflake() {
+    sequence += 1n;
+    return String(((BigInt(now().getTime()) - DISCORD_EPOCH_MS) << 22n) | (sequence & 0x3fffffn));
+  }
+
+  function userJson(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      global_name: user.globalName ?? null,
+      avatar: user.avatar ?? null,
+      discriminator: '0'
+    };
+  }
+
+  function botAuthorized(request) {
+    return request.headers.authorization === `Bot ${botToken}`;
+  }
+
+  function clientAuthorized(request) {
+    const expected = `Basic ${Buffer.from(`${applicationId}:${clientSecret}`).toString('base64')}`;
+    return request.headers.authorization === expected;
+  }
+
+  function takeInjected(method, path) {
+    const index = injected.findIndex(entry => (
+      (!entry.method || entry.method === method) && (!entry.path || entry.path.test(path))
+    ));
+    if (index < 0) return null;
+    const entry = injected[index];
+    entry.remaining -= 1;
+    if (entry.remaining <= 0) injected.splice(index, 1);
+    return entry;
+  }
+
+  function postMessage(channel, body) {
+    const message = {
+      id: snowflake(),
+      type: 0,
+      channel_id: channel.id,
+      content: body.content || '',
+      components: body.components || [],
+      embeds: body.embeds || [],
+      author: { id: applicationId, username: 'CourseSnag', bot: true },
+      timestamp: now().toISOString(),
+      edited_timestamp: null
+    };
+    channel.messages.set(message.id, message);
+    messages.push({
+      id: message.id,
+      channelId: channel.id,
+      recipientId: channel.recipientId || null,
+      content: message.content,
+      components: message.components,
+      sentAt: message.timestamp,
+      edits: []
+    });
+    return message;
+  }
+
+  async function route(request, url, body) {
+    const { pathname } = url;
+    const method = request.method;
+
+    if (method === 'GET' && pathname === '/oauth2/authorize') {
+      const userId = authorizeAs || [...users.keys()][0];
+      const redirectUri = url.searchParams.get('redirect_uri');
+      const destination = new URL(redirectUri);
+      if (url.searchParams.get('client_id') !== applicationId || !userId) {
+        destination.searchParams.set('error', 'access_denied');
+      } else {
+        destination.searchParams.set('code', authorize(userId, redirectUri));
+      }
+      destination.searchParams.set('state', url.searchParams.get('state') || '');
+      return [302, null, { location: destination.toString() }];
+    }
+
+    if (!pathname.startsWith('/api/v10/')) return [404, { message: '404: Not Found', code: 0 }];
+    const path = pathname.slice('/api/v10'.length);
+
+    if (method === 'POST' && path === '/oauth2/token') {
+      if (!clientAuthorized(request)) return [401, { error: 'invalid_client' }];
+      const grant = codes.get(body.code);
+      codes.delete(body.code);
+      if (body.grant_type !== 'authorization_code' || !grant || grant.redirectUri !== body.redirect_uri) {
+        return [400, { error: 'invalid_grant', error_description: 'Invalid "code" in request.' }];
+      }
+      const accessToken = randomBytes(16).toString('hex');
+      accessTokens.set(accessToken, grant.userId);
+      return [200, {
+        token_type: 'Bearer',
+        access_token: accessToken,
+        expires_in: ACCESS_TOKEN_LIFETIME_SECONDS,
+        refresh_token: randomBytes(16).toString('hex'),
+        scope: 'identify bot applications.commands'
+      }];
+    }
+
+    if (method === 'POST' && path === '/oauth2/token/revoke') {
+      if (!clientAuthorized(request)) return [401, { error: 'invalid_client' }];
+      if (accessTokens.delete(body.token)) revokedTokens.push(body.token);
+      return [200, {}];
+    }
+
+    if (method === 'GET' && path === '/users/@me') {
+      const match = /^Bearer (\S+)$/.exec(request.headers.authorization || '');
+      const user = users.get(accessTokens.get(match?.[1]));
+      return user ? [200, userJson(user)] : discordErrors.unauthorized;
+    }
+
+    // Interaction webhooks are authorized by their token, not the bot's.
+    const responsePath = /^\/webhooks\/(\d+)\/([\w.-]+)\/messages\/@original$/.exec(path);
+    if (method === 'PATCH' && responsePath) {
+      if (responsePath[1] !== applicationId) return discordErrors.unknownWebhook;
+      const edit = {
+        token: responsePath[2],
+        content: body.content ?? '',
+        components: body.components || [],
+        editedAt: now().toISOString()
+      };
+      interactionResponses.push(edit);
+      return [200, { id: snowflake(), type: 20, content: edit.content, components: edit.components, flags: 64 }];
+    }
+
+    if (!botAuthorized(request)) return discordErrors.unauthorized;
+
+    if (method === 'POST' && path === '/users/@me/channels') {
+      const user = users.get(String(body.recipient_id || ''));
+      if (!user) return discordErrors.unknownUser;
+      let channel = [...channels.values()].find(candidate => candidate.recipientId === user.id);
+      if (!channel) {
+        channel = { id: snowflake(), type: 1, recipientId: user.id, messages: new Map() };
+        channels.set(channel.id, channel);
+      }
+      return [200, { id: channel.id, type: 1, recipients: [userJson(user)], last_message_id: null }];
+    }
+
+    const messagePath = /^\/channels\/(\d+)\/messages(?:\/(\d+))?$/.exec(path);
+    if (messagePath) {
+      const channel = channels.get(messagePath[1]);
+      if (!channel) return discordErrors.unknownChannel;
+      if (channel.missingAccess) return discordErrors.missingAccess;
+      if (method === 'POST' && !messagePath[2]) {
+        if (channel.recipientId && closedDms.has(channel.recipientId)) return discordErrors.cannotMessageUser;
+        return [200, postMessage(channel, body)];
+      }
+      if (method === 'PATCH' && messagePath[2]) {
+        const message = channel.messages.get(messagePath[2]);
+        if (!message) return discordErrors.unknownMessage;
+        if (body.content !== undefined) message.content = body.content;
+        if (body.components !== undefined) message.components = body.components;
+        message.edited_timestamp = now().toISOString();
+        messages.find(entry => entry.id === message.id)?.edits.push({
+          content: message.content,
+          components: message.components,
+          editedAt: message.edited_timestamp
+        });
+        return [200, message];
+      }
+    }
+
+    return [404, { message: '404: Not Found', code: 0 }];
+  }
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    let status;
+    let payload;
+    let headers = {};
+    try {
+      const text = await readBody(request);
+      const body = parsedBody(request, text);
+      requests.push({
+        method: request.method,
+        path: url.pathname.replace(/^\/api\/v10/, ''),
+        authorization: String(request.headers.authorization || '').split(' ')[0],
+        body,
+        at: now().toISOString()
+      });
+      const failure = takeInjected(request.method, url.pathname.replace(/^\/api\/v10/, ''));
+      if (failure?.retryAfter !== undefined) {
+        [status, payload] = [429, { message: 'You are being rate limited.', retry_after: failure.retryAfter, global: failure.global }];
+        headers = {
+          'retry-after': String(Math.ceil(failure.retryAfter)),
+          'x-ratelimit-scope': failure.global ? 'global' : 'user',
+          ...(failure.global ? { 'x-ratelimit-global': 'true' } : {})
+        };
+      } else if (failure) {
+        [status, payload] = [failure.status, failure.body];
+      } else {
+        [status, payload, headers = {}] = await route(request, url, body);
+      }
+    } catch (error) {
+      [status, payload] = [400, { message: error.message, code: 50109 }];
+    }
+    response.writeHead(status, {
+      ...(payload === null ? {} : { 'content-type': 'application/json' }),
+      ...headers
+    });
+    response.end(payload === null ? '' : JSON.stringify(payload));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  function authorize(userId, redirectUri) {
+    if (!users.has(String(userId))) throw new Error(`Fake Discord has no user ${userId}.`);
+    const code = randomBytes(16).toString('hex');
+    codes.set(code, { userId: String(userId), redirectUri });
+    return code;
+  }
+
+  return {
+    applicationId,
+    clientSecret,
+    botToken,
+    apiBase: `${origin}/api/v10`,
+    authorizeUrl: `${origin}/oauth2/authorize`,
+    requests,
+    messages,
+    interactionResponses,
+    revokedTokens,
+
+    addUser({ id, username = `user${id}`, globalName = null, avatar = null, acceptsDms = true }) {
+      const user = { id: String(id), username, globalName, avatar };
+      users.set(user.id, user);
+      if (acceptsDms) closedDms.delete(user.id);
+      else closedDms.add(user.id);
+      return userJson(user);
+    },
+
+    // Makes later DMs to the user fail as they do when the user blocks the
+    // bot or shares no server with it.
+    closeDms(userId) {
+      closedDms.add(String(userId));
+    },
+
+    addChannel(id = snowflake(), { missingAccess = false } = {}) {
+      channels.set(String(id), { id: String(id), type: 0, recipientId: null, missingAccess, messages: new Map() });
+      return String(id);
+    },
+
+    // Sets the user the browser-facing authorize page signs in as.
+    authorizeAs(userId) {
+      authorizeAs = String(userId);
+    },
+
+    authorize,
+
+    rateLimitNext({ count = 1, retryAfter = 0.25, global = false, method, path } = {}) {
+      injected.push({ remaining: count, retryAfter, global, method, path });
+    },
+
+    failNext({ status, body = { message: 'Internal Server Error', code: 0 }, count = 1, method, path }) {
+      injected.push({ remaining: count, status, body, method, path });
+    },
+
+    directMessagesTo(userId) {
+      return messages.filter(message => message.recipientId === String(userId));
+    },
+
+    close() {
+      return new Promise(resolve => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      });
+    }
+  };
+}
@@ -0,0 +1,161 @@
+import { createHash, randomUUID } from 'node:crypto';
+import { SendMessageBatchCommand } from '@aws-sdk/client-sqs';
+
+// Mirror AlertQueue and the notifier's event source in infra/template.yaml.
+const VISIBILITY_TIMEOUT_MS = 180 * 1000;
+const MAX_RECEIVE_COUNT = 5;
+const BATCH_SIZE = 10;
+const DEDUPLICATION_WINDOW_MS = 5 * 60 * 1000;
+
+function queueError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Stands in for the alert FIFO queue. Messages keep their order within a
+// group, a group waits while one of its messages is in flight or retrying,
+// duplicate IDs are dropped for five minutes, failures reappear after the
+// visibility timeout, and the fifth failed receive moves a message to the
+// dead letters.
+export function createLocalQueue({
+  now = Date.now,
+  visibilityTimeoutMs = VISIBILITY_TIMEOUT_MS,
+  maxReceiveCount = MAX_RECEIVE_COUNT,
+  onSend
+} = {}) {
+  const queued = [];
+  const deadLetters = [];
+  const deduplicated = new Map();
+  let sequence = 0;
+
+  function send(input) {
+    const entries = input.Entries || [];
+    if (!entries.length || entries.length > BATCH_SIZE) {
+      throw queueError('TooManyEntriesInBatchRequest', `A batch must contain 1-${BATCH_SIZE} entries.`);
+    }
+    const sentAt = now();
+    for (const [id, firstSeen] of deduplicated) {
+      if (sentAt - firstSeen >= DEDUPLICATION_WINDOW_MS) deduplicated.delete(id);
+    }
+    const Successful = [];
+    const Failed = [];
+    for (const entry of entries) {
+      if (!entry.MessageGroupId || !entry.MessageDeduplicationId) {
+        Failed.push({ Id: entry.Id, SenderFault: true, Code: 'MissingParameter', Message: 'FIFO messages need a group and deduplication ID.' });
+        continue;
+      }
+      sequence += 1;
+      const message = {
+        messageId: randomUUID(),
+        sequenceNumber: String(sequence).padStart(20, '0'),
+        body: entry.MessageBody,
+        groupId: entry.MessageGroupId,
+        deduplicationId: entry.MessageDeduplicationId,
+        sentAt,
+        receiveCount: 0,
+        firstReceivedAt: null,
+        visibleAt: sentAt
+      };
+      if (!deduplicated.has(entry.MessageDeduplicationId)) {
+        deduplicated.set(entry.MessageDeduplicationId, sentAt);
+        queued.push(message);
+      }
+      Successful.push({ Id: entry.Id, MessageId: message.messageId, SequenceNumber: message.sequenceNumber });
+    }
+    if (Successful.length) onSend?.();
+    return { Successful, Failed };
+  }
+
+  function receive(maxMessages = BATCH_SIZE) {
+    const receivedAt = now();
+    const blocked = new Set(queued.filter(message => message.visibleAt > receivedAt).map(message => message.groupId));
+    const batch = [];
+    for (const message of [...queued]) {
+      if (batch.length >= maxMessages) break;
+      if (blocked.has(message.groupId)) continue;
+      if (message.receiveCount >= maxReceiveCount) {
+        queued.splice(queued.indexOf(message), 1);
+        deadLetters.push(message);
+        continue;
+      }
+      message.receiveCount += 1;
+      message.firstReceivedAt ??= receivedAt;
+      message.visibleAt = receivedAt + visibilityTimeoutMs;
+      batch.push(message);
+    }
+    return batch;
+  }
+
+  function record(message) {
+    return {
+      messageId: message.messageId,
+      receiptHandle: `${message.messageId}:${message.receiveCount}`,
+      body: message.body,
+      attributes: {
+        ApproximateReceiveCount: String(message.receiveCount),
+        SentTimestamp: String(message.sentAt),
+        SequenceNumber: message.sequenceNumber,
+        MessageGroupId: message.groupId,
+        SenderId: 'local',
+        MessageDeduplicationId: message.deduplicationId,
+        ApproximateFirstReceiveTimestamp: String(message.firstReceivedAt)
+      },
+      messageAttributes: {},
+      md5OfBody: createHash('md5').update(message.body).digest('hex'),
+      eventSource: 'aws:sqs',
+      eventSourceARN: 'arn:aws:sqs:local:000000000000:coursesnag-alerts.fifo',
+      awsRegion: 'local'
+    };
+  }
+
+  return {
+    async send(command) {
+      if (!(command instanceof SendMessageBatchCommand)) {
+        throw queueError('UnsupportedOperation', `The local queue does not support ${command?.constructor?.name || 'this command'}.`);
+      }
+      return send(command.input);
+    },
+
+    // Delivers visible messages to an SQS-triggered handler, ten at a time,
+    // until none are left. Records named in batchItemFailures, or a whole
+    // batch whose handler throws, are retried after the visibility timeout.
+    async drain(handler) {
+      let delivered = 0;
+      let failed = 0;
+      for (let batch = receive(); batch.length; batch = receive()) {
+        let failures;
+        try {
+          const result = await handler({ Records: batch.map(record) });
+          failures = new Set((result?.batchItemFailures || []).map(item => item.itemIdentifier));
+        } catch (error) {
+          console.error('Local queue batch failed', { message: error.message });
+          failures = new Set(batch.map(message => message.messageId));
+        }
+        for (const message of batch) {
+          if (failures.has(message.messageId)) {
+            failed += 1;
+          } else {
+            queued.splice(queued.indexOf(message), 1);
+            delivered += 1;
+          }
+        }
+      }
+      return { delivered, failed };
+    },
+
+    // The time the next waiting message becomes visible again, if any.
+    nextVisibleAt() {
+      const waiting = queued.map(message => message.visibleAt).filter(time => time > now());
+      return waiting.length ? Math.min(...waiting) : null;
+    },
+
+    pending() {
+      return queued.map(record);
+    },
+
+    deadLetters() {
+      return deadLetters.map(record);
+    }
+  };
+}
@@ -0,0 +1,468 @@
+import { randomUUID } from 'node:crypto';
+import { existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import http from 'node:http';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { config, requireConfig } from '../src/config.mjs';
+import { currentMode } from '../src/mode.mjs';
+import { pollingIntervalMinutesAt } from '../src/polling.mjs';
+import { useQueueClient } from '../src/queue.mjs';
+import { useStorageTable } from '../src/storage.mjs';
+import { loadCornellFixtures, startFakeCornell } from './fake-cornell.mjs';
+import { createLocalQueue } from './local-queue.mjs';
+import { createFileTable, createMemoryTable } from './memory-table.mjs';
+
+const PROJECT_ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const TEMPLATE_PATH = join(PROJECT_ROOT, 'infra', 'template.yaml');
+const MONITOR_TICK_SECONDS = 5 * 60;
+const CONTENT_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+const indentation = line => line.length - line.trimStart().length;
+
+// Reads the HTTP API routes, function timeouts, and CORS lists from the SAM
+// template so the local server cannot drift from what API Gateway serves.
+export function templateRoutes(template) {
+  const routes = [];
+  const timeouts = {};
+  let resource = null;
+  let handler = '';
+  let pendingPath = '';
+  for (const line of template.split('\n')) {
+    if (indentation(line) === 2 && /^\s+\w+:\s*$/.test(line)) {
+      resource = line.trim().slice(0, -1);
+      handler = '';
+      continue;
+    }
+    const handlerMatch = /^\s+Handler: backend\/src\/([\w-]+)\.handler\s*$/.exec(line);
+    if (handlerMatch) handler = handlerMatch[1];
+    const timeoutMatch = /^ {6}Timeout: (\d+)\s*$/.exec(line);
+    if (timeoutMatch && resource) timeouts[resource] = Number(timeoutMatch[1]);
+    const pathMatch = /^\s+Path: (\S+)\s*$/.exec(line);
+    if (pathMatch) pendingPath = pathMatch[1];
+    const methodMatch = /^\s+Method: (\w+)\s*$/.exec(line);
+    if (methodMatch && pendingPath && handler) {
+      routes.push({ handler, resource, routeKey: `${methodMatch[1].toUpperCase()} ${pendingPath}` });
+      pendingPath = '';
+    }
+  }
+  return {
+    routes,
+    timeouts,
+    cors: {
+      allowHeaders: templateList(template, 'AllowHeaders'),
+      exposeHeaders: templateList(template, 'ExposeHeaders'),
+      allowMethods: templateList(template, 'AllowMethods'),
+      maxAge: Number(/^\s+MaxAge: (\d+)\s*$/m.exec(template)?.[1] || 0)
+    }
+  };
+}
+
+function templateList(template, key) {
+  const lines = template.split('\n');
+  const start = lines.findIndex(line => line.trim() === `${key}:`);
+  if (start < 0) return [];
+  const items = [];
+  for (const line of lines.slice(start + 1)) {
+    const item = /^\s+- (\S+)\s*$/.exec(line);
+    if (!item) break;
+    items.push(item[1]);
+  }
+  return items;
+}
+
+// API Gateway prefers a route with a literal segment over one with a path
+// variable, so literal routes are tried first.
+export function matchRoute(routes, method, pathname) {
+  const candidates = routes
+    .filter(route => route.routeKey.startsWith(`${method} `))
+    .sort((a, b) => (a.routeKey.match(/\{/g)?.length || 0) - (b.routeKey.match(/\{/g)?.length || 0));
+  for (const route of candidates) {
+    const template = route.routeKey.slice(method.length + 1);
+    const names = [];
+    const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\\?\{(\w+)\\?\}/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    const match = new RegExp(`^${pattern}$`).exec(pathname);
+    if (match) {
+      const pathParameters = Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+      return { route, pathParameters: names.length ? pathParameters : undefined };
+    }
+  }
+  return null;
+}
+
+// The API Gateway HTTP API (payload format 2.0) event for one request.
+export function apiGatewayEvent({ method, url, headers, body, routeKey, pathParameters, sourceIp = '127.0.0.1', now = new Date() }) {
+  const parsed = new URL(url, 'http://localhost');
+  const eventHeaders = {};
+  let cookies;
+  for (const [name, value] of Object.entries(headers)) {
+    const joined = Array.isArray(value) ? value.join(',') : String(value);
+    if (name.toLowerCase() === 'cookie') cookies = joined.split(/;\s*/).filter(Boolean);
+    else eventHeaders[name.toLowerCase()] = joined;
+  }
+  const query = {};
+  for (const [name, value] of parsed.searchParams) {
+    query[name] = Object.hasOwn(query, name) ? `${query[name]},${value}` : value;
+  }
+  return {
+    version: '2.0',
+    routeKey,
+    rawPath: parsed.pathname,
+    rawQueryString: parsed.search.slice(1),
+    ...(cookies ? { cookies } : {}),
+    headers: eventHeaders,
+    ...(Object.keys(query).length ? { queryStringParameters: query } : {}),
+    ...(pathParameters ? { pathParameters } : {}),
+    requestContext: {
+      accountId: 'local',
+      apiId: 'local',
+      domainName: eventHeaders.host || 'localhost',
+      domainPrefix: 'localhost',
+      http: {
+        method,
+        path: parsed.pathname,
+        protocol: 'HTTP/1.1',
+        sourceIp,
+        userAgent: eventHeaders['user-agent'] || ''
+      },
+      requestId: randomUUID(),
+      routeKey,
+      stage: '$default',
+      time: now.toUTCString(),
+      timeEpoch: now.getTime()
+    },
+    ...(body ? { body, isBase64Encoded: false } : { isBase64Encoded: false })
+  };
+}
+
+export function corsHeaders(origin, allowedOrigins, cors, preflight = false) {
+  if (!origin || !allowedOrigins.includes(origin)) return {};
+  return {
+    'access-control-allow-origin': origin,
+    vary: 'origin',
+    ...(preflight
+      ? {
+          'access-control-allow-methods': cors.allowMethods.join(','),
+          'access-control-allow-headers': cors.allowHeaders.join(','),
+          'access-control-max-age': String(cors.maxAge)
+        }
+      : { 'access-control-expose-headers': cors.exposeHeaders.join(',') })
+  };
+}
+
+export function lambdaContext(functionName, timeoutSeconds) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  return {
+    awsRequestId: randomUUID(),
+    functionName: `coursesnag-local-${functionName}`,
+    getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now())
+  };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function sendResult(response, result, extraHeaders = {}) {
+  const headers = { ...extraHeaders, ...(result?.headers || {}) };
+  if (result?.cookies?.length) headers['set-cookie'] = result.cookies;
+  const body = result?.isBase64Encoded ? Buffer.from(result.body || '', 'base64') : (result?.body ?? '');
+  response.writeHead(result?.statusCode || 200, headers);
+  response.end(body);
+}
+
+function sendJson(response, statusCode, body, headers = {}) {
+  sendResult(response, {
+    statusCode,
+    headers: { 'content-type': 'application/json; charset=utf-8', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+// Mirrors scripts/season.sh: the transitional mode covers the seasonal
+// announcement, and starting runs the monitor at once.
+export async function changeSeason(action, { announce, runMonitor }) {
+  const previous = await currentMode();
+  if (action === 'start' && previous !== 'cloud') {
+    await writeFile(config.modeFile, 'starting\n');
+    await announce({ action: 'announce-season-online' });
+    await writeFile(config.modeFile, 'cloud\n');
+    await runMonitor({ force: true });
+  } else if (action === 'stop' && previous !== 'local') {
+    await writeFile(config.modeFile, 'stopping\n');
+    await announce({ action: 'announce-season-offline' });
+    await writeFile(config.modeFile, 'local\n');
+  }
+  return { previous, mode: await currentMode() };
+}
+
+// STORAGE_DRIVER picks DynamoDB, an in-memory table, or an in-memory table
+// saved to STORAGE_FILE. The Lambdas always use DynamoDB.
+function localStorageTable() {
+  switch (config.storageDriver) {
+    case 'dynamodb':
+      return null;
+    case 'memory':
+      return createMemoryTable();
+    case 'file':
+      requireConfig('storageFile');
+      return createFileTable(config.storageFile);
+    default:
+      throw new Error(`Unknown storage driver: ${config.storageDriver}`);
+  }
+}
+
+// Runs the API, the interactions handler, the monitor tick, and the notifier
+// in one process on local stand-ins for storage, the queue, and the mode.
+export async function startLocalBackend({
+  port = 8787,
+  sitePort = 4173,
+  dataDirectory = join(PROJECT_ROOT, '.local'),
+  memory = false,
+  tickSeconds = MONITOR_TICK_SECONDS,
+  serveSite = true,
+  cornellFixtures = '',
+  log = console.log
+} = {}) {
+  mkdirSync(dataDirectory, { recursive: true });
+  config.tableName ||= 'CourseSnagLocal';
+  if (!process.env.STORAGE_DRIVER) {
+    config.storageDriver = memory ? 'memory' : 'file';
+    config.storageFile = join(dataDirectory, 'table.json');
+  }
+  useStorageTable(localStorageTable());
+  config.modeFile ||= join(dataDirectory, 'mode');
+  config.alertQueueUrl ||= 'local://alerts';
+  // The local server exists to exercise Discord mode, so a fresh data
+  // directory starts in Discord Active rather than Local Standby.
+  if (!existsSync(config.modeFile)) writeFileSync(config.modeFile, 'cloud\n');
+  const cornell = cornellFixtures
+    ? await startFakeCornell({ fixtures: await loadCornellFixtures(cornellFixtures) })
+    : null;
+  if (cornell) config.cornellApiBase = cornell.apiBase;
+
+  const template = templateRoutes(await readFile(TEMPLATE_PATH, 'utf8'));
+  const [api, interactions, monitor, notifier, operations] = await Promise.all([
+    import('../src/api.mjs'),
+    import('../src/interactions.mjs'),
+    import('../src/monitor.mjs'),
+    import('../src/notifier.mjs'),
+    import('../src/operations.mjs')
+  ]);
+  const handlers = { api, interactions };
+  const timeoutOf = name => template.timeouts[`${name[0].toUpperCase()}${name.slice(1)}Function`] || 15;
+
+  let draining = null;
+  let retryTimer = null;
+  const queue = createLocalQueue({ onSend: () => drainQueue() });
+  useQueueClient(queue);
+
+  function drainQueue() {
+    draining ??= (async () => {
+      try {
+        const result = await queue.drain(event => notifier.handler(event, lambdaContext('notifier', timeoutOf('notifier'))));
+        if (result.delivered || result.failed) log(`[notifier] delivered ${result.delivered}, failed ${result.failed}`);
+      } finally {
+        draining = null;
+        clearTimeout(retryTimer);
+        const nextVisibleAt = queue.nextVisibleAt();
+        if (nextVisibleAt) retryTimer = setTimeout(drainQueue, Math.max(0, nextVisibleAt - Date.now()));
+      }
+    })();
+    return draining;
+  }
+
+  async function runMonitor(event = {}) {
+    const result = await monitor.handler(event, lambdaContext('monitor', timeoutOf('monitor')));
+    log(`[monitor] ${result?.status || 'done'}; polls every ${pollingIntervalMinutesAt(new Date())} min at this hour`);
+    return result;
+  }
+
+  const setSeason = action => changeSeason(action, { announce: operations.handler, runMonitor });
+
+  let ticking = false;
+  const ticker = setInterval(async () => {
+    // The EventBridge rule is disabled outside Discord Active.
+    if (ticking || await currentMode() !== 'cloud') return;
+    ticking = true;
+    try {
+      await runMonitor();
+    } catch (error) {
+      log(`[monitor] failed: ${error.message}`);
+    } finally {
+      ticking = false;
+    }
+  }, tickSeconds * 1000);
+
+  const allowedOrigins = [config.frontendOrigin, config.localDevelopmentOrigin].filter(Boolean);
+
+  async function handleControl(request, response, pathname) {
+    if (request.method === 'POST' && pathname === '/_local/monitor') {
+      return sendJson(response, 200, await runMonitor({ force: true }));
+    }
+    const season = /^\/_local\/season\/(start|stop)$/.exec(pathname);
+    if (request.method === 'POST' && season) return sendJson(response, 200, await setSeason(season[1]));
+    if (request.method === 'GET' && pathname === '/_local/queue') {
+      return sendJson(response, 200, { pending: queue.pending(), deadLetters: queue.deadLetters() });
+    }
+    return sendJson(response, 404, { message: 'Not Found' });
+  }
+
+  const apiServer = http.createServer(async (request, response) => {
+    const startedAt = Date.now();
+    const url = new URL(request.url, 'http://localhost');
+    const origin = request.headers.origin || '';
+    try {
+      if (url.pathname.startsWith('/_local/')) return await handleControl(request, response, url.pathname);
+      if (request.method === 'OPTIONS' && request.headers['access-control-request-method']) {
+        response.writeHead(204, corsHeaders(origin, allowedOrigins, template.cors, true));
+        return response.end();
+      }
+      const matched = matchRoute(template.routes, request.method, url.pathname);
+      const cors = corsHeaders(origin, allowedOrigins, template.cors);
+      if (!matched) return sendJson(response, 404, { message: 'Not Found' }, cors);
+      // Local Standby sets the request Lambdas to zero concurrency.
+      if (await currentMode() === 'local') {
+        return sendJson(response, 503, { message: 'Service Unavailable' }, cors);
+      }
+      const event = apiGatewayEvent({
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        body: await readBody(request),
+        routeKey: matched.route.routeKey,
+        pathParameters: matched.pathParameters,
+        sourceIp: request.socket.remoteAddress
+      });
+      const name = matched.route.handler;
+      const result = await handlers[name].handler(event, lambdaContext(name, timeoutOf(name)));
+      sendResult(response, result, cors);
+      log(`[${name}] ${matched.route.routeKey} ${result?.statusCode || 200} ${Date.now() - startedAt}ms`);
+    } catch (error) {
+      log(`[api] ${request.method} ${url.pathname} failed: ${error.message}`);
+      if (!response.headersSent) sendJson(response, 500, { message: 'Internal Server Error' });
+    }
+  });
+
+  const configScript = async () => {
+    let source = await readFile(join(PROJECT_ROOT, 'config.js'), 'utf8');
+    for (const [key, value] of [['apiBaseUrl', config.apiPublicUrl], ['cornellApiBase', config.cornellApiBase]]) {
+      const pattern = new RegExp(`${key}: '[^']*'`);
+      if (!pattern.test(source)) throw new Error(`config.js no longer declares ${key} as a quoted string.`);
+      source = source.replace(pattern, `${key}: '${value}'`);
+    }
+    return source;
+  };
+
+  // Serves the static site like scripts/local.sh, except that config.js
+  // points the browser at this server instead of the deployed API, and at
+  // the same Cornell API base the backend uses.
+  const siteServer = serveSite ? http.createServer(async (request, response) => {
+    const pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const relative = normalize(pathname === '/' ? '/index.html' : pathname).slice(1);
+    if (relative.split(sep).some(segment => segment.startsWith('.') || segment === 'node_modules')) {
+      response.writeHead(404);
+      return response.end('Not found');
+    }
+    try {
+      const body = relative === 'config.js'
+        ? await configScript()
+        : await readFile(join(PROJECT_ROOT, relative));
+      response.writeHead(200, {
+        'content-type': CONTENT_TYPES[extname(relative)] || 'application/octet-stream',
+        'cache-control': 'no-store'
+      });
+      response.end(body);
+    } catch (error) {
+      response.writeHead(error.code === 'ENOENT' || error.code === 'EISDIR' ? 404 : 500);
+      response.end(error.code === 'ENOENT' || error.code === 'EISDIR' ? 'Not found' : error.message);
+    }
+  }) : null;
+
+  const listen = (server, serverPort) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(serverPort, '127.0.0.1', () => resolve(server.address().port));
+  });
+  const apiPort = await listen(apiServer, port);
+  config.apiPublicUrl ||= `http://localhost:${apiPort}`;
+  const boundSitePort = siteServer ? await listen(siteServer, sitePort) : null;
+  drainQueue();
+
+  return {
+    apiPort,
+    sitePort: boundSitePort,
+    queue,
+    cornell,
+    runMonitor,
+    setSeason,
+    drainQueue,
+    async close() {
+      clearInterval(ticker);
+      clearTimeout(retryTimer);
+      await draining;
+      await Promise.all([apiServer, siteServer].filter(Boolean).map(server => new Promise(resolve => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      })));
+      await cornell?.close();
+    }
+  };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: process.env.COURSESNAG_API_PORT || '8787' },
+      'site-port': { type: 'string', default: process.env.COURSESNAG_LOCAL_PORT || '4173' },
+      data: { type: 'string', default: join(PROJECT_ROOT, '.local') },
+      memory: { type: 'boolean', default: false },
+      'tick-seconds': { type: 'string', default: String(MONITOR_TICK_SECONDS) },
+      'no-site': { type: 'boolean', default: false },
+      'cornell-fixtures': { type: 'string', default: '' }
+    }
+  });
+  const backend = await startLocalBackend({
+    port: Number(values.port),
+    sitePort: Number(values['site-port']),
+    dataDirectory: values.data,
+    memory: values.memory,
+    tickSeconds: Number(values['tick-seconds']),
+    serveSite: !values['no-site'],
+    cornellFixtures: values['cornell-fixtures']
+  });
+  console.log(`CourseSnag local API: http://localhost:${backend.apiPort} (mode file ${config.modeFile})`);
+  if (backend.sitePort) console.log(`CourseSnag local site: http://localhost:${backend.sitePort}`);
+  if (backend.cornell) console.log(`Fake Cornell API: ${backend.cornell.apiBase}`);
+  console.log('Press Ctrl+C to stop.');
+  const stop = async () => {
+    await backend.close();
+    process.exit(0);
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,742 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { isDeepStrictEqual } from 'node:util';
+import {
+  BatchGetCommand,
+  DeleteCommand,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactWriteCommand,
+  UpdateCommand
+} from '@aws-sdk/lib-dynamodb';
+
+// Mirrors the key schema, indexes, and TTL attribute of CourseSnagTable in
+// infra/template.yaml.
+const TABLE_KEY = ['PK', 'SK'];
+const INDEXES = { GSI1: ['GSI1PK', 'GSI1SK'], GSI2: ['GSI2PK', 'GSI2SK'] };
+const TTL_ATTRIBUTE = 'expiresAt';
+const MAX_BATCH_GET_KEYS = 100;
+const MAX_TRANSACTION_ITEMS = 100;
+const TRANSACTION_ACTIONS = ['ConditionCheck', 'Put', 'Update', 'Delete'];
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'BETWEEN', 'IN']);
+const CONDITION_FUNCTIONS = new Set(['attribute_exists', 'attribute_not_exists', 'begins_with']);
+const RETURN_VALUES = new Set(['NONE', 'ALL_OLD', 'ALL_NEW', 'UPDATED_NEW']);
+
+function tableError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+const validationError = message => tableError('ValidationException', message);
+const unsupported = feature => validationError(`The in-memory table does not support ${feature}.`);
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(#[A-Za-z0-9_]+)|(:[A-Za-z0-9_]+)|([A-Za-z_][A-Za-z0-9_]*)|(<>|<=|>=|[=<>(),.+-]))/y;
+  let index = 0;
+  while (index < expression.length) {
+    if (!expression.slice(index).trim()) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) throw validationError(`Invalid expression: unexpected input at "${expression.slice(index).trim()}"`);
+    index = pattern.lastIndex;
+    if (match[1]) tokens.push({ type: 'name', value: match[1] });
+    else if (match[2]) tokens.push({ type: 'value', value: match[2] });
+    else if (match[3]) {
+      const upper = match[3].toUpperCase();
+      tokens.push(KEYWORDS.has(upper) ? { type: 'keyword', value: upper } : { type: 'identifier', value: match[3] });
+    } else tokens.push({ type: 'symbol', value: match[4] });
+  }
+  return tokens;
+}
+
+// The parser accepts only the expression syntax storage.mjs uses:
+//
+//   condition   = term { OR term }
+//   term        = predicate { AND predicate }
+//   predicate   = "(" condition ")" | attribute_exists(path)
+//               | attribute_not_exists(path) | begins_with(path, operand)
+//               | operand ( = | <> | < | <= | > | >= ) operand
+//   update      = SET path = value { , path = value } [ REMOVE path { , path } ]
+//   value       = update-term [ + update-term ]
+//   update-term = if_not_exists(path, update-term) | operand
+//   operand     = :value | path
+//   path        = ( identifier | #name ) { . ( identifier | #name ) }
+//   projection  = path { , path }
+//
+// Anything else, such as NOT, BETWEEN, IN, size, contains, subtraction,
+// list_append, or an ADD or DELETE clause, throws a ValidationException
+// saying the in-memory table does not support it. So do ReturnValues other
+// than ALL_OLD, ALL_NEW, and UPDATED_NEW, and any command other than Get,
+// Put, Update, Delete, Query, Scan, BatchGet, and TransactWrite. A
+// transaction applies all of its writes or none, and a failed condition
+// cancels it with a reason per item, as DynamoDB does. A storage call that needs
+// more fails in the tests rather than behaving differently offline than it
+// does against DynamoDB.
+class ExpressionParser {
+  constructor(expression, names, values, used) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.names = names || {};
+    this.values = values || {};
+    this.used = used;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    const token = this.tokens[this.position];
+    if (!token) throw validationError(`Invalid expression: unexpected end of "${this.expression}"`);
+    this.position += 1;
+    return token;
+  }
+
+  accept(type, value) {
+    const token = this.peek();
+    if (token?.type === type && (value === undefined || token.value === value)) {
+      this.position += 1;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const found = this.peek()?.value || 'end of expression';
+      throw validationError(`Invalid expression: expected ${value || type} but found ${found} in "${this.expression}"`);
+    }
+    return token;
+  }
+
+  finish() {
+    if (this.peek()) throw validationError(`Invalid expression: unexpected ${this.peek().value} in "${this.expression}"`);
+  }
+
+  path() {
+    const segments = [this.pathSegment()];
+    while (this.accept('symbol', '.')) segments.push(this.pathSegment());
+    return { type: 'path', segments };
+  }
+
+  pathSegment() {
+    const token = this.next();
+    if (token.type === 'identifier') return token.value;
+    if (token.type === 'name') {
+      if (!Object.hasOwn(this.names, token.value)) {
+        throw validationError(`An expression attribute name used in the document path is not defined; attribute name: ${token.value}`);
+      }
+      this.used.names.add(token.value);
+      return this.names[token.value];
+    }
+    throw validationError(`Invalid expression: expected an attribute path but found ${token.value} in "${this.expression}"`);
+  }
+
+  value() {
+    const token = this.expect('value');
+    if (!Object.hasOwn(this.values, token.value)) {
+      throw validationError(`An expression attribute value used in expression is not defined; attribute value: ${token.value}`);
+    }
+    this.used.values.add(token.value);
+    return { type: 'value', value: this.values[token.value] };
+  }
+
+  operand() {
+    if (this.peek()?.type === 'value') return this.value();
+    if (this.peek()?.type === 'identifier' && this.peek(1)?.value === '(') throw unsupported(`${this.peek().value}()`);
+    return this.path();
+  }
+
+  condition() {
+    let node = this.conjunction();
+    while (this.accept('keyword', 'OR')) node = { type: 'or', left: node, right: this.conjunction() };
+    return node;
+  }
+
+  conjunction() {
+    let node = this.negation();
+    while (this.accept('keyword', 'AND')) node = { type: 'and', left: node, right: this.negation() };
+    return node;
+  }
+
+  negation() {
+    if (this.accept('keyword', 'NOT')) throw unsupported('NOT');
+    return this.predicate();
+  }
+
+  predicate() {
+    if (this.accept('symbol', '(')) {
+      const node = this.condition();
+      this.expect('symbol', ')');
+      return node;
+    }
+    const token = this.peek();
+    if (token?.type === 'identifier' && CONDITION_FUNCTIONS.has(token.value) && this.peek(1)?.value === '(') {
+      this.next();
+      this.expect('symbol', '(');
+      const args = [this.path()];
+      if (token.value === 'begins_with') {
+        this.expect('symbol', ',');
+        args.push(this.operand());
+      }
+      this.expect('symbol', ')');
+      return { type: 'function', name: token.value, args };
+    }
+    const left = this.operand();
+    if (this.accept('keyword', 'BETWEEN')) throw unsupported('BETWEEN');
+    if (this.accept('keyword', 'IN')) throw unsupported('IN');
+    const comparator = this.next();
+    if (comparator.type !== 'symbol' || !['=', '<>', '<', '<=', '>', '>='].includes(comparator.value)) {
+      throw validationError(`Invalid expression: expected a comparator but found ${comparator.value} in "${this.expression}"`);
+    }
+    return { type: 'compare', comparator: comparator.value, left, right: this.operand() };
+  }
+
+  updateValue() {
+    const left = this.updateOperand();
+    if (this.accept('symbol', '-')) throw unsupported('subtraction');
+    if (!this.accept('symbol', '+')) return left;
+    return { type: 'sum', left, right: this.updateOperand() };
+  }
+
+  updateOperand() {
+    const token = this.peek();
+    if (token?.type === 'identifier' && token.value === 'if_not_exists' && this.peek(1)?.value === '(') {
+      this.next();
+      this.expect('symbol', '(');
+      const path = this.path();
+      this.expect('symbol', ',');
+      const fallback = this.updateOperand();
+      this.expect('symbol', ')');
+      return { type: 'if_not_exists', path, fallback };
+    }
+    return this.operand();
+  }
+
+  update() {
+    const actions = { set: [], remove: [] };
+    const seen = new Set();
+    while (this.peek()) {
+      const clause = this.expect('identifier').value.toUpperCase();
+      if (seen.has(clause)) throw validationError(`Invalid UpdateExpression: The "${clause}" section can only be used once`);
+      seen.add(clause);
+      if (clause === 'SET') {
+        do {
+          const path = this.path();
+          this.expect('symbol', '=');
+          actions.set.push({ path, value: this.updateValue() });
+        } while (this.accept('symbol', ','));
+      } else if (clause === 'REMOVE') {
+        do actions.remove.push(this.path());
+        while (this.accept('symbol', ','));
+      } else {
+        throw unsupported(`the ${clause} update clause`);
+      }
+    }
+    return actions;
+  }
+}
+
+// DynamoDB rejects requests that define names or values no expression uses,
+// and so does the in-memory table.
+function parseExpressions(input, parts) {
+  const used = { names: new Set(), values: new Set() };
+  for (const field of ['ExpressionAttributeNames', 'ExpressionAttributeValues']) {
+    if (input[field] && !Object.keys(input[field]).length) {
+      throw validationError(`${field} must not be empty`);
+    }
+  }
+  const parsed = {};
+  for (const [field, kind] of Object.entries(parts)) {
+    if (!input[field]) continue;
+    const parser = new ExpressionParser(
+      input[field],
+      input.ExpressionAttributeNames,
+      stored(input.ExpressionAttributeValues || {}),
+      used
+    );
+    if (kind === 'projection') {
+      parsed[field] = [parser.path()];
+      while (parser.accept('symbol', ',')) parsed[field].push(parser.path());
+    } else {
+      parsed[field] = kind === 'update' ? parser.update() : parser.condition();
+    }
+    parser.finish();
+  }
+  for (const name of Object.keys(input.ExpressionAttributeNames || {})) {
+    if (!used.names.has(name)) throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${name}}`);
+  }
+  for (const value of Object.keys(stored(input.ExpressionAttributeValues || {}))) {
+    if (!used.values.has(value)) throw validationError(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${value}}`);
+  }
+  return parsed;
+}
+
+function readPath(item, segments) {
+  let value = item;
+  for (const segment of segments) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || !Object.hasOwn(value, segment)) return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+function typeOf(value) {
+  if (value === undefined) return 'missing';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'list';
+  return typeof value;
+}
+
+// DynamoDB orders strings by their UTF-8 bytes.
+function compareValues(left, right) {
+  if (typeof left === 'number') return left - right;
+  return Buffer.compare(Buffer.from(left), Buffer.from(right));
+}
+
+function orderable(left, right) {
+  const type = typeOf(left);
+  return type === typeOf(right) && (type === 'string' || type === 'number');
+}
+
+function operandValue(node, item) {
+  return node.type === 'value' ? node.value : readPath(item, node.segments);
+}
+
+function evaluateCondition(node, item) {
+  switch (node.type) {
+    case 'or':
+      return evaluateCondition(node.left, item) || evaluateCondition(node.right, item);
+    case 'and':
+      return evaluateCondition(node.left, item) && evaluateCondition(node.right, item);
+    case 'function': {
+      const value = readPath(item, node.args[0].segments);
+      if (node.name === 'attribute_exists') return value !== undefined;
+      if (node.name === 'attribute_not_exists') return value === undefined;
+      const argument = operandValue(node.args[1], item);
+      return typeof value === 'string' && typeof argument === 'string' && value.startsWith(argument);
+    }
+    case 'compare': {
+      const left = operandValue(node.left, item);
+      const right = operandValue(node.right, item);
+      // A comparison involving a missing attribute is false, even for <>.
+      if (left === undefined || right === undefined) return false;
+      if (node.comparator === '=') return isDeepStrictEqual(left, right);
+      if (node.comparator === '<>') return !isDeepStrictEqual(left, right);
+      if (!orderable(left, right)) return false;
+      const order = compareValues(left, right);
+      if (node.comparator === '<') return order < 0;
+      if (node.comparator === '<=') return order <= 0;
+      if (node.comparator === '>') return order > 0;
+      return order >= 0;
+    }
+    default:
+      throw validationError(`Unsupported condition node: ${node.type}`);
+  }
+}
+
+function updateValue(node, item) {
+  if (node.type === 'if_not_exists') {
+    const value = readPath(item, node.path.segments);
+    return value === undefined ? updateValue(node.fallback, item) : value;
+  }
+  if (node.type === 'sum') {
+    const left = updateValue(node.left, item);
+    const right = updateValue(node.right, item);
+    if (typeof left !== 'number' || typeof right !== 'number') {
+      throw validationError('An operand in the update expression has an incorrect data type');
+    }
+    return left + right;
+  }
+  const value = operandValue(node, item);
+  if (value === undefined) {
+    throw validationError('The provided expression refers to an attribute that does not exist in the item');
+  }
+  return value;
+}
+
+function writePath(item, segments, value) {
+  let target = item;
+  for (const segment of segments.slice(0, -1)) {
+    if (!target[segment] || typeof target[segment] !== 'object' || Array.isArray(target[segment])) {
+      throw validationError('The document path provided in the update expression is invalid for update');
+    }
+    target = target[segment];
+  }
+  target[segments.at(-1)] = value;
+}
+
+function removePath(item, segments) {
+  const parent = readPath(item, segments.slice(0, -1));
+  if (parent && typeof parent === 'object' && !Array.isArray(parent)) delete parent[segments.at(-1)];
+}
+
+// The document client drops undefined values before they reach DynamoDB
+// (removeUndefinedValues), and every read returns a fresh copy.
+function stored(value) {
+  if (Array.isArray(value)) return value.filter(entry => entry !== undefined).map(stored);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => [key, stored(entry)]));
+  }
+  return value;
+}
+
+function validateKeyAttributes(item) {
+  for (const attribute of TABLE_KEY) {
+    if (typeof item[attribute] !== 'string' || !item[attribute]) {
+      throw validationError(`One or more parameter values were invalid: Missing or empty key attribute ${attribute}`);
+    }
+  }
+  for (const attributes of Object.values(INDEXES)) {
+    for (const attribute of attributes) {
+      if (item[attribute] !== undefined && (typeof item[attribute] !== 'string' || !item[attribute])) {
+        throw validationError(`One or more parameter values were invalid: Index key attribute ${attribute} must be a non-empty string`);
+      }
+    }
+  }
+}
+
+function keyOf(item) {
+  return JSON.stringify(TABLE_KEY.map(attribute => item[attribute]));
+}
+
+function pick(item, attributes) {
+  return Object.fromEntries(attributes.filter(attribute => item[attribute] !== undefined).map(attribute => [attribute, item[attribute]]));
+}
+
+function project(item, paths) {
+  if (!paths) return structuredClone(item);
+  const projected = {};
+  for (const path of paths) {
+    const value = readPath(item, path.segments);
+    if (value === undefined) continue;
+    let target = projected;
+    for (const segment of path.segments.slice(0, -1)) target = target[segment] ||= {};
+    target[path.segments.at(-1)] = structuredClone(value);
+  }
+  return projected;
+}
+
+function conditionFailed() {
+  return tableError('ConditionalCheckFailedException', 'The conditional request failed');
+}
+
+// A document-client stand-in that keeps CourseSnagTable in memory, with
+// GSI1, GSI2, and expiresAt honored. `onChange` receives a snapshot after each write.
+export function createMemoryTable({ items = [], now = Date.now, onChange } = {}) {
+  const table = new Map();
+  for (const item of items) {
+    const copy = stored(item);
+    validateKeyAttributes(copy);
+    table.set(keyOf(copy), copy);
+  }
+
+  // DynamoDB can keep expired rows for hours and storage.mjs ignores them, so
+  // dropping them at once is the stricter behavior.
+  const expired = item => typeof item[TTL_ATTRIBUTE] === 'number' && item[TTL_ATTRIBUTE] * 1000 <= now();
+
+  function sweep() {
+    let removed = false;
+    for (const [key, item] of table) {
+      if (expired(item)) {
+        table.delete(key);
+        removed = true;
+      }
+    }
+    if (removed) changed();
+  }
+
+  let transacting = false;
+
+  function changed() {
+    if (!transacting) onChange?.(snapshot());
+  }
+
+  function snapshot() {
+    return [...table.values()].map(item => structuredClone(item));
+  }
+
+  function existing(key) {
+    if (!key) throw validationError('The provided key element does not match the schema');
+    validateKeyAttributes(key);
+    if (Object.keys(key).length !== TABLE_KEY.length) {
+      throw validationError('The provided key element does not match the schema');
+    }
+    return table.get(keyOf(key));
+  }
+
+  function checkCondition(condition, item) {
+    if (condition && !evaluateCondition(condition, item || {})) throw conditionFailed();
+  }
+
+  function get(input) {
+    const { ProjectionExpression } = parseExpressions(input, { ProjectionExpression: 'projection' });
+    const item = existing(input.Key);
+    return item ? { Item: project(item, ProjectionExpression) } : {};
+  }
+
+  function put(input) {
+    const { ConditionExpression } = parseExpressions(input, { ConditionExpression: 'condition' });
+    const item = stored(input.Item || {});
+    const previous = existing(pick(item, TABLE_KEY));
+    validateKeyAttributes(item);
+    checkCondition(ConditionExpression, previous);
+    table.set(keyOf(item), item);
+    changed();
+    return input.ReturnValues === 'ALL_OLD' && previous ? { Attributes: structuredClone(previous) } : {};
+  }
+
+  function update(input) {
+    const { UpdateExpression, ConditionExpression } = parseExpressions(input, {
+      UpdateExpression: 'update',
+      ConditionExpression: 'condition'
+    });
+    if (!UpdateExpression) throw validationError('The in-memory table requires an UpdateExpression.');
+    const previous = existing(input.Key);
+    checkCondition(ConditionExpression, previous);
+
+    const touched = [...UpdateExpression.set, ...UpdateExpression.remove].map(action => (action.path || action).segments);
+    for (const segments of touched) {
+      if (TABLE_KEY.includes(segments[0])) {
+        throw validationError(`Cannot update attribute ${segments[0]}. This attribute is part of the key`);
+      }
+    }
+    const paths = touched.map(segments => segments.join('.'));
+    for (const path of paths) {
+      if (paths.some(other => other !== path && other.startsWith(`${path}.`)) || paths.indexOf(path) !== paths.lastIndexOf(path)) {
+        throw validationError(`Invalid UpdateExpression: Two document paths overlap with each other; path: [${path}]`);
+      }
+    }
+
+    // Every operand is read from the item as it was before this update.
+    const before = previous || {};
+    const item = structuredClone(previous || stored(input.Key));
+    for (const action of UpdateExpression.set) {
+      writePath(item, action.path.segments, stored(structuredClone(updateValue(action.value, before))));
+    }
+    for (const path of UpdateExpression.remove) removePath(item, path.segments);
+    validateKeyAttributes(item);
+    table.set(keyOf(item), item);
+    changed();
+
+    const updatedNames = [...new Set(UpdateExpression.set.map(action => action.path.segments[0]))];
+    switch (input.ReturnValues) {
+      case 'ALL_NEW':
+        return { Attributes: structuredClone(item) };
+      case 'ALL_OLD':
+        return previous ? { Attributes: structuredClone(previous) } : {};
+      case 'UPDATED_NEW':
+        return { Attributes: structuredClone(pick(item, updatedNames)) };
+      default:
+        return {};
+    }
+  }
+
+  function remove(input) {
+    const { ConditionExpression } = parseExpressions(input, { ConditionExpression: 'condition' });
+    const previous = existing(input.Key);
+    checkCondition(ConditionExpression, previous);
+    if (previous) {
+      table.delete(keyOf(previous));
+      changed();
+    }
+    return input.ReturnValues === 'ALL_OLD' && previous ? { Attributes: structuredClone(previous) } : {};
+  }
+
+  // Reads a sorted page the way DynamoDB does: Limit caps the items
+  // evaluated, the filter runs afterwards, and LastEvaluatedKey marks where
+  // the next page starts.
+  function page(input, candidates, orderAttributes, keyAttributes, parsed) {
+    const position = item => orderAttributes.map(attribute => item[attribute]);
+    const compare = (left, right) => {
+      for (let index = 0; index < left.length; index += 1) {
+        const order = compareValues(left[index], right[index]);
+        if (order) return order;
+      }
+      return 0;
+    };
+    const direction = input.ScanIndexForward === false ? -1 : 1;
+    let ordered = candidates.sort((a, b) => direction * compare(position(a), position(b)));
+    if (input.ExclusiveStartKey) {
+      const start = position(input.ExclusiveStartKey);
+      ordered = ordered.filter(item => direction * compare(position(item), start) > 0);
+    }
+    const limit = input.Limit ?? Infinity;
+    if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
+      throw validationError('Limit must be a positive integer');
+    }
+    const evaluated = ordered.slice(0, limit);
+    const matching = parsed.FilterExpression
+      ? evaluated.filter(item => evaluateCondition(parsed.FilterExpression, item))
+      : evaluated;
+    const result = {
+      Items: matching.map(item => project(item, parsed.ProjectionExpression)),
+      Count: matching.length,
+      ScannedCount: evaluated.length
+    };
+    if (ordered.length > evaluated.length && evaluated.length) {
+      result.LastEvaluatedKey = structuredClone(pick(evaluated.at(-1), keyAttributes));
+    }
+    return result;
+  }
+
+  function query(input) {
+    const parsed = parseExpressions(input, {
+      KeyConditionExpression: 'condition',
+      FilterExpression: 'condition',
+      ProjectionExpression: 'projection'
+    });
+    if (!parsed.KeyConditionExpression) throw validationError('Query requires a KeyConditionExpression');
+    let keyAttributes = TABLE_KEY;
+    if (input.IndexName) {
+      if (!INDEXES[input.IndexName]) throw validationError(`The table does not have the specified index: ${input.IndexName}`);
+      if (input.ConsistentRead) throw validationError('Consistent reads are not supported on global secondary indexes');
+      keyAttributes = INDEXES[input.IndexName];
+    }
+    const candidates = [...table.values()].filter(item => (
+      keyAttributes.every(attribute => typeof item[attribute] === 'string')
+      && evaluateCondition(parsed.KeyConditionExpression, pick(item, keyAttributes))
+    ));
+    const orderAttributes = [...new Set([keyAttributes[1], ...keyAttributes, ...TABLE_KEY])];
+    return page(input, candidates, orderAttributes, [...new Set([...keyAttributes, ...TABLE_KEY])], parsed);
+  }
+
+  function scan(input) {
+    if (input.IndexName) throw validationError('The in-memory table only scans the base table.');
+    const parsed = parseExpressions(input, { FilterExpression: 'condition', ProjectionExpression: 'projection' });
+    return page(input, [...table.values()], TABLE_KEY, TABLE_KEY, parsed);
+  }
+
+  function batchGet(input) {
+    const Responses = {};
+    const requests = Object.entries(input.RequestItems || {});
+    const keyCount = requests.reduce((total, [, request]) => total + (request.Keys?.length || 0), 0);
+    if (!keyCount || keyCount > MAX_BATCH_GET_KEYS) {
+      throw validationError(`Too many items requested for the BatchGetItem call (1-${MAX_BATCH_GET_KEYS} keys allowed)`);
+    }
+    for (const [tableName, request] of requests) {
+      const { ProjectionExpression } = parseExpressions(request, { ProjectionExpression: 'projection' });
+      const keys = new Set(request.Keys.map(key => keyOf(key)));
+      if (keys.size !== request.Keys.length) throw validationError('Provided list of item keys contains duplicates');
+      Responses[tableName] = request.Keys
+        .map(key => existing(key))
+        .filter(Boolean)
+        .map(item => project(item, ProjectionExpression));
+    }
+    return { Responses, UnprocessedKeys: {} };
+  }
+
+  // Runs every action against the table and puts the table back if any
+  // condition fails, so the transaction lands whole or not at all.
+  function transactWrite(input) {
+    const actions = input.TransactItems || [];
+    if (!actions.length || actions.length > MAX_TRANSACTION_ITEMS) {
+      throw validationError(`Transactions must contain 1-${MAX_TRANSACTION_ITEMS} items.`);
+    }
+    const keys = new Set();
+    const steps = actions.map(action => {
+      const types = TRANSACTION_ACTIONS.filter(type => action[type]);
+      if (types.length !== 1) throw validationError('Each transaction item must contain exactly one action.');
+      const request = action[types[0]];
+      if (request.ReturnValues) throw unsupported(`ReturnValues in a transaction ${types[0]}`);
+      const key = keyOf(types[0] === 'Put' ? pick(request.Item || {}, TABLE_KEY) : request.Key || {});
+      if (keys.has(key)) throw validationError('Transaction request cannot include multiple operations on one item');
+      keys.add(key);
+      return [types[0], request];
+    });
+
+    const before = new Map(table);
+    const restore = () => {
+      table.clear();
+      for (const [key, item] of before) table.set(key, item);
+    };
+    const reasons = [];
+    transacting = true;
+    try {
+      for (const [type, request] of steps) {
+        try {
+          if (type === 'ConditionCheck') {
+            const { ConditionExpression } = parseExpressions(request, { ConditionExpression: 'condition' });
+            if (!ConditionExpression) throw validationError('A ConditionCheck requires a ConditionExpression.');
+            checkCondition(ConditionExpression, existing(request.Key));
+          } else {
+            ({ Put: put, Update: update, Delete: remove })[type](request);
+          }
+          reasons.push({ Code: 'None' });
+        } catch (error) {
+          if (error.name !== 'ConditionalCheckFailedException') throw error;
+          reasons.push({ Code: 'ConditionalCheckFailed', Message: error.message });
+        }
+      }
+    } catch (error) {
+      restore();
+      throw error;
+    } finally {
+      transacting = false;
+    }
+    if (reasons.some(reason => reason.Code !== 'None')) {
+      restore();
+      const error = tableError(
+        'TransactionCanceledException',
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(reason => reason.Code).join(', ')}]`
+      );
+      error.CancellationReasons = reasons;
+      throw error;
+    }
+    changed();
+    return {};
+  }
+
+  const handlers = [
+    [GetCommand, get],
+    [PutCommand, put],
+    [UpdateCommand, update],
+    [DeleteCommand, remove],
+    [QueryCommand, query],
+    [ScanCommand, scan],
+    [BatchGetCommand, batchGet],
+    [TransactWriteCommand, transactWrite]
+  ];
+
+  return {
+    async send(command) {
+      const handler = handlers.find(([Command]) => command instanceof Command)?.[1];
+      if (!handler) throw unsupported(command?.constructor?.name || 'this command');
+      const returnValues = command.input?.ReturnValues;
+      if (returnValues && !RETURN_VALUES.has(returnValues)) throw unsupported(`ReturnValues ${returnValues}`);
+      sweep();
+      return handler(command.input);
+    },
+
+    // Returns a copy of every unexpired item, for tests and local tooling.
+    items() {
+      sweep();
+      return snapshot();
+    }
+  };
+}
+
+// Saves the in-memory table to a JSON file through a temporary copy, so a
+// crash cannot leave the file half written.
+export function createFileTable(path, { now } = {}) {
+  const items = existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')).items || [] : [];
+  mkdirSync(dirname(path), { recursive: true });
+  return createMemoryTable({
+    items,
+    now,
+    onChange(snapshot) {
+      const temporary = `${path}.tmp`;
+      writeFileSync(temporary, `${JSON.stringify({ items: snapshot }, null, 2)}\n`);
+      renameSync(temporary, path);
+    }
+  });
+}
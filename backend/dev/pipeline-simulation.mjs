@@ -0,0 +1,313 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { handler as apiHandler } from '../src/api.mjs';
+import { config } from '../src/config.mjs';
+import { defaultRosterSlug } from '../src/cornell.mjs';
+import { currentMode } from '../src/mode.mjs';
+import { runMonitor as runMonitorWith } from '../src/monitor.mjs';
+import { handler as notifierHandler } from '../src/notifier.mjs';
+import { handler as operationsHandler } from '../src/operations.mjs';
+import { useQueueClient } from '../src/queue.mjs';
+import { useStorageTable } from '../src/storage.mjs';
+import { startFakeCornell } from './fake-cornell.mjs';
+import { startFakeDiscord } from './fake-discord.mjs';
+import { createLocalQueue } from './local-queue.mjs';
+import { apiGatewayEvent, changeSeason, lambdaContext, matchRoute, templateRoutes } from './local-server.mjs';
+import { createMemoryTable } from './memory-table.mjs';
+
+const TEMPLATE_PATH = new URL('../../infra/template.yaml', import.meta.url);
+const MONITOR_TICK_SECONDS = 5 * 60;
+const CONFIG_KEYS = [
+  'tableName',
+  'alertQueueUrl',
+  'modeFile',
+  'apiPublicUrl',
+  'cornellApiBase',
+  'discordApiBase',
+  'discordAuthorizeUrl',
+  'discordApplicationId',
+  'discordClientSecret',
+  'discordBotToken'
+];
+const DELIVERY_LOGS = new Set(['Discord notification accepted', 'Discord channel notification accepted']);
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error'];
+
+let running = false;
+
+// Runs the alert pipeline in one process on a virtual clock: the API on the
+// in-memory table, the monitor's five-minute tick against fake Cornell, the
+// alert queue, and the notifier against fake Discord. While it is open, Date
+// reads the virtual clock and the monitor's waits advance it. Times are HH:MM
+// on the start day, in its UTC offset, or ISO timestamps. Use
+// withPipelineSimulation, or call close in a finally, so Date, console, and
+// the configuration are always put back.
+export async function startPipelineSimulation({
+  start,
+  fixtures,
+  mode = 'local',
+  tickSeconds = MONITOR_TICK_SECONDS,
+  log = () => {}
+}) {
+  const offset = /(Z|[+-]\d{2}:\d{2})$/.exec(String(start))?.[1];
+  if (!offset || !Number.isFinite(Date.parse(start))) {
+    throw new Error('The simulation start must be an ISO timestamp with a UTC offset.');
+  }
+  if (running) throw new Error('Only one pipeline simulation can run at a time.');
+  const template = templateRoutes(readFileSync(TEMPLATE_PATH, 'utf8'));
+  running = true;
+
+  const RealDate = globalThis.Date;
+  const realConsole = Object.fromEntries(CONSOLE_LEVELS.map(level => [level, console[level]]));
+  const savedConfig = Object.fromEntries(CONFIG_KEYS.map(key => [key, config[key]]));
+  const day = String(start).slice(0, 10);
+  let clock = RealDate.parse(start);
+  let nextTickAt = clock + tickSeconds * 1000;
+  let sequence = 0;
+  const scheduled = [];
+  const deliveries = [];
+  let directory;
+  let cornell;
+  let discord;
+  let table;
+  let queue;
+
+  // Globals go back first, so a failing close cannot leave them swapped.
+  async function restore() {
+    try {
+      globalThis.Date = RealDate;
+      Object.assign(console, realConsole);
+      Object.assign(config, savedConfig);
+      useStorageTable(null);
+      useQueueClient(null);
+      await Promise.all([cornell?.close(), discord?.close()]);
+    } finally {
+      if (directory) rmSync(directory, { recursive: true, force: true });
+      running = false;
+    }
+  }
+
+  function time(value) {
+    if (typeof value === 'number') return value;
+    if (value instanceof RealDate) return value.getTime();
+    const clockTime = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value));
+    const parsed = clockTime
+      ? RealDate.parse(`${day}T${clockTime[1].padStart(2, '0')}:${clockTime[2]}:${clockTime[3] || '00'}${offset}`)
+      : RealDate.parse(value);
+    if (!Number.isFinite(parsed)) throw new Error(`Cannot read simulation time ${value}.`);
+    return parsed;
+  }
+
+  // Scripted actions run in time order, and in the order they were added at
+  // the same time, as the clock passes them.
+  async function advanceTo(target) {
+    while (scheduled.length && scheduled[0].at <= target) {
+      const next = scheduled.shift();
+      clock = Math.max(clock, next.at);
+      await next.action(simulation);
+    }
+    clock = Math.max(clock, target);
+  }
+
+  // The monitor's request spacing moves the virtual clock instead of waiting.
+  async function sleep(milliseconds) {
+    await advanceTo(clock + milliseconds);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  let started = false;
+  try {
+    globalThis.Date = class VirtualDate extends RealDate {
+      constructor(...args) {
+        if (args.length) super(...args);
+        else super(clock);
+      }
+
+      static now() {
+        return clock;
+      }
+    };
+    for (const level of CONSOLE_LEVELS) {
+      console[level] = (...args) => {
+        if (DELIVERY_LOGS.has(args[0])) deliveries.push({ ...args[1] });
+        log(level, ...args);
+      };
+    }
+
+    directory = mkdtempSync(join(tmpdir(), 'coursesnag-simulation-'));
+    // Keep whichever fake did start, so restore can close it.
+    const fakes = await Promise.allSettled([startFakeCornell({ fixtures }), startFakeDiscord()]);
+    [cornell, discord] = fakes.map(fake => fake.value);
+    const failed = fakes.find(fake => fake.status === 'rejected');
+    if (failed) throw failed.reason;
+    writeFileSync(join(directory, 'mode'), `${mode}\n`);
+    Object.assign(config, {
+      tableName: 'CourseSnagSimulation',
+      alertQueueUrl: 'local://alerts',
+      modeFile: join(directory, 'mode'),
+      apiPublicUrl: 'http://localhost:8787',
+      cornellApiBase: cornell.apiBase,
+      discordApiBase: discord.apiBase,
+      discordAuthorizeUrl: discord.authorizeUrl,
+      discordApplicationId: discord.applicationId,
+      discordClientSecret: discord.clientSecret,
+      discordBotToken: discord.botToken
+    });
+    // Both read Date.now when they are created, so they follow the virtual clock.
+    table = createMemoryTable();
+    queue = createLocalQueue();
+    useStorageTable(table);
+    // SQS hands new messages to the notifier at once. Delivering inside the
+    // send keeps that order without running two handlers side by side.
+    useQueueClient({
+      async send(command) {
+        const result = await queue.send(command);
+        await deliver();
+        return result;
+      }
+    });
+    started = true;
+  } finally {
+    if (!started) await restore();
+  }
+
+  const routes = template.routes.filter(route => route.handler === 'api');
+  const timeoutOf = name => template.timeouts[`${name[0].toUpperCase()}${name.slice(1)}Function`] || 15;
+  const defaultRoster = defaultRosterSlug(fixtures?.rosters?.data?.rosters);
+
+  async function deliver() {
+    return queue.drain(event => notifierHandler(event, lambdaContext('notifier', timeoutOf('notifier'))));
+  }
+
+  async function runMonitor(event = {}) {
+    return runMonitorWith(event, lambdaContext('monitor', timeoutOf('monitor')), { sleep });
+  }
+
+  async function request(method, path, { sessionToken, body, headers = {} } = {}) {
+    const url = new URL(path, 'http://localhost');
+    const matched = matchRoute(routes, method, url.pathname);
+    if (!matched) throw new Error(`No API route matches ${method} ${url.pathname}.`);
+    const result = await apiHandler(apiGatewayEvent({
+      method,
+      url: `${url.pathname}${url.search}`,
+      headers: {
+        'user-agent': 'Mozilla/5.0 (Macintosh) Firefox/130.0',
+        ...(sessionToken ? { authorization: `Bearer ${sessionToken}` } : {}),
+        ...(body === undefined ? {} : { 'content-type': 'application/json' }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      routeKey: matched.route.routeKey,
+      pathParameters: matched.pathParameters
+    }));
+    await deliver();
+    let parsed = result.body;
+    try {
+      parsed = result.body ? JSON.parse(result.body) : null;
+    } catch {
+      // Keep non-JSON bodies, such as CSV exports, as text.
+    }
+    return { statusCode: result.statusCode, headers: result.headers || {}, body: parsed };
+  }
+
+  const simulation = {
+    cornell,
+    discord,
+    queue,
+    table,
+    deliveries,
+
+    now: () => new RealDate(clock),
+    time,
+
+    at(when, action) {
+      sequence += 1;
+      scheduled.push({ at: time(when), sequence, action });
+      scheduled.sort((a, b) => a.at - b.at || a.sequence - b.sequence);
+      return simulation;
+    },
+
+    // Scripts one section's status in Cornell's replies, for example
+    // section('12345').opensAt('10:03').closesAt('10:09').
+    section(classNbr, { roster = defaultRoster } = {}) {
+      const change = status => when => {
+        simulation.at(when, () => cornell.setStatus(roster, classNbr, status));
+        return script;
+      };
+      const script = { opensAt: change('O'), waitlistsAt: change('W'), closesAt: change('C') };
+      return script;
+    },
+
+    // Connects a Discord user through the OAuth callback and returns a
+    // CourseSnag session token for them.
+    async signIn({ id, username = `user${id}`, globalName = null }) {
+      discord.addUser({ id, username, globalName });
+      discord.authorizeAs(id);
+      const started = await request('POST', '/auth/discord', { body: {} });
+      const consent = await fetch(started.body.authorizationUrl, { redirect: 'manual' });
+      const callback = new URL(consent.headers.get('location'));
+      const returned = await request('GET', `/discord/callback${callback.search}`);
+      const code = new URL(returned.headers.location).searchParams.get('code');
+      if (!code) throw new Error(`Discord sign-in for ${id} did not finish: ${returned.headers.location}`);
+      const session = await request('POST', '/auth/session', { body: { code } });
+      return session.body.sessionToken;
+    },
+
+    request,
+    runMonitor,
+    deliver,
+
+    async startSeason() {
+      const result = await changeSeason('start', { announce: operationsHandler, runMonitor });
+      await deliver();
+      return result;
+    },
+
+    async stopSeason() {
+      const result = await changeSeason('stop', { announce: operationsHandler, runMonitor });
+      await deliver();
+      return result;
+    },
+
+    // Moves the clock to `until`, firing scripted actions, the monitor tick
+    // while Discord monitoring is active, and queue deliveries and retries
+    // at the times they fall due.
+    async runUntil(until) {
+      const target = time(until);
+      for (;;) {
+        const next = Math.min(
+          nextTickAt,
+          scheduled[0]?.at ?? Infinity,
+          queue.nextVisibleAt() ?? Infinity
+        );
+        if (next > target) break;
+        await advanceTo(next);
+        if (clock >= nextTickAt) {
+          nextTickAt += tickSeconds * 1000;
+          if (await currentMode() === 'cloud') await runMonitor();
+        }
+        await deliver();
+      }
+      await advanceTo(target);
+      await deliver();
+    },
+
+    directMessagesTo(userId) {
+      return discord.directMessagesTo(userId);
+    },
+
+    close: restore
+  };
+  return simulation;
+}
+
+// Opens a simulation, runs `scenario` with it, and closes it however the
+// scenario ends.
+export async function withPipelineSimulation(options, scenario) {
+  const simulation = await startPipelineSimulation(options);
+  try {
+    return await scenario(simulation);
+  } finally {
+    await simulation.close();
+  }
+}
@@ -0,0 +1,149 @@
+import { groupTrackersByRosterSubject } from './domain.mjs';
+import { currentMode } from './mode.mjs';
+import { hourInMonitorTimeZone } from './polling.mjs';
+import {
+  listAllActiveTrackers,
+  listSectionTransitions,
+  listSubjectSections,
+  putSeatStatistics
+} from './storage.mjs';
+
+// Turns a section's transitions into the periods it spent open. The first
+// observation of a section has no known previous status, so a section that
+// was already open when CourseSnag began watching it does not count as an
+// opening. A period that is still open has no end.
+export function openPeriods(transitions) {
+  const ordered = [...transitions].sort((left, right) => (
+    String(left.observedAt).localeCompare(String(right.observedAt))
+  ));
+  const periods = [];
+  let open = null;
+  for (const transition of ordered) {
+    if (transition.status === 'O') {
+      if (!open && transition.previousStatus && transition.previousStatus !== 'UNKNOWN') {
+        open = { start: transition.observedAt, end: null };
+        periods.push(open);
+      }
+    } else if (open) {
+      open.end = transition.observedAt;
+      open = null;
+    }
+  }
+  return periods;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const ordered = [...values].sort((left, right) => left - right);
+  const middle = Math.floor(ordered.length / 2);
+  return ordered.length % 2 ? ordered[middle] : (ordered[middle - 1] + ordered[middle]) / 2;
+}
+
+export function seatStatistics(periods) {
+  const openingHours = Array.from({ length: 24 }, () => 0);
+  for (const period of periods) {
+    openingHours[hourInMonitorTimeZone(new Date(period.start))] += 1;
+  }
+  const minutesOpen = periods
+    .filter(period => period.end)
+    .map(period => (Date.parse(period.end) - Date.parse(period.start)) / 60_000);
+  const peak = Math.max(...openingHours);
+  const lastOpenedAt = periods
+    .map(period => period.start)
+    .sort()
+    .at(-1) || null;
+  return {
+    openings: periods.length,
+    medianOpenMinutes: minutesOpen.length ? Math.round(median(minutesOpen)) : null,
+    openingHours,
+    peakHour: peak > 0 ? openingHours.indexOf(peak) : null,
+    lastOpenedAt
+  };
+}
+
+function hourLabel(hour) {
+  return `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+function durationLabel(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  return `${hours} hr`;
+}
+
+export function seatOpeningSummary(statistics) {
+  if (!statistics) return '';
+  if (!statistics.openings) return 'No openings seen this term';
+  return [
+    statistics.openings === 1 ? 'Opened once this term' : `Opened ${statistics.openings} times this term`,
+    statistics.medianOpenMinutes === null ? '' : `usually open ${durationLabel(statistics.medianOpenMinutes)}`,
+    statistics.peakHour === null ? '' : `most often around ${hourLabel(statistics.peakHour)}`
+  ].filter(Boolean).join(' · ');
+}
+
+export function publicSeatStatistics(item) {
+  if (!item) return null;
+  return {
+    openings: item.openings || 0,
+    medianOpenMinutes: item.medianOpenMinutes ?? null,
+    openingHours: item.openingHours || Array.from({ length: 24 }, () => 0),
+    peakHour: item.peakHour ?? null,
+    lastOpenedAt: item.lastOpenedAt || null,
+    computedAt: item.computedAt || null
+  };
+}
+
+// Statistics are computed for every section with recorded history in the
+// roster-and-subject groups that still have active trackers, then rolled up
+// per course and per course component. Each section's history is its roster's
+// history, so the figures cover the current term.
+export async function aggregateSeatStatistics(now = new Date()) {
+  const computedAt = now.toISOString();
+  const groups = groupTrackersByRosterSubject(await listAllActiveTrackers());
+  let sections = 0;
+  let courses = 0;
+
+  for (const group of groups.values()) {
+    const coursePeriods = new Map();
+    for (const section of await listSubjectSections(group.roster, group.subject)) {
+      const periods = openPeriods(await listSectionTransitions(group.roster, section.classNbr));
+      await putSeatStatistics(
+        { kind: 'section', roster: group.roster, classNbr: section.classNbr },
+        { ...seatStatistics(periods), computedAt }
+      );
+      sections += 1;
+
+      for (const ssrComponent of new Set(['', section.ssrComponent || ''])) {
+        const key = `${section.catalogNbr}#${ssrComponent}`;
+        if (!coursePeriods.has(key)) {
+          coursePeriods.set(key, { catalogNbr: section.catalogNbr, ssrComponent, periods: [] });
+        }
+        coursePeriods.get(key).periods.push(...periods);
+      }
+    }
+
+    for (const course of coursePeriods.values()) {
+      await putSeatStatistics(
+        {
+          kind: 'course',
+          roster: group.roster,
+          subject: group.subject,
+          catalogNbr: course.catalogNbr,
+          ssrComponent: course.ssrComponent
+        },
+        { ...seatStatistics(course.periods), computedAt }
+      );
+      courses += 1;
+    }
+  }
+  return { groups: groups.size, sections, courses };
+}
+
+export async function handler() {
+  if (await currentMode() !== 'cloud') {
+    return { skipped: true, reason: 'Discord monitoring is not active.' };
+  }
+  const summary = await aggregateSeatStatistics();
+  console.log('Seat statistics aggregated', summary);
+  return summary;
+}
@@ -1,3 +1,5 @@
+import { randomBytes } from 'node:crypto';
+import { publicSeatStatistics } from './analytics.mjs';
 import { config, requireConfig } from './config.mjs';
 import {
   cancelDiscordAuthorization,
@@ -6,26 +8,64 @@ import {
   resolveFrontendOrigin
 } from './discord-oauth.mjs';
 import {
+  closedAlertDelivery,
+  MAX_DESTINATIONS_PER_USER,
+  normalizeDestinationInput,
+  normalizeNotificationPreferencesInput,
+  normalizeCourseStatisticsPath,
+  normalizeProfileSettingsInput,
+  normalizeSectionHistoryPath,
+  normalizeTrackerBatchInput,
   normalizeTrackerCountQuery,
   normalizeTrackerInput,
-  publicTracker
+  publicDestination,
+  publicTracker,
+  quietHoursPreferences,
+  watchlistETag
 } from './domain.mjs';
 import { sendDirectMessage } from './discord.mjs';
-import { json, parseJsonBody, redirect, route } from './http.mjs';
+import { accountExport, accountExportCsv, normalizeExportFormat } from './export.mjs';
+import { publicSectionHistory } from './history.mjs';
+import {
+  ifMatchFails,
+  ifNoneMatchHit,
+  json,
+  notModified,
+  parseJsonBody,
+  redirect,
+  requestHeader,
+  route
+} from './http.mjs';
+import { withIdempotency } from './idempotency.mjs';
 import { currentMode } from './mode.mjs';
 import {
   authenticateSession,
   createLoginCode,
   exchangeLoginCode,
-  revokeSession
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+  revokeUserSession
 } from './session.mjs';
 import {
   countActiveTrackersForSections,
+  deleteDestination,
   deleteTracker,
+  deleteUserData,
   getProfile,
+  getSeatStatistics,
+  getSectionHistory,
+  getWatchlistVersion,
+  listDestinations,
+  listHeldDigests,
   listTrackers,
+  listUserSessions,
   markUserActive,
+  putDestination,
   putTracker,
+  seatStatisticsKey,
+  updateProfileSettings,
+  updateTrackerNotifications,
   upsertDiscordProfile
 } from './storage.mjs';
 
@@ -37,6 +77,150 @@ function trackerCountCacheKey(query) {
   return `${query.roster}:${query.subject}:${query.classNbrs.join(',')}`;
 }
 
+// Other API instances drop their cached counts within the cache lifetime.
+function invalidateTrackerCounts(trackers) {
+  const prefixes = new Set(trackers.map(tracker => (
+    `${String(tracker.roster || '').toUpperCase()}:${String(tracker.subject || '').toUpperCase()}:`
+  )));
+  for (const key of [...trackerCountCache.keys()]) {
+    if ([...prefixes].some(prefix => key.startsWith(prefix))) trackerCountCache.delete(key);
+  }
+}
+
+async function deleteAccount(userId) {
+  const removed = await deleteUserData(userId);
+  const trackers = removed.filter(item => String(item.SK || '').startsWith('TRACKER#'));
+  invalidateTrackerCounts(trackers);
+  console.log('Account deleted', {
+    userId,
+    items: removed.length,
+    trackers: trackers.length
+  });
+  try {
+    await sendDirectMessage({
+      type: 'account-deleted',
+      discordUserId: userId,
+      detectedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.warn('Account deletion confirmation could not be sent', {
+      userId,
+      message: error.message
+    });
+  }
+  return json(200, {
+    deleted: true,
+    trackers: trackers.map(publicTracker)
+  });
+}
+
+async function accountExportResponse(session, event) {
+  const format = normalizeExportFormat(event.queryStringParameters?.format);
+  const [profile, trackers, sessions, digests, destinations] = await Promise.all([
+    getProfile(session.userId),
+    listTrackers(session.userId),
+    listUserSessions(session.userId),
+    listHeldDigests(session.userId),
+    listDestinations(session.userId)
+  ]);
+  const bundle = accountExport(
+    { profile, trackers, sessions, digests, destinations },
+    { currentTokenHash: session.tokenHash }
+  );
+  const filename = `coursesnag-export-${bundle.exportedAt.slice(0, 10)}.${format}`;
+  const disposition = { 'content-disposition': `attachment; filename="${filename}"` };
+  if (format === 'json') return json(200, bundle, disposition);
+  return {
+    statusCode: 200,
+    headers: {
+      'content-type': 'text/csv; charset=utf-8',
+      'cache-control': 'no-store',
+      ...disposition
+    },
+    body: accountExportCsv(bundle)
+  };
+}
+
+// An If-Match version is claimed by the first tracker written, so invalid
+// items before it and a batch with nothing to write leave the ETag alone.
+async function trackerBatchResponse(userId, event, expectedVersion) {
+  const items = normalizeTrackerBatchInput(parseJsonBody(event));
+  const results = [];
+  let claim = expectedVersion;
+  for (const [index, item] of items.entries()) {
+    if (item.error) {
+      results.push({ index, status: 'invalid', error: item.error });
+      continue;
+    }
+    try {
+      const saved = await putTracker(userId, item.tracker, { expectedVersion: claim });
+      claim = undefined;
+      let tracker = saved.item;
+      if (saved.created && item.notifications) {
+        tracker = await updateTrackerNotifications(userId, tracker.trackerId, item.notifications) || tracker;
+      }
+      results.push({
+        index,
+        status: saved.created ? 'created' : 'existing',
+        tracker: publicTracker(tracker)
+      });
+    } catch (error) {
+      if (error?.name === 'WatchlistChanged') throw error;
+      console.error('Batch tracker upload failed', {
+        userId,
+        trackerId: item.tracker.trackerId,
+        message: error.message
+      });
+      results.push({ index, status: 'failed', error: 'The tracker could not be saved.' });
+    }
+  }
+  const counts = Object.fromEntries(['created', 'existing', 'invalid', 'failed'].map(status => (
+    [status, results.filter(result => result.status === status).length]
+  )));
+  return json(200, { results, ...counts });
+}
+
+async function currentWatchlistETag(userId) {
+  const [trackers, version] = await Promise.all([listTrackers(userId), getWatchlistVersion(userId)]);
+  return { etag: watchlistETag(trackers, version), version };
+}
+
+function staleWatchlistResponse(etag) {
+  return json(412, {
+    error: 'The Discord watchlist changed since it was loaded. Reload it and try again.'
+  }, { etag });
+}
+
+// Tracker mutations honor Idempotency-Key and If-Match. `mutate` validates its
+// input first and then hands the version a matching If-Match was computed
+// from to its write, which claims it in the same transaction. So a concurrent
+// edit made against the same ETag gets 412 instead of also passing the check,
+// and a request that is refused or fails leaves the ETag alone. A successful
+// response carries the new watchlist ETag so a client can chain edits without
+// reading the list again.
+function trackerMutation(userId, event, mutate) {
+  return withIdempotency(userId, event, async () => {
+    let expectedVersion;
+    if (requestHeader(event, 'if-match')) {
+      const current = await currentWatchlistETag(userId);
+      if (ifMatchFails(event, current.etag)) return staleWatchlistResponse(current.etag);
+      expectedVersion = current.version;
+    }
+    let response;
+    try {
+      response = await mutate(expectedVersion);
+    } catch (error) {
+      if (error?.name !== 'WatchlistChanged') throw error;
+      return staleWatchlistResponse((await currentWatchlistETag(userId)).etag);
+    }
+    if (response.statusCode >= 300) return response;
+    return {
+      ...response,
+      headers: { ...response.headers, etag: (await currentWatchlistETag(userId)).etag }
+    };
+  });
+}
+
 async function trackerCountResponse(event) {
   if (await currentMode() !== 'cloud') {
     return json(503, { error: 'Discord Alerts are not active right now.' }, {
@@ -83,11 +267,14 @@ function publicProfile(profile) {
       avatar: profile.discordAvatar || '',
       connectedAt: profile.discordConnectedAt || null
     } : null,
+    quietHours: quietHoursPreferences(profile),
+    closedAlertDelivery: closedAlertDelivery(profile),
     updatedAt: profile.updatedAt || null
   };
 }
 
 function discordRedirectUri(event) {
+  if (config.apiPublicUrl) return `${config.apiPublicUrl.replace(/\/+$/, '')}/discord/callback`;
   const domainName = event?.requestContext?.domainName;
   const stage = event?.requestContext?.stage;
   if (!domainName || !stage) throw new Error('Discord callback URL could not be determined.');
@@ -164,6 +351,35 @@ export async function handler(event) {
       return await trackerCountResponse(event);
     }
 
+    if (request.routeKey === 'GET /sections/{roster}/{classNbr}/history') {
+      const { roster, classNbr } = normalizeSectionHistoryPath(event.pathParameters || {});
+      const target = { kind: 'section', roster, classNbr };
+      const [history, statistics] = await Promise.all([
+        getSectionHistory(roster, classNbr),
+        getSeatStatistics([target])
+      ]);
+      return json(200, {
+        ...publicSectionHistory(roster, classNbr, history),
+        statistics: publicSeatStatistics(statistics.get(seatStatisticsKey(target).PK))
+      }, {
+        'cache-control': 'public, max-age=60, stale-while-revalidate=60'
+      });
+    }
+
+    if (request.routeKey === 'GET /courses/{roster}/{subject}/{catalogNbr}/statistics') {
+      const target = normalizeCourseStatisticsPath(event.pathParameters || {}, event.queryStringParameters || {});
+      const statistics = await getSeatStatistics([target]);
+      return json(200, {
+        roster: target.roster,
+        subject: target.subject,
+        catalogNbr: target.catalogNbr,
+        ssrComponent: target.ssrComponent,
+        statistics: publicSeatStatistics(statistics.get(seatStatisticsKey(target).PK))
+      }, {
+        'cache-control': 'public, max-age=300, stale-while-revalidate=300'
+      });
+    }
+
     if (request.routeKey === 'POST /auth/discord') {
       const { returnOrigin } = parseJsonBody(event);
       return json(200, await createDiscordAuthorization(discordRedirectUri(event), returnOrigin));
@@ -174,7 +390,10 @@ export async function handler(event) {
     }
 
     if (request.routeKey === 'POST /auth/session') {
-      const exchanged = await exchangeLoginCode(parseJsonBody(event).code);
+      const exchanged = await exchangeLoginCode(
+        parseJsonBody(event).code,
+        event.headers?.['user-agent'] || event.headers?.['User-Agent'] || ''
+      );
       return json(201, {
         sessionToken: exchanged.sessionToken,
         expiresAt: new Date(exchanged.expiresAt * 1000).toISOString(),
@@ -190,6 +409,30 @@ export async function handler(event) {
       return { statusCode: 204, headers: { 'cache-control': 'no-store' }, body: '' };
     }
 
+    if (request.routeKey === 'GET /sessions') {
+      return json(200, { sessions: await listSessions(session.userId, session.tokenHash) });
+    }
+
+    if (request.routeKey === 'DELETE /sessions') {
+      const revoked = await revokeAllSessions(session.userId);
+      // The index may not list a session created moments ago, including
+      // this one, so the calling session is always removed directly.
+      await revokeSession(session.tokenHash);
+      return json(200, { revoked });
+    }
+
+    if (request.routeKey === 'DELETE /sessions/{sessionId}') {
+      const sessionId = decodeURIComponent(event.pathParameters?.sessionId || '');
+      if (!sessionId) return json(400, { error: 'Missing session ID.' });
+      const revoked = await revokeUserSession(session.userId, sessionId);
+      if (!revoked) return json(404, { error: 'Session not found.' });
+      return { statusCode: 204, headers: { 'cache-control': 'no-store' }, body: '' };
+    }
+
+    if (request.routeKey === 'DELETE /me') {
+      return await deleteAccount(session.userId);
+    }
+
     try {
       await markUserActive(session.userId);
     } catch (error) {
@@ -203,22 +446,89 @@ export async function handler(event) {
       return json(200, { profile: publicProfile(await getProfile(session.userId)) });
     }
 
+    if (request.routeKey === 'PATCH /me') {
+      const profile = await getProfile(session.userId);
+      const settings = normalizeProfileSettingsInput(parseJsonBody(event), profile);
+      const updated = await updateProfileSettings(session.userId, settings);
+      if (!updated) return json(404, { error: 'Discord profile not found.' });
+      return json(200, { profile: publicProfile(updated) });
+    }
+
+    if (request.routeKey === 'GET /me/export') {
+      return accountExportResponse(session, event);
+    }
+
+    if (request.routeKey === 'GET /me/destinations') {
+      const destinations = await listDestinations(session.userId);
+      return json(200, { destinations: destinations.map(publicDestination) });
+    }
+
+    if (request.routeKey === 'POST /me/destinations') {
+      const input = normalizeDestinationInput(parseJsonBody(event));
+      const existing = await listDestinations(session.userId);
+      if (existing.length >= MAX_DESTINATIONS_PER_USER) {
+        return json(409, { error: `At most ${MAX_DESTINATIONS_PER_USER} webhook destinations are supported.` });
+      }
+      const saved = await putDestination(session.userId, {
+        destinationId: randomBytes(9).toString('base64url'),
+        type: input.type,
+        url: input.url,
+        secret: input.secret || randomBytes(32).toString('base64url')
+      });
+      // The secret is only returned when the destination is created.
+      return json(201, { destination: { ...publicDestination(saved), secret: saved.secret } });
+    }
+
+    if (request.routeKey === 'DELETE /me/destinations/{destinationId}') {
+      const destinationId = decodeURIComponent(event.pathParameters?.destinationId || '');
+      if (!destinationId) return json(400, { error: 'Missing destination ID.' });
+      const deleted = await deleteDestination(session.userId, destinationId);
+      if (!deleted) return json(404, { error: 'Destination not found.' });
+      return { statusCode: 204, headers: { 'cache-control': 'no-store' }, body: '' };
+    }
+
     if (request.routeKey === 'GET /trackers') {
-      const trackers = await listTrackers(session.userId);
-      return json(200, { trackers: trackers.map(publicTracker) });
+      const [trackers, version] = await Promise.all([
+        listTrackers(session.userId),
+        getWatchlistVersion(session.userId)
+      ]);
+      const etag = watchlistETag(trackers, version);
+      if (ifNoneMatchHit(event, etag)) return notModified({ etag });
+      return json(200, { trackers: trackers.map(publicTracker) }, { etag });
     }
 
     if (request.routeKey === 'POST /trackers') {
-      const tracker = normalizeTrackerInput(parseJsonBody(event));
-      const saved = await putTracker(session.userId, tracker);
-      return json(saved.created ? 201 : 200, { tracker: publicTracker(saved.item) });
+      return await trackerMutation(session.userId, event, async expectedVersion => {
+        const tracker = normalizeTrackerInput(parseJsonBody(event));
+        const saved = await putTracker(session.userId, tracker, { expectedVersion });
+        return json(saved.created ? 201 : 200, { tracker: publicTracker(saved.item) });
+      });
+    }
+
+    if (request.routeKey === 'POST /trackers:batch') {
+      return await trackerMutation(session.userId, event, expectedVersion => (
+        trackerBatchResponse(session.userId, event, expectedVersion)
+      ));
+    }
+
+    if (request.routeKey === 'PATCH /trackers/{trackerId}') {
+      const trackerId = decodeURIComponent(event.pathParameters?.trackerId || '');
+      if (!trackerId) return json(400, { error: 'Missing tracker ID.' });
+      return await trackerMutation(session.userId, event, async expectedVersion => {
+        const preferences = normalizeNotificationPreferencesInput(parseJsonBody(event));
+        const updated = await updateTrackerNotifications(session.userId, trackerId, preferences, { expectedVersion });
+        if (!updated) return json(404, { error: 'Tracker not found.' });
+        return json(200, { tracker: publicTracker(updated) });
+      });
     }
 
     if (request.routeKey === 'DELETE /trackers/{trackerId}') {
       const trackerId = decodeURIComponent(event.pathParameters?.trackerId || '');
       if (!trackerId) return json(400, { error: 'Missing tracker ID.' });
-      await deleteTracker(session.userId, trackerId);
-      return { statusCode: 204, headers: { 'cache-control': 'no-store' }, body: '' };
+      return await trackerMutation(session.userId, event, async expectedVersion => {
+        await deleteTracker(session.userId, trackerId, { expectedVersion });
+        return { statusCode: 204, headers: { 'cache-control': 'no-store' }, body: '' };
+      });
     }
 
     return json(404, { error: 'Route not found.' });
@@ -227,7 +537,7 @@ export async function handler(event) {
       routeKey: request.routeKey,
       message: error.message
     });
-    const clientError = /Missing required field|Missing required tracker-count|unsupported characters|only digits|at most 100 sections|valid JSON|JSON object|login code is invalid|login expired|frontend origin is not allowed/i.test(error.message);
+    const clientError = /Missing required field|kind is not supported|Notification preference|Quiet hours setting|Profile setting|Missing required tracker-count|unsupported characters|only digits|at most 100 sections|valid JSON|JSON object|login code is invalid|login expired|frontend origin is not allowed|Webhook destination|Export format|Tracker batches|Idempotency key must/i.test(error.message);
     return json(clientError ? 400 : 500, {
       error: clientError ? error.message : 'The CourseSnag service could not complete this request.'
     });
@@ -1,15 +1,28 @@
 export const config = {
   tableName: process.env.TABLE_NAME || '',
+  storageDriver: process.env.STORAGE_DRIVER || 'dynamodb',
+  storageFile: process.env.STORAGE_FILE || '',
   alertQueueUrl: process.env.ALERT_QUEUE_URL || '',
   modeParameterName: process.env.MODE_PARAMETER_NAME || '',
+  modeFile: process.env.MODE_FILE || '',
   discordBotTokenParameter: process.env.DISCORD_BOT_TOKEN_PARAMETER || '',
   discordClientSecretParameter: process.env.DISCORD_CLIENT_SECRET_PARAMETER || '',
+  // Local development may supply the Discord secrets directly instead of SSM.
+  discordBotToken: process.env.DISCORD_BOT_TOKEN || '',
+  discordClientSecret: process.env.DISCORD_CLIENT_SECRET || '',
   discordApplicationId: process.env.DISCORD_APPLICATION_ID || '',
   discordPublicKey: process.env.DISCORD_PUBLIC_KEY || '',
+  discordApiBase: process.env.DISCORD_API_BASE || 'https://discord.com/api/v10',
+  discordAuthorizeUrl: process.env.DISCORD_AUTHORIZE_URL || 'https://discord.com/oauth2/authorize',
   frontendOrigin: process.env.FRONTEND_ORIGIN || 'https://coursesnag.pages.dev',
   localDevelopmentOrigin: process.env.LOCAL_DEVELOPMENT_ORIGIN || 'http://localhost:4173',
   stageName: process.env.STAGE_NAME || 'dev',
-  cornellApiBase: process.env.CORNELL_API_BASE || 'https://classes.cornell.edu/api/2.0'
+  apiPublicUrl: process.env.API_PUBLIC_URL || '',
+  cornellApiBase: process.env.CORNELL_API_BASE || 'https://classes.cornell.edu/api/2.0',
+  activeRosters: process.env.ACTIVE_ROSTERS || '',
+  flapMinimumDwellMinutes: process.env.FLAP_MINIMUM_DWELL_MINUTES || '',
+  flapAlertCooldownMinutes: process.env.FLAP_ALERT_COOLDOWN_MINUTES || '',
+  flapConfirmCloseAlerts: process.env.FLAP_CONFIRM_CLOSE_ALERTS || ''
 };
 
 export function requireConfig(...keys) {
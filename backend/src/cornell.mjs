@@ -26,6 +26,52 @@ export function defaultRosterSlug(rosters) {
   return current?.slug ? String(current.slug) : '';
 }
 
+const ROSTER_TERM_ORDER = { WI: 0, SP: 1, SU: 2, FA: 3 };
+
+function rosterTermOrder(slug) {
+  const match = /^(WI|SP|SU|FA)(\d{2})$/.exec(String(slug || ''));
+  return match ? Number(match[2]) * 4 + ROSTER_TERM_ORDER[match[1]] : -1;
+}
+
+export function rosterIsBefore(slug, otherSlug) {
+  return rosterTermOrder(slug) < rosterTermOrder(otherSlug);
+}
+
+export function parseRosterOverride(value) {
+  return String(value || '')
+    .split(',')
+    .map(slug => slug.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+// Cornell publishes the next term's roster before making it the default, so
+// the default roster and every later published roster are active together.
+// An owner override replaces the later rosters; the default roster always
+// stays active because expired trackers roll over to it.
+export function activeRosterSlugs(rosters, override = []) {
+  const rosterList = Array.isArray(rosters) ? rosters : [];
+  const current = defaultRosterSlug(rosterList);
+  if (!current) return { current, active: [] };
+
+  const published = rosterList
+    .map(roster => (roster?.slug ? String(roster.slug) : ''))
+    .filter(Boolean);
+  const additional = override.length
+    ? override.filter(slug => published.includes(slug))
+    : published.filter(slug => rosterIsBefore(current, slug));
+  return { current, active: [...new Set([current, ...additional])] };
+}
+
+export async function fetchActiveRosters(
+  fetchImpl = fetch,
+  override = parseRosterOverride(config.activeRosters)
+) {
+  const data = await cornellJson('/config/rosters.json', {}, fetchImpl);
+  const rosters = activeRosterSlugs(data.rosters, override);
+  if (!rosters.current) throw new Error('Cornell did not identify a current roster.');
+  return rosters;
+}
+
 export async function fetchCurrentRoster(fetchImpl = fetch) {
   const data = await cornellJson('/config/rosters.json', {}, fetchImpl);
   const roster = defaultRosterSlug(data.rosters);
@@ -33,6 +79,11 @@ export async function fetchCurrentRoster(fetchImpl = fetch) {
   return roster;
 }
 
+export async function fetchRosterSubjects(roster, fetchImpl = fetch) {
+  const data = await cornellJson('/config/subjects.json', { roster }, fetchImpl);
+  return data.subjects || [];
+}
+
 export async function fetchSubjectClasses(roster, subject, fetchImpl = fetch) {
   const data = await cornellJson('/search/classes.json', {
     roster,
@@ -54,6 +105,29 @@ export function buildStatusIndex(classes) {
   return index;
 }
 
+export function buildCourseSectionIndex(classes) {
+  const index = new Map();
+  for (const course of classes) {
+    const subject = String(course.subject || '').toUpperCase();
+    const catalogNbr = String(course.catalogNbr || '').toUpperCase();
+    const key = `${subject}:${catalogNbr}`;
+    if (!index.has(key)) index.set(key, []);
+    for (const enrollmentGroup of course.enrollGroups || []) {
+      for (const section of enrollmentGroup.classSections || []) {
+        index.get(key).push({
+          classNbr: String(section.classNbr),
+          subject,
+          catalogNbr,
+          section: String(section.section || ''),
+          ssrComponent: String(section.ssrComponent || '').toUpperCase(),
+          openStatus: section.openStatus
+        });
+      }
+    }
+  }
+  return index;
+}
+
 export function wait(milliseconds) {
   return new Promise(resolve => setTimeout(resolve, milliseconds));
 }
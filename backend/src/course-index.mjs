@@ -0,0 +1,161 @@
+import { formatMeetingTimes } from '../../meeting-times.mjs';
+import {
+  fetchActiveRosters,
+  fetchRosterSubjects,
+  fetchSubjectClasses
+} from './cornell.mjs';
+
+const INDEX_LIFETIME_MS = 10 * 60_000;
+const MAX_INDEX_ENTRIES = 60;
+const MAX_CHOICES = 25;
+const index = new Map();
+
+// Autocomplete fires on every keystroke, so warm interaction containers keep
+// Cornell's roster, subject, and class lists for a few minutes instead of
+// asking Cornell each time.
+async function cached(key, load, now = Date.now()) {
+  const entry = index.get(key);
+  if (entry && entry.expiresAt > now) return entry.value;
+  const value = await load();
+  index.delete(key);
+  index.set(key, { value, expiresAt: now + INDEX_LIFETIME_MS });
+  while (index.size > MAX_INDEX_ENTRIES) index.delete(index.keys().next().value);
+  return value;
+}
+
+export function clearCourseIndex() {
+  index.clear();
+}
+
+export function courseEntries(roster, classes) {
+  return (classes || []).map(course => ({
+    roster,
+    subject: String(course.subject || '').toUpperCase(),
+    catalogNbr: String(course.catalogNbr || '').toUpperCase(),
+    title: String(course.titleShort || course.titleLong || ''),
+    sections: (course.enrollGroups || []).flatMap(group => (
+      (group.classSections || []).map(section => ({
+        classNbr: String(section.classNbr),
+        section: String(section.section || ''),
+        ssrComponent: String(section.ssrComponent || '').toUpperCase(),
+        classTime: formatMeetingTimes(section.meetings)
+      }))
+    ))
+  }));
+}
+
+// Accepts `CS 2110`, `cs2110`, or a roster-qualified `SP27 CS 2110` as sent
+// by an autocomplete choice. The catalog number may be partial while typing.
+export function parseCourseCode(value, defaultRoster = '') {
+  const match = /^(?:([A-Z]{2}\d{2})\s+)?([A-Z]+)\s*([0-9][0-9A-Z]*)?$/.exec(
+    String(value || '').trim().toUpperCase().replace(/\s+/g, ' ')
+  );
+  if (!match) return null;
+  return {
+    roster: match[1] || defaultRoster,
+    subject: match[2],
+    catalogNbr: match[3] || ''
+  };
+}
+
+export function courseCodeValue(course) {
+  return `${course.roster} ${course.subject} ${course.catalogNbr}`;
+}
+
+function choiceName(value) {
+  return value.length > 100 ? `${value.slice(0, 99)}…` : value;
+}
+
+export function subjectChoices(subjects, prefix) {
+  return subjects
+    .filter(subject => String(subject.value || '').toUpperCase().startsWith(prefix))
+    .slice(0, MAX_CHOICES)
+    .map(subject => ({
+      name: choiceName(`${subject.value} — ${subject.descr || subject.value}`),
+      value: String(subject.value)
+    }));
+}
+
+export function courseChoices(courses, catalogPrefix, showRoster = false) {
+  return courses
+    .filter(course => course.catalogNbr.startsWith(catalogPrefix))
+    .slice(0, MAX_CHOICES)
+    .map(course => ({
+      name: choiceName([
+        `${course.subject} ${course.catalogNbr}`,
+        course.title,
+        showRoster ? course.roster : ''
+      ].filter(Boolean).join(' · ')),
+      value: courseCodeValue(course)
+    }));
+}
+
+// A section choice is a class number, `any` for every section of the course,
+// or `any:<component>` for every section of one component.
+export function sectionChoices(course, query = '') {
+  const components = [...new Set(course.sections.map(section => section.ssrComponent).filter(Boolean))];
+  const choices = [
+    { name: 'Any section', value: 'any' },
+    ...components.map(component => ({ name: `Any ${component} section`, value: `any:${component}` })),
+    ...course.sections.map(section => ({
+      name: choiceName([
+        `${section.ssrComponent} ${section.section}`.trim(),
+        section.classTime,
+        `Class #${section.classNbr}`
+      ].filter(Boolean).join(' · ')),
+      value: section.classNbr
+    }))
+  ];
+  const needle = String(query || '').trim().toUpperCase();
+  return choices
+    .filter(choice => !needle || choice.name.toUpperCase().includes(needle))
+    .slice(0, MAX_CHOICES);
+}
+
+export function parseSectionChoice(value) {
+  const text = String(value || '').trim();
+  if (text === 'any') return { kind: 'course', ssrComponent: '' };
+  const component = /^any:([A-Z]+)$/i.exec(text);
+  if (component) return { kind: 'course', ssrComponent: component[1].toUpperCase() };
+  if (/^\d+$/.test(text)) return { kind: 'section', classNbr: text };
+  return null;
+}
+
+export function activeRosters(fetchImpl = fetch) {
+  return cached('rosters', () => fetchActiveRosters(fetchImpl));
+}
+
+function rosterSubjects(roster, fetchImpl) {
+  return cached(`subjects:${roster}`, () => fetchRosterSubjects(roster, fetchImpl));
+}
+
+function subjectCourses(roster, subject, fetchImpl) {
+  return cached(`classes:${roster}:${subject}`, async () => (
+    courseEntries(roster, await fetchSubjectClasses(roster, subject, fetchImpl))
+  ));
+}
+
+export async function findCourse({ roster, subject, catalogNbr }, fetchImpl = fetch) {
+  const courses = await subjectCourses(roster, subject, fetchImpl);
+  return courses.find(course => course.catalogNbr === catalogNbr) || null;
+}
+
+// Suggests subjects until the typed subject matches one Cornell lists, then
+// courses in that subject across every active roster.
+export async function courseSuggestions(query, fetchImpl = fetch) {
+  const rosters = await activeRosters(fetchImpl);
+  const parsed = parseCourseCode(query, '');
+  if (!parsed) return [];
+  const searchRosters = parsed.roster ? [parsed.roster].filter(slug => rosters.active.includes(slug)) : rosters.active;
+  if (!searchRosters.length) return [];
+
+  const subjects = await rosterSubjects(searchRosters[0], fetchImpl);
+  const known = subjects.some(subject => String(subject.value || '').toUpperCase() === parsed.subject);
+  if (!known) return parsed.catalogNbr ? [] : subjectChoices(subjects, parsed.subject);
+
+  const courses = [];
+  for (const roster of searchRosters) {
+    courses.push(...await subjectCourses(roster, parsed.subject, fetchImpl));
+  }
+  return courseChoices(courses, parsed.catalogNbr, rosters.active.length > 1);
+}
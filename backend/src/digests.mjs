@@ -0,0 +1,70 @@
+import { sendAlertMessages } from './queue.mjs';
+import { deleteDigestMessages, listDueDigestMessages } from './storage.mjs';
+
+function digestTrackerKey(message) {
+  const tracker = message.tracker || {};
+  const target = tracker.classNbr
+    || `${tracker.subject || ''}-${tracker.catalogNbr || ''}-${tracker.ssrComponent || ''}`;
+  return `${tracker.roster || ''}:${target}`;
+}
+
+// Held messages are merged per owner. Only the latest change for each tracker
+// is kept, so a section that closed and reopened overnight appears once with
+// its final status.
+export function digestMessage(discordUserId, heldItems, queuedAt) {
+  const ordered = [...heldItems].sort((left, right) => (
+    String(left.message?.detectedAt || '').localeCompare(String(right.message?.detectedAt || ''))
+  ));
+  const latest = new Map();
+  for (const item of ordered) {
+    latest.delete(digestTrackerKey(item.message));
+    latest.set(digestTrackerKey(item.message), item.message);
+  }
+  const releaseAt = ordered
+    .map(item => String(item.releaseAt || ''))
+    .sort()
+    .at(-1) || queuedAt;
+
+  return {
+    eventId: `alert-digest:${discordUserId}:${releaseAt}`,
+    type: 'alert-digest',
+    discordUserId,
+    changes: [...latest.values()].map(message => ({
+      type: message.type,
+      status: message.status,
+      tracker: message.tracker,
+      detectedAt: message.detectedAt || null
+    })),
+    heldMessages: heldItems.length,
+    releaseAt,
+    detectedAt: queuedAt,
+    queuedAt
+  };
+}
+
+// Queues one digest per owner for every held message whose quiet hours have
+// ended. Held messages older than their expiry are dropped rather than sent
+// late, for example after an off-season pause.
+export async function flushDueDigests(now = new Date()) {
+  const due = await listDueDigestMessages(now);
+  if (!due.length) return { digestsQueued: 0, heldMessages: 0 };
+
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const byUser = new Map();
+  let heldMessages = 0;
+  for (const item of due) {
+    if (Number(item.expiresAt || 0) <= nowSeconds) continue;
+    const discordUserId = item.message?.discordUserId || item.userId;
+    if (!byUser.has(discordUserId)) byUser.set(discordUserId, []);
+    byUser.get(discordUserId).push(item);
+    heldMessages += 1;
+  }
+
+  const queuedAt = now.toISOString();
+  const messages = [...byUser].map(([discordUserId, items]) => (
+    digestMessage(discordUserId, items, queuedAt)
+  ));
+  const digestsQueued = messages.length ? await sendAlertMessages(messages) : 0;
+  await deleteDigestMessages(due);
+  return { digestsQueued, heldMessages };
+}
@@ -6,7 +6,6 @@ import {
   putDiscordOAuthState
 } from './storage.mjs';
 
-const DISCORD_API_BASE = 'https://discord.com/api/v10';
 const STATE_LIFETIME_SECONDS = 10 * 60;
 const ssm = new SSMClient({});
 let cachedClientSecret;
@@ -35,6 +34,7 @@ export function resolveFrontendOrigin(requestedOrigin, strict = false) {
 }
 
 async function clientSecret() {
+  if (config.discordClientSecret) return config.discordClientSecret;
   if (cachedClientSecret) return cachedClientSecret;
   requireConfig('discordClientSecretParameter');
   const result = await ssm.send(new GetParameterCommand({
@@ -53,7 +53,7 @@ function basicAuthorization(secret) {
 async function discordFormRequest(path, values) {
   requireConfig('discordApplicationId');
   const secret = await clientSecret();
-  const response = await fetch(`${DISCORD_API_BASE}${path}`, {
+  const response = await fetch(`${config.discordApiBase}${path}`, {
     method: 'POST',
     headers: {
       accept: 'application/json',
@@ -72,7 +72,7 @@ async function discordFormRequest(path, values) {
 }
 
 async function discordUser(accessToken) {
-  const response = await fetch(`${DISCORD_API_BASE}/users/@me`, {
+  const response = await fetch(`${config.discordApiBase}/users/@me`, {
     headers: {
       accept: 'application/json',
       authorization: `Bearer ${accessToken}`,
@@ -110,7 +110,7 @@ export function buildDiscordAuthorizationUrl(state, redirectUri) {
     state,
     prompt: 'consent'
   });
-  return `https://discord.com/oauth2/authorize?${query}`;
+  return `${config.discordAuthorizeUrl}?${query}`;
 }
 
 export function publicDiscordIdentity(user) {
@@ -124,7 +124,7 @@ export function publicDiscordIdentity(user) {
 }
 
 export async function createDiscordAuthorization(redirectUri, requestedReturnOrigin) {
-  requireConfig('discordApplicationId', 'discordClientSecretParameter');
+  requireConfig('discordApplicationId');
   const returnOrigin = resolveFrontendOrigin(requestedReturnOrigin, true);
   await clientSecret();
   const state = randomBytes(32).toString('base64url');
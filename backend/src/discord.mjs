@@ -5,6 +5,7 @@ const ssm = new SSMClient({});
 let cachedBotToken;
 
 async function botToken() {
+  if (config.discordBotToken) return config.discordBotToken;
   if (cachedBotToken) return cachedBotToken;
   requireConfig('discordBotTokenParameter');
   const result = await ssm.send(new GetParameterCommand({
@@ -16,10 +17,10 @@ async function botToken() {
   return cachedBotToken;
 }
 
-async function discordRequest(path, body, attempt = 0) {
+async function discordRequest(path, body, method = 'POST', attempt = 0) {
   const token = await botToken();
-  const response = await fetch(`https://discord.com/api/v10${path}`, {
-    method: 'POST',
+  const response = await fetch(`${config.discordApiBase}${path}`, {
+    method,
     headers: {
       authorization: `Bot ${token}`,
       'content-type': 'application/json',
@@ -33,17 +34,34 @@ async function discordRequest(path, body, attempt = 0) {
     const rateLimit = await response.json();
     const delayMs = Math.max(250, Math.ceil(Number(rateLimit.retry_after || 1) * 1_000));
     await new Promise(resolve => setTimeout(resolve, delayMs));
-    return discordRequest(path, body, attempt + 1);
+    return discordRequest(path, body, method, attempt + 1);
   }
 
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(`Discord API returned HTTP ${response.status}: ${text.slice(0, 300)}`);
+    const error = new Error(`Discord API returned HTTP ${response.status}: ${text.slice(0, 300)}`);
+    error.status = response.status;
+    throw error;
   }
   return response.status === 204 ? null : response.json();
 }
 
+function courseTrackerDetails(tracker) {
+  return [
+    tracker.title,
+    tracker.ssrComponent ? `Any ${tracker.ssrComponent} section` : 'Any section'
+  ].filter(Boolean).join(' • ');
+}
+
+function openSectionsLine(tracker) {
+  const sections = (tracker.openSections || []).slice(0, 10).map(section => (
+    `${section.ssrComponent} ${section.section} (Class #${section.classNbr})`.trim()
+  ));
+  return sections.length ? `\nOpen now: ${sections.join(', ')}` : '';
+}
+
 function trackerDetails(tracker) {
+  if (tracker.kind === 'course') return courseTrackerDetails(tracker);
   return [
     tracker.title,
     tracker.section ? `Section ${tracker.section}` : '',
@@ -56,6 +74,68 @@ function courseName(tracker) {
   return `${tracker.subject || ''} ${tracker.catalogNbr || ''}`.trim() || 'Course';
 }
 
+const DIGEST_LINE_LIMIT = 20;
+export const STUDENT_CENTER_URL = 'https://studentcenter.cornell.edu/';
+
+// Custom IDs carry the owner so the interactions handler can refuse a button
+// pressed by anyone else before it touches storage.
+export function alertActionCustomId(action, discordUserId, trackerId) {
+  return `${action}:${discordUserId}:${trackerId}`;
+}
+
+export function alertComponents(message, { removed = false, snoozed = false } = {}) {
+  const buttons = [{
+    type: 2,
+    style: 5,
+    label: 'Open Student Center',
+    url: STUDENT_CENTER_URL
+  }];
+  const trackerId = message.tracker?.trackerId;
+  if (trackerId && message.discordUserId && !removed) {
+    buttons.push({
+      type: 2,
+      style: 4,
+      label: 'Stop tracking',
+      custom_id: alertActionCustomId('untrack', message.discordUserId, trackerId)
+    });
+    if (!snoozed) {
+      buttons.push(
+        {
+          type: 2,
+          style: 2,
+          label: 'Snooze 1h',
+          custom_id: alertActionCustomId('snooze-1h', message.discordUserId, trackerId)
+        },
+        {
+          type: 2,
+          style: 2,
+          label: 'Snooze 24h',
+          custom_id: alertActionCustomId('snooze-24h', message.discordUserId, trackerId)
+        }
+      );
+    }
+  }
+  return [{ type: 1, components: buttons }];
+}
+
+function digestLine(change) {
+  const tracker = change.tracker || {};
+  const status = change.type === 'course-opened'
+    ? '🎉 is open'
+    : `🔒 is ${change.status === 'W' ? 'waitlisted' : 'not open'}`;
+  const details = trackerDetails(tracker);
+  return `• **${courseName(tracker)}** ${status}${details ? ` — ${details}` : ''}`;
+}
+
+function digestContent(message) {
+  const changes = message.changes || [];
+  const lines = changes.slice(0, DIGEST_LINE_LIMIT).map(digestLine);
+  if (changes.length > DIGEST_LINE_LIMIT) {
+    lines.push(`…and ${changes.length - DIGEST_LINE_LIMIT} more.`);
+  }
+  return ['🌙 **Changes during your quiet hours**', ...lines].join('\n');
+}
+
 export function notificationContent(message) {
   if (message.type === 'season-offline') {
     return {
@@ -75,29 +155,97 @@ export function notificationContent(message) {
     };
   }
 
+  if (message.type === 'account-deleted') {
+    return {
+      content: '🗑️ **Your CourseSnag account was deleted.**\nYour Discord profile, watchlist, sessions, and alert settings were erased, and CourseSnag will not DM you again unless you reconnect Discord.'
+    };
+  }
+
+  if (message.type === 'alert-digest') {
+    return { content: digestContent(message) };
+  }
+
   const tracker = message.tracker || {};
   const course = courseName(tracker);
   const details = trackerDetails(tracker);
+  const watchlist = message.channelId ? "this channel's subscriptions" : 'your watchlist';
 
   if (message.type === 'course-not-open') {
     const status = message.status === 'W' ? 'waitlisted' : 'not open';
     return {
-      content: `🔒 **${course} is ${status}.**\n${details}`
+      content: `🔒 **${course} is ${status}.**\n${details}`,
+      components: alertComponents(message)
+    };
+  }
+
+  if (message.type === 'tracker-retired') {
+    const target = message.reason === 'course-missing' ? 'this course' : 'this section';
+    const polls = Number(message.missingPolls || 0);
+    const checks = polls > 1 ? `${polls} consecutive checks` : 'the latest check';
+    return {
+      content: `🗑️ **${course} was removed from ${watchlist}.**\n${details}\nCornell no longer lists ${target} after ${checks}.`
+    };
+  }
+
+  if (message.type === 'tracker-rollover-unmatched') {
+    return {
+      content: `📅 **${course} could not move to ${message.toRoster || 'the new roster'}.**\n${details}\nCornell does not offer a matching section in the new roster, so CourseSnag stopped checking it. It stays in ${watchlist} until you remove it.`
     };
   }
 
   if (message.type === 'course-opened') {
     return {
-      content: `🎉 **${course} is open!**\n${details}`
+      content: `🎉 **${course} is open!**\n${details}${openSectionsLine(tracker)}${message.removedAfterAlert ? '\nThis tracker was removed from your watchlist after this alert.' : ''}`,
+      components: alertComponents(message, { removed: Boolean(message.removedAfterAlert) })
     };
   }
 
   throw new Error(`Unsupported Discord notification type: ${message.type || 'missing'}`);
 }
 
+// Strikes through an earlier open DM and notes when the tracker closed or was
+// waitlisted, so the owner does not act on a stale "is open!" message.
+export function closedAgainContent(openContent, message) {
+  const closedAt = Date.parse(message.detectedAt || message.queuedAt || '');
+  const timestamp = Math.floor((Number.isFinite(closedAt) ? closedAt : Date.now()) / 1000);
+  const struck = String(openContent || '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => `~~${line}~~`);
+  const status = message.status === 'W' ? 'Waitlisted' : 'Closed again';
+  return {
+    content: [...struck, `🔒 **${status}** at <t:${timestamp}:f>.`].join('\n'),
+    components: alertComponents(message)
+  };
+}
+
+export async function editDirectMessage(channelId, messageId, body) {
+  return discordRequest(`/channels/${channelId}/messages/${messageId}`, body, 'PATCH');
+}
+
+// Channel alerts keep only the Student Center link, because the other buttons
+// act on one owner's watchlist. The role, if any, is the only mention allowed.
+export function channelNotificationContent(message) {
+  const { content, components } = notificationContent({ ...message, discordUserId: undefined });
+  return {
+    content: message.roleId ? `<@&${message.roleId}> ${content}` : content,
+    allowed_mentions: { parse: [], roles: message.roleId ? [message.roleId] : [] },
+    ...(components ? { components } : {})
+  };
+}
+
+export async function sendChannelMessage(message) {
+  return discordRequest(`/channels/${message.channelId}/messages`, channelNotificationContent(message));
+}
+
 export async function sendDirectMessage(message) {
   const channel = await discordRequest('/users/@me/channels', {
     recipient_id: message.discordUserId
   });
   return discordRequest(`/channels/${channel.id}/messages`, notificationContent(message));
 }
+
+// Replaces the "thinking" placeholder a deferred command response showed.
+export async function editInteractionResponse(applicationId, interactionToken, body) {
+  return discordRequest(`/webhooks/${applicationId}/${interactionToken}/messages/@original`, body, 'PATCH');
+}
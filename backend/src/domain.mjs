@@ -1,4 +1,8 @@
+import { createHash } from 'node:crypto';
+
 const REQUIRED_TRACKER_FIELDS = ['roster', 'subject', 'classNbr'];
+const REQUIRED_COURSE_TRACKER_FIELDS = ['roster', 'subject', 'catalogNbr'];
+export const TRACKER_KINDS = new Set(['section', 'course']);
 const OPTIONAL_TEXT_FIELDS = [
   'catalogNbr',
   'title',
@@ -12,11 +16,57 @@ function normalizedString(value, maxLength) {
   return String(value).trim().slice(0, maxLength);
 }
 
+export function courseTrackerId(roster, subject, catalogNbr, ssrComponent = '') {
+  return [`${roster}:${subject}-${catalogNbr}`, ssrComponent].filter(Boolean).join('-');
+}
+
+function normalizeCourseTrackerInput(input) {
+  for (const field of REQUIRED_COURSE_TRACKER_FIELDS) {
+    if (!normalizedString(input[field], 100)) {
+      throw new Error(`Missing required field: ${field}`);
+    }
+  }
+
+  const roster = normalizedString(input.roster, 80);
+  const subject = normalizedString(input.subject, 16).toUpperCase();
+  const catalogNbr = normalizedString(input.catalogNbr, 16).toUpperCase();
+  const ssrComponent = normalizedString(input.ssrComponent, 8).toUpperCase();
+
+  if (!/^[A-Z0-9_-]+$/.test(subject)) {
+    throw new Error('Subject contains unsupported characters.');
+  }
+  if (!/^[A-Z0-9]+$/.test(catalogNbr)) {
+    throw new Error('Catalog number contains unsupported characters.');
+  }
+  if (ssrComponent && !/^[A-Z]+$/.test(ssrComponent)) {
+    throw new Error('Component contains unsupported characters.');
+  }
+
+  return {
+    kind: 'course',
+    roster,
+    subject,
+    classNbr: '',
+    catalogNbr,
+    ssrComponent,
+    trackerId: courseTrackerId(roster, subject, catalogNbr, ssrComponent),
+    title: normalizedString(input.title, 300),
+    section: '',
+    classTime: ''
+  };
+}
+
 export function normalizeTrackerInput(input) {
   if (!input || typeof input !== 'object' || Array.isArray(input)) {
     throw new Error('Tracker body must be a JSON object.');
   }
 
+  const kind = normalizedString(input.kind, 16) || 'section';
+  if (!TRACKER_KINDS.has(kind)) {
+    throw new Error('Tracker kind is not supported.');
+  }
+  if (kind === 'course') return normalizeCourseTrackerInput(input);
+
   for (const field of REQUIRED_TRACKER_FIELDS) {
     if (!normalizedString(input[field], 100)) {
       throw new Error(`Missing required field: ${field}`);
@@ -35,6 +85,7 @@ export function normalizeTrackerInput(input) {
   }
 
   const tracker = {
+    kind,
     roster,
     subject,
     classNbr,
@@ -48,6 +99,40 @@ export function normalizeTrackerInput(input) {
   return tracker;
 }
 
+// The watchlist ETag covers the owner's edit version and the set of tracker
+// IDs. Status updates from the monitor change neither, so a list reloaded
+// between polls still matches and an edit against it is not refused.
+export function watchlistETag(trackers, version = 0) {
+  const entries = [`version@${version}`, ...trackers.map(tracker => tracker.trackerId).sort()];
+  return `"${createHash('sha256').update(entries.join('\n')).digest('base64url').slice(0, 27)}"`;
+}
+
+export const MAX_BATCH_TRACKERS = 50;
+
+// Each batch item is validated on its own so one bad tracker is reported in
+// the results instead of rejecting the whole upload.
+export function normalizeTrackerBatchInput(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Tracker batch body must be a JSON object.');
+  }
+  if (!Array.isArray(input.trackers) || !input.trackers.length) {
+    throw new Error('Missing required field: trackers');
+  }
+  if (input.trackers.length > MAX_BATCH_TRACKERS) {
+    throw new Error(`Tracker batches support at most ${MAX_BATCH_TRACKERS} trackers.`);
+  }
+  return input.trackers.map(item => {
+    try {
+      return {
+        tracker: normalizeTrackerInput(item),
+        notifications: item.notifications === undefined ? null : normalizeNotificationPreferencesInput(item)
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+}
+
 export function normalizeTrackerCountQuery(query = {}) {
   const roster = normalizedString(query.roster, 80).toUpperCase();
   const subject = normalizedString(query.subject, 16).toUpperCase();
@@ -73,6 +158,32 @@ export function normalizeTrackerCountQuery(query = {}) {
   return { roster, subject, classNbrs };
 }
 
+export function normalizeSectionHistoryPath(pathParameters = {}) {
+  const roster = normalizedString(pathParameters.roster, 80).toUpperCase();
+  const classNbr = normalizedString(pathParameters.classNbr, 16);
+  if (!roster || !/^[A-Z0-9_-]+$/.test(roster)) {
+    throw new Error('Section history roster contains unsupported characters.');
+  }
+  if (!/^\d+$/.test(classNbr)) {
+    throw new Error('Section history class number must contain only digits.');
+  }
+  return { roster, classNbr };
+}
+
+export function normalizeCourseStatisticsPath(pathParameters = {}, query = {}) {
+  const roster = normalizedString(pathParameters.roster, 80).toUpperCase();
+  const subject = normalizedString(pathParameters.subject, 16).toUpperCase();
+  const catalogNbr = normalizedString(pathParameters.catalogNbr, 16).toUpperCase();
+  const ssrComponent = normalizedString(query.component, 8).toUpperCase();
+  if (!/^[A-Z0-9_-]+$/.test(roster) || !/^[A-Z0-9_-]+$/.test(subject)) {
+    throw new Error('Course statistics path contains unsupported characters.');
+  }
+  if (!/^[A-Z0-9]+$/.test(catalogNbr) || (ssrComponent && !/^[A-Z]+$/.test(ssrComponent))) {
+    throw new Error('Course statistics path contains unsupported characters.');
+  }
+  return { kind: 'course', roster, subject, catalogNbr, ssrComponent };
+}
+
 export function groupTrackersByRosterSubject(trackers) {
   const groups = new Map();
   for (const tracker of trackers) {
@@ -89,17 +200,316 @@ export function groupTrackersByRosterSubject(trackers) {
   return groups;
 }
 
+// Guild channels follow courses through subscription items that share the
+// active index with user trackers, so the monitor polls both the same way.
+export function isChannelSubscription(tracker) {
+  return tracker?.entityType === 'subscription';
+}
+
+// The owner part of event and rollover IDs. Channel and user IDs are both
+// Discord snowflakes, but the prefix keeps the two kinds of owner apart.
+export function trackerOwnerId(tracker) {
+  return isChannelSubscription(tracker) ? `channel:${tracker.channelId}` : tracker.userId;
+}
+
+export function isCourseTracker(tracker) {
+  return tracker?.kind === 'course';
+}
+
+export function sectionMatchesCourseTracker(tracker, section) {
+  return section.subject === tracker.subject
+    && section.catalogNbr === tracker.catalogNbr
+    && (!tracker.ssrComponent || section.ssrComponent === tracker.ssrComponent);
+}
+
+// A course tracker is open while any matching section is open, so a second
+// section opening beside the first does not alert again.
+export function courseTrackerObservation(tracker, courseSections) {
+  if (!courseSections) return null;
+  const sections = courseSections.filter(section => sectionMatchesCourseTracker(tracker, section));
+  const openSections = sections.filter(section => section.openStatus === 'O');
+  let status = 'C';
+  if (openSections.length) status = 'O';
+  else if (sections.some(section => section.openStatus === 'W')) status = 'W';
+  return { status, sections, openSections };
+}
+
+// Finds a tracker's counterpart in another roster by course, section, and
+// component, because Cornell assigns new class numbers every term.
+export function rolloverTrackerInput(tracker, toRoster, courseSections, toTrackerId = '') {
+  const sections = courseSections.get(`${tracker.subject}:${String(tracker.catalogNbr || '').toUpperCase()}`);
+  if (!sections?.length) return null;
+
+  if (isCourseTracker(tracker)) {
+    const input = normalizeTrackerInput({
+      kind: 'course',
+      roster: toRoster,
+      subject: tracker.subject,
+      catalogNbr: tracker.catalogNbr,
+      ssrComponent: tracker.ssrComponent,
+      title: tracker.title
+    });
+    return !toTrackerId || input.trackerId === toTrackerId ? input : null;
+  }
+
+  // A move that was already claimed goes to the section it recorded, even if
+  // Cornell's listing no longer matches it by section and component.
+  const match = sections.find(section => (toTrackerId
+    ? `${toRoster}:${section.classNbr}` === toTrackerId
+    : section.section === String(tracker.section || '')
+      && section.ssrComponent === String(tracker.ssrComponent || '').toUpperCase()
+  ));
+  if (!match) return null;
+  return normalizeTrackerInput({
+    roster: toRoster,
+    subject: tracker.subject,
+    classNbr: match.classNbr,
+    catalogNbr: tracker.catalogNbr,
+    title: tracker.title,
+    section: tracker.section,
+    ssrComponent: tracker.ssrComponent
+  });
+}
+
 export function availabilityEventForTransition(oldStatus, newStatus) {
   if (!newStatus || oldStatus === newStatus) return null;
   return newStatus === 'O' ? 'course-opened' : 'course-not-open';
 }
 
+export const DEFAULT_NOTIFICATION_PREFERENCES = Object.freeze({
+  notifyOnOpen: true,
+  notifyOnWaitlist: true,
+  notifyOnClose: true,
+  removeAfterOpen: false
+});
+
+export function notificationPreferences(tracker) {
+  return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...(tracker?.notifications || {}) };
+}
+
+export function normalizeNotificationPreferencesInput(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Tracker body must be a JSON object.');
+  }
+  const notifications = input.notifications;
+  if (!notifications || typeof notifications !== 'object' || Array.isArray(notifications)) {
+    throw new Error('Missing required field: notifications');
+  }
+
+  const preferences = {};
+  for (const [name, value] of Object.entries(notifications)) {
+    if (!Object.hasOwn(DEFAULT_NOTIFICATION_PREFERENCES, name)) {
+      throw new Error(`Notification preference is not supported: ${name}`);
+    }
+    if (typeof value !== 'boolean') {
+      throw new Error(`Notification preference must be true or false: ${name}`);
+    }
+    preferences[name] = value;
+  }
+  if (!Object.keys(preferences).length) {
+    throw new Error('Missing required field: notifications');
+  }
+  return preferences;
+}
+
+// Waitlist alerts cover any change to a waitlisted status; close alerts cover
+// the remaining not-open changes.
+export function notificationIsWanted(tracker, notificationType, newStatus) {
+  const preferences = notificationPreferences(tracker);
+  if (notificationType === 'course-opened') return preferences.notifyOnOpen;
+  if (newStatus === 'W') return preferences.notifyOnWaitlist;
+  return preferences.notifyOnClose;
+}
+
+export const DEFAULT_QUIET_HOURS = Object.freeze({
+  enabled: false,
+  startHour: 22,
+  endHour: 7,
+  openAlertsBypass: true
+});
+
+export function quietHoursPreferences(profile) {
+  return { ...DEFAULT_QUIET_HOURS, ...(profile?.quietHours || {}) };
+}
+
+export function normalizeQuietHoursInput(input, current = DEFAULT_QUIET_HOURS) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Profile body must be a JSON object.');
+  }
+  const quietHours = input.quietHours;
+  if (!quietHours || typeof quietHours !== 'object' || Array.isArray(quietHours)) {
+    throw new Error('Missing required field: quietHours');
+  }
+
+  const normalized = { ...DEFAULT_QUIET_HOURS, ...current };
+  for (const [name, value] of Object.entries(quietHours)) {
+    if (name === 'enabled' || name === 'openAlertsBypass') {
+      if (typeof value !== 'boolean') throw new Error(`Quiet hours setting must be true or false: ${name}`);
+    } else if (name === 'startHour' || name === 'endHour') {
+      if (!Number.isInteger(value) || value < 0 || value > 23) {
+        throw new Error(`Quiet hours setting must be an hour from 0 to 23: ${name}`);
+      }
+    } else {
+      throw new Error(`Quiet hours setting is not supported: ${name}`);
+    }
+    normalized[name] = value;
+  }
+  if (normalized.enabled && normalized.startHour === normalized.endHour) {
+    throw new Error('Quiet hours setting must start and end at different hours.');
+  }
+  return normalized;
+}
+
+// What happens to an earlier open DM when the same tracker closes or is
+// waitlisted: edit it and send a close DM, only edit it, or only send.
+export const CLOSED_ALERT_DELIVERIES = Object.freeze(['edit-and-send', 'edit', 'send']);
+export const DEFAULT_CLOSED_ALERT_DELIVERY = 'edit-and-send';
+
+export function closedAlertDelivery(profile) {
+  return CLOSED_ALERT_DELIVERIES.includes(profile?.closedAlertDelivery)
+    ? profile.closedAlertDelivery
+    : DEFAULT_CLOSED_ALERT_DELIVERY;
+}
+
+export function normalizeProfileSettingsInput(input, profile = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Profile body must be a JSON object.');
+  }
+
+  const settings = {};
+  for (const [name, value] of Object.entries(input)) {
+    if (name === 'quietHours') {
+      settings.quietHours = normalizeQuietHoursInput(input, quietHoursPreferences(profile));
+    } else if (name === 'closedAlertDelivery') {
+      if (!CLOSED_ALERT_DELIVERIES.includes(value)) {
+        throw new Error(`Profile setting must be one of ${CLOSED_ALERT_DELIVERIES.join(', ')}: ${name}`);
+      }
+      settings.closedAlertDelivery = value;
+    } else {
+      throw new Error(`Profile setting is not supported: ${name}`);
+    }
+  }
+  if (!Object.keys(settings).length) {
+    throw new Error('Missing required field: quietHours or closedAlertDelivery');
+  }
+  return settings;
+}
+
+export const MAX_DESTINATIONS_PER_USER = 3;
+
+function isIpLiteral(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[');
+}
+
+// Webhooks are delivered from inside AWS, so only public https hosts are
+// accepted; loopback, IP-literal, and internal-looking names are rejected.
+export function normalizeDestinationInput(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Webhook destination body must be a JSON object.');
+  }
+  const type = normalizedString(input.type, 16) || 'webhook';
+  if (type !== 'webhook') throw new Error('Webhook destination type is not supported.');
+
+  const rawUrl = normalizedString(input.url, 2049);
+  if (!rawUrl) throw new Error('Missing required field: url');
+  if (rawUrl.length > 2048) throw new Error('Webhook destination URL must be at most 2048 characters.');
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw new Error('Webhook destination URL is not a valid URL.');
+  }
+  const hostname = url.hostname.toLowerCase();
+  if (
+    url.protocol !== 'https:' ||
+    url.username ||
+    url.password ||
+    !hostname.includes('.') ||
+    isIpLiteral(hostname) ||
+    /(^|\.)(localhost|local|internal)$/.test(hostname)
+  ) {
+    throw new Error('Webhook destination URL must be a public https URL.');
+  }
+
+  const secret = input.secret === undefined || input.secret === null ? '' : String(input.secret);
+  if (secret && (secret.length < 16 || secret.length > 256)) {
+    throw new Error('Webhook destination secret must be 16 to 256 characters.');
+  }
+  return { type, url: url.toString(), secret };
+}
+
+export function publicDestination(item) {
+  return {
+    destinationId: item.destinationId,
+    type: item.type || 'webhook',
+    url: item.url,
+    enabled: item.enabled !== false,
+    consecutiveFailures: item.consecutiveFailures || 0,
+    lastDeliveredAt: item.lastDeliveredAt || null,
+    lastFailureAt: item.lastFailureAt || null,
+    lastError: item.lastError || '',
+    retryAfter: item.retryAfter || null,
+    createdAt: item.createdAt
+  };
+}
+
+export const FLAP_POLICY_DEFAULTS = Object.freeze({
+  minimumDwellMinutes: 5,
+  alertCooldownMinutes: 15,
+  confirmCloseAlerts: true
+});
+
+function minutesSince(timestamp, now) {
+  const then = Date.parse(timestamp || '');
+  return Number.isFinite(then) ? (now - then) / 60_000 : Infinity;
+}
+
+// Alerts compare against the status the owner was last told about rather than
+// the last observed status. A change that flips back before it is alerted
+// sends nothing, and a suppressed change is alerted by a later poll if it
+// still holds. The dwell applies across alert types; the cooldown applies to
+// repeats of the same type. A change the owner opted out of is muted: it is
+// not sent, but it becomes the status the owner was last told about.
+export function alertDecisionForObservation(tracker, newStatus, checkedAt, policy = FLAP_POLICY_DEFAULTS) {
+  const alertedStatus = tracker.alertedStatus || tracker.lastStatus;
+  const notificationType = availabilityEventForTransition(alertedStatus, newStatus);
+  if (!notificationType) return { notificationType: null, suppressed: null, muted: false };
+  if (!notificationIsWanted(tracker, notificationType, newStatus)) {
+    return { notificationType, suppressed: null, muted: true };
+  }
+
+  const now = Date.parse(checkedAt);
+  if (Date.parse(tracker.snoozedUntil || '') > now) {
+    return { notificationType, suppressed: 'snoozed', muted: false };
+  }
+  const lastAlerts = tracker.lastAlerts || {};
+  const sinceAnyAlert = Math.min(
+    ...Object.values(lastAlerts).map(timestamp => minutesSince(timestamp, now))
+  );
+  if (sinceAnyAlert < policy.minimumDwellMinutes) {
+    return { notificationType, suppressed: 'minimum-dwell', muted: false };
+  }
+  if (minutesSince(lastAlerts[notificationType], now) < policy.alertCooldownMinutes) {
+    return { notificationType, suppressed: 'cooldown', muted: false };
+  }
+  return { notificationType, suppressed: null, muted: false };
+}
+
+export function closeAlertNeedsConfirmation(tracker, decision, policy = FLAP_POLICY_DEFAULTS) {
+  return Boolean(policy.confirmCloseAlerts)
+    && decision.notificationType === 'course-not-open'
+    && !decision.suppressed
+    && !decision.muted
+    && (tracker.alertedStatus || tracker.lastStatus) === 'O';
+}
+
 export function publicTracker(item) {
   return {
     trackerId: item.trackerId,
+    kind: item.kind || 'section',
     roster: item.roster,
     subject: item.subject,
-    classNbr: item.classNbr,
+    classNbr: item.classNbr || '',
     catalogNbr: item.catalogNbr || '',
     title: item.title || '',
     section: item.section || '',
@@ -107,6 +517,11 @@ export function publicTracker(item) {
     classTime: item.classTime || '',
     lastStatus: item.lastStatus || 'UNKNOWN',
     lastCheckedAt: item.lastCheckedAt || null,
+    openSections: item.openSections || [],
+    notifications: notificationPreferences(item),
+    snoozedUntil: item.snoozedUntil || null,
+    rolloverStatus: item.rolloverStatus || '',
+    rolloverRoster: item.rolloverRoster || '',
     createdAt: item.createdAt
   };
 }
@@ -0,0 +1,110 @@
+import {
+  closedAlertDelivery,
+  publicDestination,
+  publicTracker,
+  quietHoursPreferences
+} from './domain.mjs';
+import { publicSession } from './session.mjs';
+
+export const EXPORT_FORMATS = Object.freeze(['json', 'csv']);
+
+export function normalizeExportFormat(value) {
+  const format = String(value || 'json').trim().toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Export format must be one of ${EXPORT_FORMATS.join(', ')}.`);
+  }
+  return format;
+}
+
+function exportedProfile(profile) {
+  if (!profile) return null;
+  return {
+    discordUserId: profile.discordUserId || '',
+    discordUsername: profile.discordUsername || '',
+    discordDisplayName: profile.discordDisplayName || profile.discordUsername || '',
+    discordAvatar: profile.discordAvatar || '',
+    discordConnectedAt: profile.discordConnectedAt || null,
+    quietHours: quietHoursPreferences(profile),
+    closedAlertDelivery: closedAlertDelivery(profile),
+    createdAt: profile.createdAt || null,
+    updatedAt: profile.updatedAt || null,
+    lastActiveAt: profile.lastActiveAt || null
+  };
+}
+
+// CourseSnag keeps no log of past deliveries, only the latest alert state of
+// each tracker: what the owner was last told, when each alert type was last
+// queued, the open-alert DM it may still edit, and alerts held for quiet
+// hours. Each webhook destination carries its own last outcome.
+export function latestAlertState({ trackers = [], digests = [] }) {
+  const states = new Map(trackers.map(tracker => [tracker.trackerId, {
+    trackerId: tracker.trackerId,
+    alertedStatus: tracker.alertedStatus || '',
+    lastAlerts: tracker.lastAlerts || {},
+    openAlertDm: tracker.openAlertMessage?.sentAt
+      ? { sentAt: tracker.openAlertMessage.sentAt, eventId: tracker.openAlertMessage.eventId || null }
+      : null,
+    heldForQuietHours: []
+  }]));
+  for (const digest of digests) {
+    const trackerId = digest.message?.tracker?.trackerId || '';
+    if (!states.has(trackerId)) {
+      states.set(trackerId, { trackerId, alertedStatus: '', lastAlerts: {}, openAlertDm: null, heldForQuietHours: [] });
+    }
+    states.get(trackerId).heldForQuietHours.push({
+      type: digest.message?.type || '',
+      eventId: digest.message?.eventId || null,
+      heldAt: digest.createdAt || null,
+      releaseAt: digest.releaseAt || null
+    });
+  }
+  return [...states.values()];
+}
+
+export function accountExport(
+  { profile, trackers = [], sessions = [], digests = [], destinations = [] },
+  { currentTokenHash = '', exportedAt = new Date() } = {}
+) {
+  return {
+    exportedAt: exportedAt.toISOString(),
+    profile: exportedProfile(profile),
+    trackers: trackers.map(publicTracker),
+    sessions: sessions
+      .map(item => publicSession(item, currentTokenHash))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt))),
+    destinations: destinations.map(publicDestination),
+    latestAlerts: latestAlertState({ trackers, digests })
+  };
+}
+
+function flattened(value, prefix, rows) {
+  if (value && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    if (!entries.length) rows.push([prefix, Array.isArray(value) ? '[]' : '{}']);
+    for (const [key, item] of entries) flattened(item, prefix ? `${prefix}.${key}` : String(key), rows);
+    return rows;
+  }
+  rows.push([prefix, value === null || value === undefined ? '' : String(value)]);
+  return rows;
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// One row per leaf value keeps every section of the bundle in a single file
+// that spreadsheet tools can filter by section and item.
+export function accountExportCsv(bundle) {
+  const rows = [['section', 'item', 'field', 'value']];
+  rows.push(['export', '', 'exportedAt', bundle.exportedAt]);
+  for (const [field, value] of flattened(bundle.profile || {}, '', [])) {
+    rows.push(['profile', '', field, value]);
+  }
+  for (const section of ['trackers', 'sessions', 'destinations', 'latestAlerts']) {
+    (bundle[section] || []).forEach((item, index) => {
+      for (const [field, value] of flattened(item, '', [])) rows.push([section, index, field, value]);
+    });
+  }
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,66 @@
+import { getSectionStatuses, recordSectionTransition } from './storage.mjs';
+
+// Lists every section a subject response says something about for this
+// group's trackers. Section trackers contribute their own class number and
+// course trackers contribute every section of the course, so history is kept
+// once per section no matter how many owners watch it.
+export function observedSections(trackers, statuses, courseSections) {
+  const sections = new Map();
+  for (const tracker of trackers) {
+    if (tracker.kind === 'course') {
+      for (const section of courseSections.get(`${tracker.subject}:${tracker.catalogNbr}`) || []) {
+        sections.set(section.classNbr, {
+          classNbr: section.classNbr,
+          subject: section.subject,
+          catalogNbr: section.catalogNbr,
+          ssrComponent: section.ssrComponent,
+          status: section.openStatus
+        });
+      }
+      continue;
+    }
+    const status = statuses.get(String(tracker.classNbr));
+    if (status === undefined) continue;
+    sections.set(String(tracker.classNbr), {
+      classNbr: String(tracker.classNbr),
+      subject: tracker.subject,
+      catalogNbr: tracker.catalogNbr || '',
+      ssrComponent: tracker.ssrComponent || '',
+      status
+    });
+  }
+  return [...sections.values()];
+}
+
+export function sectionTransitions(sections, currentStatuses) {
+  return sections
+    .filter(section => section.status && currentStatuses.get(section.classNbr)?.status !== section.status)
+    .map(section => ({
+      section,
+      previousStatus: currentStatuses.get(section.classNbr)?.status || ''
+    }));
+}
+
+export async function recordSectionHistory(roster, sections, observedAt) {
+  if (!sections.length) return 0;
+  const currentStatuses = await getSectionStatuses(roster, sections.map(section => section.classNbr));
+  let recorded = 0;
+  for (const { section, previousStatus } of sectionTransitions(sections, currentStatuses)) {
+    if (await recordSectionTransition(roster, section, previousStatus, observedAt)) recorded += 1;
+  }
+  return recorded;
+}
+
+export function publicSectionHistory(roster, classNbr, history) {
+  return {
+    roster,
+    classNbr,
+    status: history.current?.status || 'UNKNOWN',
+    since: history.current?.since || null,
+    transitions: history.transitions.map(item => ({
+      status: item.status,
+      previousStatus: item.previousStatus || 'UNKNOWN',
+      observedAt: item.observedAt
+    }))
+  };
+}
@@ -11,6 +11,14 @@ export function json(statusCode, body, headers = {}) {
   };
 }
 
+export function notModified(headers = {}) {
+  return {
+    statusCode: 304,
+    headers: { 'cache-control': 'no-store', ...headers },
+    body: ''
+  };
+}
+
 export function redirect(location, statusCode = 302) {
   return {
     statusCode,
@@ -41,3 +49,30 @@ export function route(event) {
     routeKey: event?.routeKey || ''
   };
 }
+
+export function requestHeader(event, name) {
+  const wanted = name.toLowerCase();
+  const headers = event?.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === wanted);
+  return key ? String(headers[key]) : '';
+}
+
+function entityTags(value) {
+  return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// If-None-Match uses the weak comparison from RFC 9110, so a W/ prefix on
+// either tag is ignored.
+export function ifNoneMatchHit(event, etag) {
+  const header = requestHeader(event, 'if-none-match');
+  if (!header) return false;
+  const weak = tag => tag.replace(/^W\//, '');
+  return entityTags(header).some(tag => tag === '*' || weak(tag) === weak(etag));
+}
+
+// If-Match uses the strong comparison, so weak tags never match.
+export function ifMatchFails(event, etag) {
+  const header = requestHeader(event, 'if-match');
+  if (!header) return false;
+  return !entityTags(header).some(tag => tag === '*' || tag === etag);
+}
@@ -0,0 +1,68 @@
+import { createHash } from 'node:crypto';
+import { json, requestHeader } from './http.mjs';
+import {
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} from './storage.mjs';
+
+const IDEMPOTENCY_LIFETIME_SECONDS = 24 * 60 * 60;
+
+export function normalizeIdempotencyKey(value) {
+  const key = String(value || '').trim();
+  if (!key) return '';
+  if (!/^[A-Za-z0-9_.:-]{8,128}$/.test(key)) {
+    throw new Error('Idempotency key must be 8 to 128 letters, digits, or . _ : - characters.');
+  }
+  return key;
+}
+
+// A key may only be reused for the same route, path, and body.
+export function requestFingerprint(event) {
+  const body = event.body && event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body || '';
+  return createHash('sha256')
+    .update(`${event.routeKey || ''}\n${event.rawPath || ''}\n${body}`)
+    .digest('hex');
+}
+
+export function idempotentReplay(item, fingerprint) {
+  if (!item || item.fingerprint !== fingerprint) {
+    return json(422, { error: 'Idempotency key was already used for a different request.' });
+  }
+  if (item.requestState !== 'complete' || !item.response) {
+    return json(409, { error: 'A request with this idempotency key is still in progress.' });
+  }
+  return {
+    ...item.response,
+    headers: { ...item.response.headers, 'idempotent-replayed': 'true' }
+  };
+}
+
+// Runs a mutation at most once per Idempotency-Key for a day. A retry with the
+// same key and request gets the stored response. Only successful responses
+// are stored: an error, including a failed If-Match, changed nothing, so it
+// releases the key and a retry runs the mutation again.
+export async function withIdempotency(userId, event, handler) {
+  const key = normalizeIdempotencyKey(requestHeader(event, 'idempotency-key'));
+  if (!key) return handler();
+
+  const fingerprint = requestFingerprint(event);
+  const claim = await claimIdempotencyKey(userId, key, fingerprint, IDEMPOTENCY_LIFETIME_SECONDS);
+  if (!claim.claimed) return idempotentReplay(claim.item, fingerprint);
+
+  let response;
+  try {
+    response = await handler();
+  } catch (error) {
+    await releaseIdempotencyKey(userId, key);
+    throw error;
+  }
+  if (response.statusCode >= 400) {
+    await releaseIdempotencyKey(userId, key);
+  } else {
+    await completeIdempotencyKey(userId, key, response);
+  }
+  return response;
+}
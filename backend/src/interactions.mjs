@@ -1,17 +1,57 @@
 import { createPublicKey, verify } from 'node:crypto';
+import { seatOpeningSummary } from './analytics.mjs';
 import { config, requireConfig } from './config.mjs';
+import {
+  activeRosters,
+  courseSuggestions,
+  findCourse,
+  parseCourseCode,
+  parseSectionChoice,
+  sectionChoices
+} from './course-index.mjs';
+import { alertComponents, editInteractionResponse } from './discord.mjs';
+import { normalizeTrackerInput } from './domain.mjs';
 import { currentMode } from './mode.mjs';
+import { sendAlertMessages } from './queue.mjs';
 import {
   acquireCommandRateLimit,
+  deleteChannelSubscription,
+  deleteTracker,
   getProfile,
+  getSeatStatistics,
+  getTracker,
+  listChannelSubscriptions,
   listTrackers,
-  markUserActive
+  markUserActive,
+  putChannelSubscription,
+  putTracker,
+  seatStatisticsKey,
+  snoozeTracker
 } from './storage.mjs';
 
 const EPHEMERAL_MESSAGE_FLAG = 1 << 6;
-const TRACKED_COMMAND_COOLDOWN_SECONDS = 10;
+const COMMAND_COOLDOWN_SECONDS = {
+  tracked: 10,
+  track: 3,
+  untrack: 3,
+  subscribe: 3,
+  unsubscribe: 3
+};
+const MAX_CHANNEL_SUBSCRIPTIONS = 25;
+const ADMINISTRATOR_PERMISSION = 1n << 3n;
+const MANAGE_CHANNELS_PERMISSION = 1n << 4n;
+const MANAGE_GUILD_PERMISSION = 1n << 5n;
+const VIEW_CHANNEL_PERMISSION = 1n << 10n;
+const SEND_MESSAGES_PERMISSION = 1n << 11n;
+const MENTION_EVERYONE_PERMISSION = 1n << 17n;
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+const AUTOCOMPLETE_LOOKUP_COOLDOWN_SECONDS = 1;
 const SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
 const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const SNOOZE_MINUTES = {
+  'snooze-1h': 60,
+  'snooze-24h': 24 * 60
+};
 
 function response(statusCode, body) {
   return {
@@ -85,7 +125,14 @@ function statusLabel(status) {
   return 'AWAITING CHECK';
 }
 
-export function trackedCoursesContent(trackers) {
+function trackerScope(tracker) {
+  if (tracker.kind === 'course') {
+    return tracker.ssrComponent ? `Any ${safeText(tracker.ssrComponent, 16)} section` : 'Any section';
+  }
+  return tracker.section ? `Section ${safeText(tracker.section, 40)}` : '';
+}
+
+export function trackedCoursesContent(trackers, statistics = new Map()) {
   if (!trackers.length) return '**Tracked courses (0)**\nYour Discord watchlist is empty.';
 
   const ordered = [...trackers].sort((left, right) => [
@@ -107,12 +154,15 @@ export function trackedCoursesContent(trackers) {
   for (const tracker of ordered) {
     const course = safeText(`${tracker.subject || ''} ${tracker.catalogNbr || ''}`.trim() || 'Course');
     const details = [
-      tracker.section ? `Section ${safeText(tracker.section, 40)}` : '',
+      trackerScope(tracker),
       safeText(tracker.roster, 40),
-      statusLabel(tracker.lastStatus)
+      tracker.rolloverStatus === 'unmatched'
+        ? `NOT OFFERED IN ${safeText(tracker.rolloverRoster, 40)}`
+        : statusLabel(tracker.lastStatus)
     ].filter(Boolean).join(' · ');
     const title = tracker.title ? ` — ${safeText(tracker.title, 120)}` : '';
-    const line = `• **${course}**${title}\n  ${details}`;
+    const summary = seatOpeningSummary(statistics.get(seatStatisticsKey(tracker).PK));
+    const line = `• **${course}**${title}\n  ${details}${summary ? `\n  _${summary}_` : ''}`;
     if ([...lines, line].join('\n').length > 1_850) break;
     lines.push(line);
     included += 1;
@@ -124,9 +174,9 @@ export function trackedCoursesContent(trackers) {
   return lines.join('\n');
 }
 
-export function unlinkedAccountPrompt() {
+export function unlinkedAccountPrompt(commandName = 'tracked') {
   return {
-    content: '**CourseSnag is not linked to this Discord account yet.**\nConnect Discord through the CourseSnag setup, then run `/tracked` again.',
+    content: `**CourseSnag is not linked to this Discord account yet.**\nConnect Discord through the CourseSnag setup, then run \`/${commandName}\` again.`,
     components: [{
       type: 1,
       components: [{
@@ -155,6 +205,403 @@ function ephemeral(content, components = []) {
   });
 }
 
+// Commands that may have to ask Cornell answer "thinking…" at once, because
+// Discord gives up after three seconds, and finish through the alert queue.
+function deferredEphemeral() {
+  return response(200, {
+    type: 5,
+    data: { flags: EPHEMERAL_MESSAGE_FLAG }
+  });
+}
+
+function autocompleteResult(choices) {
+  return response(200, {
+    type: 8,
+    data: { choices: choices.slice(0, MAX_AUTOCOMPLETE_CHOICES) }
+  });
+}
+
+function optionValue(interaction, name) {
+  const option = (interaction.data?.options || []).find(item => item.name === name);
+  return option?.value === undefined ? '' : String(option.value);
+}
+
+function focusedOption(interaction) {
+  return (interaction.data?.options || []).find(item => item.focused) || null;
+}
+
+function trackerLabel(tracker) {
+  return [
+    safeText(`${tracker.subject || ''} ${tracker.catalogNbr || ''}`.trim() || 'Course'),
+    trackerScope(tracker),
+    safeText(tracker.roster, 40)
+  ].filter(Boolean).join(' · ');
+}
+
+export function untrackChoices(trackers, query = '') {
+  const needle = String(query || '').trim().toUpperCase();
+  return trackers
+    .map(tracker => ({
+      name: [
+        `${tracker.subject || ''} ${tracker.catalogNbr || ''}`.trim() || 'Course',
+        tracker.kind === 'course'
+          ? (tracker.ssrComponent ? `Any ${tracker.ssrComponent} section` : 'Any section')
+          : (tracker.section ? `Section ${tracker.section}` : `Class #${tracker.classNbr}`),
+        tracker.roster
+      ].filter(Boolean).join(' · ').slice(0, 100),
+      value: String(tracker.trackerId)
+    }))
+    .filter(choice => !needle || choice.name.toUpperCase().includes(needle))
+    .sort((left, right) => left.name.localeCompare(right.name))
+    .slice(0, MAX_AUTOCOMPLETE_CHOICES);
+}
+
+// Builds the same tracker body the website posts, from the course and section
+// the user picked through autocomplete.
+export function trackerInputForChoice(course, choice) {
+  if (choice.kind === 'course') {
+    if (choice.ssrComponent && !course.sections.some(section => section.ssrComponent === choice.ssrComponent)) {
+      return null;
+    }
+    return {
+      kind: 'course',
+      roster: course.roster,
+      subject: course.subject,
+      catalogNbr: course.catalogNbr,
+      ssrComponent: choice.ssrComponent,
+      title: course.title
+    };
+  }
+  const section = course.sections.find(item => item.classNbr === choice.classNbr);
+  if (!section) return null;
+  return {
+    kind: 'section',
+    roster: course.roster,
+    subject: course.subject,
+    classNbr: section.classNbr,
+    catalogNbr: course.catalogNbr,
+    title: course.title,
+    section: section.section,
+    ssrComponent: section.ssrComponent,
+    classTime: section.classTime
+  };
+}
+
+// Resolves the `course` and `section` options shared by `/track` and
+// `/subscribe` into a tracker, or the reply explaining what to fix.
+async function chosenTracker(interaction, fetchImpl = fetch) {
+  const rosters = await activeRosters(fetchImpl);
+  const code = parseCourseCode(optionValue(interaction, 'course'), rosters.current);
+  if (!code?.catalogNbr) return { reply: 'Enter a course code such as `CS 2110`, or pick one from the list.' };
+  if (!rosters.active.includes(code.roster)) {
+    return { reply: `${safeText(code.roster, 40)} is not an active Cornell roster.` };
+  }
+
+  const courseName = safeText(`${code.subject} ${code.catalogNbr}`);
+  const course = await findCourse(code, fetchImpl);
+  if (!course) return { reply: `CourseSnag could not find **${courseName}** in ${safeText(code.roster, 40)}.` };
+
+  const choice = parseSectionChoice(optionValue(interaction, 'section'));
+  const input = choice ? trackerInputForChoice(course, choice) : null;
+  if (!input) return { reply: `Pick a section of **${courseName}** from the list.` };
+  return { tracker: normalizeTrackerInput(input) };
+}
+
+async function trackCommandContent(userId, interaction, fetchImpl) {
+  const chosen = await chosenTracker(interaction, fetchImpl);
+  if (!chosen.tracker) return chosen.reply;
+
+  const saved = await putTracker(userId, chosen.tracker);
+  return saved.created
+    ? `Now tracking **${trackerLabel(saved.item)}**. You will get a DM when its availability changes.`
+    : `**${trackerLabel(saved.item)}** is already in your Discord watchlist.`;
+}
+
+async function untrackCommandContent(userId, interaction) {
+  const trackerId = optionValue(interaction, 'tracker');
+  const removed = trackerId ? await deleteTracker(userId, trackerId) : null;
+  if (!removed) return 'That tracker is not in your Discord watchlist. Pick one from the list.';
+  return `Stopped tracking **${trackerLabel(removed)}**.`;
+}
+
+function permissionBits(value) {
+  try {
+    return BigInt(value || 0);
+  } catch {
+    return 0n;
+  }
+}
+
+// Discord sends the member's permissions in the channel, overwrites included,
+// so Manage Channels here means the member manages this channel.
+export function memberCanManageSubscriptions(permissions) {
+  const bits = permissionBits(permissions);
+  return (bits & (ADMINISTRATOR_PERMISSION | MANAGE_GUILD_PERMISSION | MANAGE_CHANNELS_PERMISSION)) !== 0n;
+}
+
+export function appCanPostInChannel(appPermissions) {
+  const required = VIEW_CHANNEL_PERMISSION | SEND_MESSAGES_PERMISSION;
+  return (permissionBits(appPermissions) & required) === required;
+}
+
+// Returns the reason a member may not change this channel's subscriptions,
+// or an empty string when they may.
+export function subscriptionPermissionProblem(interaction) {
+  if (!interaction.guild_id || !interaction.member) {
+    return 'Channel subscriptions can only be managed from a server channel.';
+  }
+  if (!memberCanManageSubscriptions(interaction.member.permissions)) {
+    return 'You need the **Manage Channels** permission in this channel to manage its CourseSnag subscriptions.';
+  }
+  return '';
+}
+
+function interactionChannelId(interaction) {
+  return String(interaction.channel_id || interaction.channel?.id || '');
+}
+
+// Returns why `/subscribe` cannot run here before it is deferred, or an empty
+// string when it can.
+function subscribeCommandProblem(interaction) {
+  const problem = subscriptionPermissionProblem(interaction);
+  if (problem) return problem;
+  if (!appCanPostInChannel(interaction.app_permissions)) {
+    return 'CourseSnag cannot post in this channel. Give it the **View Channel** and **Send Messages** permissions, then try again.';
+  }
+  const roleId = optionValue(interaction, 'role');
+  if (roleId && roleId === String(interaction.guild_id)) return 'Pick a role to mention other than @everyone.';
+  return '';
+}
+
+async function subscribeCommandContent(userId, interaction, fetchImpl) {
+  const problem = subscribeCommandProblem(interaction);
+  if (problem) return problem;
+
+  const guildId = String(interaction.guild_id);
+  const roleId = optionValue(interaction, 'role');
+  const chosen = await chosenTracker(interaction, fetchImpl);
+  if (!chosen.tracker) return chosen.reply;
+
+  const channelId = interactionChannelId(interaction);
+  const subscriptions = await listChannelSubscriptions(channelId);
+  const existing = subscriptions.some(item => item.trackerId === chosen.tracker.trackerId);
+  if (!existing && subscriptions.length >= MAX_CHANNEL_SUBSCRIPTIONS) {
+    return `This channel already follows ${MAX_CHANNEL_SUBSCRIPTIONS} courses or sections. Use \`/unsubscribe\` to make room.`;
+  }
+
+  const saved = await putChannelSubscription(
+    { guildId, channelId, roleId, createdBy: userId },
+    chosen.tracker
+  );
+  const role = interaction.data?.resolved?.roles?.[roleId];
+  const mention = roleId ? ` and mention <@&${roleId}>` : '';
+  const unmentionable = role && !role.mentionable
+    && (permissionBits(interaction.app_permissions) & MENTION_EVERYONE_PERMISSION) === 0n
+    ? '\nThat role is not mentionable, so alerts will show it without notifying its members.'
+    : '';
+  return saved.created
+    ? `This channel now follows **${trackerLabel(saved.item)}**. Availability changes will be posted here${mention}.${unmentionable}`
+    : `This channel already follows **${trackerLabel(saved.item)}**. Alerts will be posted here${mention}.${unmentionable}`;
+}
+
+async function unsubscribeCommandContent(interaction) {
+  const problem = subscriptionPermissionProblem(interaction);
+  if (problem) return problem;
+  const trackerId = optionValue(interaction, 'subscription');
+  const removed = trackerId
+    ? await deleteChannelSubscription(interactionChannelId(interaction), trackerId)
+    : null;
+  if (!removed) return 'This channel does not follow that course. Pick one from the list.';
+  return `This channel no longer follows **${trackerLabel(removed)}**.`;
+}
+
+// Autocomplete fires on every keystroke. Choices come from the cached course
+// index, and a keystroke that has to ask Cornell first takes the user's
+// one-second autocomplete cooldown, however many requests it then makes.
+export function throttledCornellFetch(userId, fetchImpl = fetch) {
+  let allowed = null;
+  return async (...args) => {
+    allowed ??= acquireCommandRateLimit(userId, 'autocomplete', AUTOCOMPLETE_LOOKUP_COOLDOWN_SECONDS);
+    if (!await allowed) {
+      throw Object.assign(new Error('Cornell lookups for autocomplete are cooling down.'), { name: 'AutocompleteThrottled' });
+    }
+    return fetchImpl(...args);
+  };
+}
+
+async function handleAutocomplete(interaction, userId) {
+  const focused = focusedOption(interaction);
+  try {
+    const mode = await currentMode();
+    if (mode !== 'cloud' || !focused) return autocompleteResult([]);
+
+    const command = interaction.data?.name;
+    const choosesCourse = command === 'track' || command === 'subscribe';
+    const cornellFetch = throttledCornellFetch(userId);
+    if (choosesCourse && focused.name === 'course') {
+      return autocompleteResult(await courseSuggestions(focused.value, cornellFetch));
+    }
+    if (choosesCourse && focused.name === 'section') {
+      const rosters = await activeRosters(cornellFetch);
+      const code = parseCourseCode(optionValue(interaction, 'course'), rosters.current);
+      const course = code?.catalogNbr && rosters.active.includes(code.roster)
+        ? await findCourse(code, cornellFetch)
+        : null;
+      return autocompleteResult(course ? sectionChoices(course, focused.value) : []);
+    }
+    if (command === 'untrack' && focused.name === 'tracker') {
+      return autocompleteResult(untrackChoices(await listTrackers(userId), focused.value));
+    }
+    if (command === 'unsubscribe' && focused.name === 'subscription') {
+      if (subscriptionPermissionProblem(interaction)) return autocompleteResult([]);
+      const subscriptions = await listChannelSubscriptions(interactionChannelId(interaction));
+      return autocompleteResult(untrackChoices(subscriptions, focused.value));
+    }
+    return autocompleteResult([]);
+  } catch (error) {
+    if (error.name === 'AutocompleteThrottled') return autocompleteResult([]);
+    console.warn('Discord autocomplete failed', {
+      command: interaction.data?.name,
+      option: focused?.name,
+      userId,
+      message: error.message
+    });
+    return autocompleteResult([]);
+  }
+}
+
+function updateMessage(content, components) {
+  return response(200, {
+    type: 7,
+    data: {
+      content,
+      allowed_mentions: { parse: [] },
+      components
+    }
+  });
+}
+
+export function parseAlertAction(customId) {
+  const match = /^(untrack|snooze-1h|snooze-24h):(\d+):(.+)$/.exec(customId || '');
+  if (!match) return null;
+  return { action: match[1], ownerId: match[2], trackerId: match[3] };
+}
+
+// Rebuilds the alert DM after a button press: the original text stays, a note
+// records what happened, and buttons that no longer apply are dropped.
+export function alertActionMessage(originalContent, { action, ownerId, trackerId }, outcome) {
+  const message = { discordUserId: ownerId, tracker: { trackerId } };
+  const content = String(originalContent || '').trim();
+  if (outcome.missing) {
+    return {
+      content: `${content}\n_This tracker is no longer in your watchlist._`.trim(),
+      components: alertComponents(message, { removed: true })
+    };
+  }
+  if (action === 'untrack') {
+    return {
+      content: `${content}\n_Stopped tracking. This course was removed from your watchlist._`.trim(),
+      components: alertComponents(message, { removed: true })
+    };
+  }
+  const until = Math.floor(Date.parse(outcome.snoozedUntil) / 1000);
+  return {
+    content: `${content}\n_Alerts snoozed until <t:${until}:f>._`.trim(),
+    components: alertComponents(message, { snoozed: true })
+  };
+}
+
+async function handleAlertAction(interaction, userId, now = new Date()) {
+  const parsed = parseAlertAction(interaction.data?.custom_id);
+  if (!parsed) return ephemeral('That CourseSnag button is not supported.');
+  if (parsed.ownerId !== userId) return ephemeral('This alert belongs to another Discord account.');
+
+  try {
+    const mode = await currentMode();
+    if (mode !== 'cloud') return ephemeral(unavailableCommandContent());
+
+    const originalContent = interaction.message?.content;
+    const tracker = await getTracker(userId, parsed.trackerId);
+    if (!tracker || tracker.userId !== userId) {
+      const updated = alertActionMessage(originalContent, parsed, { missing: true });
+      return updateMessage(updated.content, updated.components);
+    }
+
+    if (parsed.action === 'untrack') {
+      await deleteTracker(userId, parsed.trackerId);
+      const updated = alertActionMessage(originalContent, parsed, {});
+      return updateMessage(updated.content, updated.components);
+    }
+
+    const snoozedUntil = new Date(now.getTime() + SNOOZE_MINUTES[parsed.action] * 60_000).toISOString();
+    const snoozed = await snoozeTracker(userId, parsed.trackerId, snoozedUntil);
+    const updated = alertActionMessage(originalContent, parsed, snoozed
+      ? { snoozedUntil }
+      : { missing: true });
+    return updateMessage(updated.content, updated.components);
+  } catch (error) {
+    console.error('Discord alert action failed', {
+      action: parsed.action,
+      userId,
+      message: error.message
+    });
+    return ephemeral('CourseSnag could not update this tracker. Try again shortly.');
+  }
+}
+
+function commandFailureContent(commandName) {
+  if (commandName === 'subscribe' || commandName === 'unsubscribe') {
+    return 'CourseSnag could not update this channel\'s subscriptions. Try again shortly.';
+  }
+  return commandName === 'tracked'
+    ? 'CourseSnag could not load your Discord watchlist. Try again shortly.'
+    : 'CourseSnag could not update your Discord watchlist. Try again shortly.';
+}
+
+// Queues the rest of a command for the notifier. The interaction token lets
+// the follow-up edit the deferred response for fifteen minutes.
+async function deferCommand(commandName, userId, interaction) {
+  await sendAlertMessages([{
+    type: 'command-followup',
+    eventId: `interaction:${interaction.id}`,
+    command: commandName,
+    userId,
+    interaction: {
+      id: interaction.id,
+      application_id: interaction.application_id,
+      token: interaction.token,
+      guild_id: interaction.guild_id,
+      channel_id: interactionChannelId(interaction),
+      app_permissions: interaction.app_permissions,
+      member: interaction.member && { permissions: interaction.member.permissions },
+      data: interaction.data
+    }
+  }]);
+  return deferredEphemeral();
+}
+
+// Runs a deferred command and replaces its "thinking…" response with the
+// answer. A command error becomes the reply; a failed edit is retried.
+export async function completeDeferredCommand({ command, userId, interaction }, { fetchImpl = fetch } = {}) {
+  let content;
+  try {
+    content = command === 'subscribe'
+      ? await subscribeCommandContent(userId, interaction, fetchImpl)
+      : await trackCommandContent(userId, interaction, fetchImpl);
+  } catch (error) {
+    console.error('Deferred Discord command failed', {
+      command,
+      userId,
+      message: error.message
+    });
+    content = commandFailureContent(command);
+  }
+  await editInteractionResponse(interaction.application_id, interaction.token, {
+    content,
+    allowed_mentions: { parse: [] }
+  });
+}
+
 export async function handler(event) {
   const body = rawRequestBody(event);
   const signature = headerValue(event?.headers, 'x-signature-ed25519');
@@ -178,29 +625,31 @@ export async function handler(event) {
   }
 
   if (interaction.type === 1) return response(200, { type: 1 });
-  if (interaction.type !== 2 || interaction.data?.name !== 'tracked') {
+  const commandName = interaction.data?.name;
+  const isCommand = (interaction.type === 2 || interaction.type === 4)
+    && Object.hasOwn(COMMAND_COOLDOWN_SECONDS, commandName);
+  if (interaction.type !== 3 && !isCommand) {
     return ephemeral('That CourseSnag command is not supported.');
   }
 
   const userId = interaction.member?.user?.id || interaction.user?.id;
   if (!/^\d+$/.test(userId || '')) return ephemeral('Discord user information was unavailable.');
+  if (interaction.type === 3) return handleAlertAction(interaction, userId);
+  if (interaction.type === 4) return handleAutocomplete(interaction, userId);
 
   try {
     const mode = await currentMode();
     if (mode !== 'cloud') return ephemeral(unavailableCommandContent());
 
-    const allowed = await acquireCommandRateLimit(
-      userId,
-      'tracked',
-      TRACKED_COMMAND_COOLDOWN_SECONDS
-    );
+    const cooldownSeconds = COMMAND_COOLDOWN_SECONDS[commandName];
+    const allowed = await acquireCommandRateLimit(userId, commandName, cooldownSeconds);
     if (!allowed) {
-      return ephemeral(`Please wait ${TRACKED_COMMAND_COOLDOWN_SECONDS} seconds before using \`/tracked\` again.`);
+      return ephemeral(`Please wait ${cooldownSeconds} seconds before using \`/${commandName}\` again.`);
     }
 
     const profile = await getProfile(userId);
     if (!profile?.discordUserId) {
-      const prompt = unlinkedAccountPrompt();
+      const prompt = unlinkedAccountPrompt(commandName);
       return ephemeral(prompt.content, prompt.components);
     }
 
@@ -212,14 +661,30 @@ export async function handler(event) {
         message: error.message
       });
     }
+    if (commandName === 'track') return deferCommand(commandName, userId, interaction);
+    if (commandName === 'untrack') return ephemeral(await untrackCommandContent(userId, interaction));
+    if (commandName === 'subscribe') {
+      const problem = subscribeCommandProblem(interaction);
+      return problem ? ephemeral(problem) : deferCommand(commandName, userId, interaction);
+    }
+    if (commandName === 'unsubscribe') return ephemeral(await unsubscribeCommandContent(interaction));
     const trackers = await listTrackers(userId);
-    return ephemeral(trackedCoursesContent(trackers));
+    let statistics = new Map();
+    try {
+      statistics = await getSeatStatistics(trackers);
+    } catch (error) {
+      console.warn('Seat statistics could not be loaded', {
+        userId,
+        message: error.message
+      });
+    }
+    return ephemeral(trackedCoursesContent(trackers, statistics));
   } catch (error) {
     console.error('Discord interaction failed', {
-      command: interaction.data?.name,
+      command: commandName,
       userId,
       message: error.message
     });
-    return ephemeral('CourseSnag could not load your Discord watchlist. Try again shortly.');
+    return ephemeral(commandFailureContent(commandName));
   }
 }
@@ -1,9 +1,22 @@
+import { readFile } from 'node:fs/promises';
 import { GetParameterCommand, SSMClient } from '@aws-sdk/client-ssm';
 import { config, requireConfig } from './config.mjs';
 
 const ssm = new SSMClient({});
 
+// MODE_FILE replaces the SSM parameter for local runs. Like the parameter's
+// initial value, a missing file means Local Standby.
+async function modeFromFile(path) {
+  try {
+    return (await readFile(path, 'utf8')).trim() || 'local';
+  } catch (error) {
+    if (error.code === 'ENOENT') return 'local';
+    throw error;
+  }
+}
+
 export async function currentMode() {
+  if (config.modeFile) return modeFromFile(config.modeFile);
   requireConfig('modeParameterName');
   const result = await ssm.send(new GetParameterCommand({
     Name: config.modeParameterName
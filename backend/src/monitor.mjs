@@ -1,6 +1,27 @@
 import { randomUUID } from 'node:crypto';
-import { buildStatusIndex, fetchCurrentRoster, fetchSubjectClasses, wait } from './cornell.mjs';
-import { availabilityEventForTransition, groupTrackersByRosterSubject } from './domain.mjs';
+import {
+  buildCourseSectionIndex,
+  buildStatusIndex,
+  fetchActiveRosters,
+  fetchSubjectClasses,
+  rosterIsBefore,
+  wait
+} from './cornell.mjs';
+import { config } from './config.mjs';
+import {
+  FLAP_POLICY_DEFAULTS,
+  alertDecisionForObservation,
+  closeAlertNeedsConfirmation,
+  courseTrackerObservation,
+  groupTrackersByRosterSubject,
+  isChannelSubscription,
+  isCourseTracker,
+  notificationPreferences,
+  rolloverTrackerInput,
+  trackerOwnerId
+} from './domain.mjs';
+import { flushDueDigests } from './digests.mjs';
+import { observedSections, recordSectionHistory } from './history.mjs';
 import { currentMode } from './mode.mjs';
 import {
   monitorPollIsDue,
@@ -10,18 +31,26 @@ import {
 import { sendAlertMessages } from './queue.mjs';
 import {
   acquireMonitorLease,
+  claimRosterRollover,
+  deleteChannelSubscription,
   deleteTracker,
   getMonitorRunStatus,
   getProfiles,
   listAllActiveTrackers,
+  markRosterRolloverNotified,
+  markTrackerRolloverUnmatched,
+  putChannelSubscription,
   putMonitorPollStarted,
   putMonitorRunStatus,
+  putTracker,
+  recordTrackerMissing,
   releaseMonitorLease,
   updateTrackerStatus
 } from './storage.mjs';
 
 const MINIMUM_REMAINING_TIME_MS = 20_000;
 const MONITOR_LEASE_SECONDS = 360;
+export const MISSING_POLLS_BEFORE_RETIREMENT = 3;
 
 async function completeMonitorRun(summary) {
   const result = {
@@ -39,13 +68,20 @@ export function monitorStatusForFailures(failedGroups, deferredGroups = 0) {
     : 'ok';
 }
 
-export function partitionTrackersForRoster(trackers, currentRoster) {
+// Trackers on an active roster are polled and trackers on an earlier roster
+// roll over to the current one. A later roster the owner has not activated is
+// left alone until it becomes active.
+export function partitionTrackersForRoster(trackers, { current: currentRoster, active }) {
+  const activeRosters = new Set(active);
   const current = [];
   const expired = [];
+  const inactive = [];
   for (const tracker of trackers) {
-    (tracker.roster === currentRoster ? current : expired).push(tracker);
+    if (activeRosters.has(tracker.roster)) current.push(tracker);
+    else if (rosterIsBefore(tracker.roster, currentRoster)) expired.push(tracker);
+    else inactive.push(tracker);
   }
-  return { current, expired };
+  return { current, expired, inactive };
 }
 
 export function rotateMonitorGroups(groups, resumeAfterGroup = '') {
@@ -57,35 +93,290 @@ export function rotateMonitorGroups(groups, resumeAfterGroup = '') {
   return [...entries.slice(start), ...entries.slice(0, start)];
 }
 
+// Expands one tracker against a subject response. Section trackers read their
+// own class number; course trackers read every matching section, including
+// sections Cornell added after the tracker was created. Returns null when the
+// tracked section or course is absent from the response.
+export function observeTracker(tracker, statuses, courseSections) {
+  if (!isCourseTracker(tracker)) {
+    const status = statuses.get(String(tracker.classNbr));
+    return status === undefined ? null : { status };
+  }
+  const observation = courseTrackerObservation(
+    tracker,
+    courseSections.get(`${tracker.subject}:${tracker.catalogNbr}`)
+  );
+  if (!observation) return null;
+  return {
+    status: observation.status,
+    openSections: observation.openSections.map(section => ({
+      classNbr: section.classNbr,
+      section: section.section,
+      ssrComponent: section.ssrComponent
+    }))
+  };
+}
+
+// One partial Cornell response must not wipe a subject's watchlists. When
+// most tracked sections of a subject vanish at once, or Cornell returns no
+// classes at all, no absence is counted for that poll.
+export function missingSectionsLookPartial(classes, trackers, missingTrackers) {
+  if (!missingTrackers.length) return false;
+  if (!classes.length) return true;
+  const tracked = new Set(trackers.map(tracker => tracker.trackerId));
+  const missing = new Set(missingTrackers.map(tracker => tracker.trackerId));
+  return tracked.size > 1 && missing.size * 2 > tracked.size;
+}
+
+export function trackerRetirementIsDue(missingPolls) {
+  return Number(missingPolls || 0) >= MISSING_POLLS_BEFORE_RETIREMENT;
+}
+
+function policyMinutes(value, fallback) {
+  const minutes = Number(value);
+  return value !== '' && Number.isFinite(minutes) && minutes >= 0 ? minutes : fallback;
+}
+
+export function flapPolicyFromConfig(values = config) {
+  return {
+    minimumDwellMinutes: policyMinutes(
+      values.flapMinimumDwellMinutes,
+      FLAP_POLICY_DEFAULTS.minimumDwellMinutes
+    ),
+    alertCooldownMinutes: policyMinutes(
+      values.flapAlertCooldownMinutes,
+      FLAP_POLICY_DEFAULTS.alertCooldownMinutes
+    ),
+    confirmCloseAlerts: values.flapConfirmCloseAlerts
+      ? values.flapConfirmCloseAlerts !== 'false'
+      : FLAP_POLICY_DEFAULTS.confirmCloseAlerts
+  };
+}
+
+// A section can close and reopen between two Cornell requests. Before an
+// owner is told an open section closed, the subject is read once more; a
+// section that is open again is treated as a flap and stays open. Otherwise
+// the confirming read is the status recorded and alerted, so a section seen
+// closed and then waitlisted is reported waitlisted.
+async function confirmCloseAlerts(group, observations, { checkedAt, flapPolicy, sleep }) {
+  await sleep(1_000);
+  let statuses;
+  let courseSections;
+  try {
+    const classes = await fetchSubjectClasses(group.roster, group.subject);
+    statuses = buildStatusIndex(classes);
+    courseSections = buildCourseSectionIndex(classes);
+  } catch (error) {
+    console.warn('Cornell close confirmation failed; deferring close alerts', {
+      roster: group.roster,
+      subject: group.subject,
+      message: error.message
+    });
+  }
+
+  for (const observation of observations) {
+    const confirmed = statuses ? observeTracker(observation.tracker, statuses, courseSections) : null;
+    if (!confirmed) {
+      observation.decision = { ...observation.decision, suppressed: 'confirmation-unavailable' };
+    } else if (confirmed.status === 'O') {
+      observation.newStatus = confirmed.status;
+      observation.openSections = confirmed.openSections;
+      observation.decision = { ...observation.decision, suppressed: 'confirmation' };
+    } else if (confirmed.status !== observation.newStatus) {
+      observation.newStatus = confirmed.status;
+      observation.openSections = confirmed.openSections;
+      observation.decision = alertDecisionForObservation(
+        observation.tracker,
+        confirmed.status,
+        checkedAt,
+        flapPolicy
+      );
+    }
+  }
+}
+
+function logSuppressedAlert(observation, checkedAt) {
+  const { tracker, newStatus, decision } = observation;
+  console.log('Suppressed availability alert', {
+    ...(isChannelSubscription(tracker) ? { channelId: tracker.channelId } : { userId: tracker.userId }),
+    trackerId: tracker.trackerId,
+    notificationType: decision.notificationType,
+    alertedStatus: tracker.alertedStatus || tracker.lastStatus || 'UNKNOWN',
+    newStatus,
+    reason: decision.suppressed,
+    checkedAt
+  });
+}
+
 function remainingTimeIsLow(context) {
   return typeof context?.getRemainingTimeInMillis === 'function'
     && context.getRemainingTimeInMillis() < MINIMUM_REMAINING_TIME_MS;
 }
 
-function messageForTransition(tracker, profile, checkedAt, queuedAt) {
+function messageTracker(tracker) {
+  return {
+    trackerId: tracker.trackerId,
+    kind: tracker.kind || 'section',
+    roster: tracker.roster,
+    subject: tracker.subject,
+    classNbr: tracker.classNbr || '',
+    catalogNbr: tracker.catalogNbr || '',
+    title: tracker.title || '',
+    section: tracker.section || '',
+    ssrComponent: tracker.ssrComponent || '',
+    classTime: tracker.classTime || ''
+  };
+}
+
+// Channel subscriptions post to their channel, with the optional role mention;
+// user trackers go to the owner's DMs.
+function messageRecipient(tracker, profile) {
+  if (isChannelSubscription(tracker)) {
+    return {
+      guildId: tracker.guildId,
+      channelId: tracker.channelId,
+      ...(tracker.roleId ? { roleId: tracker.roleId } : {})
+    };
+  }
   const discordUserId = profile?.discordUserId || tracker.userId;
-  if (!discordUserId) return null;
+  return discordUserId ? { discordUserId } : null;
+}
+
+function profileOwnerIds(trackers) {
+  return trackers.filter(tracker => !isChannelSubscription(tracker)).map(tracker => tracker.userId);
+}
+
+async function removeTracker(tracker) {
+  if (isChannelSubscription(tracker)) {
+    return deleteChannelSubscription(tracker.channelId, tracker.trackerId);
+  }
+  return deleteTracker(tracker.userId, tracker.trackerId);
+}
+
+function messageForTransition(tracker, profile, checkedAt, queuedAt) {
+  const recipient = messageRecipient(tracker, profile);
+  if (!recipient) return null;
   return {
     eventId: monitorTransitionId(tracker, tracker.notificationType, tracker.newStatus),
     type: tracker.notificationType,
-    discordUserId,
+    ...recipient,
     tracker: {
-      roster: tracker.roster,
-      subject: tracker.subject,
-      classNbr: tracker.classNbr,
-      catalogNbr: tracker.catalogNbr || '',
-      title: tracker.title || '',
-      section: tracker.section || '',
-      classTime: tracker.classTime || ''
+      ...messageTracker(tracker),
+      ...(isCourseTracker(tracker) ? { openSections: tracker.openSections || [] } : {})
     },
     status: tracker.newStatus,
+    ...(tracker.removeAfterAlert ? { removedAfterAlert: true } : {}),
     sourceObservedAt: checkedAt,
     detectedAt: checkedAt,
     queuedAt
   };
 }
 
-async function monitorCycle({ context, intervalMinutes, previousRun, startedAt }) {
+function retirementMessage(tracker, profile, reason, pollId, queuedAt) {
+  const recipient = messageRecipient(tracker, profile);
+  if (!recipient) return null;
+  return {
+    eventId: `tracker-retired:${trackerOwnerId(tracker)}:${tracker.trackerId}:${pollId}`,
+    type: 'tracker-retired',
+    ...recipient,
+    reason,
+    missingPolls: MISSING_POLLS_BEFORE_RETIREMENT,
+    tracker: messageTracker(tracker),
+    detectedAt: queuedAt,
+    queuedAt
+  };
+}
+
+function rolloverUnmatchedMessage(tracker, profile, toRoster, queuedAt) {
+  const recipient = messageRecipient(tracker, profile);
+  if (!recipient) return null;
+  return {
+    eventId: `roster-rollover:${trackerOwnerId(tracker)}:${tracker.trackerId}:${toRoster}`,
+    type: 'tracker-rollover-unmatched',
+    ...recipient,
+    toRoster,
+    tracker: messageTracker(tracker),
+    detectedAt: queuedAt,
+    queuedAt
+  };
+}
+
+// Moves trackers from a previous roster to the same course, section, and
+// component in Cornell's current roster. Each outcome is claimed before any
+// side effect, so a retried run finishes the same move without another DM.
+// Subjects that cannot be read are retried by the next poll.
+async function rollOverTrackers(expired, currentRoster, { context, sleep }) {
+  const result = { rolledOver: 0, unmatched: 0, alertsQueued: 0, failedGroups: 0 };
+  const bySubject = new Map();
+  for (const tracker of expired) {
+    if (!bySubject.has(tracker.subject)) bySubject.set(tracker.subject, []);
+    bySubject.get(tracker.subject).push(tracker);
+  }
+
+  for (const [subject, trackers] of bySubject) {
+    if (remainingTimeIsLow(context)) break;
+    await sleep(1_000);
+
+    let courseSections;
+    try {
+      const classes = await fetchSubjectClasses(currentRoster, subject);
+      if (!classes.length) throw new Error('Cornell returned no classes for the subject.');
+      courseSections = buildCourseSectionIndex(classes);
+    } catch (error) {
+      result.failedGroups += 1;
+      console.error('Cornell roster rollover lookup failed', {
+        roster: currentRoster,
+        subject,
+        message: error.message
+      });
+      continue;
+    }
+
+    const unmatched = [];
+    for (const tracker of trackers) {
+      const next = rolloverTrackerInput(tracker, currentRoster, courseSections);
+      const record = await claimRosterRollover(
+        tracker,
+        currentRoster,
+        next ? 'moved' : 'unmatched',
+        next?.trackerId || ''
+      );
+      // A retried run may see a listing that no longer gives the recorded
+      // target. The move still goes there while Cornell lists it; otherwise
+      // the tracker is kept as unmatched rather than polled for ever.
+      const target = record.outcome === 'moved' && next?.trackerId !== record.toTrackerId
+        ? rolloverTrackerInput(tracker, currentRoster, courseSections, record.toTrackerId)
+        : next;
+      if (record.outcome === 'moved' && target) {
+        if (isChannelSubscription(tracker)) await putChannelSubscription(tracker, target);
+        else await putTracker(tracker.userId, target);
+        await removeTracker(tracker);
+        result.rolledOver += 1;
+      } else {
+        unmatched.push({ tracker, record });
+      }
+    }
+
+    const profiles = await getProfiles(profileOwnerIds(unmatched.map(item => item.tracker)));
+    for (const { tracker, record } of unmatched) {
+      if (!record.notifiedAt) {
+        const message = rolloverUnmatchedMessage(
+          tracker,
+          profiles.get(tracker.userId),
+          currentRoster,
+          new Date().toISOString()
+        );
+        if (message) result.alertsQueued += await sendAlertMessages([message]);
+        await markRosterRolloverNotified(record);
+      }
+      await markTrackerRolloverUnmatched(tracker, currentRoster);
+      result.unmatched += 1;
+    }
+  }
+  return result;
+}
+
+async function monitorCycle({ context, intervalMinutes, previousRun, startedAt, sleep }) {
   let trackers = await listAllActiveTrackers();
   if (!trackers.length) {
     return completeMonitorRun({
@@ -102,11 +393,11 @@ async function monitorCycle({ context, intervalMinutes, previousRun, startedAt }
     });
   }
 
-  let currentRoster;
+  let rosters;
   try {
-    currentRoster = await fetchCurrentRoster();
+    rosters = await fetchActiveRosters();
   } catch (error) {
-    console.error('Cornell current-roster check failed', { message: error.message });
+    console.error('Cornell active-roster check failed', { message: error.message });
     return completeMonitorRun({
       status: 'degraded',
       checked: 0,
@@ -121,23 +412,29 @@ async function monitorCycle({ context, intervalMinutes, previousRun, startedAt }
     });
   }
 
-  const rosterTrackers = partitionTrackersForRoster(trackers, currentRoster);
-  for (const tracker of rosterTrackers.expired) {
-    await deleteTracker(tracker.userId, tracker.trackerId);
-  }
-  let removed = rosterTrackers.expired.length;
+  const rosterTrackers = partitionTrackersForRoster(trackers, rosters);
+  const rollover = rosterTrackers.expired.length
+    ? await rollOverTrackers(rosterTrackers.expired, rosters.current, { context, sleep })
+    : { rolledOver: 0, unmatched: 0, alertsQueued: 0, failedGroups: 0 };
+  // Unmatched trackers stay in their owners' watchlists, so they are counted
+  // apart from trackers the run deleted.
+  let removed = 0;
+  const rolledOver = rollover.rolledOver;
+  const rolloverUnmatched = rollover.unmatched;
   trackers = rosterTrackers.current;
 
   if (!trackers.length) {
     return completeMonitorRun({
-      status: 'ok',
+      status: monitorStatusForFailures(rollover.failedGroups),
       checked: 0,
-      alertsQueued: 0,
+      alertsQueued: rollover.alertsQueued,
       groups: 0,
       processedGroups: 0,
       deferredGroups: 0,
-      failedGroups: 0,
+      failedGroups: rollover.failedGroups,
       removed,
+      rolledOver,
+      rolloverUnmatched,
       intervalMinutes,
       startedAt
     });
@@ -145,19 +442,21 @@ async function monitorCycle({ context, intervalMinutes, previousRun, startedAt }
 
   const groups = groupTrackersByRosterSubject(trackers);
   const orderedGroups = rotateMonitorGroups(groups, previousRun?.resumeAfterGroup);
+  const flapPolicy = flapPolicyFromConfig();
   let checked = 0;
-  let alertsQueued = 0;
+  let suppressedAlerts = 0;
+  let alertsQueued = rollover.alertsQueued;
   let processedGroups = 0;
-  let failedGroups = 0;
+  let failedGroups = rollover.failedGroups;
   let resumeAfterGroup = '';
 
-  // The current-roster lookup is also a Cornell API request. Keep the first
+  // The active-roster lookup is also a Cornell API request. Keep the first
   // subject request at least one second behind it, then space every group.
-  await wait(1_000);
+  await sleep(1_000);
 
   for (const [groupKey, group] of orderedGroups) {
     if (remainingTimeIsLow(context)) break;
-    if (processedGroups > 0) await wait(1_000);
+    if (processedGroups > 0) await sleep(1_000);
 
     resumeAfterGroup = groupKey;
     processedGroups += 1;
@@ -165,26 +464,65 @@ async function monitorCycle({ context, intervalMinutes, previousRun, startedAt }
     try {
       const classes = await fetchSubjectClasses(group.roster, group.subject);
       const statuses = buildStatusIndex(classes);
+      const courseSections = buildCourseSectionIndex(classes);
       const checkedAt = new Date().toISOString();
-      const changed = [];
       const observations = [];
+      const missing = [];
 
       for (const tracker of group.trackers) {
-        const newStatus = statuses.get(String(tracker.classNbr));
-        if (newStatus === undefined) {
-          await deleteTracker(tracker.userId, tracker.trackerId);
-          removed += 1;
+        const observation = observeTracker(tracker, statuses, courseSections);
+        if (!observation) {
+          missing.push(tracker);
           continue;
         }
 
-        const notificationType = availabilityEventForTransition(tracker.lastStatus, newStatus);
-        if (notificationType) {
-          changed.push({ ...tracker, notificationType, newStatus });
-        }
-        observations.push({ tracker, newStatus });
+        observations.push({
+          tracker,
+          newStatus: observation.status,
+          openSections: observation.openSections,
+          decision: alertDecisionForObservation(tracker, observation.status, checkedAt, flapPolicy)
+        });
         checked += 1;
       }
 
+      try {
+        await recordSectionHistory(
+          group.roster,
+          observedSections(group.trackers, statuses, courseSections),
+          checkedAt
+        );
+      } catch (error) {
+        console.warn('Section history update failed', {
+          roster: group.roster,
+          subject: group.subject,
+          message: error.message
+        });
+      }
+
+      const unconfirmed = observations.filter(observation => (
+        closeAlertNeedsConfirmation(observation.tracker, observation.decision, flapPolicy)
+      ));
+      if (unconfirmed.length) await confirmCloseAlerts(group, unconfirmed, { checkedAt, flapPolicy, sleep });
+
+      const changed = [];
+      for (const observation of observations) {
+        const { tracker, newStatus, openSections, decision } = observation;
+        if (!decision.notificationType || decision.muted) continue;
+        if (decision.suppressed) {
+          logSuppressedAlert(observation, checkedAt);
+          suppressedAlerts += 1;
+          continue;
+        }
+        changed.push({
+          ...tracker,
+          notificationType: decision.notificationType,
+          newStatus,
+          openSections,
+          removeAfterAlert: decision.notificationType === 'course-opened'
+            && notificationPreferences(tracker).removeAfterOpen
+        });
+      }
+
       // A stop operation can begin during a long scan. Do not queue another
       // group after the mode leaves its stable Discord Active state.
       if (await currentMode() !== 'cloud') {
@@ -198,13 +536,34 @@ async function monitorCycle({ context, intervalMinutes, previousRun, startedAt }
           deferredGroups,
           failedGroups,
           removed,
+          rolledOver,
+          rolloverUnmatched,
+          suppressedAlerts,
           intervalMinutes,
           startedAt,
           resumeAfterGroup: previousRun?.resumeAfterGroup || ''
         });
       }
 
-      const profiles = await getProfiles(changed.map(item => item.userId));
+      // Absence is counted at most once per poll, and a tracker is retired
+      // only after several consecutive polls could not find it.
+      const retired = [];
+      if (missingSectionsLookPartial(classes, group.trackers, missing)) {
+        console.warn('Cornell subject response looks partial; keeping missing trackers', {
+          roster: group.roster,
+          subject: group.subject,
+          classes: classes.length,
+          tracked: group.trackers.length,
+          missing: missing.length
+        });
+      } else {
+        for (const tracker of missing) {
+          const missingPolls = await recordTrackerMissing(tracker, startedAt, checkedAt);
+          if (trackerRetirementIsDue(missingPolls)) retired.push(tracker);
+        }
+      }
+
+      const profiles = await getProfiles(profileOwnerIds([...changed, ...retired]));
       const queuedAt = new Date().toISOString();
       const messages = changed.flatMap(tracker => {
         const message = messageForTransition(
@@ -215,12 +574,43 @@ async function monitorCycle({ context, intervalMinutes, previousRun, startedAt }
         );
         return message ? [message] : [];
       });
+      for (const tracker of retired) {
+        const message = retirementMessage(
+          tracker,
+          profiles.get(tracker.userId),
+          isCourseTracker(tracker) ? 'course-missing' : 'section-missing',
+          startedAt,
+          queuedAt
+        );
+        if (message) messages.push(message);
+      }
 
       // Commit each group independently. Earlier groups remain delivered and
       // current even if a later Cornell request fails or the run nears timeout.
       if (messages.length) alertsQueued += await sendAlertMessages(messages);
       for (const observation of observations) {
-        await updateTrackerStatus(observation.tracker, observation.newStatus, checkedAt);
+        const { decision } = observation;
+        const alerted = decision.notificationType && !decision.suppressed && !decision.muted;
+        await updateTrackerStatus(
+          observation.tracker,
+          observation.newStatus,
+          checkedAt,
+          observation.openSections,
+          {
+            alertType: alerted ? decision.notificationType : null,
+            acknowledged: decision.muted
+          }
+        );
+      }
+      // One-shot trackers leave the watchlist once their open alert is queued.
+      for (const tracker of changed) {
+        if (!tracker.removeAfterAlert) continue;
+        await removeTracker(tracker);
+        removed += 1;
+      }
+      for (const tracker of retired) {
+        await removeTracker(tracker);
+        removed += 1;
       }
     } catch (error) {
       failedGroups += 1;
@@ -242,6 +632,9 @@ async function monitorCycle({ context, intervalMinutes, previousRun, startedAt }
     deferredGroups,
     failedGroups,
     removed,
+    rolledOver,
+    rolloverUnmatched,
+    suppressedAlerts,
     intervalMinutes,
     startedAt,
     resumeAfterGroup: deferredGroups > 0
@@ -250,7 +643,9 @@ async function monitorCycle({ context, intervalMinutes, previousRun, startedAt }
   });
 }
 
-export async function handler(event = {}, context = {}) {
+// `sleep` spaces Cornell requests; the pipeline simulation passes one that
+// advances its virtual clock.
+export async function runMonitor(event = {}, context = {}, { sleep = wait } = {}) {
   if (await currentMode() !== 'cloud') {
     return completeMonitorRun({
       status: 'paused',
@@ -266,6 +661,15 @@ export async function handler(event = {}, context = {}) {
   }
 
   const now = new Date();
+  // Digests do not wait for the adaptive polling schedule; each five-minute
+  // tick releases the ones whose quiet hours have ended.
+  try {
+    const digests = await flushDueDigests(now);
+    if (digests.heldMessages) console.log('Quiet-hours digests queued', digests);
+  } catch (error) {
+    console.error('Quiet-hours digest flush failed', { message: error.message });
+  }
+
   const intervalMinutes = pollingIntervalMinutesAt(now);
   const previousRun = await getMonitorRunStatus();
   if (!monitorPollIsDue(previousRun?.lastPollStartedAt, now, event.force === true)) {
@@ -292,7 +696,7 @@ export async function handler(event = {}, context = {}) {
       return { status: 'paused', intervalMinutes };
     }
     await putMonitorPollStarted(startedAt, intervalMinutes);
-    return await monitorCycle({ context, intervalMinutes, previousRun, startedAt });
+    return await monitorCycle({ context, intervalMinutes, previousRun, startedAt, sleep });
   } catch (error) {
     console.error('Monitor cycle failed before it could finish', { message: error.message });
     return completeMonitorRun({
@@ -311,3 +715,9 @@ export async function handler(event = {}, context = {}) {
     await releaseMonitorLease(leaseOwner);
   }
 }
+
+// Lambda passes a callback as the third argument, so only the event and
+// context go through.
+export function handler(event, context) {
+  return runMonitor(event, context);
+}
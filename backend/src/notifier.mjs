@@ -1,18 +1,168 @@
-import { sendDirectMessage } from './discord.mjs';
+import {
+  closedAgainContent,
+  editDirectMessage,
+  notificationContent,
+  sendChannelMessage,
+  sendDirectMessage
+} from './discord.mjs';
+import { closedAlertDelivery, quietHoursPreferences } from './domain.mjs';
+import { completeDeferredCommand } from './interactions.mjs';
 import { currentMode } from './mode.mjs';
+import { quietHoursAreActiveAt, quietHoursEndAfter } from './polling.mjs';
+import {
+  clearOpenAlertMessage,
+  deleteChannelSubscriptions,
+  getProfile,
+  getTracker,
+  holdDigestMessage,
+  recordOpenAlertMessage
+} from './storage.mjs';
+import { deliverWebhooks } from './webhooks.mjs';
 
-const COURSE_NOTIFICATION_TYPES = new Set(['course-opened', 'course-not-open']);
+const COURSE_NOTIFICATION_TYPES = new Set(['course-opened', 'course-not-open', 'alert-digest']);
 
 export function shouldDeliverNotification(message, mode) {
   return !COURSE_NOTIFICATION_TYPES.has(message?.type) || mode === 'cloud';
 }
 
+// Close and waitlist alerts wait for the end of quiet hours. Open alerts wait
+// too unless the owner lets them bypass quiet hours.
+export function notificationIsHeld(message, quietHours, now = new Date()) {
+  if (message?.type === 'course-opened') {
+    if (quietHours?.openAlertsBypass) return false;
+  } else if (message?.type !== 'course-not-open') {
+    return false;
+  }
+  return quietHoursAreActiveAt(quietHours, now);
+}
+
+async function profileFor(userId, profiles) {
+  if (!profiles.has(userId)) profiles.set(userId, await getProfile(userId));
+  return profiles.get(userId);
+}
+
+async function holdForQuietHours(message, profiles) {
+  const userId = message.discordUserId;
+  const quietHours = quietHoursPreferences(await profileFor(userId, profiles));
+  const now = new Date();
+  if (!notificationIsHeld(message, quietHours, now)) return false;
+  await holdDigestMessage(userId, message, quietHoursEndAfter(quietHours, now));
+  return true;
+}
+
+// Webhooks go out on the first receive only, so an SQS retry caused by a
+// failed Discord DM does not post the same event to every webhook again.
+export function webhookDeliveryIsDue(record) {
+  return Number(record?.attributes?.ApproximateReceiveCount || 1) <= 1;
+}
+
+export function closedAlertNeedsNewMessage(delivery, edited) {
+  return delivery !== 'edit' || !edited;
+}
+
+// Edits the open DM for the same tracker when it closes or is waitlisted.
+// Edits do not ping, so they happen even during quiet hours. Returns whether a
+// new close DM should still be sent, and the earlier open alert it edited.
+async function updateEarlierOpenAlert(message, profiles) {
+  const userId = message.discordUserId;
+  const trackerId = message.tracker?.trackerId;
+  if (message.type !== 'course-not-open' || !trackerId) return { sendNew: true, earlier: null };
+  const delivery = closedAlertDelivery(await profileFor(userId, profiles));
+  if (delivery === 'send') return { sendNew: true, earlier: null };
+
+  const earlier = (await getTracker(userId, trackerId))?.openAlertMessage;
+  if (!earlier?.channelId || !earlier?.messageId) return { sendNew: true, earlier: null };
+  let edited = false;
+  try {
+    await editDirectMessage(earlier.channelId, earlier.messageId, closedAgainContent(earlier.content, message));
+    edited = true;
+  } catch (error) {
+    console.warn('Earlier open alert could not be edited', {
+      eventId: message.eventId || null,
+      messageId: earlier.messageId,
+      message: error.message
+    });
+  }
+  return { sendNew: closedAlertNeedsNewMessage(delivery, edited), earlier };
+}
+
+// The open alert stays recorded until the close has been delivered, so a
+// record that fails after the edit is retried with the edit as well. A record
+// is already delivered here, so a failed clear is only logged.
+async function forgetEarlierOpenAlert(message, earlier) {
+  if (!earlier) return;
+  try {
+    await clearOpenAlertMessage(message.discordUserId, message.tracker.trackerId, earlier.messageId);
+  } catch (error) {
+    console.warn('Earlier open alert could not be cleared', {
+      eventId: message.eventId || null,
+      messageId: earlier.messageId,
+      message: error.message
+    });
+  }
+}
+
+async function rememberOpenAlert(message, sent) {
+  const trackerId = message.tracker?.trackerId;
+  if (message.type !== 'course-opened' || message.removedAfterAlert || !trackerId || !sent?.id) return;
+  try {
+    await recordOpenAlertMessage(message.discordUserId, trackerId, {
+      channelId: String(sent.channel_id),
+      messageId: String(sent.id),
+      content: notificationContent(message).content,
+      eventId: message.eventId || null,
+      sentAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.warn('Open alert message could not be recorded', {
+      eventId: message.eventId || null,
+      message: error.message
+    });
+  }
+}
+
+// A channel the bot can no longer see or post in fails the same way on every
+// retry, so the message is dropped instead of filling the dead-letter queue.
+// A deleted channel also loses its subscriptions.
+async function postChannelNotification(message, record) {
+  try {
+    await sendChannelMessage(message);
+  } catch (error) {
+    if (error.status !== 403 && error.status !== 404) throw error;
+    console.warn('Channel subscription alert could not be posted', {
+      messageId: record.messageId,
+      eventId: message.eventId || null,
+      guildId: message.guildId || null,
+      channelId: message.channelId,
+      status: error.status
+    });
+    if (error.status === 404) await deleteChannelSubscriptions(message.channelId);
+    return;
+  }
+  console.log('Discord channel notification accepted', {
+    messageId: record.messageId,
+    eventId: message.eventId || null,
+    type: message.type,
+    channelId: message.channelId,
+    sourceObservedAt: message.sourceObservedAt || null,
+    detectedAt: message.detectedAt || null,
+    queuedAt: message.queuedAt || null,
+    providerAcceptedAt: new Date().toISOString()
+  });
+}
+
 export async function handler(event) {
   const batchItemFailures = [];
+  const profiles = new Map();
   let mode;
   for (const record of event.Records || []) {
+    let webhooks = null;
     try {
       const message = JSON.parse(record.body);
+      if (message.type === 'command-followup') {
+        await completeDeferredCommand(message);
+        continue;
+      }
       if (message.type === 'season-offline') mode = 'stopping';
       if (message.type === 'season-online') mode = 'cloud';
       if (COURSE_NOTIFICATION_TYPES.has(message.type)) {
@@ -25,7 +175,37 @@ export async function handler(event) {
           continue;
         }
       }
-      await sendDirectMessage(message);
+      if (message.channelId) {
+        await postChannelNotification(message, record);
+        continue;
+      }
+      let earlierOpenAlert = null;
+      if (COURSE_NOTIFICATION_TYPES.has(message.type)) {
+        if (webhookDeliveryIsDue(record)) webhooks = deliverWebhooks(message);
+        const update = await updateEarlierOpenAlert(message, profiles);
+        earlierOpenAlert = update.earlier;
+        if (!update.sendNew) {
+          await forgetEarlierOpenAlert(message, earlierOpenAlert);
+          console.log('Course notification delivered as an edit of the earlier open alert', {
+            messageId: record.messageId,
+            eventId: message.eventId || null,
+            type: message.type
+          });
+          continue;
+        }
+        if (await holdForQuietHours(message, profiles)) {
+          await forgetEarlierOpenAlert(message, earlierOpenAlert);
+          console.log('Course notification held for quiet hours', {
+            messageId: record.messageId,
+            eventId: message.eventId || null,
+            type: message.type
+          });
+          continue;
+        }
+      }
+      const sent = await sendDirectMessage(message);
+      await forgetEarlierOpenAlert(message, earlierOpenAlert);
+      await rememberOpenAlert(message, sent);
       console.log('Discord notification accepted', {
         messageId: record.messageId,
         eventId: message.eventId || null,
@@ -41,6 +221,8 @@ export async function handler(event) {
         message: error.message
       });
       batchItemFailures.push({ itemIdentifier: record.messageId });
+    } finally {
+      if (webhooks) await webhooks;
     }
   }
   return { batchItemFailures };
@@ -1,8 +1,11 @@
+import { trackerOwnerId } from './domain.mjs';
+
 export const MONITOR_TIME_ZONE = 'America/New_York';
 
 const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
 
-function hourInMonitorTimeZone(date) {
+export function hourInMonitorTimeZone(date) {
   const parts = new Intl.DateTimeFormat('en-US', {
     timeZone: MONITOR_TIME_ZONE,
     hour: '2-digit',
@@ -18,6 +21,33 @@ export function pollingIntervalMinutesAt(date = new Date()) {
   return 30;
 }
 
+// Quiet hours are whole hours in the monitor time zone. A window whose end
+// hour is earlier than its start hour wraps past midnight.
+export function quietHoursAreActiveAt(quietHours, date = new Date()) {
+  if (!quietHours?.enabled) return false;
+  const start = Number(quietHours.startHour);
+  const end = Number(quietHours.endHour);
+  if (start === end) return false;
+  const hour = hourInMonitorTimeZone(date);
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+}
+
+// New York offsets are whole hours, so its hour boundaries fall on UTC hour
+// boundaries and the window end can be found by stepping forward an hour at
+// a time.
+export function quietHoursEndAfter(quietHours, date = new Date()) {
+  const end = Number(quietHours.endHour);
+  const boundary = new Date(date);
+  boundary.setUTCMinutes(0, 0, 0);
+  for (let step = 0; step < 48; step += 1) {
+    boundary.setTime(boundary.getTime() + HOUR_MS);
+    if (hourInMonitorTimeZone(boundary) === end) return boundary;
+  }
+  return boundary;
+}
+
 export function monitorPollIsDue(lastPollStartedAt, now = new Date(), force = false) {
   if (force || !lastPollStartedAt) return true;
   const previous = Date.parse(lastPollStartedAt);
@@ -30,10 +60,10 @@ export function monitorTransitionId(tracker, notificationType, newStatus) {
   const previousObservation = tracker.lastCheckedAt || tracker.createdAt || 'initial';
   return [
     'course-transition',
-    tracker.userId,
+    trackerOwnerId(tracker),
     tracker.roster,
-    tracker.classNbr,
-    tracker.lastStatus || 'UNKNOWN',
+    tracker.classNbr || tracker.trackerId,
+    tracker.alertedStatus || tracker.lastStatus || 'UNKNOWN',
     newStatus,
     previousObservation,
     notificationType
@@ -2,23 +2,37 @@ import { SQSClient, SendMessageBatchCommand } from '@aws-sdk/client-sqs';
 import { createHash } from 'node:crypto';
 import { config, requireConfig } from './config.mjs';
 
-const sqs = new SQSClient({});
+let sqs = null;
+const queueClient = () => (sqs ||= new SQSClient({}));
+
+// Lets the local server and tests deliver alerts through an in-process queue
+// that answers SendMessageBatchCommand.
+export function useQueueClient(client) {
+  sqs = client;
+}
+
+// Each recipient, a DM owner or a subscribed channel, is its own FIFO group,
+// and so is each deferred command.
+export function alertMessageGroupId(message) {
+  if (message.type === 'command-followup') return message.eventId;
+  return message.channelId ? `channel:${message.channelId}` : String(message.discordUserId);
+}
 
 export async function sendAlertMessages(messages) {
   requireConfig('alertQueueUrl');
   let sent = 0;
   for (let index = 0; index < messages.length; index += 10) {
     const batch = messages.slice(index, index + 10);
-    const result = await sqs.send(new SendMessageBatchCommand({
+    const result = await queueClient().send(new SendMessageBatchCommand({
       QueueUrl: config.alertQueueUrl,
       Entries: batch.map((message, batchIndex) => {
         const body = JSON.stringify(message);
         const stableAlertIdentity = message.eventId
-          || `${message.type}:${message.discordUserId}:${message.tracker?.roster || ''}:${message.tracker?.classNbr || ''}:${message.detectedAt || ''}`;
+          || `${message.type}:${alertMessageGroupId(message)}:${message.tracker?.roster || ''}:${message.tracker?.classNbr || ''}:${message.detectedAt || ''}`;
         return {
           Id: String(batchIndex),
           MessageBody: body,
-          MessageGroupId: String(message.discordUserId),
+          MessageGroupId: alertMessageGroupId(message),
           MessageDeduplicationId: createHash('sha256').update(stableAlertIdentity).digest('hex')
         };
       })
@@ -2,13 +2,36 @@ import { createHash, randomBytes } from 'node:crypto';
 import {
   consumeLoginCode,
   deleteSession,
+  deleteUserSession,
+  deleteUserSessions,
   getSession,
+  listUserSessions,
   putLoginCode,
-  putSession
+  putSession,
+  touchSession
 } from './storage.mjs';
 
 const LOGIN_CODE_LIFETIME_SECONDS = 2 * 60;
+// Sessions expire after this long without use; each use starts it again.
 const SESSION_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+// Bounds session writes to one per interval however busy the session is.
+const SESSION_TOUCH_INTERVAL_MS = 15 * 60 * 1000;
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+const PLATFORMS = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/CrOS/, 'ChromeOS'],
+  [/Windows/, 'Windows'],
+  [/Macintosh|Mac OS X/, 'macOS'],
+  [/Linux/, 'Linux']
+];
 
 export function secretHash(value) {
   return createHash('sha256').update(String(value)).digest('hex');
@@ -20,13 +43,44 @@ export function bearerToken(event) {
   return match?.[1] || '';
 }
 
+// Only a browser and platform summary is kept, never the raw user agent.
+export function sessionDevice(userAgent) {
+  const value = String(userAgent || '');
+  const browser = BROWSERS.find(([pattern]) => pattern.test(value))?.[1] || '';
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(value))?.[1] || '';
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+}
+
+export function sessionNeedsTouch(session, now = new Date()) {
+  const lastUsedAt = Date.parse(session?.lastUsedAt || '');
+  return !session?.sessionId ||
+    !Number.isFinite(lastUsedAt) ||
+    now.getTime() - lastUsedAt >= SESSION_TOUCH_INTERVAL_MS;
+}
+
+export function publicSession(item, currentTokenHash = '') {
+  return {
+    sessionId: item.sessionId || null,
+    device: item.device || 'Unknown device',
+    current: Boolean(currentTokenHash) && item.PK === `SESSION#${currentTokenHash}`,
+    createdAt: item.createdAt || null,
+    lastUsedAt: item.lastUsedAt || item.createdAt || null,
+    expiresAt: item.expiresAt ? new Date(Number(item.expiresAt) * 1000).toISOString() : null
+  };
+}
+
+function newSessionId() {
+  return randomBytes(9).toString('base64url');
+}
+
 export async function createLoginCode(userId) {
   const code = randomBytes(32).toString('base64url');
   await putLoginCode(userId, secretHash(code), LOGIN_CODE_LIFETIME_SECONDS);
   return code;
 }
 
-export async function exchangeLoginCode(code) {
+export async function exchangeLoginCode(code, userAgent = '') {
   if (!/^[A-Za-z0-9_-]{32,}$/.test(String(code || ''))) {
     throw new Error('Discord login code is invalid.');
   }
@@ -37,7 +91,8 @@ export async function exchangeLoginCode(code) {
   const expiresAt = await putSession(
     pending.userId,
     secretHash(sessionToken),
-    SESSION_LIFETIME_SECONDS
+    SESSION_LIFETIME_SECONDS,
+    { sessionId: newSessionId(), device: sessionDevice(userAgent) }
   );
   return { userId: pending.userId, sessionToken, expiresAt };
 }
@@ -48,9 +103,46 @@ export async function authenticateSession(event) {
   const tokenHash = secretHash(token);
   const session = await getSession(tokenHash);
   if (!session?.userId) return null;
-  return { userId: session.userId, tokenHash, expiresAt: session.expiresAt };
+
+  let current = session;
+  if (sessionNeedsTouch(session)) {
+    try {
+      current = await touchSession(
+        tokenHash,
+        session.userId,
+        session.sessionId || newSessionId(),
+        SESSION_LIFETIME_SECONDS
+      );
+      // The session was revoked between the read and the update.
+      if (!current) return null;
+    } catch (error) {
+      current = session;
+      console.warn('Session expiry could not be extended', { message: error.message });
+    }
+  }
+  return {
+    userId: current.userId,
+    tokenHash,
+    sessionId: current.sessionId || null,
+    expiresAt: current.expiresAt
+  };
 }
 
 export async function revokeSession(tokenHash) {
   if (tokenHash) await deleteSession(tokenHash);
 }
+
+export async function listSessions(userId, currentTokenHash) {
+  const sessions = await listUserSessions(userId);
+  return sessions
+    .map(item => publicSession(item, currentTokenHash))
+    .sort((a, b) => Number(b.current) - Number(a.current) || String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)));
+}
+
+export function revokeUserSession(userId, sessionId) {
+  return deleteUserSession(userId, sessionId);
+}
+
+export function revokeAllSessions(userId) {
+  return deleteUserSessions(userId);
+}
@@ -7,21 +7,46 @@ import {
   PutCommand,
   QueryCommand,
   ScanCommand,
+  TransactWriteCommand,
   UpdateCommand
 } from '@aws-sdk/lib-dynamodb';
 import { config, requireConfig } from './config.mjs';
+import { trackerOwnerId } from './domain.mjs';
 
-const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
-  marshallOptions: { removeUndefinedValues: true }
-});
+// Every function below talks to the table through a document client's
+// send(command): DynamoDB by default, or a table that tests and local tools
+// hand in with useStorageTable.
+function createStorageTable() {
+  return DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+    marshallOptions: { removeUndefinedValues: true }
+  });
+}
+
+let storageTable = null;
+const documentClient = () => (storageTable ||= createStorageTable());
+
+export function useStorageTable(table) {
+  storageTable = table;
+}
 
 const userPk = userId => `USER#${userId}`;
 const profileKey = userId => ({ PK: userPk(userId), SK: 'PROFILE' });
+const channelPk = channelId => `CHANNEL#${channelId}`;
+const userSessionsPk = userId => `SESSIONS#${userId}`;
+// GSI2 finds the rows a user owns outside their own partition, so account
+// deletion can query for them instead of scanning the table.
+const ownerPk = userId => `OWNER#${userId}`;
+const ownerIndexKeys = (userId, key) => ({ GSI2PK: ownerPk(userId), GSI2SK: `${key.PK}#${key.SK}` });
+const sectionPk = (roster, classNbr) => `SECTION#${roster}#${classNbr}`;
+const coursePk = (roster, subject, catalogNbr, ssrComponent = '') => (
+  [`COURSE#${roster}#${subject}#${catalogNbr}`, ssrComponent].filter(Boolean).join('#')
+);
+const SECTION_HISTORY_LIFETIME_SECONDS = 400 * 24 * 60 * 60;
 
 export async function upsertDiscordProfile(discord) {
   requireConfig('tableName');
   const now = new Date().toISOString();
-  const result = await documentClient.send(new UpdateCommand({
+  const result = await documentClient().send(new UpdateCommand({
     TableName: config.tableName,
     Key: profileKey(discord.userId),
     UpdateExpression: [
@@ -51,7 +76,7 @@ export async function upsertDiscordProfile(discord) {
 
 export async function getProfile(userId) {
   requireConfig('tableName');
-  const result = await documentClient.send(new GetCommand({
+  const result = await documentClient().send(new GetCommand({
     TableName: config.tableName,
     Key: profileKey(userId),
     ConsistentRead: true
@@ -59,9 +84,32 @@ export async function getProfile(userId) {
   return result.Item || null;
 }
 
+export async function updateProfileSettings(userId, settings) {
+  requireConfig('tableName');
+  const names = Object.keys(settings);
+  try {
+    const result = await documentClient().send(new UpdateCommand({
+      TableName: config.tableName,
+      Key: profileKey(userId),
+      UpdateExpression: `SET ${names.map((_, index) => `#setting${index} = :setting${index}`).join(', ')}, updatedAt = :now`,
+      ConditionExpression: 'attribute_exists(PK) AND attribute_exists(discordUserId)',
+      ExpressionAttributeNames: Object.fromEntries(names.map((name, index) => [`#setting${index}`, name])),
+      ExpressionAttributeValues: {
+        ...Object.fromEntries(names.map((name, index) => [`:setting${index}`, settings[name]])),
+        ':now': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return result.Attributes;
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') return null;
+    throw error;
+  }
+}
+
 export async function markUserActive(userId) {
   requireConfig('tableName');
-  await documentClient.send(new UpdateCommand({
+  await documentClient().send(new UpdateCommand({
     TableName: config.tableName,
     Key: profileKey(userId),
     UpdateExpression: 'SET lastActiveAt = :now',
@@ -75,7 +123,7 @@ export async function markUserActive(userId) {
 export async function putDiscordOAuthState(state, lifetimeSeconds, returnOrigin) {
   requireConfig('tableName');
   const nowSeconds = Math.floor(Date.now() / 1000);
-  await documentClient.send(new PutCommand({
+  await documentClient().send(new PutCommand({
     TableName: config.tableName,
     Item: {
       PK: `OAUTH#${state}`,
@@ -92,7 +140,7 @@ export async function putDiscordOAuthState(state, lifetimeSeconds, returnOrigin)
 export async function consumeDiscordOAuthState(state) {
   requireConfig('tableName');
   if (!state) return null;
-  const result = await documentClient.send(new DeleteCommand({
+  const result = await documentClient().send(new DeleteCommand({
     TableName: config.tableName,
     Key: { PK: `OAUTH#${state}`, SK: 'DISCORD' },
     ReturnValues: 'ALL_OLD'
@@ -105,11 +153,12 @@ export async function consumeDiscordOAuthState(state) {
 export async function putLoginCode(userId, codeHash, lifetimeSeconds) {
   requireConfig('tableName');
   const nowSeconds = Math.floor(Date.now() / 1000);
-  await documentClient.send(new PutCommand({
+  await documentClient().send(new PutCommand({
     TableName: config.tableName,
     Item: {
       PK: `LOGIN#${codeHash}`,
       SK: 'CODE',
+      ...ownerIndexKeys(userId, { PK: `LOGIN#${codeHash}`, SK: 'CODE' }),
       entityType: 'loginCode',
       userId,
       createdAt: new Date(nowSeconds * 1000).toISOString(),
@@ -121,7 +170,7 @@ export async function putLoginCode(userId, codeHash, lifetimeSeconds) {
 
 export async function consumeLoginCode(codeHash) {
   requireConfig('tableName');
-  const result = await documentClient.send(new DeleteCommand({
+  const result = await documentClient().send(new DeleteCommand({
     TableName: config.tableName,
     Key: { PK: `LOGIN#${codeHash}`, SK: 'CODE' },
     ReturnValues: 'ALL_OLD'
@@ -131,18 +180,24 @@ export async function consumeLoginCode(codeHash) {
   return item;
 }
 
-export async function putSession(userId, tokenHash, lifetimeSeconds) {
+export async function putSession(userId, tokenHash, lifetimeSeconds, { sessionId, device = '' }) {
   requireConfig('tableName');
   const nowSeconds = Math.floor(Date.now() / 1000);
+  const now = new Date(nowSeconds * 1000).toISOString();
   const expiresAt = nowSeconds + lifetimeSeconds;
-  await documentClient.send(new PutCommand({
+  await documentClient().send(new PutCommand({
     TableName: config.tableName,
     Item: {
       PK: `SESSION#${tokenHash}`,
       SK: 'SESSION',
+      GSI1PK: userSessionsPk(userId),
+      GSI1SK: sessionId,
       entityType: 'session',
       userId,
-      createdAt: new Date(nowSeconds * 1000).toISOString(),
+      sessionId,
+      device,
+      createdAt: now,
+      lastUsedAt: now,
       expiresAt
     },
     ConditionExpression: 'attribute_not_exists(PK)'
@@ -150,9 +205,43 @@ export async function putSession(userId, tokenHash, lifetimeSeconds) {
   return expiresAt;
 }
 
+// Slides the session's expiry forward. Sessions created before session IDs
+// existed get one here, which also adds them to the user's session list.
+export async function touchSession(tokenHash, userId, sessionId, lifetimeSeconds) {
+  requireConfig('tableName');
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  try {
+    const result = await documentClient().send(new UpdateCommand({
+      TableName: config.tableName,
+      Key: { PK: `SESSION#${tokenHash}`, SK: 'SESSION' },
+      UpdateExpression: [
+        'SET expiresAt = :expiresAt',
+        'lastUsedAt = :now',
+        'sessionId = if_not_exists(sessionId, :sessionId)',
+        'GSI1PK = :sessions',
+        'GSI1SK = if_not_exists(GSI1SK, :sessionId)'
+      ].join(', '),
+      ConditionExpression: 'attribute_exists(PK) AND userId = :userId AND expiresAt > :nowSeconds',
+      ExpressionAttributeValues: {
+        ':expiresAt': nowSeconds + lifetimeSeconds,
+        ':now': new Date(nowSeconds * 1000).toISOString(),
+        ':sessionId': sessionId,
+        ':sessions': userSessionsPk(userId),
+        ':userId': userId,
+        ':nowSeconds': nowSeconds
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return result.Attributes;
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') return null;
+    throw error;
+  }
+}
+
 export async function getSession(tokenHash) {
   requireConfig('tableName');
-  const result = await documentClient.send(new GetCommand({
+  const result = await documentClient().send(new GetCommand({
     TableName: config.tableName,
     Key: { PK: `SESSION#${tokenHash}`, SK: 'SESSION' },
     ConsistentRead: true
@@ -164,18 +253,130 @@ export async function getSession(tokenHash) {
 
 export async function deleteSession(tokenHash) {
   requireConfig('tableName');
-  await documentClient.send(new DeleteCommand({
+  await documentClient().send(new DeleteCommand({
     TableName: config.tableName,
     Key: { PK: `SESSION#${tokenHash}`, SK: 'SESSION' }
   }));
 }
 
+export async function listUserSessions(userId) {
+  requireConfig('tableName');
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const sessions = [];
+  let ExclusiveStartKey;
+  do {
+    const result = await documentClient().send(new QueryCommand({
+      TableName: config.tableName,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :sessions',
+      FilterExpression: 'expiresAt > :now',
+      ExpressionAttributeValues: {
+        ':sessions': userSessionsPk(userId),
+        ':now': nowSeconds
+      },
+      ExclusiveStartKey
+    }));
+    sessions.push(...(result.Items || []));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+  return sessions;
+}
+
+// The index is eventually consistent, so the delete is conditioned on the
+// owner to keep a stale index entry from removing someone else's row.
+async function deleteSessionItem(userId, item) {
+  try {
+    await documentClient().send(new DeleteCommand({
+      TableName: config.tableName,
+      Key: { PK: item.PK, SK: item.SK },
+      ConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId }
+    }));
+    return true;
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') return false;
+    throw error;
+  }
+}
+
+export async function deleteUserSession(userId, sessionId) {
+  requireConfig('tableName');
+  const item = (await listUserSessions(userId)).find(session => session.sessionId === sessionId);
+  return item ? deleteSessionItem(userId, item) : false;
+}
+
+export async function deleteUserSessions(userId) {
+  requireConfig('tableName');
+  let deleted = 0;
+  for (const item of await listUserSessions(userId)) {
+    if (await deleteSessionItem(userId, item)) deleted += 1;
+  }
+  return deleted;
+}
+
+const idempotencyKey = (userId, key) => ({ PK: userPk(userId), SK: `IDEMPOTENCY#${key}` });
+
+// Claims an idempotency key for one request. An expired row is claimed again
+// as if it were new; otherwise the existing row is returned for replay.
+export async function claimIdempotencyKey(userId, key, fingerprint, lifetimeSeconds) {
+  requireConfig('tableName');
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  try {
+    await documentClient().send(new PutCommand({
+      TableName: config.tableName,
+      Item: {
+        ...idempotencyKey(userId, key),
+        entityType: 'idempotencyKey',
+        userId,
+        fingerprint,
+        requestState: 'pending',
+        createdAt: new Date(nowSeconds * 1000).toISOString(),
+        expiresAt: nowSeconds + lifetimeSeconds
+      },
+      ConditionExpression: 'attribute_not_exists(PK) OR expiresAt <= :now',
+      ExpressionAttributeValues: { ':now': nowSeconds }
+    }));
+    return { claimed: true };
+  } catch (error) {
+    if (error?.name !== 'ConditionalCheckFailedException') throw error;
+  }
+  const result = await documentClient().send(new GetCommand({
+    TableName: config.tableName,
+    Key: idempotencyKey(userId, key),
+    ConsistentRead: true
+  }));
+  return { claimed: false, item: result.Item || null };
+}
+
+export async function completeIdempotencyKey(userId, key, response) {
+  requireConfig('tableName');
+  await documentClient().send(new UpdateCommand({
+    TableName: config.tableName,
+    Key: idempotencyKey(userId, key),
+    UpdateExpression: 'SET requestState = :complete, #response = :response',
+    ConditionExpression: 'attribute_exists(PK)',
+    ExpressionAttributeNames: { '#response': 'response' },
+    ExpressionAttributeValues: {
+      ':complete': 'complete',
+      ':response': response
+    }
+  }));
+}
+
+export async function releaseIdempotencyKey(userId, key) {
+  requireConfig('tableName');
+  await documentClient().send(new DeleteCommand({
+    TableName: config.tableName,
+    Key: idempotencyKey(userId, key)
+  }));
+}
+
 export async function acquireCommandRateLimit(userId, commandName, cooldownSeconds) {
   requireConfig('tableName');
   const nowSeconds = Math.floor(Date.now() / 1000);
   const expiresAt = nowSeconds + cooldownSeconds;
   try {
-    await documentClient.send(new PutCommand({
+    await documentClient().send(new PutCommand({
       TableName: config.tableName,
       Item: {
         PK: `RATELIMIT#${userId}`,
@@ -196,33 +397,103 @@ export async function acquireCommandRateLimit(userId, commandName, cooldownSecon
   }
 }
 
+// The watchlist version counts the owner's edits: adds, preference changes,
+// snoozes, removals, and rollovers. Status writes from the monitor leave it
+// alone, so the watchlist ETag only changes when the list itself does.
+const watchlistKey = userId => ({ PK: userPk(userId), SK: 'WATCHLIST' });
+
+export async function getWatchlistVersion(userId) {
+  requireConfig('tableName');
+  const result = await documentClient().send(new GetCommand({
+    TableName: config.tableName,
+    Key: watchlistKey(userId),
+    ConsistentRead: true
+  }));
+  return Number(result.Item?.watchlistVersion || 0);
+}
+
+function watchlistVersionUpdate(userId, expectedVersion) {
+  return {
+    TableName: config.tableName,
+    Key: watchlistKey(userId),
+    UpdateExpression: [
+      'SET entityType = :entityType',
+      'userId = :userId',
+      'watchlistVersion = if_not_exists(watchlistVersion, :zero) + :one',
+      'updatedAt = :now'
+    ].join(', '),
+    ...(expectedVersion === undefined ? {} : {
+      ConditionExpression: expectedVersion
+        ? 'watchlistVersion = :expected'
+        : 'attribute_not_exists(watchlistVersion)'
+    }),
+    ExpressionAttributeValues: {
+      ':entityType': 'watchlist',
+      ':userId': userId,
+      ':zero': 0,
+      ':one': 1,
+      ':now': new Date().toISOString(),
+      ...(expectedVersion ? { ':expected': expectedVersion } : {})
+    }
+  };
+}
+
+// Writes one watchlist change and moves the version on in the same
+// transaction. An If-Match edit passes the version its ETag was computed
+// from, so of two edits made against one ETag only one lands, and an edit
+// that is refused or fails leaves the version where it was. Returns false
+// when the change's own condition fails.
+async function writeWatchlistChange(userId, change, expectedVersion) {
+  try {
+    await documentClient().send(new TransactWriteCommand({
+      TransactItems: [change, { Update: watchlistVersionUpdate(userId, expectedVersion) }]
+    }));
+    return true;
+  } catch (error) {
+    const [changeReason, versionReason] = error?.CancellationReasons || [];
+    if (versionReason?.Code === 'ConditionalCheckFailed') {
+      throw Object.assign(new Error('The Discord watchlist changed since it was loaded.'), { name: 'WatchlistChanged' });
+    }
+    if (changeReason?.Code === 'ConditionalCheckFailed') return false;
+    throw error;
+  }
+}
+
 export async function listTrackers(userId) {
   requireConfig('tableName');
-  const result = await documentClient.send(new QueryCommand({
+  const result = await documentClient().send(new QueryCommand({
     TableName: config.tableName,
     KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
     ExpressionAttributeValues: {
       ':pk': userPk(userId),
       ':prefix': 'TRACKER#'
-    }
+    },
+    ConsistentRead: true
   }));
   return result.Items || [];
 }
 
-export async function putTracker(userId, tracker) {
-  requireConfig('tableName');
+function activeTrackerSortKey(ownerId, tracker) {
+  const target = tracker.kind === 'course'
+    ? `COURSE#${tracker.catalogNbr}#${tracker.ssrComponent || ''}`
+    : tracker.classNbr;
+  return `${tracker.roster}#${tracker.subject}#${target}#${ownerId}`;
+}
+
+// User trackers and channel subscriptions share one update so both land in the
+// active index with the same fields the monitor reads.
+function activeTrackerUpdate(key, ownerSortId, tracker, owner) {
   const now = new Date().toISOString();
-  const result = await documentClient.send(new UpdateCommand({
+  const ownerFields = Object.entries(owner.set);
+  return {
     TableName: config.tableName,
-    Key: {
-      PK: userPk(userId),
-      SK: `TRACKER#${tracker.trackerId}`
-    },
+    Key: key,
     UpdateExpression: [
       'SET GSI1PK = :active',
       'GSI1SK = :activeSort',
-      'entityType = :trackerType',
-      'userId = :userId',
+      'entityType = :entityType',
+      'kind = :kind',
+      ...ownerFields.map(([field]) => `${field} = :${field}`),
       'roster = :roster',
       'subject = :subject',
       'classNbr = :classNbr',
@@ -236,12 +507,20 @@ export async function putTracker(userId, tracker) {
       'lastStatus = if_not_exists(lastStatus, :unknown)',
       'createdAt = if_not_exists(createdAt, :now)',
       'updatedAt = :now'
-    ].join(', '),
+    ].join(', ') + ` REMOVE ${[
+      'rolloverStatus',
+      'rolloverRoster',
+      'missingPolls',
+      'lastMissingPoll',
+      'missingSince',
+      ...(owner.remove || [])
+    ].join(', ')}`,
     ExpressionAttributeValues: {
       ':active': 'ACTIVE',
-      ':activeSort': `${tracker.roster}#${tracker.subject}#${tracker.classNbr}#${userId}`,
-      ':trackerType': 'tracker',
-      ':userId': userId,
+      ':activeSort': activeTrackerSortKey(ownerSortId, tracker),
+      ':entityType': owner.entityType,
+      ':kind': tracker.kind || 'section',
+      ...Object.fromEntries(ownerFields.map(([field, value]) => [`:${field}`, value])),
       ':roster': tracker.roster,
       ':subject': tracker.subject,
       ':classNbr': tracker.classNbr,
@@ -257,38 +536,283 @@ export async function putTracker(userId, tracker) {
     },
     ExpressionAttributeNames: {
       '#section': 'section'
-    },
-    ReturnValues: 'ALL_OLD'
-  }));
+    }
+  };
+}
+
+// Transactions cannot return the old item, so the first write is conditioned
+// on the tracker being new and tells an add from a repeat.
+export async function putTracker(userId, tracker, { expectedVersion } = {}) {
+  requireConfig('tableName');
+  const update = activeTrackerUpdate(
+    { PK: userPk(userId), SK: `TRACKER#${tracker.trackerId}` },
+    userId,
+    tracker,
+    { entityType: 'tracker', set: { userId } }
+  );
+  const created = await writeWatchlistChange(
+    userId,
+    { Update: { ...update, ConditionExpression: 'attribute_not_exists(PK)' } },
+    expectedVersion
+  );
+  if (!created) await writeWatchlistChange(userId, { Update: update }, expectedVersion);
   return {
     item: await getTracker(userId, tracker.trackerId),
-    created: !result.Attributes
+    created
   };
 }
 
-export async function deleteTracker(userId, trackerId) {
+export async function updateTrackerNotifications(userId, trackerId, preferences, { expectedVersion } = {}) {
+  requireConfig('tableName');
+  const tracker = await getTracker(userId, trackerId);
+  if (!tracker) return null;
+  const updated = await writeWatchlistChange(userId, {
+    Update: {
+      TableName: config.tableName,
+      Key: {
+        PK: userPk(userId),
+        SK: `TRACKER#${trackerId}`
+      },
+      UpdateExpression: 'SET notifications = :notifications, updatedAt = :now',
+      ConditionExpression: 'attribute_exists(PK)',
+      ExpressionAttributeValues: {
+        ':notifications': { ...(tracker.notifications || {}), ...preferences },
+        ':now': new Date().toISOString()
+      }
+    }
+  }, expectedVersion);
+  return updated ? getTracker(userId, trackerId) : null;
+}
+
+export async function snoozeTracker(userId, trackerId, snoozedUntil) {
+  requireConfig('tableName');
+  const snoozed = await writeWatchlistChange(userId, {
+    Update: {
+      TableName: config.tableName,
+      Key: {
+        PK: userPk(userId),
+        SK: `TRACKER#${trackerId}`
+      },
+      UpdateExpression: 'SET snoozedUntil = :snoozedUntil, updatedAt = :now',
+      ConditionExpression: 'attribute_exists(PK)',
+      ExpressionAttributeValues: {
+        ':snoozedUntil': snoozedUntil,
+        ':now': new Date().toISOString()
+      }
+    }
+  });
+  return snoozed ? getTracker(userId, trackerId) : null;
+}
+
+// The open DM is remembered on the tracker so a later close can edit it.
+export async function recordOpenAlertMessage(userId, trackerId, openAlertMessage) {
+  requireConfig('tableName');
+  try {
+    await documentClient().send(new UpdateCommand({
+      TableName: config.tableName,
+      Key: {
+        PK: userPk(userId),
+        SK: `TRACKER#${trackerId}`
+      },
+      UpdateExpression: 'SET openAlertMessage = :openAlertMessage',
+      ConditionExpression: 'attribute_exists(PK)',
+      ExpressionAttributeValues: {
+        ':openAlertMessage': openAlertMessage
+      }
+    }));
+    return true;
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') return false;
+    throw error;
+  }
+}
+
+export async function clearOpenAlertMessage(userId, trackerId, messageId) {
   requireConfig('tableName');
-  const result = await documentClient.send(new DeleteCommand({
+  try {
+    await documentClient().send(new UpdateCommand({
+      TableName: config.tableName,
+      Key: {
+        PK: userPk(userId),
+        SK: `TRACKER#${trackerId}`
+      },
+      UpdateExpression: 'REMOVE openAlertMessage',
+      ConditionExpression: 'openAlertMessage.messageId = :messageId',
+      ExpressionAttributeValues: {
+        ':messageId': messageId
+      }
+    }));
+  } catch (error) {
+    if (error?.name !== 'ConditionalCheckFailedException') throw error;
+  }
+}
+
+export async function deleteTracker(userId, trackerId, { expectedVersion } = {}) {
+  requireConfig('tableName');
+  const tracker = await getTracker(userId, trackerId);
+  if (!tracker) return null;
+  const deleted = await writeWatchlistChange(userId, {
+    Delete: {
+      TableName: config.tableName,
+      Key: {
+        PK: userPk(userId),
+        SK: `TRACKER#${trackerId}`
+      },
+      ConditionExpression: 'attribute_exists(PK)'
+    }
+  }, expectedVersion);
+  return deleted ? tracker : null;
+}
+
+export async function getTracker(userId, trackerId) {
+  requireConfig('tableName');
+  const result = await documentClient().send(new GetCommand({
     TableName: config.tableName,
     Key: {
       PK: userPk(userId),
       SK: `TRACKER#${trackerId}`
     },
+    ConsistentRead: true
+  }));
+  return result.Item;
+}
+
+// A subscription whose creator deleted their account keeps no creator, and
+// one rolled over from it stays that way.
+export async function putChannelSubscription(channel, tracker) {
+  requireConfig('tableName');
+  const key = { PK: channelPk(channel.channelId), SK: `SUBSCRIPTION#${tracker.trackerId}` };
+  const update = activeTrackerUpdate(key, `CHANNEL#${channel.channelId}`, tracker, {
+    entityType: 'subscription',
+    set: {
+      guildId: channel.guildId,
+      channelId: channel.channelId,
+      ...(channel.createdBy ? { createdBy: channel.createdBy, ...ownerIndexKeys(channel.createdBy, key) } : {}),
+      ...(channel.roleId ? { roleId: channel.roleId } : {})
+    },
+    remove: [
+      ...(channel.createdBy ? [] : ['createdBy', 'GSI2PK', 'GSI2SK']),
+      ...(channel.roleId ? [] : ['roleId'])
+    ]
+  });
+  const previous = await documentClient().send(new UpdateCommand({ ...update, ReturnValues: 'ALL_OLD' }));
+  const result = await documentClient().send(new GetCommand({
+    TableName: config.tableName,
+    Key: key,
+    ConsistentRead: true
+  }));
+  return { item: result.Item, created: !previous.Attributes };
+}
+
+export async function listChannelSubscriptions(channelId) {
+  requireConfig('tableName');
+  const result = await documentClient().send(new QueryCommand({
+    TableName: config.tableName,
+    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+    ExpressionAttributeValues: {
+      ':pk': channelPk(channelId),
+      ':prefix': 'SUBSCRIPTION#'
+    }
+  }));
+  return result.Items || [];
+}
+
+export async function deleteChannelSubscription(channelId, trackerId) {
+  requireConfig('tableName');
+  const result = await documentClient().send(new DeleteCommand({
+    TableName: config.tableName,
+    Key: {
+      PK: channelPk(channelId),
+      SK: `SUBSCRIPTION#${trackerId}`
+    },
     ReturnValues: 'ALL_OLD'
   }));
   return result.Attributes || null;
 }
 
-async function getTracker(userId, trackerId) {
-  const result = await documentClient.send(new GetCommand({
+export async function deleteChannelSubscriptions(channelId) {
+  const subscriptions = await listChannelSubscriptions(channelId);
+  for (const subscription of subscriptions) {
+    await deleteChannelSubscription(channelId, subscription.trackerId);
+  }
+  return subscriptions.length;
+}
+
+export async function listDestinations(userId) {
+  requireConfig('tableName');
+  const result = await documentClient().send(new QueryCommand({
+    TableName: config.tableName,
+    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+    ExpressionAttributeValues: {
+      ':pk': userPk(userId),
+      ':prefix': 'DESTINATION#'
+    },
+    ConsistentRead: true
+  }));
+  return result.Items || [];
+}
+
+export async function putDestination(userId, destination) {
+  requireConfig('tableName');
+  const item = {
+    PK: userPk(userId),
+    SK: `DESTINATION#${destination.destinationId}`,
+    entityType: 'destination',
+    userId,
+    ...destination,
+    enabled: true,
+    consecutiveFailures: 0,
+    createdAt: new Date().toISOString()
+  };
+  await documentClient().send(new PutCommand({
+    TableName: config.tableName,
+    Item: item,
+    ConditionExpression: 'attribute_not_exists(PK)'
+  }));
+  return item;
+}
+
+export async function deleteDestination(userId, destinationId) {
+  requireConfig('tableName');
+  const result = await documentClient().send(new DeleteCommand({
     TableName: config.tableName,
     Key: {
       PK: userPk(userId),
-      SK: `TRACKER#${trackerId}`
+      SK: `DESTINATION#${destinationId}`
     },
-    ConsistentRead: true
+    ReturnValues: 'ALL_OLD'
   }));
-  return result.Item;
+  return result.Attributes || null;
+}
+
+// Applies the delivery outcome computed by the webhook sender. A destination
+// deleted while a delivery was in flight stays deleted.
+export async function recordDestinationDelivery(userId, destinationId, fields) {
+  requireConfig('tableName');
+  const names = {};
+  const values = {};
+  const assignments = Object.keys(fields).map((field, index) => {
+    names[`#field${index}`] = field;
+    values[`:field${index}`] = fields[field];
+    return `#field${index} = :field${index}`;
+  });
+  try {
+    await documentClient().send(new UpdateCommand({
+      TableName: config.tableName,
+      Key: {
+        PK: userPk(userId),
+        SK: `DESTINATION#${destinationId}`
+      },
+      UpdateExpression: `SET ${assignments.join(', ')}`,
+      ConditionExpression: 'attribute_exists(PK)',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    }));
+    return true;
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') return false;
+    throw error;
+  }
 }
 
 export async function listAllActiveTrackers() {
@@ -296,7 +820,7 @@ export async function listAllActiveTrackers() {
   const items = [];
   let ExclusiveStartKey;
   do {
-    const result = await documentClient.send(new QueryCommand({
+    const result = await documentClient().send(new QueryCommand({
       TableName: config.tableName,
       IndexName: 'GSI1',
       KeyConditionExpression: 'GSI1PK = :active',
@@ -330,7 +854,7 @@ export async function countActiveTrackersForSections(roster, subject, classNbrs)
   const items = [];
   let ExclusiveStartKey;
   do {
-    const result = await documentClient.send(new QueryCommand({
+    const result = await documentClient().send(new QueryCommand({
       TableName: config.tableName,
       IndexName: 'GSI1',
       KeyConditionExpression: 'GSI1PK = :active AND begins_with(GSI1SK, :prefix)',
@@ -350,7 +874,7 @@ export async function countActiveTrackersForSections(roster, subject, classNbrs)
 
 export async function getMonitorRunStatus() {
   requireConfig('tableName');
-  const result = await documentClient.send(new GetCommand({
+  const result = await documentClient().send(new GetCommand({
     TableName: config.tableName,
     Key: { PK: 'SYSTEM#MONITOR', SK: 'LAST_RUN' },
     ConsistentRead: true
@@ -363,7 +887,7 @@ export async function acquireMonitorLease(owner, now = new Date(), lifetimeSecon
   const nowSeconds = Math.floor(now.getTime() / 1000);
   const leaseExpiresAt = nowSeconds + lifetimeSeconds;
   try {
-    await documentClient.send(new PutCommand({
+    await documentClient().send(new PutCommand({
       TableName: config.tableName,
       Item: {
         PK: 'SYSTEM#MONITOR',
@@ -387,7 +911,7 @@ export async function acquireMonitorLease(owner, now = new Date(), lifetimeSecon
 export async function releaseMonitorLease(owner) {
   requireConfig('tableName');
   try {
-    await documentClient.send(new DeleteCommand({
+    await documentClient().send(new DeleteCommand({
       TableName: config.tableName,
       Key: { PK: 'SYSTEM#MONITOR', SK: 'LEASE' },
       ConditionExpression: '#owner = :owner',
@@ -401,7 +925,7 @@ export async function releaseMonitorLease(owner) {
 
 export async function putMonitorPollStarted(startedAt, intervalMinutes) {
   requireConfig('tableName');
-  await documentClient.send(new UpdateCommand({
+  await documentClient().send(new UpdateCommand({
     TableName: config.tableName,
     Key: { PK: 'SYSTEM#MONITOR', SK: 'LAST_RUN' },
     UpdateExpression: [
@@ -424,7 +948,7 @@ export async function putMonitorPollStarted(startedAt, intervalMinutes) {
 export async function putMonitorRunStatus(summary) {
   requireConfig('tableName');
   const hasResumePoint = Boolean(summary.resumeAfterGroup);
-  await documentClient.send(new UpdateCommand({
+  await documentClient().send(new UpdateCommand({
     TableName: config.tableName,
     Key: { PK: 'SYSTEM#MONITOR', SK: 'LAST_RUN' },
     UpdateExpression: [
@@ -437,6 +961,9 @@ export async function putMonitorRunStatus(summary) {
       'deferredGroups = :deferredGroups',
       'failedGroups = :failedGroups',
       'removed = :removed',
+      'rolledOver = :rolledOver',
+      'rolloverUnmatched = :rolloverUnmatched',
+      'suppressedAlerts = :suppressedAlerts',
       'completedAt = :completedAt',
       'intervalMinutes = :intervalMinutes',
       ...(hasResumePoint ? ['resumeAfterGroup = :resumeAfterGroup'] : [])
@@ -452,6 +979,9 @@ export async function putMonitorRunStatus(summary) {
       ':deferredGroups': Number(summary.deferredGroups || 0),
       ':failedGroups': Number(summary.failedGroups || 0),
       ':removed': Number(summary.removed || 0),
+      ':rolledOver': Number(summary.rolledOver || 0),
+      ':rolloverUnmatched': Number(summary.rolloverUnmatched || 0),
+      ':suppressedAlerts': Number(summary.suppressedAlerts || 0),
       ':completedAt': summary.completedAt,
       ':intervalMinutes': Number(summary.intervalMinutes || 0),
       ...(hasResumePoint ? { ':resumeAfterGroup': summary.resumeAfterGroup } : {})
@@ -459,17 +989,417 @@ export async function putMonitorRunStatus(summary) {
   }));
 }
 
-export async function updateTrackerStatus(tracker, newStatus, checkedAt) {
+// `alertedStatus` is the status the owner was last told about. It is seeded
+// from the previous observation so a suppressed change can still be alerted
+// by a later poll. A muted change is acknowledged without recording an alert.
+export async function updateTrackerStatus(
+  tracker,
+  newStatus,
+  checkedAt,
+  openSections,
+  { alertType = null, acknowledged = false } = {}
+) {
   requireConfig('tableName');
-  await documentClient.send(new UpdateCommand({
+  const recordsOpenSections = Array.isArray(openSections);
+  const recordsAlertedStatus = Boolean(alertType) || acknowledged;
+  await documentClient().send(new UpdateCommand({
     TableName: config.tableName,
     Key: { PK: tracker.PK, SK: tracker.SK },
-    UpdateExpression: 'SET lastStatus = :status, lastCheckedAt = :checked, updatedAt = :checked',
+    UpdateExpression: [
+      'SET lastStatus = :status',
+      'lastCheckedAt = :checked',
+      'updatedAt = :checked',
+      ...(recordsOpenSections ? ['openSections = :openSections'] : []),
+      recordsAlertedStatus
+        ? 'alertedStatus = :status'
+        : 'alertedStatus = if_not_exists(alertedStatus, :previousStatus)',
+      ...(alertType ? ['lastAlerts = :lastAlerts'] : [])
+    ].join(', ') + ' REMOVE missingPolls, lastMissingPoll, missingSince',
     ExpressionAttributeValues: {
       ':status': newStatus,
-      ':checked': checkedAt
+      ':checked': checkedAt,
+      ...(recordsOpenSections ? { ':openSections': openSections } : {}),
+      ...(recordsAlertedStatus ? {} : { ':previousStatus': tracker.lastStatus || 'UNKNOWN' }),
+      ...(alertType
+        ? { ':lastAlerts': { ...(tracker.lastAlerts || {}), [alertType]: checkedAt } }
+        : {})
+    }
+  }));
+}
+
+export async function recordTrackerMissing(tracker, pollId, checkedAt) {
+  requireConfig('tableName');
+  try {
+    const result = await documentClient().send(new UpdateCommand({
+      TableName: config.tableName,
+      Key: { PK: tracker.PK, SK: tracker.SK },
+      UpdateExpression: [
+        'SET missingPolls = if_not_exists(missingPolls, :zero) + :one',
+        'lastMissingPoll = :poll',
+        'missingSince = if_not_exists(missingSince, :checked)'
+      ].join(', '),
+      ConditionExpression: 'attribute_exists(PK) AND (attribute_not_exists(lastMissingPoll) OR lastMissingPoll <> :poll)',
+      ExpressionAttributeValues: {
+        ':zero': 0,
+        ':one': 1,
+        ':poll': pollId,
+        ':checked': checkedAt
+      },
+      ReturnValues: 'UPDATED_NEW'
+    }));
+    return Number(result.Attributes?.missingPolls || 0);
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') return Number(tracker.missingPolls || 0);
+    throw error;
+  }
+}
+
+const ROLLOVER_RECORD_LIFETIME_SECONDS = 180 * 24 * 60 * 60;
+
+// Records one tracker's move between rosters before any side effect runs, so
+// a retried monitor run repeats the same outcome without a second DM.
+export async function claimRosterRollover(tracker, toRoster, outcome, newTrackerId = '') {
+  requireConfig('tableName');
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const key = {
+    PK: `ROLLOVER#${tracker.roster}#${toRoster}`,
+    SK: `TRACKER#${trackerOwnerId(tracker)}#${tracker.trackerId}`
+  };
+  const owner = tracker.userId ? ownerIndexKeys(tracker.userId, key) : null;
+  const result = await documentClient().send(new UpdateCommand({
+    TableName: config.tableName,
+    Key: key,
+    UpdateExpression: [
+      'SET entityType = if_not_exists(entityType, :entityType)',
+      'userId = if_not_exists(userId, :userId)',
+      ...(owner ? ['GSI2PK = :ownerPk', 'GSI2SK = :ownerSk'] : []),
+      'fromTrackerId = if_not_exists(fromTrackerId, :fromTrackerId)',
+      'toTrackerId = if_not_exists(toTrackerId, :toTrackerId)',
+      'outcome = if_not_exists(outcome, :outcome)',
+      'createdAt = if_not_exists(createdAt, :now)',
+      'expiresAt = if_not_exists(expiresAt, :expiresAt)'
+    ].join(', '),
+    ExpressionAttributeValues: {
+      ':entityType': 'rosterRollover',
+      ':userId': tracker.userId || '',
+      ...(owner ? { ':ownerPk': owner.GSI2PK, ':ownerSk': owner.GSI2SK } : {}),
+      ':fromTrackerId': tracker.trackerId,
+      ':toTrackerId': newTrackerId,
+      ':outcome': outcome,
+      ':now': new Date(nowSeconds * 1000).toISOString(),
+      ':expiresAt': nowSeconds + ROLLOVER_RECORD_LIFETIME_SECONDS
+    },
+    ReturnValues: 'ALL_NEW'
+  }));
+  return result.Attributes;
+}
+
+export async function markRosterRolloverNotified(record) {
+  requireConfig('tableName');
+  await documentClient().send(new UpdateCommand({
+    TableName: config.tableName,
+    Key: { PK: record.PK, SK: record.SK },
+    UpdateExpression: 'SET notifiedAt = :now',
+    ExpressionAttributeValues: { ':now': new Date().toISOString() }
+  }));
+}
+
+// Keeps an unmatched tracker visible in the owner's watchlist but removes it
+// from the active index, so the monitor no longer polls it.
+export async function markTrackerRolloverUnmatched(tracker, toRoster) {
+  requireConfig('tableName');
+  const change = {
+    TableName: config.tableName,
+    Key: { PK: tracker.PK, SK: tracker.SK },
+    UpdateExpression: [
+      'SET rolloverStatus = :unmatched',
+      'rolloverRoster = :toRoster',
+      'enabled = :disabled',
+      'updatedAt = :now'
+    ].join(', ') + ' REMOVE GSI1PK, GSI1SK',
+    ConditionExpression: 'attribute_exists(PK)',
+    ExpressionAttributeValues: {
+      ':unmatched': 'unmatched',
+      ':toRoster': toRoster,
+      ':disabled': false,
+      ':now': new Date().toISOString()
+    }
+  };
+  if (tracker.entityType === 'tracker') {
+    await writeWatchlistChange(tracker.userId, { Update: change });
+    return;
+  }
+  try {
+    await documentClient().send(new UpdateCommand(change));
+  } catch (error) {
+    if (error?.name !== 'ConditionalCheckFailedException') throw error;
+  }
+}
+
+// Messages held during quiet hours live in the owner's partition and are
+// indexed by release time so one query finds every digest that is due.
+export async function holdDigestMessage(userId, message, releaseAt) {
+  requireConfig('tableName');
+  const releaseIso = releaseAt.toISOString();
+  try {
+    await documentClient().send(new PutCommand({
+      TableName: config.tableName,
+      Item: {
+        PK: userPk(userId),
+        SK: `DIGEST#${message.eventId}`,
+        GSI1PK: 'DIGEST',
+        GSI1SK: `${releaseIso}#${userId}#${message.eventId}`,
+        entityType: 'digestMessage',
+        userId,
+        message,
+        releaseAt: releaseIso,
+        createdAt: new Date().toISOString(),
+        expiresAt: Math.floor(releaseAt.getTime() / 1000) + 86_400
+      },
+      ConditionExpression: 'attribute_not_exists(PK)'
+    }));
+    return true;
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') return false;
+    throw error;
+  }
+}
+
+export async function listHeldDigests(userId) {
+  requireConfig('tableName');
+  const result = await documentClient().send(new QueryCommand({
+    TableName: config.tableName,
+    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+    ExpressionAttributeValues: {
+      ':pk': userPk(userId),
+      ':prefix': 'DIGEST#'
+    }
+  }));
+  return result.Items || [];
+}
+
+export async function listDueDigestMessages(now = new Date()) {
+  requireConfig('tableName');
+  const items = [];
+  let ExclusiveStartKey;
+  do {
+    const result = await documentClient().send(new QueryCommand({
+      TableName: config.tableName,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :digest AND GSI1SK <= :cutoff',
+      ExpressionAttributeValues: {
+        ':digest': 'DIGEST',
+        ':cutoff': `${now.toISOString()}#~`
+      },
+      ExclusiveStartKey
+    }));
+    items.push(...(result.Items || []));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+  return items;
+}
+
+export async function deleteDigestMessages(items) {
+  requireConfig('tableName');
+  for (const item of items) {
+    await documentClient().send(new DeleteCommand({
+      TableName: config.tableName,
+      Key: { PK: item.PK, SK: item.SK }
+    }));
+  }
+}
+
+export async function getSectionStatuses(roster, classNbrs) {
+  requireConfig('tableName');
+  const uniqueClassNbrs = [...new Set(classNbrs.map(String))];
+  const statuses = new Map();
+  for (let index = 0; index < uniqueClassNbrs.length; index += 100) {
+    const batch = uniqueClassNbrs.slice(index, index + 100);
+    const result = await documentClient().send(new BatchGetCommand({
+      RequestItems: {
+        [config.tableName]: {
+          Keys: batch.map(classNbr => ({ PK: sectionPk(roster, classNbr), SK: 'CURRENT' }))
+        }
+      }
+    }));
+    for (const item of result.Responses?.[config.tableName] || []) {
+      statuses.set(String(item.classNbr), item);
+    }
+  }
+  return statuses;
+}
+
+// Moves a section's current status and appends the transition. The
+// conditional update keeps a retried or overlapping run from recording the
+// same transition twice.
+export async function recordSectionTransition(roster, section, previousStatus, observedAt) {
+  requireConfig('tableName');
+  const expiresAt = Math.floor(Date.parse(observedAt) / 1000) + SECTION_HISTORY_LIFETIME_SECONDS;
+  try {
+    await documentClient().send(new UpdateCommand({
+      TableName: config.tableName,
+      Key: { PK: sectionPk(roster, section.classNbr), SK: 'CURRENT' },
+      UpdateExpression: [
+        'SET entityType = :sectionType',
+        'GSI1PK = :subjectSections',
+        'GSI1SK = :courseSection',
+        'roster = :roster',
+        'classNbr = :classNbr',
+        'subject = :subject',
+        'catalogNbr = :catalogNbr',
+        'ssrComponent = :ssrComponent',
+        '#status = :status',
+        'since = :observedAt',
+        'expiresAt = :expiresAt'
+      ].join(', '),
+      ConditionExpression: previousStatus
+        ? '#status = :previousStatus'
+        : 'attribute_not_exists(#status)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':sectionType': 'section-status',
+        ':subjectSections': `SECTIONS#${roster}#${section.subject}`,
+        ':courseSection': `${section.catalogNbr || ''}#${section.classNbr}`,
+        ':roster': roster,
+        ':classNbr': String(section.classNbr),
+        ':subject': section.subject,
+        ':catalogNbr': section.catalogNbr || '',
+        ':ssrComponent': section.ssrComponent || '',
+        ':status': section.status,
+        ':observedAt': observedAt,
+        ':expiresAt': expiresAt,
+        ...(previousStatus ? { ':previousStatus': previousStatus } : {})
+      }
+    }));
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') return false;
+    throw error;
+  }
+
+  await documentClient().send(new PutCommand({
+    TableName: config.tableName,
+    Item: {
+      PK: sectionPk(roster, section.classNbr),
+      SK: `STATUS#${observedAt}`,
+      entityType: 'section-transition',
+      roster,
+      classNbr: String(section.classNbr),
+      subject: section.subject,
+      catalogNbr: section.catalogNbr || '',
+      status: section.status,
+      previousStatus: previousStatus || 'UNKNOWN',
+      observedAt,
+      expiresAt
     }
   }));
+  return true;
+}
+
+export async function getSectionHistory(roster, classNbr, limit = 100) {
+  requireConfig('tableName');
+  const [current, transitions] = await Promise.all([
+    documentClient().send(new GetCommand({
+      TableName: config.tableName,
+      Key: { PK: sectionPk(roster, classNbr), SK: 'CURRENT' }
+    })),
+    documentClient().send(new QueryCommand({
+      TableName: config.tableName,
+      KeyConditionExpression: 'PK = :pk AND begins_with(SK, :statusPrefix)',
+      ExpressionAttributeValues: {
+        ':pk': sectionPk(roster, classNbr),
+        ':statusPrefix': 'STATUS#'
+      },
+      ScanIndexForward: false,
+      Limit: limit
+    }))
+  ]);
+  return {
+    current: current.Item || null,
+    transitions: (transitions.Items || []).reverse()
+  };
+}
+
+export async function listSubjectSections(roster, subject) {
+  requireConfig('tableName');
+  const items = [];
+  let ExclusiveStartKey;
+  do {
+    const result = await documentClient().send(new QueryCommand({
+      TableName: config.tableName,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :subjectSections',
+      ExpressionAttributeValues: { ':subjectSections': `SECTIONS#${roster}#${subject}` },
+      ExclusiveStartKey
+    }));
+    items.push(...(result.Items || []));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+  return items;
+}
+
+export async function listSectionTransitions(roster, classNbr) {
+  requireConfig('tableName');
+  const items = [];
+  let ExclusiveStartKey;
+  do {
+    const result = await documentClient().send(new QueryCommand({
+      TableName: config.tableName,
+      KeyConditionExpression: 'PK = :pk AND begins_with(SK, :statusPrefix)',
+      ExpressionAttributeValues: {
+        ':pk': sectionPk(roster, classNbr),
+        ':statusPrefix': 'STATUS#'
+      },
+      ExclusiveStartKey
+    }));
+    items.push(...(result.Items || []));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+  return items;
+}
+
+export function seatStatisticsKey(target) {
+  if (target.kind === 'course') {
+    return {
+      PK: coursePk(target.roster, target.subject, target.catalogNbr, target.ssrComponent),
+      SK: 'STATS'
+    };
+  }
+  return { PK: sectionPk(target.roster, target.classNbr), SK: 'STATS' };
+}
+
+export async function putSeatStatistics(target, statistics) {
+  requireConfig('tableName');
+  await documentClient().send(new PutCommand({
+    TableName: config.tableName,
+    Item: {
+      ...seatStatisticsKey(target),
+      entityType: 'seat-statistics',
+      ...statistics
+    }
+  }));
+}
+
+// Returns statistics keyed by the PK of each target's statistics row.
+export async function getSeatStatistics(targets) {
+  requireConfig('tableName');
+  const keys = [...new Map(targets.map(target => {
+    const key = seatStatisticsKey(target);
+    return [key.PK, key];
+  })).values()];
+  const statistics = new Map();
+  for (let index = 0; index < keys.length; index += 100) {
+    const result = await documentClient().send(new BatchGetCommand({
+      RequestItems: {
+        [config.tableName]: {
+          Keys: keys.slice(index, index + 100)
+        }
+      }
+    }));
+    for (const item of result.Responses?.[config.tableName] || []) {
+      statistics.set(item.PK, item);
+    }
+  }
+  return statistics;
 }
 
 export async function getProfiles(userIds) {
@@ -478,7 +1408,7 @@ export async function getProfiles(userIds) {
   const profiles = new Map();
   for (let index = 0; index < uniqueIds.length; index += 100) {
     const ids = uniqueIds.slice(index, index + 100);
-    const result = await documentClient.send(new BatchGetCommand({
+    const result = await documentClient().send(new BatchGetCommand({
       RequestItems: {
         [config.tableName]: {
           Keys: ids.map(profileKey)
@@ -492,12 +1422,97 @@ export async function getProfiles(userIds) {
   return profiles;
 }
 
+async function queryAll(input) {
+  const items = [];
+  let ExclusiveStartKey;
+  do {
+    const result = await documentClient().send(new QueryCommand({ ...input, ExclusiveStartKey }));
+    items.push(...(result.Items || []));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+  return items;
+}
+
+// Finds every row stored for one Discord user with queries only: the user's
+// own partition (profile, trackers, held digests, webhook destinations), their
+// command cooldowns, their sessions on GSI1, and, on the owner index GSI2,
+// login codes, rollover records, and channel subscriptions they created.
+async function listUserData(userId) {
+  const [own, rateLimits, sessions, owned] = await Promise.all([
+    queryAll({
+      TableName: config.tableName,
+      KeyConditionExpression: 'PK = :pk',
+      ExpressionAttributeValues: { ':pk': userPk(userId) },
+      ConsistentRead: true
+    }),
+    queryAll({
+      TableName: config.tableName,
+      KeyConditionExpression: 'PK = :pk',
+      ExpressionAttributeValues: { ':pk': `RATELIMIT#${userId}` },
+      ConsistentRead: true
+    }),
+    queryAll({
+      TableName: config.tableName,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'GSI1PK = :sessions',
+      ExpressionAttributeValues: { ':sessions': userSessionsPk(userId) }
+    }),
+    queryAll({
+      TableName: config.tableName,
+      IndexName: 'GSI2',
+      KeyConditionExpression: 'GSI2PK = :owner',
+      ExpressionAttributeValues: { ':owner': ownerPk(userId) }
+    })
+  ]);
+  return [...own, ...rateLimits, ...sessions, ...owned];
+}
+
+// Erases a user's account and returns the rows that were removed. Channel
+// subscriptions the user created belong to their channel, so only the creator
+// is cleared from them. Rows found through an index may be stale, so their
+// writes are conditioned on the owner. Profile rows go last, so a deletion
+// that fails midway can be retried by the same signed-in user.
+export async function deleteUserData(userId) {
+  requireConfig('tableName');
+  const items = (await listUserData(userId)).sort((left, right) => (
+    Number(left.SK === 'PROFILE') - Number(right.SK === 'PROFILE')
+  ));
+  const removed = [];
+  for (const item of items) {
+    const indexed = item.PK !== userPk(userId);
+    try {
+      if (item.entityType === 'subscription') {
+        await documentClient().send(new UpdateCommand({
+          TableName: config.tableName,
+          Key: { PK: item.PK, SK: item.SK },
+          UpdateExpression: 'REMOVE createdBy, GSI2PK, GSI2SK',
+          ConditionExpression: 'createdBy = :userId',
+          ExpressionAttributeValues: { ':userId': userId }
+        }));
+        continue;
+      }
+      await documentClient().send(new DeleteCommand({
+        TableName: config.tableName,
+        Key: { PK: item.PK, SK: item.SK },
+        ...(indexed ? {
+          ConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: { ':userId': userId }
+        } : {})
+      }));
+      removed.push(item);
+    } catch (error) {
+      if (error?.name !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+  return removed;
+}
+
 export async function listDiscordProfiles() {
   requireConfig('tableName');
   const profiles = [];
   let ExclusiveStartKey;
   do {
-    const result = await documentClient.send(new ScanCommand({
+    const result = await documentClient().send(new ScanCommand({
       TableName: config.tableName,
       FilterExpression: 'SK = :profile AND attribute_exists(discordUserId)',
       ExpressionAttributeValues: { ':profile': 'PROFILE' },
@@ -0,0 +1,245 @@
+import { createHmac } from 'node:crypto';
+import { lookup } from 'node:dns/promises';
+import http from 'node:http';
+import https from 'node:https';
+import { BlockList, isIP } from 'node:net';
+import { listDestinations, recordDestinationDelivery } from './storage.mjs';
+
+const WEBHOOK_NOTIFICATION_TYPES = new Set(['course-opened', 'course-not-open']);
+const WEBHOOK_TIMEOUT_MS = 3_000;
+const WEBHOOK_ATTEMPTS = 2;
+const WEBHOOK_RETRY_DELAY_MS = 500;
+const WEBHOOK_MAX_BACKOFF_MINUTES = 60;
+export const WEBHOOK_DISABLE_AFTER_FAILURES = 20;
+
+// Webhooks are delivered from inside AWS, so no destination may resolve to a
+// private, loopback, link-local (including the instance metadata service),
+// shared, multicast, or reserved address. IPv4-mapped IPv6 addresses match
+// the IPv4 ranges, and 6to4 and NAT64 addresses are judged by the IPv4
+// address they carry.
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [
+  ['::', 127],
+  ['64:ff9b:1::', 48],
+  ['2001::', 32],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+
+// The payload carries the same fields the monitor builds for the Discord DM,
+// without the recipient's Discord ID.
+export function webhookPayload(message) {
+  return {
+    eventId: message.eventId,
+    type: message.type,
+    status: message.status,
+    tracker: message.tracker,
+    ...(message.removedAfterAlert ? { removedAfterAlert: true } : {}),
+    sourceObservedAt: message.sourceObservedAt || null,
+    detectedAt: message.detectedAt || null,
+    queuedAt: message.queuedAt || null
+  };
+}
+
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// A failing destination is skipped for a doubling interval, capped at an
+// hour, so one broken endpoint cannot slow every notifier batch.
+export function webhookRetryAfter(consecutiveFailures, now = new Date()) {
+  const minutes = Math.min(2 ** Math.max(0, consecutiveFailures - 1), WEBHOOK_MAX_BACKOFF_MINUTES);
+  return new Date(now.getTime() + minutes * 60_000).toISOString();
+}
+
+export function destinationIsDue(destination, now = new Date()) {
+  if (destination.enabled === false) return false;
+  const retryAfter = Date.parse(destination.retryAfter || '');
+  return !Number.isFinite(retryAfter) || retryAfter <= now.getTime();
+}
+
+// A destination is disabled after too many failures in a row; the owner can
+// delete and re-add it once the endpoint is fixed.
+export function destinationDeliveryUpdate(destination, result, now = new Date()) {
+  if (result.ok) {
+    return {
+      consecutiveFailures: 0,
+      lastDeliveredAt: now.toISOString(),
+      lastError: '',
+      retryAfter: ''
+    };
+  }
+  const consecutiveFailures = (destination.consecutiveFailures || 0) + 1;
+  return {
+    consecutiveFailures,
+    enabled: consecutiveFailures < WEBHOOK_DISABLE_AFTER_FAILURES,
+    lastFailureAt: now.toISOString(),
+    lastError: String(result.error || 'Delivery failed').slice(0, 200),
+    retryAfter: webhookRetryAfter(consecutiveFailures, now)
+  };
+}
+
+function retryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function ipv6Groups(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+  return [...left, ...zeros, ...right].map(group => parseInt(group, 16));
+}
+
+const ipv4From = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address);
+  if (groups[0] === 0x2002) return ipv4From(groups[1], groups[2]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return ipv4From(groups[6], groups[7]);
+  }
+  return null;
+}
+
+export function isPublicAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return false;
+  if (family === 4) return !BLOCKED_ADDRESSES.check(address, 'ipv4');
+  const embedded = embeddedIPv4(address);
+  if (embedded) return isPublicAddress(embedded);
+  return !BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+// The URL was checked when the destination was saved, but its name can later
+// resolve anywhere, so the host is looked up before every attempt and the
+// request goes to the address that passed.
+export async function vettedAddress(url, lookupImpl = lookup) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await lookupImpl(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return { error: `Could not resolve ${hostname}: ${error.code || error.message}` };
+  }
+  if (!addresses.length) return { error: `Could not resolve ${hostname}` };
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) return { error: `${hostname} resolves to a non-public address (${blocked.address})` };
+  return { address: addresses[0].address };
+}
+
+// Connects to `address` instead of letting the client look the host up a
+// second time, which a rebinding name could answer differently. The Host
+// header and TLS server name still carry the hostname, so the certificate is
+// checked against it. Redirects are never followed.
+export function postWebhook(url, address, { headers, body, timeoutMs = WEBHOOK_TIMEOUT_MS }) {
+  const target = new URL(url);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  const signal = AbortSignal.timeout(timeoutMs);
+  return new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).request({
+      host: address,
+      port: target.port || undefined,
+      path: `${target.pathname}${target.search}`,
+      method: 'POST',
+      servername: isIP(hostname) ? undefined : hostname,
+      headers: { ...headers, host: target.host, 'content-length': Buffer.byteLength(body) },
+      signal
+    }, response => {
+      response.resume();
+      resolve({ ok: response.statusCode >= 200 && response.statusCode < 300, status: response.statusCode });
+    });
+    request.on('error', error => reject(signal.aborted ? signal.reason : error));
+    request.end(body);
+  });
+}
+
+export async function deliverWebhook(destination, message, { postImpl = postWebhook, lookupImpl = lookup, now = new Date() } = {}) {
+  const body = JSON.stringify(webhookPayload(message));
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  let error = '';
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt += 1) {
+    if (attempt > 1) await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY_MS));
+    const vetted = await vettedAddress(destination.url, lookupImpl);
+    if (vetted.error) return { ok: false, attempts: attempt - 1, error: vetted.error };
+    try {
+      const response = await postImpl(destination.url, vetted.address, {
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'CourseSnag-Webhook/0.1',
+          'x-coursesnag-event-id': String(message.eventId || ''),
+          'x-coursesnag-timestamp': timestamp,
+          'x-coursesnag-signature': signWebhookPayload(destination.secret, timestamp, body)
+        },
+        body
+      });
+      if (response.ok) return { ok: true, attempts: attempt };
+      error = `HTTP ${response.status}`;
+      if (!retryableStatus(response.status)) return { ok: false, attempts: attempt, error };
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError' ? 'Timed out' : requestError.message;
+    }
+  }
+  return { ok: false, attempts: WEBHOOK_ATTEMPTS, error };
+}
+
+// Delivers one alert to the owner's webhook destinations. Failures are
+// recorded on each destination and never thrown, so the Discord DM and the
+// SQS record are unaffected by a broken webhook.
+export async function deliverWebhooks(message, { postImpl = postWebhook, lookupImpl = lookup, now = new Date() } = {}) {
+  const summary = { delivered: 0, failed: 0, skipped: 0 };
+  if (!WEBHOOK_NOTIFICATION_TYPES.has(message?.type)) return summary;
+
+  try {
+    const destinations = await listDestinations(message.discordUserId);
+    await Promise.all(destinations.map(async destination => {
+      if (!destinationIsDue(destination, now)) {
+        summary.skipped += 1;
+        return;
+      }
+      const result = await deliverWebhook(destination, message, { postImpl, lookupImpl, now });
+      await recordDestinationDelivery(
+        message.discordUserId,
+        destination.destinationId,
+        destinationDeliveryUpdate(destination, result, now)
+      );
+      if (result.ok) {
+        summary.delivered += 1;
+        return;
+      }
+      summary.failed += 1;
+      console.warn('Webhook delivery failed', {
+        eventId: message.eventId || null,
+        destinationId: destination.destinationId,
+        attempts: result.attempts,
+        error: result.error
+      });
+    }));
+  } catch (error) {
+    console.error('Webhook destinations could not be processed', {
+      eventId: message.eventId || null,
+      message: error.message
+    });
+  }
+  return summary;
+}
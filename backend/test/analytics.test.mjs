@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  openPeriods,
+  publicSeatStatistics,
+  seatOpeningSummary,
+  seatStatistics
+} from '../src/analytics.mjs';
+
+const transitions = [
+  { status: 'O', previousStatus: 'UNKNOWN', observedAt: '2026-08-17T12:00:00.000Z' },
+  { status: 'C', previousStatus: 'O', observedAt: '2026-08-17T12:30:00.000Z' },
+  { status: 'O', previousStatus: 'C', observedAt: '2026-08-18T13:00:00.000Z' },
+  { status: 'W', previousStatus: 'O', observedAt: '2026-08-18T13:10:00.000Z' },
+  { status: 'O', previousStatus: 'W', observedAt: '2026-08-19T13:05:00.000Z' },
+  { status: 'C', previousStatus: 'O', observedAt: '2026-08-19T13:35:00.000Z' },
+  { status: 'O', previousStatus: 'C', observedAt: '2026-08-20T18:00:00.000Z' }
+];
+
+test('finds open periods and skips a section already open when first observed', () => {
+  assert.deepEqual(openPeriods([...transitions].reverse()), [
+    { start: '2026-08-18T13:00:00.000Z', end: '2026-08-18T13:10:00.000Z' },
+    { start: '2026-08-19T13:05:00.000Z', end: '2026-08-19T13:35:00.000Z' },
+    { start: '2026-08-20T18:00:00.000Z', end: null }
+  ]);
+});
+
+test('computes openings, median time open, and New York opening hours', () => {
+  const statistics = seatStatistics(openPeriods(transitions));
+
+  assert.equal(statistics.openings, 3);
+  assert.equal(statistics.medianOpenMinutes, 20);
+  assert.equal(statistics.openingHours[9], 2);
+  assert.equal(statistics.openingHours[14], 1);
+  assert.equal(statistics.peakHour, 9);
+  assert.equal(statistics.lastOpenedAt, '2026-08-20T18:00:00.000Z');
+  assert.deepEqual(seatStatistics([]), {
+    openings: 0,
+    medianOpenMinutes: null,
+    openingHours: Array.from({ length: 24 }, () => 0),
+    peakHour: null,
+    lastOpenedAt: null
+  });
+});
+
+test('summarizes seat statistics for Discord and the website', () => {
+  const statistics = seatStatistics(openPeriods(transitions));
+
+  assert.equal(
+    seatOpeningSummary(statistics),
+    'Opened 3 times this term · usually open 20 min · most often around 9 AM'
+  );
+  assert.equal(seatOpeningSummary(seatStatistics([])), 'No openings seen this term');
+  assert.equal(seatOpeningSummary(undefined), '');
+  assert.equal(publicSeatStatistics({ PK: 'SECTION#FA26#1', SK: 'STATS', openings: 2 }).openings, 2);
+  assert.equal(publicSeatStatistics(undefined), null);
+});
@@ -1,6 +1,13 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { buildStatusIndex, defaultRosterSlug, fetchCurrentRoster } from '../src/cornell.mjs';
+import {
+  activeRosterSlugs,
+  buildStatusIndex,
+  defaultRosterSlug,
+  fetchActiveRosters,
+  fetchCurrentRoster,
+  parseRosterOverride
+} from '../src/cornell.mjs';
 
 test('indexes Cornell section statuses by class number', () => {
   const index = buildStatusIndex([{ enrollGroups: [{ classSections: [
@@ -32,3 +39,44 @@ test('loads the current roster from Cornell configuration', async () => {
 
   assert.equal(roster, 'FA26');
 });
+
+test('keeps later published rosters active alongside the current roster', () => {
+  const rosters = [
+    { slug: 'SP26', isDefaultRoster: 'N' },
+    { slug: 'SU26', isDefaultRoster: 'Y' },
+    { slug: 'FA26', isDefaultRoster: 'N' }
+  ];
+
+  assert.deepEqual(activeRosterSlugs(rosters), { current: 'SU26', active: ['SU26', 'FA26'] });
+  assert.deepEqual(activeRosterSlugs([{ slug: 'FA26', isDefaultRoster: 'Y' }]), {
+    current: 'FA26',
+    active: ['FA26']
+  });
+  assert.deepEqual(activeRosterSlugs([]), { current: '', active: [] });
+});
+
+test('applies the owner roster override to published rosters only', () => {
+  const rosters = [
+    { slug: 'SP26', isDefaultRoster: 'N' },
+    { slug: 'SU26', isDefaultRoster: 'Y' },
+    { slug: 'FA26', isDefaultRoster: 'N' }
+  ];
+
+  assert.deepEqual(parseRosterOverride(' sp26, FA27 ,'), ['SP26', 'FA27']);
+  assert.deepEqual(
+    activeRosterSlugs(rosters, parseRosterOverride('SP26,FA27')),
+    { current: 'SU26', active: ['SU26', 'SP26'] }
+  );
+});
+
+test('loads active rosters from Cornell configuration', async () => {
+  const rosters = await fetchActiveRosters(async () => ({
+    ok: true,
+    json: async () => ({
+      status: 'success',
+      data: { rosters: [{ slug: 'SU26', isDefaultRoster: 'Y' }, { slug: 'FA26' }] }
+    })
+  }), []);
+
+  assert.deepEqual(rosters, { current: 'SU26', active: ['SU26', 'FA26'] });
+});
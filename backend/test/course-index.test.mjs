@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  clearCourseIndex,
+  courseEntries,
+  courseSuggestions,
+  findCourse,
+  parseCourseCode,
+  parseSectionChoice,
+  sectionChoices
+} from '../src/course-index.mjs';
+
+const classes = [{
+  subject: 'CS',
+  catalogNbr: '2110',
+  titleShort: 'Object-Oriented Prog & Data Struc',
+  enrollGroups: [{
+    classSections: [
+      {
+        classNbr: 12345,
+        section: '001',
+        ssrComponent: 'LEC',
+        meetings: [{ pattern: 'TR', timeStart: '10:10AM', timeEnd: '11:00AM' }]
+      },
+      { classNbr: 12346, section: '201', ssrComponent: 'DIS', meetings: [] }
+    ]
+  }]
+}, {
+  subject: 'CS',
+  catalogNbr: '3110',
+  titleShort: 'Functional Programming',
+  enrollGroups: []
+}];
+
+function cornellFetch(requests) {
+  return async url => {
+    const target = new URL(url);
+    requests.push(`${target.pathname}?${target.searchParams.get('roster') || ''}`);
+    const data = target.pathname.endsWith('/config/rosters.json')
+      ? { rosters: [{ slug: 'FA26', isDefaultRoster: 'Y' }] }
+      : target.pathname.endsWith('/config/subjects.json')
+        ? { subjects: [{ value: 'CS', descr: 'Computer Science' }, { value: 'CHEM', descr: 'Chemistry' }] }
+        : { classes };
+    return { ok: true, json: async () => ({ status: 'success', data }) };
+  };
+}
+
+test('parses typed and roster-qualified course codes', () => {
+  assert.deepEqual(parseCourseCode('cs2110', 'FA26'), { roster: 'FA26', subject: 'CS', catalogNbr: '2110' });
+  assert.deepEqual(parseCourseCode('SP27  CS 2110', 'FA26'), { roster: 'SP27', subject: 'CS', catalogNbr: '2110' });
+  assert.deepEqual(parseCourseCode('ch', 'FA26'), { roster: 'FA26', subject: 'CH', catalogNbr: '' });
+  assert.equal(parseCourseCode('CS-2110; drop', 'FA26'), null);
+});
+
+test('offers any-section, component, and individual section choices', () => {
+  const [course] = courseEntries('FA26', classes);
+
+  assert.equal(course.sections[0].classTime, 'TR 10:10AM - 11:00AM');
+  assert.deepEqual(sectionChoices(course).map(choice => choice.value), [
+    'any',
+    'any:LEC',
+    'any:DIS',
+    '12345',
+    '12346'
+  ]);
+  assert.deepEqual(sectionChoices(course, 'dis').map(choice => choice.value), ['any:DIS', '12346']);
+  assert.deepEqual(parseSectionChoice('any:lec'), { kind: 'course', ssrComponent: 'LEC' });
+  assert.deepEqual(parseSectionChoice('12345'), { kind: 'section', classNbr: '12345' });
+  assert.equal(parseSectionChoice('LEC 001'), null);
+});
+
+test('suggests subjects, then courses, from a cached Cornell index', async () => {
+  clearCourseIndex();
+  const requests = [];
+  const fetchImpl = cornellFetch(requests);
+
+  assert.deepEqual(await courseSuggestions('c', fetchImpl), [
+    { name: 'CS — Computer Science', value: 'CS' },
+    { name: 'CHEM — Chemistry', value: 'CHEM' }
+  ]);
+  assert.deepEqual(await courseSuggestions('cs 21', fetchImpl), [
+    { name: 'CS 2110 · Object-Oriented Prog & Data Struc', value: 'FA26 CS 2110' }
+  ]);
+  assert.equal((await findCourse({ roster: 'FA26', subject: 'CS', catalogNbr: '3110' }, fetchImpl)).title, 'Functional Programming');
+  assert.deepEqual(requests, [
+    '/api/2.0/config/rosters.json?',
+    '/api/2.0/config/subjects.json?FA26',
+    '/api/2.0/search/classes.json?FA26'
+  ]);
+  clearCourseIndex();
+});
@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { digestMessage } from '../src/digests.mjs';
+
+const tracker = { roster: 'FA26', subject: 'CS', catalogNbr: '2110', classNbr: '12345' };
+
+test('keeps only the latest held change for each tracker', () => {
+  const message = digestMessage('123', [
+    {
+      releaseAt: '2026-08-18T11:00:00.000Z',
+      message: { type: 'course-opened', status: 'O', tracker, detectedAt: '2026-08-18T04:00:00.000Z' }
+    },
+    {
+      releaseAt: '2026-08-18T11:00:00.000Z',
+      message: { type: 'course-not-open', status: 'C', tracker, detectedAt: '2026-08-18T03:00:00.000Z' }
+    },
+    {
+      releaseAt: '2026-08-18T11:00:00.000Z',
+      message: {
+        type: 'course-not-open',
+        status: 'W',
+        tracker: { ...tracker, classNbr: '54321' },
+        detectedAt: '2026-08-18T05:00:00.000Z'
+      }
+    }
+  ], '2026-08-18T11:02:00.000Z');
+
+  assert.equal(message.type, 'alert-digest');
+  assert.equal(message.eventId, 'alert-digest:123:2026-08-18T11:00:00.000Z');
+  assert.equal(message.heldMessages, 3);
+  assert.deepEqual(message.changes.map(change => [change.tracker.classNbr, change.status]), [
+    ['12345', 'O'],
+    ['54321', 'W']
+  ]);
+});
@@ -1,6 +1,6 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
-import { notificationContent } from '../src/discord.mjs';
+import { channelNotificationContent, closedAgainContent, notificationContent } from '../src/discord.mjs';
 
 const tracker = {
   subject: 'CS',
@@ -17,6 +17,101 @@ test('formats availability messages without a website link', () => {
   assert.doesNotMatch(notificationContent({ type: 'course-opened', tracker }).content, /coursesnag\.pages\.dev/);
 });
 
+test('tells the owner when a one-shot tracker was removed after its open alert', () => {
+  const content = notificationContent({ type: 'course-opened', tracker, removedAfterAlert: true }).content;
+
+  assert.match(content, /CS 2110 is open/);
+  assert.match(content, /removed from your watchlist after this alert/);
+  assert.doesNotMatch(notificationContent({ type: 'course-opened', tracker }).content, /removed/);
+});
+
+test('adds Student Center, untrack, and snooze buttons to availability alerts', () => {
+  const message = {
+    type: 'course-opened',
+    discordUserId: '123456789',
+    tracker: { ...tracker, trackerId: 'FA26:12345' }
+  };
+  const buttons = notificationContent(message).components[0].components;
+
+  assert.deepEqual(buttons.map(button => button.label), [
+    'Open Student Center',
+    'Stop tracking',
+    'Snooze 1h',
+    'Snooze 24h'
+  ]);
+  assert.equal(buttons[0].url, 'https://studentcenter.cornell.edu/');
+  assert.equal(buttons[1].custom_id, 'untrack:123456789:FA26:12345');
+  assert.equal(buttons[3].custom_id, 'snooze-24h:123456789:FA26:12345');
+  assert.equal(
+    notificationContent({ ...message, type: 'course-not-open', status: 'C' }).components[0].components.length,
+    4
+  );
+  assert.deepEqual(
+    notificationContent({ ...message, removedAfterAlert: true }).components[0].components.map(button => button.label),
+    ['Open Student Center']
+  );
+  assert.equal(notificationContent({ type: 'connection-confirmed' }).components, undefined);
+});
+
+test('strikes through an earlier open DM when the section closes again', () => {
+  const message = {
+    type: 'course-not-open',
+    status: 'C',
+    discordUserId: '123456789',
+    detectedAt: '2026-08-18T15:00:00.000Z',
+    tracker: { ...tracker, trackerId: 'FA26:12345' }
+  };
+  const edited = closedAgainContent('🎉 **CS 2110 is open!**\nObject-Oriented Programming', message);
+
+  assert.equal(
+    edited.content,
+    '~~🎉 **CS 2110 is open!**~~\n~~Object-Oriented Programming~~\n🔒 **Closed again** at <t:1787065200:f>.'
+  );
+  assert.equal(edited.components[0].components.length, 4);
+  assert.match(closedAgainContent('open', { ...message, status: 'W' }).content, /\*\*Waitlisted\*\* at/);
+});
+
+test('lists the open sections of a course-level tracker', () => {
+  const content = notificationContent({
+    type: 'course-opened',
+    tracker: {
+      kind: 'course',
+      subject: 'CS',
+      catalogNbr: '2110',
+      ssrComponent: 'LEC',
+      openSections: [{ classNbr: '12345', section: '001', ssrComponent: 'LEC' }]
+    }
+  }).content;
+
+  assert.match(content, /CS 2110 is open/);
+  assert.match(content, /Any LEC section/);
+  assert.match(content, /Open now: LEC 001 \(Class #12345\)/);
+});
+
+test('explains why a missing tracker was retired', () => {
+  const content = notificationContent({
+    type: 'tracker-retired',
+    reason: 'section-missing',
+    missingPolls: 3,
+    tracker
+  }).content;
+
+  assert.match(content, /CS 2110 was removed from your watchlist/);
+  assert.match(content, /Class #12345/);
+  assert.match(content, /no longer lists this section after 3 consecutive checks/);
+});
+
+test('reports a tracker that could not move to the new roster', () => {
+  const content = notificationContent({
+    type: 'tracker-rollover-unmatched',
+    toRoster: 'FA26',
+    tracker
+  }).content;
+
+  assert.match(content, /CS 2110 could not move to FA26/);
+  assert.match(content, /stays in your watchlist/);
+});
+
 test('rejects tracker add and remove notifications', () => {
   assert.throws(() => notificationContent({ type: 'tracking-added', tracker }), /Unsupported/);
   assert.throws(() => notificationContent({ type: 'tracking-removed', tracker }), /Unsupported/);
@@ -43,3 +138,42 @@ test('formats seasonal Discord status messages', () => {
   );
   assert.doesNotMatch(offline, /sleep/i);
 });
+
+test('merges held quiet-hours changes into one digest', () => {
+  const content = notificationContent({
+    type: 'alert-digest',
+    changes: [
+      { type: 'course-not-open', status: 'W', tracker },
+      { type: 'course-opened', status: 'O', tracker: { ...tracker, catalogNbr: '3110', classNbr: '54321' } }
+    ]
+  }).content;
+
+  assert.match(content, /Changes during your quiet hours/);
+  assert.match(content, /CS 2110\*\* 🔒 is waitlisted/);
+  assert.match(content, /CS 3110\*\* 🎉 is open/);
+});
+
+test('posts channel alerts with only the subscribed role mentioned and no owner buttons', () => {
+  const body = channelNotificationContent({
+    type: 'course-opened',
+    guildId: '900',
+    channelId: '901',
+    roleId: '902',
+    tracker: { ...tracker, trackerId: 'FA26:12345' }
+  });
+
+  assert.match(body.content, /^<@&902> 🎉 \*\*CS 2110 is open!\*\*/);
+  assert.deepEqual(body.allowed_mentions, { parse: [], roles: ['902'] });
+  assert.deepEqual(body.components[0].components.map(button => button.label), ['Open Student Center']);
+
+  const retired = channelNotificationContent({ type: 'tracker-retired', channelId: '901', tracker });
+  assert.match(retired.content, /removed from this channel's subscriptions/);
+  assert.deepEqual(retired.allowed_mentions, { parse: [], roles: [] });
+});
+
+test('confirms an account deletion without alert buttons', () => {
+  const body = notificationContent({ type: 'account-deleted', discordUserId: '123' });
+
+  assert.match(body.content, /account was deleted/);
+  assert.equal(body.components, undefined);
+});
@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  accountExport,
+  accountExportCsv,
+  latestAlertState,
+  normalizeExportFormat
+} from '../src/export.mjs';
+
+const profile = {
+  PK: 'USER#123',
+  SK: 'PROFILE',
+  discordUserId: '123',
+  discordUsername: 'student',
+  discordDisplayName: 'Student, "Ezra"',
+  discordConnectedAt: '2026-08-01T12:00:00.000Z',
+  closedAlertDelivery: 'edit',
+  createdAt: '2026-08-01T12:00:00.000Z',
+  lastActiveAt: '2026-08-20T12:00:00.000Z'
+};
+
+const tracker = {
+  PK: 'USER#123',
+  SK: 'TRACKER#abc',
+  trackerId: 'abc',
+  kind: 'section',
+  roster: 'FA26',
+  subject: 'CS',
+  classNbr: '12345',
+  lastStatus: 'O',
+  alertedStatus: 'O',
+  lastAlerts: { 'course-opened': '2026-08-20T10:00:00.000Z' },
+  openAlertMessage: {
+    channelId: '900',
+    messageId: '901',
+    content: 'CS 2110 is open.',
+    eventId: 'evt-1',
+    sentAt: '2026-08-20T10:00:05.000Z'
+  },
+  createdAt: '2026-08-02T12:00:00.000Z'
+};
+
+const destination = {
+  destinationId: 'dest-1',
+  url: 'https://hooks.example.com/coursesnag',
+  secret: 'super-secret-signing-key',
+  lastDeliveredAt: '2026-08-20T10:00:06.000Z',
+  lastFailureAt: '2026-08-19T10:00:00.000Z',
+  lastError: 'HTTP 500',
+  createdAt: '2026-08-03T12:00:00.000Z'
+};
+
+test('accepts json and csv export formats', () => {
+  assert.equal(normalizeExportFormat(undefined), 'json');
+  assert.equal(normalizeExportFormat(' CSV '), 'csv');
+  assert.throws(() => normalizeExportFormat('xml'), /Export format must be one of json, csv/);
+});
+
+test('builds an account export without secrets or session token hashes', () => {
+  const bundle = accountExport({
+    profile,
+    trackers: [tracker],
+    sessions: [
+      { PK: 'SESSION#current', SK: 'SESSION', userId: '123', sessionId: 's1', device: 'Chrome on macOS', createdAt: '2026-08-20T09:00:00.000Z', expiresAt: 1789981200 },
+      { PK: 'SESSION#other', SK: 'SESSION', userId: '123', createdAt: '2026-08-10T09:00:00.000Z', expiresAt: 1789117200 }
+    ],
+    digests: [],
+    destinations: [destination]
+  }, { currentTokenHash: 'current', exportedAt: new Date('2026-08-21T00:00:00.000Z') });
+
+  assert.equal(bundle.exportedAt, '2026-08-21T00:00:00.000Z');
+  assert.equal(bundle.profile.discordUserId, '123');
+  assert.equal(bundle.profile.closedAlertDelivery, 'edit');
+  assert.equal(bundle.profile.quietHours.enabled, false);
+  assert.equal(bundle.profile.lastActiveAt, '2026-08-20T12:00:00.000Z');
+  assert.equal(bundle.trackers[0].lastStatus, 'O');
+  assert.equal(bundle.latestAlerts[0].alertedStatus, 'O');
+  assert.deepEqual(bundle.sessions, [
+    {
+      sessionId: 's1',
+      device: 'Chrome on macOS',
+      current: true,
+      createdAt: '2026-08-20T09:00:00.000Z',
+      lastUsedAt: '2026-08-20T09:00:00.000Z',
+      expiresAt: '2026-09-21T09:00:00.000Z'
+    },
+    {
+      sessionId: null,
+      device: 'Unknown device',
+      current: false,
+      createdAt: '2026-08-10T09:00:00.000Z',
+      lastUsedAt: '2026-08-10T09:00:00.000Z',
+      expiresAt: '2026-09-11T09:00:00.000Z'
+    }
+  ]);
+  assert.equal(bundle.destinations[0].destinationId, 'dest-1');
+
+  const serialized = JSON.stringify(bundle);
+  assert.doesNotMatch(serialized, /super-secret-signing-key/);
+  assert.doesNotMatch(serialized, /SESSION#/);
+});
+
+test('exports the latest alert state of each tracker, including held alerts', () => {
+  const states = latestAlertState({
+    trackers: [tracker],
+    digests: [
+      {
+        createdAt: '2026-08-20T11:00:00.000Z',
+        releaseAt: '2026-08-21T07:00:00.000Z',
+        message: { type: 'course-not-open', eventId: 'evt-2', tracker: { trackerId: 'abc' } }
+      },
+      {
+        createdAt: '2026-08-20T11:05:00.000Z',
+        releaseAt: '2026-08-21T07:00:00.000Z',
+        message: { type: 'course-opened', eventId: 'evt-3', tracker: { trackerId: 'removed' } }
+      }
+    ]
+  });
+
+  assert.deepEqual(states, [
+    {
+      trackerId: 'abc',
+      alertedStatus: 'O',
+      lastAlerts: { 'course-opened': '2026-08-20T10:00:00.000Z' },
+      openAlertDm: { sentAt: '2026-08-20T10:00:05.000Z', eventId: 'evt-1' },
+      heldForQuietHours: [{
+        type: 'course-not-open',
+        eventId: 'evt-2',
+        heldAt: '2026-08-20T11:00:00.000Z',
+        releaseAt: '2026-08-21T07:00:00.000Z'
+      }]
+    },
+    {
+      trackerId: 'removed',
+      alertedStatus: '',
+      lastAlerts: {},
+      openAlertDm: null,
+      heldForQuietHours: [{
+        type: 'course-opened',
+        eventId: 'evt-3',
+        heldAt: '2026-08-20T11:05:00.000Z',
+        releaseAt: '2026-08-21T07:00:00.000Z'
+      }]
+    }
+  ]);
+  assert.doesNotMatch(JSON.stringify(states), /CS 2110 is open/);
+});
+
+test('flattens the export into quoted section, item, field, and value rows', () => {
+  const csv = accountExportCsv(accountExport(
+    { profile, trackers: [tracker] },
+    { exportedAt: new Date('2026-08-21T00:00:00.000Z') }
+  ));
+  const lines = csv.trimEnd().split('\r\n');
+
+  assert.equal(lines[0], 'section,item,field,value');
+  assert.equal(lines[1], 'export,,exportedAt,2026-08-21T00:00:00.000Z');
+  assert.ok(lines.includes('profile,,discordDisplayName,"Student, ""Ezra"""'));
+  assert.ok(lines.includes('profile,,quietHours.startHour,22'));
+  assert.ok(lines.includes('trackers,0,classNbr,12345'));
+  assert.ok(lines.includes('latestAlerts,0,lastAlerts.course-opened,2026-08-20T10:00:00.000Z'));
+  assert.ok(lines.includes('trackers,0,openSections,[]'));
+  assert.ok(lines.includes('latestAlerts,0,openAlertDm.sentAt,2026-08-20T10:00:05.000Z'));
+});
@@ -0,0 +1,207 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { recordCornellFixtures, startFakeCornell } from '../dev/fake-cornell.mjs';
+import { createLocalQueue } from '../dev/local-queue.mjs';
+import { createMemoryTable } from '../dev/memory-table.mjs';
+import { config } from '../src/config.mjs';
+import { buildStatusIndex, fetchActiveRosters, fetchSubjectClasses } from '../src/cornell.mjs';
+import { handler as monitorHandler } from '../src/monitor.mjs';
+import { useQueueClient } from '../src/queue.mjs';
+import {
+  claimRosterRollover,
+  listTrackers,
+  putTracker,
+  upsertDiscordProfile,
+  useStorageTable
+} from '../src/storage.mjs';
+
+const fixtures = {
+  rosters: {
+    status: 'success',
+    data: { rosters: [
+      { slug: 'SU26', isDefaultRoster: 'N' },
+      { slug: 'FA26', isDefaultRoster: 'Y' }
+    ] },
+    message: null
+  },
+  subjects: {
+    FA26: { status: 'success', data: { subjects: [{ value: 'CS', descr: 'Computer Science' }] }, message: null }
+  },
+  classes: {
+    FA26: {
+      CS: {
+        status: 'success',
+        data: { classes: [{
+          subject: 'CS',
+          catalogNbr: '2110',
+          titleShort: 'OO Prog & Data Structures',
+          titleLong: 'Object-Oriented Programming and Data Structures',
+          enrollGroups: [{ classSections: [
+            { classNbr: 12345, section: '001', ssrComponent: 'LEC', openStatus: 'C' },
+            { classNbr: 12346, section: '201', ssrComponent: 'DIS', openStatus: 'O' }
+          ] }]
+        }] },
+        message: null
+      }
+    }
+  }
+};
+
+let cornell;
+let directory;
+
+before(async () => {
+  cornell = await startFakeCornell({ fixtures });
+  directory = mkdtempSync(join(tmpdir(), 'coursesnag-cornell-'));
+  writeFileSync(join(directory, 'mode'), 'cloud\n');
+  Object.assign(config, {
+    tableName: 'CourseSnagTable',
+    alertQueueUrl: 'local://alerts',
+    modeFile: join(directory, 'mode'),
+    cornellApiBase: cornell.apiBase
+  });
+});
+
+after(async () => {
+  await cornell.close();
+  rmSync(directory, { recursive: true, force: true });
+});
+
+test('replays recorded rosters and classes with scripted status changes and roster flips', async () => {
+  assert.deepEqual(await fetchActiveRosters(fetch, []), { current: 'FA26', active: ['FA26'] });
+  assert.equal(buildStatusIndex(await fetchSubjectClasses('FA26', 'CS')).get('12345'), 'C');
+
+  cornell.setStatus('FA26', '12345', 'O');
+  cornell.removeSection('FA26', '12346');
+  const statuses = buildStatusIndex(await fetchSubjectClasses('FA26', 'CS'));
+  assert.equal(statuses.get('12345'), 'O');
+  assert.equal(statuses.has('12346'), false);
+  cornell.restoreSection('FA26', '12346');
+  cornell.setStatus('FA26', '12345', 'C');
+
+  cornell.setDefaultRoster('SP27');
+  assert.deepEqual(await fetchActiveRosters(fetch, []), { current: 'SP27', active: ['SP27'] });
+  cornell.setDefaultRoster('FA26');
+  await assert.rejects(() => fetchSubjectClasses('SP27', 'CS'), /No classes found for CS in SP27/);
+});
+
+test('injects HTTP errors, status error payloads, and latency per request', async () => {
+  cornell.failNext({ status: 503, subject: 'CS' });
+  await assert.rejects(() => fetchSubjectClasses('FA26', 'CS'), /HTTP 503/);
+  cornell.errorNext({ message: 'Roster data is being refreshed.', path: /rosters\.json$/ });
+  await assert.rejects(() => fetchActiveRosters(fetch, []), /Roster data is being refreshed/);
+
+  cornell.slowNext({ ms: 200, subject: 'CS' });
+  const startedAt = Date.now();
+  assert.equal((await fetchSubjectClasses('FA26', 'CS')).length, 1);
+  assert.ok(Date.now() - startedAt >= 200);
+  assert.deepEqual(cornell.requests.slice(-1).map(({ path, roster, subject }) => ({ path, roster, subject })), [
+    { path: '/search/classes.json', roster: 'FA26', subject: 'CS' }
+  ]);
+});
+
+test('records Cornell responses verbatim into a replayable fixture', async () => {
+  const recorded = await recordCornellFixtures({
+    base: cornell.apiBase,
+    subjects: ['CS', 'MATH'],
+    pauseMs: 0,
+    now: () => new Date('2026-08-20T12:00:00.000Z')
+  });
+
+  assert.equal(recorded.recordedAt, '2026-08-20T12:00:00.000Z');
+  assert.deepEqual(recorded.rosters, fixtures.rosters);
+  assert.deepEqual(recorded.subjects, fixtures.subjects);
+  assert.deepEqual(recorded.classes.FA26.CS, fixtures.classes.FA26.CS);
+  assert.equal(recorded.classes.FA26.MATH.status, 'error');
+
+  const replay = await startFakeCornell({ fixtures: recorded });
+  try {
+    config.cornellApiBase = replay.apiBase;
+    await assert.rejects(() => fetchSubjectClasses('FA26', 'MATH'), /No classes found for MATH in FA26/);
+  } finally {
+    config.cornellApiBase = cornell.apiBase;
+    await replay.close();
+  }
+});
+
+test('drives the monitor through a section opening and a Cornell outage', async () => {
+  useStorageTable(createMemoryTable());
+  const queue = createLocalQueue();
+  useQueueClient(queue);
+  await upsertDiscordProfile({ userId: '123', username: 'student', displayName: 'Student' });
+  await putTracker('123', {
+    kind: 'section',
+    trackerId: 'FA26:12345',
+    roster: 'FA26',
+    subject: 'CS',
+    classNbr: '12345',
+    catalogNbr: '2110',
+    title: 'Object-Oriented Programming',
+    section: 'LEC 001',
+    ssrComponent: 'LEC',
+    classTime: 'MWF 10:10AM'
+  });
+  const queuedTypes = () => queue.pending().map(record => JSON.parse(record.body).type);
+  // The first poll reports the section closed; let it reopen right away.
+  config.flapMinimumDwellMinutes = '0';
+
+  assert.equal((await monitorHandler({ force: true })).status, 'ok');
+  assert.deepEqual(queuedTypes(), ['course-not-open']);
+  cornell.setStatus('FA26', '12345', 'O');
+  assert.equal((await monitorHandler({ force: true })).status, 'ok');
+  assert.deepEqual(queuedTypes(), ['course-not-open', 'course-opened']);
+  assert.equal((await listTrackers('123'))[0].lastStatus, 'O');
+
+  cornell.failNext({ status: 502, subject: 'CS' });
+  const outage = await monitorHandler({ force: true });
+  assert.equal(outage.status, 'degraded');
+  assert.equal(outage.failedGroups, 1);
+  assert.equal((await listTrackers('123'))[0].lastStatus, 'O');
+  cornell.setStatus('FA26', '12345', 'C');
+});
+
+test('finishes a claimed rollover at the recorded section or keeps the tracker as unmatched', async () => {
+  useStorageTable(createMemoryTable());
+  const queue = createLocalQueue();
+  useQueueClient(queue);
+  await upsertDiscordProfile({ userId: '123', username: 'student', displayName: 'Student' });
+  const previous = {
+    kind: 'section',
+    roster: 'SP26',
+    subject: 'CS',
+    catalogNbr: '2110',
+    title: 'Object-Oriented Programming',
+    ssrComponent: 'LEC',
+    classTime: 'MWF 10:10AM'
+  };
+  const claimed = { ...previous, trackerId: 'SP26:10001', classNbr: '10001', section: '001' };
+  const vanished = { ...previous, trackerId: 'SP26:10002', classNbr: '10002', section: '002' };
+  await putTracker('123', claimed);
+  await putTracker('123', vanished);
+  // An earlier run claimed both moves, then Cornell's listing changed: the
+  // first target is now listed as another section and the second is gone.
+  await claimRosterRollover({ ...claimed, userId: '123' }, 'FA26', 'moved', 'FA26:12346');
+  await claimRosterRollover({ ...vanished, userId: '123' }, 'FA26', 'moved', 'FA26:99999');
+
+  const result = await monitorHandler({ force: true });
+  assert.equal(result.rolledOver, 1);
+  assert.equal(result.rolloverUnmatched, 1);
+  assert.equal(result.removed, 0);
+  const trackers = await listTrackers('123');
+  assert.deepEqual(trackers.map(tracker => [tracker.trackerId, tracker.rolloverStatus || '']).sort(), [
+    ['FA26:12346', ''],
+    ['SP26:10002', 'unmatched']
+  ]);
+  const rolloverDms = () => queue.pending().filter(record => JSON.parse(record.body).type === 'tracker-rollover-unmatched');
+  assert.equal(rolloverDms().length, 1);
+
+  // The unmatched tracker left the active index, so the next run does not
+  // look it up again.
+  const requests = cornell.requests.length;
+  await monitorHandler({ force: true });
+  assert.equal(rolloverDms().length, 1);
+  assert.equal(cornell.requests.slice(requests).filter(request => request.roster === 'FA26' && request.subject === 'CS').length, 1);
+});
@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, beforeEach, test } from 'node:test';
+import { startFakeDiscord } from '../dev/fake-discord.mjs';
+import { createMemoryTable } from '../dev/memory-table.mjs';
+import { handler as apiHandler } from '../src/api.mjs';
+import { config } from '../src/config.mjs';
+import { handler as notifierHandler } from '../src/notifier.mjs';
+import {
+  getTracker,
+  putTracker,
+  updateProfileSettings,
+  upsertDiscordProfile,
+  useStorageTable
+} from '../src/storage.mjs';
+
+const STUDENT_ID = '222222222222222222';
+const tracker = {
+  kind: 'section',
+  trackerId: 'FA26:12345',
+  roster: 'FA26',
+  subject: 'CS',
+  classNbr: '12345',
+  catalogNbr: '2110',
+  title: 'Object-Oriented Programming',
+  section: 'LEC 001',
+  ssrComponent: 'LEC',
+  classTime: 'MWF 10:10AM'
+};
+
+let discord;
+let directory;
+
+before(async () => {
+  discord = await startFakeDiscord();
+  directory = mkdtempSync(join(tmpdir(), 'coursesnag-discord-'));
+  writeFileSync(join(directory, 'mode'), 'cloud\n');
+  Object.assign(config, {
+    tableName: 'CourseSnagTable',
+    modeFile: join(directory, 'mode'),
+    apiPublicUrl: 'http://localhost:8787',
+    discordApiBase: discord.apiBase,
+    discordAuthorizeUrl: discord.authorizeUrl,
+    discordApplicationId: discord.applicationId,
+    discordClientSecret: discord.clientSecret,
+    discordBotToken: discord.botToken
+  });
+});
+
+after(async () => {
+  await discord.close();
+  rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  useStorageTable(createMemoryTable());
+});
+
+function record(messageId, body) {
+  return { messageId, body: JSON.stringify(body), attributes: { ApproximateReceiveCount: '1' } };
+}
+
+async function signInThroughDiscord(userId) {
+  discord.authorizeAs(userId);
+  const started = await apiHandler({
+    routeKey: 'POST /auth/discord',
+    headers: {},
+    body: JSON.stringify({ returnOrigin: 'http://localhost:4173' })
+  });
+  const consent = await fetch(JSON.parse(started.body).authorizationUrl, { redirect: 'manual' });
+  const callback = new URL(consent.headers.get('location'));
+  assert.equal(`${callback.origin}${callback.pathname}`, 'http://localhost:8787/discord/callback');
+  const returned = await apiHandler({
+    routeKey: 'GET /discord/callback',
+    headers: {},
+    queryStringParameters: Object.fromEntries(callback.searchParams)
+  });
+  return new URL(returned.headers.location);
+}
+
+test('completes the Discord OAuth callback, confirms by DM, and revokes the access token', async () => {
+  discord.addUser({ id: STUDENT_ID, username: 'student', globalName: 'Student' });
+  const revoked = discord.revokedTokens.length;
+
+  const destination = await signInThroughDiscord(STUDENT_ID);
+  assert.equal(destination.origin, 'http://localhost:4173');
+  assert.equal(destination.searchParams.get('discord'), 'connected');
+  assert.match(discord.directMessagesTo(STUDENT_ID).at(-1).content, /CourseSnag is connected/);
+  assert.equal(discord.revokedTokens.length, revoked + 1);
+
+  const session = await apiHandler({
+    routeKey: 'POST /auth/session',
+    headers: { 'user-agent': 'Mozilla/5.0 (Macintosh) Firefox/130.0' },
+    body: JSON.stringify({ code: destination.searchParams.get('code') })
+  });
+  assert.equal(session.statusCode, 201);
+  assert.equal(JSON.parse(session.body).profile.discord.displayName, 'Student');
+});
+
+test('sends the user back without signing in when Discord refuses the confirmation DM', async () => {
+  const userId = '333333333333333333';
+  discord.addUser({ id: userId, acceptsDms: false });
+
+  const destination = await signInThroughDiscord(userId);
+  assert.equal(destination.searchParams.get('discord'), 'delivery-unavailable');
+  assert.equal(destination.searchParams.get('code'), null);
+});
+
+test('edits the open alert DM when the section closes and retries after a 429', async () => {
+  discord.addUser({ id: STUDENT_ID, username: 'student' });
+  await upsertDiscordProfile({ userId: STUDENT_ID, username: 'student', displayName: 'Student' });
+  await updateProfileSettings(STUDENT_ID, { closedAlertDelivery: 'edit' });
+  await putTracker(STUDENT_ID, tracker);
+  const alert = { discordUserId: STUDENT_ID, tracker: { ...tracker, kind: 'section' } };
+
+  const seen = discord.requests.length;
+  discord.rateLimitNext({ method: 'POST', path: /^\/channels\/\d+\/messages$/, retryAfter: 0.25 });
+  const opened = await notifierHandler({
+    Records: [record('m1', { ...alert, type: 'course-opened', eventId: 'evt-open', status: 'O' })]
+  });
+  assert.deepEqual(opened.batchItemFailures, []);
+  const [dm] = discord.directMessagesTo(STUDENT_ID).slice(-1);
+  assert.match(dm.content, /CS 2110 is open!/);
+  const attempts = discord.requests.slice(seen).filter(request => /^\/channels\/\d+\/messages$/.test(request.path));
+  assert.equal(attempts.length, 2);
+
+  const closed = await notifierHandler({
+    Records: [record('m2', { ...alert, type: 'course-not-open', eventId: 'evt-close', status: 'C' })]
+  });
+  assert.deepEqual(closed.batchItemFailures, []);
+  assert.equal(discord.directMessagesTo(STUDENT_ID).at(-1).id, dm.id);
+  assert.match(dm.edits.at(-1).content, /Closed again/);
+});
+
+test('keeps the open alert DM recorded until the close is delivered', async () => {
+  discord.addUser({ id: STUDENT_ID, username: 'student' });
+  await upsertDiscordProfile({ userId: STUDENT_ID, username: 'student', displayName: 'Student' });
+  await updateProfileSettings(STUDENT_ID, { closedAlertDelivery: 'edit-and-send' });
+  await putTracker(STUDENT_ID, tracker);
+  const alert = { discordUserId: STUDENT_ID, tracker: { ...tracker, kind: 'section' } };
+  await notifierHandler({ Records: [record('m1', { ...alert, type: 'course-opened', eventId: 'evt-open', status: 'O' })] });
+  const [dm] = discord.directMessagesTo(STUDENT_ID).slice(-1);
+
+  const close = { ...alert, type: 'course-not-open', eventId: 'evt-close', status: 'C' };
+  discord.failNext({ status: 500, method: 'PATCH', path: /^\/channels\/\d+\/messages\/\d+$/ });
+  discord.failNext({ status: 500, method: 'POST', path: /^\/channels\/\d+\/messages$/ });
+  const failed = await notifierHandler({ Records: [record('m2', close)] });
+  assert.deepEqual(failed.batchItemFailures, [{ itemIdentifier: 'm2' }]);
+  assert.equal((await getTracker(STUDENT_ID, tracker.trackerId)).openAlertMessage.messageId, dm.id);
+
+  // SQS redelivers the close, and the retry still finds the DM to edit.
+  const retried = await notifierHandler({ Records: [record('m2', close)] });
+  assert.deepEqual(retried.batchItemFailures, []);
+  assert.match(dm.edits.at(-1).content, /Closed again/);
+  assert.match(discord.directMessagesTo(STUDENT_ID).at(-1).content, /CS 2110 is not open/);
+  assert.equal((await getTracker(STUDENT_ID, tracker.trackerId)).openAlertMessage, undefined);
+});
+
+test('reports undeliverable DMs as batch failures and drops alerts for unreachable channels', async () => {
+  const userId = '444444444444444444';
+  discord.addUser({ id: userId });
+  discord.closeDms(userId);
+  const channelId = discord.addChannel(undefined, { missingAccess: true });
+
+  const result = await notifierHandler({
+    Records: [
+      record('dm', { type: 'season-online', discordUserId: userId, eventId: 'season-online:1' }),
+      record('channel', { type: 'course-opened', channelId, eventId: 'evt-channel', tracker })
+    ]
+  });
+  assert.deepEqual(result.batchItemFailures, [{ itemIdentifier: 'dm' }]);
+  assert.equal(discord.directMessagesTo(userId).length, 0);
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  observedSections,
+  publicSectionHistory,
+  sectionTransitions
+} from '../src/history.mjs';
+
+test('collects each observed section once across section and course trackers', () => {
+  const statuses = new Map([['12345', 'O'], ['12346', 'C']]);
+  const courseSections = new Map([['CS:2110', [
+    { classNbr: '12345', subject: 'CS', catalogNbr: '2110', openStatus: 'O' },
+    { classNbr: '12346', subject: 'CS', catalogNbr: '2110', openStatus: 'C' }
+  ]]]);
+  const sections = observedSections([
+    { kind: 'section', subject: 'CS', catalogNbr: '2110', classNbr: '12345' },
+    { kind: 'section', subject: 'CS', catalogNbr: '2110', classNbr: '99999' },
+    { kind: 'course', subject: 'CS', catalogNbr: '2110' }
+  ], statuses, courseSections);
+
+  assert.deepEqual(sections.map(section => [section.classNbr, section.status]), [
+    ['12345', 'O'],
+    ['12346', 'C']
+  ]);
+});
+
+test('records only sections whose status differs from the stored current status', () => {
+  const sections = [
+    { classNbr: '1', subject: 'CS', status: 'O' },
+    { classNbr: '2', subject: 'CS', status: 'C' },
+    { classNbr: '3', subject: 'CS', status: 'W' }
+  ];
+  const current = new Map([['1', { status: 'C' }], ['2', { status: 'C' }]]);
+
+  assert.deepEqual(sectionTransitions(sections, current).map(item => [item.section.classNbr, item.previousStatus]), [
+    ['1', 'C'],
+    ['3', '']
+  ]);
+});
+
+test('shapes public section history without storage keys', () => {
+  const history = publicSectionHistory('FA26', '12345', {
+    current: { status: 'O', since: '2026-08-18T15:00:00.000Z' },
+    transitions: [{
+      PK: 'SECTION#FA26#12345',
+      SK: 'STATUS#2026-08-18T15:00:00.000Z',
+      status: 'O',
+      previousStatus: 'C',
+      observedAt: '2026-08-18T15:00:00.000Z'
+    }]
+  });
+
+  assert.deepEqual(history, {
+    roster: 'FA26',
+    classNbr: '12345',
+    status: 'O',
+    since: '2026-08-18T15:00:00.000Z',
+    transitions: [{ status: 'O', previousStatus: 'C', observedAt: '2026-08-18T15:00:00.000Z' }]
+  });
+  assert.equal(publicSectionHistory('FA26', '1', { current: null, transitions: [] }).status, 'UNKNOWN');
+});
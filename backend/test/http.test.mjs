@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { ifMatchFails, ifNoneMatchHit, requestHeader } from '../src/http.mjs';
+
+const etag = '"abc123"';
+
+test('reads request headers case-insensitively', () => {
+  assert.equal(requestHeader({ headers: { 'If-Match': etag } }, 'if-match'), etag);
+  assert.equal(requestHeader({ headers: {} }, 'if-match'), '');
+  assert.equal(requestHeader({}, 'if-match'), '');
+});
+
+test('answers If-None-Match with a weak comparison', () => {
+  assert.equal(ifNoneMatchHit({ headers: {} }, etag), false);
+  assert.equal(ifNoneMatchHit({ headers: { 'if-none-match': etag } }, etag), true);
+  assert.equal(ifNoneMatchHit({ headers: { 'if-none-match': `"old", W/${etag}` } }, etag), true);
+  assert.equal(ifNoneMatchHit({ headers: { 'if-none-match': '*' } }, etag), true);
+  assert.equal(ifNoneMatchHit({ headers: { 'if-none-match': '"old"' } }, etag), false);
+});
+
+test('fails If-Match unless a strong tag matches', () => {
+  assert.equal(ifMatchFails({ headers: {} }, etag), false);
+  assert.equal(ifMatchFails({ headers: { 'if-match': etag } }, etag), false);
+  assert.equal(ifMatchFails({ headers: { 'if-match': '*' } }, etag), false);
+  assert.equal(ifMatchFails({ headers: { 'if-match': `W/${etag}` } }, etag), true);
+  assert.equal(ifMatchFails({ headers: { 'if-match': '"old"' } }, etag), true);
+});
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  idempotentReplay,
+  normalizeIdempotencyKey,
+  requestFingerprint
+} from '../src/idempotency.mjs';
+
+test('accepts opaque idempotency keys and rejects malformed ones', () => {
+  assert.equal(normalizeIdempotencyKey(undefined), '');
+  assert.equal(normalizeIdempotencyKey(' outbox:FA26:12345:1 '), 'outbox:FA26:12345:1');
+  assert.throws(() => normalizeIdempotencyKey('short'), /Idempotency key must be 8 to 128/);
+  assert.throws(() => normalizeIdempotencyKey('has spaces in it'), /Idempotency key must be/);
+});
+
+test('fingerprints the route, path, and decoded body', () => {
+  const event = {
+    routeKey: 'POST /trackers',
+    rawPath: '/trackers',
+    body: '{"roster":"FA26","subject":"CS","classNbr":"12345"}'
+  };
+  const encoded = {
+    ...event,
+    body: Buffer.from(event.body).toString('base64'),
+    isBase64Encoded: true
+  };
+  assert.equal(requestFingerprint(event), requestFingerprint(encoded));
+  assert.notEqual(requestFingerprint(event), requestFingerprint({ ...event, body: '{}' }));
+  assert.notEqual(
+    requestFingerprint({ routeKey: 'DELETE /trackers/{trackerId}', rawPath: '/trackers/FA26%3A1' }),
+    requestFingerprint({ routeKey: 'DELETE /trackers/{trackerId}', rawPath: '/trackers/FA26%3A2' })
+  );
+});
+
+test('replays a completed response and rejects reuse or overlap', () => {
+  const response = { statusCode: 201, headers: { etag: '"v2"' }, body: '{"tracker":{}}' };
+  const replayed = idempotentReplay({ fingerprint: 'a', requestState: 'complete', response }, 'a');
+  assert.equal(replayed.statusCode, 201);
+  assert.equal(replayed.body, response.body);
+  assert.equal(replayed.headers.etag, '"v2"');
+  assert.equal(replayed.headers['idempotent-replayed'], 'true');
+
+  assert.equal(idempotentReplay({ fingerprint: 'a', requestState: 'complete', response }, 'b').statusCode, 422);
+  assert.equal(idempotentReplay({ fingerprint: 'a', requestState: 'pending' }, 'a').statusCode, 409);
+});
@@ -1,12 +1,38 @@
 import assert from 'node:assert/strict';
 import { generateKeyPairSync, sign } from 'node:crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import test from 'node:test';
+import { startFakeCornell } from '../dev/fake-cornell.mjs';
+import { startFakeDiscord } from '../dev/fake-discord.mjs';
+import { createLocalQueue } from '../dev/local-queue.mjs';
+import { createMemoryTable } from '../dev/memory-table.mjs';
+import { config } from '../src/config.mjs';
+import { clearCourseIndex } from '../src/course-index.mjs';
 import {
+  alertActionMessage,
+  appCanPostInChannel,
+  handler,
+  memberCanManageSubscriptions,
+  parseAlertAction,
+  subscriptionPermissionProblem,
+  throttledCornellFetch,
   trackedCoursesContent,
+  trackerInputForChoice,
   unavailableCommandContent,
   unlinkedAccountPrompt,
+  untrackChoices,
   verifyInteractionSignature
 } from '../src/interactions.mjs';
+import { handler as notifierHandler } from '../src/notifier.mjs';
+import { useQueueClient } from '../src/queue.mjs';
+import {
+  listChannelSubscriptions,
+  listTrackers,
+  upsertDiscordProfile,
+  useStorageTable
+} from '../src/storage.mjs';
 
 test('verifies current Discord interaction signatures', () => {
   const { publicKey, privateKey } = generateKeyPairSync('ed25519');
@@ -63,6 +89,19 @@ test('formats a private tracked-course summary', () => {
   assert.match(trackedCoursesContent([]), /Discord watchlist is empty/);
 });
 
+test('adds seat-opening statistics to tracked courses when they exist', () => {
+  const content = trackedCoursesContent([{
+    roster: 'FA26',
+    subject: 'CS',
+    catalogNbr: '2110',
+    section: '001',
+    classNbr: '12345',
+    lastStatus: 'C'
+  }], new Map([['SECTION#FA26#12345', { openings: 1, medianOpenMinutes: 90, peakHour: 13 }]]));
+
+  assert.match(content, /_Opened once this term · usually open 2 hr · most often around 1 PM_/);
+});
+
 test('uses a generic response for a command cached during shutdown', () => {
   const content = unavailableCommandContent();
   assert.match(content, /currently unavailable/);
@@ -78,4 +117,238 @@ test('directs an unlinked Discord user to CourseSnag setup', () => {
     prompt.components[0].components[0].url,
     'https://coursesnag.pages.dev/?setup=discord'
   );
+  assert.match(unlinkedAccountPrompt('track').content, /`\/track` again/);
+});
+
+test('builds website-shaped tracker bodies from /track choices', () => {
+  const course = {
+    roster: 'FA26',
+    subject: 'CS',
+    catalogNbr: '2110',
+    title: 'Object-Oriented Prog & Data Struc',
+    sections: [{ classNbr: '12345', section: '001', ssrComponent: 'LEC', classTime: 'TR 10:10AM - 11:00AM' }]
+  };
+
+  assert.deepEqual(trackerInputForChoice(course, { kind: 'section', classNbr: '12345' }), {
+    kind: 'section',
+    roster: 'FA26',
+    subject: 'CS',
+    classNbr: '12345',
+    catalogNbr: '2110',
+    title: 'Object-Oriented Prog & Data Struc',
+    section: '001',
+    ssrComponent: 'LEC',
+    classTime: 'TR 10:10AM - 11:00AM'
+  });
+  assert.equal(trackerInputForChoice(course, { kind: 'course', ssrComponent: 'LEC' }).kind, 'course');
+  assert.equal(trackerInputForChoice(course, { kind: 'course', ssrComponent: 'DIS' }), null);
+  assert.equal(trackerInputForChoice(course, { kind: 'section', classNbr: '99999' }), null);
+});
+
+test('offers the caller\'s trackers as /untrack choices', () => {
+  const choices = untrackChoices([
+    { trackerId: 'FA26:12345', kind: 'section', subject: 'CS', catalogNbr: '2110', section: '001', roster: 'FA26' },
+    { trackerId: 'FA26:MATH-1920-LEC', kind: 'course', subject: 'MATH', catalogNbr: '1920', ssrComponent: 'LEC', roster: 'FA26' }
+  ], 'math');
+
+  assert.deepEqual(choices, [{ name: 'MATH 1920 · Any LEC section · FA26', value: 'FA26:MATH-1920-LEC' }]);
+});
+
+test('parses alert button custom IDs with the owner and tracker', () => {
+  assert.deepEqual(parseAlertAction('snooze-1h:123456789:FA26:12345'), {
+    action: 'snooze-1h',
+    ownerId: '123456789',
+    trackerId: 'FA26:12345'
+  });
+  assert.deepEqual(parseAlertAction('untrack:123456789:FA26:CS-2110-LEC'), {
+    action: 'untrack',
+    ownerId: '123456789',
+    trackerId: 'FA26:CS-2110-LEC'
+  });
+  assert.equal(parseAlertAction('snooze-2h:123456789:FA26:12345'), null);
+  assert.equal(parseAlertAction('untrack:someone:FA26:12345'), null);
+  assert.equal(parseAlertAction(undefined), null);
+});
+
+test('updates an alert message to reflect the button that was pressed', () => {
+  const action = { action: 'snooze-24h', ownerId: '123456789', trackerId: 'FA26:12345' };
+  const original = '🎉 **CS 2110 is open!**\nSection 001';
+
+  const snoozed = alertActionMessage(original, action, { snoozedUntil: '2026-08-18T15:00:00.000Z' });
+  assert.match(snoozed.content, /^🎉 \*\*CS 2110 is open!\*\*/);
+  assert.match(snoozed.content, /Alerts snoozed until <t:1787065200:f>/);
+  assert.deepEqual(snoozed.components[0].components.map(button => button.label), [
+    'Open Student Center',
+    'Stop tracking'
+  ]);
+
+  const removed = alertActionMessage(original, { ...action, action: 'untrack' }, {});
+  assert.match(removed.content, /Stopped tracking/);
+  assert.deepEqual(removed.components[0].components.map(button => button.label), ['Open Student Center']);
+
+  const missing = alertActionMessage(original, action, { missing: true });
+  assert.match(missing.content, /no longer in your watchlist/);
+  assert.equal(missing.components[0].components.length, 1);
+});
+
+test('lets only channel managers change channel subscriptions', () => {
+  const member = permissions => ({ guild_id: '900', member: { user: { id: '1' }, permissions } });
+
+  assert.equal(memberCanManageSubscriptions(String(1 << 4)), true);
+  assert.equal(memberCanManageSubscriptions(String(1 << 5)), true);
+  assert.equal(memberCanManageSubscriptions(String(1 << 3)), true);
+  assert.equal(memberCanManageSubscriptions(String((1 << 10) | (1 << 11))), false);
+  assert.equal(memberCanManageSubscriptions('not a number'), false);
+  assert.equal(subscriptionPermissionProblem(member(String(1 << 4))), '');
+  assert.match(subscriptionPermissionProblem(member('0')), /Manage Channels/);
+  assert.match(subscriptionPermissionProblem({ user: { id: '1' } }), /server channel/);
+});
+
+test('requires the app to see and post in a subscribed channel', () => {
+  assert.equal(appCanPostInChannel(String((1 << 10) | (1 << 11))), true);
+  assert.equal(appCanPostInChannel(String(1 << 11)), false);
+  assert.equal(appCanPostInChannel(undefined), false);
+});
+
+test('lets one autocomplete keystroke per user per second ask Cornell', async () => {
+  config.tableName = 'CourseSnagTable';
+  useStorageTable(createMemoryTable());
+  const requests = [];
+  const cornell = async url => {
+    requests.push(url);
+    return { ok: true };
+  };
+
+  // A cold index may need rosters, subjects, and classes for one keystroke.
+  const keystroke = throttledCornellFetch('123', cornell);
+  await keystroke('rosters');
+  await keystroke('subjects');
+  await assert.rejects(() => throttledCornellFetch('123', cornell)('classes'), { name: 'AutocompleteThrottled' });
+  await throttledCornellFetch('456', cornell)('rosters');
+  assert.deepEqual(requests, ['rosters', 'subjects', 'rosters']);
+});
+
+const cornellFixtures = {
+  rosters: { status: 'success', data: { rosters: [{ slug: 'FA26', isDefaultRoster: 'Y' }] }, message: null },
+  subjects: {
+    FA26: { status: 'success', data: { subjects: [{ value: 'CS', descr: 'Computer Science' }] }, message: null }
+  },
+  classes: {
+    FA26: {
+      CS: {
+        status: 'success',
+        data: { classes: [{
+          subject: 'CS',
+          catalogNbr: '2110',
+          titleLong: 'Object-Oriented Programming and Data Structures',
+          enrollGroups: [{ classSections: [{ classNbr: 12345, section: '001', ssrComponent: 'LEC', openStatus: 'C' }] }]
+        }] },
+        message: null
+      }
+    }
+  }
+};
+
+function signedInteraction(privateKey, interaction) {
+  const body = JSON.stringify(interaction);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = sign(null, Buffer.from(`${timestamp}${body}`, 'utf8'), privateKey).toString('hex');
+  return {
+    headers: { 'x-signature-ed25519': signature, 'x-signature-timestamp': timestamp },
+    body
+  };
+}
+
+// Runs a scenario against fake Cornell and Discord, an in-memory table and
+// queue, and a linked Discord user 123 in Discord Active.
+async function withDeferredCommandServices(scenario) {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  const [cornell, discord] = await Promise.all([
+    startFakeCornell({ fixtures: cornellFixtures }),
+    startFakeDiscord()
+  ]);
+  const directory = mkdtempSync(join(tmpdir(), 'coursesnag-interactions-'));
+  try {
+    writeFileSync(join(directory, 'mode'), 'cloud\n');
+    Object.assign(config, {
+      tableName: 'CourseSnagTable',
+      alertQueueUrl: 'local://alerts',
+      modeFile: join(directory, 'mode'),
+      cornellApiBase: cornell.apiBase,
+      discordApiBase: discord.apiBase,
+      discordBotToken: discord.botToken,
+      discordPublicKey: publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex')
+    });
+    clearCourseIndex();
+    useStorageTable(createMemoryTable());
+    const queue = createLocalQueue();
+    useQueueClient(queue);
+    await upsertDiscordProfile({ userId: '123', username: 'student', displayName: 'Student' });
+    const send = interaction => handler(signedInteraction(privateKey, {
+      application_id: discord.applicationId,
+      type: 2,
+      ...interaction
+    }));
+    await scenario({ cornell, discord, queue, send });
+  } finally {
+    await Promise.all([cornell.close(), discord.close()]);
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('defers /track and finishes it from the queue without making Discord wait on Cornell', async () => {
+  await withDeferredCommandServices(async ({ cornell, discord, queue, send }) => {
+    const deferred = await send({
+      id: '900',
+      token: 'interaction-token',
+      user: { id: '123' },
+      data: { name: 'track', options: [{ name: 'course', value: 'FA26 CS 2110' }, { name: 'section', value: '12345' }] }
+    });
+    assert.deepEqual(JSON.parse(deferred.body), { type: 5, data: { flags: 64 } });
+    assert.equal(cornell.requests.length, 0);
+    assert.deepEqual(await listTrackers('123'), []);
+
+    assert.deepEqual(await queue.drain(notifierHandler), { delivered: 1, failed: 0 });
+    assert.deepEqual((await listTrackers('123')).map(tracker => tracker.trackerId), ['FA26:12345']);
+    assert.equal(discord.interactionResponses.length, 1);
+    assert.equal(discord.interactionResponses[0].token, 'interaction-token');
+    assert.match(discord.interactionResponses[0].content, /^Now tracking \*\*CS 2110/);
+  });
+});
+
+test('checks /subscribe permissions at once and defers only the course lookup', async () => {
+  await withDeferredCommandServices(async ({ cornell, discord, queue, send }) => {
+    const subscribe = {
+      user: undefined,
+      guild_id: '700',
+      channel_id: '701',
+      app_permissions: String((1 << 10) | (1 << 11)),
+      data: { name: 'subscribe', options: [{ name: 'course', value: 'FA26 CS 2110' }, { name: 'section', value: 'any' }] }
+    };
+    await upsertDiscordProfile({ userId: '456', username: 'member', displayName: 'Member' });
+    const refused = await send({
+      ...subscribe,
+      id: '901',
+      token: 'refused-token',
+      member: { user: { id: '456' }, permissions: '0' }
+    });
+    assert.equal(JSON.parse(refused.body).type, 4);
+    assert.match(JSON.parse(refused.body).data.content, /Manage Channels/);
+    assert.equal(queue.pending().length, 0);
+
+    const deferred = await send({
+      ...subscribe,
+      id: '902',
+      token: 'subscribe-token',
+      member: { user: { id: '123' }, permissions: String(1 << 4) }
+    });
+    assert.deepEqual(JSON.parse(deferred.body), { type: 5, data: { flags: 64 } });
+    assert.equal(cornell.requests.length, 0);
+
+    assert.deepEqual(await queue.drain(notifierHandler), { delivered: 1, failed: 0 });
+    assert.deepEqual((await listChannelSubscriptions('701')).map(item => item.trackerId), ['FA26:CS-2110']);
+    assert.equal(discord.interactionResponses.length, 1);
+    assert.equal(discord.interactionResponses[0].token, 'subscribe-token');
+    assert.match(discord.interactionResponses[0].content, /^This channel now follows \*\*CS 2110/);
+  });
 });
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { SendMessageBatchCommand } from '@aws-sdk/client-sqs';
+import { createLocalQueue } from '../dev/local-queue.mjs';
+
+function entries(...messages) {
+  return new SendMessageBatchCommand({
+    QueueUrl: 'local://alerts',
+    Entries: messages.map(([group, dedup, body], index) => ({
+      Id: String(index),
+      MessageGroupId: group,
+      MessageDeduplicationId: dedup,
+      MessageBody: JSON.stringify(body)
+    }))
+  });
+}
+
+const bodies = event => event.Records.map(record => JSON.parse(record.body).step);
+
+test('delivers each message group in order and drops repeated deduplication IDs', async () => {
+  const queue = createLocalQueue();
+  const result = await queue.send(entries(['a', 'a-1', { step: 1 }], ['b', 'b-1', { step: 2 }], ['a', 'a-2', { step: 3 }]));
+  await queue.send(entries(['a', 'a-1', { step: 4 }]));
+  assert.equal(result.Successful.length, 3);
+
+  const delivered = [];
+  await queue.drain(async event => {
+    delivered.push(...bodies(event));
+    return { batchItemFailures: [] };
+  });
+  assert.deepEqual(delivered, [1, 2, 3]);
+});
+
+test('holds a failed message group until the visibility timeout and then redelivers it', async () => {
+  let now = 0;
+  const queue = createLocalQueue({ now: () => now, visibilityTimeoutMs: 1000 });
+  await queue.send(entries(['a', 'a-1', { step: 1 }], ['a', 'a-2', { step: 2 }], ['b', 'b-1', { step: 3 }]));
+
+  const seen = [];
+  const failFirstReceipt = async event => {
+    seen.push(...event.Records.map(record => [JSON.parse(record.body).step, record.attributes.ApproximateReceiveCount]));
+    return {
+      batchItemFailures: event.Records
+        .filter(record => record.attributes.MessageGroupId === 'a' && record.attributes.ApproximateReceiveCount === '1')
+        .map(record => ({ itemIdentifier: record.messageId }))
+    };
+  };
+
+  assert.deepEqual(await queue.drain(failFirstReceipt), { delivered: 1, failed: 2 });
+  assert.equal(queue.nextVisibleAt(), 1000);
+  assert.deepEqual(await queue.drain(failFirstReceipt), { delivered: 0, failed: 0 });
+  now = 1000;
+  assert.deepEqual(await queue.drain(failFirstReceipt), { delivered: 2, failed: 0 });
+  assert.deepEqual(seen, [[1, '1'], [2, '1'], [3, '1'], [1, '2'], [2, '2']]);
+});
+
+test('moves a message to the dead letters after five failed receives', async () => {
+  let now = 0;
+  const queue = createLocalQueue({ now: () => now, visibilityTimeoutMs: 1 });
+  await queue.send(entries(['a', 'a-1', { step: 1 }]));
+  for (let attempt = 0; attempt < 6; attempt += 1) {
+    await queue.drain(async () => {
+      throw new Error('Discord is unavailable.');
+    });
+    now += 1;
+  }
+  assert.equal(queue.pending().length, 0);
+  assert.equal(queue.deadLetters()[0].attributes.ApproximateReceiveCount, '5');
+});
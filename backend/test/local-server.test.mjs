@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import test from 'node:test';
+import { apiGatewayEvent, corsHeaders, matchRoute, templateRoutes } from '../dev/local-server.mjs';
+
+const template = templateRoutes(readFileSync(new URL('../../infra/template.yaml', import.meta.url), 'utf8'));
+
+test('reads HTTP API routes, function timeouts, and CORS settings from the SAM template', () => {
+  const routeKeys = template.routes.map(route => `${route.handler} ${route.routeKey}`);
+  assert.ok(routeKeys.includes('api GET /trackers'));
+  assert.ok(routeKeys.includes('api POST /trackers:batch'));
+  assert.ok(routeKeys.includes('api DELETE /sessions/{sessionId}'));
+  assert.ok(routeKeys.includes('interactions POST /discord/interactions'));
+  assert.equal(template.timeouts.MonitorFunction, 300);
+  assert.ok(template.cors.allowHeaders.includes('if-match'));
+  assert.ok(template.cors.exposeHeaders.includes('etag'));
+});
+
+test('matches literal routes before routes with path variables', () => {
+  assert.equal(matchRoute(template.routes, 'POST', '/trackers:batch').route.routeKey, 'POST /trackers:batch');
+  assert.deepEqual(
+    matchRoute(template.routes, 'GET', '/sections/FA26/12345/history').pathParameters,
+    { roster: 'FA26', classNbr: '12345' }
+  );
+  assert.deepEqual(matchRoute(template.routes, 'DELETE', '/trackers/FA26%3A12345').pathParameters, { trackerId: 'FA26:12345' });
+  assert.equal(matchRoute(template.routes, 'GET', '/me').pathParameters, undefined);
+  assert.equal(matchRoute(template.routes, 'PUT', '/trackers'), null);
+});
+
+test('translates a request into an API Gateway payload 2.0 event', () => {
+  const event = apiGatewayEvent({
+    method: 'GET',
+    url: '/tracker-counts?classNbr=1&classNbr=2',
+    headers: { Host: 'localhost:8787', cookie: 'a=1; b=2', 'User-Agent': 'test' },
+    routeKey: 'GET /tracker-counts',
+    now: new Date('2026-08-20T12:00:00.000Z')
+  });
+  assert.equal(event.version, '2.0');
+  assert.equal(event.routeKey, 'GET /tracker-counts');
+  assert.equal(event.rawQueryString, 'classNbr=1&classNbr=2');
+  assert.deepEqual(event.queryStringParameters, { classNbr: '1,2' });
+  assert.deepEqual(event.cookies, ['a=1', 'b=2']);
+  assert.equal(event.headers.cookie, undefined);
+  assert.equal(event.headers['user-agent'], 'test');
+  assert.equal(event.requestContext.http.method, 'GET');
+  assert.equal(event.requestContext.timeEpoch, Date.parse('2026-08-20T12:00:00.000Z'));
+  assert.equal(event.body, undefined);
+});
+
+test('answers CORS only for the configured origins', () => {
+  const origins = ['https://coursesnag.pages.dev', 'http://localhost:4173'];
+  assert.deepEqual(corsHeaders('http://localhost:5173', origins, template.cors), {});
+  const preflight = corsHeaders('http://localhost:4173', origins, template.cors, true);
+  assert.equal(preflight['access-control-allow-origin'], 'http://localhost:4173');
+  assert.match(preflight['access-control-allow-headers'], /idempotency-key/);
+  assert.match(corsHeaders('http://localhost:4173', origins, template.cors)['access-control-expose-headers'], /etag/);
+});
+
+test('deploys handlers that import nothing from the development modules', () => {
+  const source = new URL('../src/', import.meta.url);
+  const deploy = readFileSync(new URL('../../scripts/deploy.sh', import.meta.url), 'utf8');
+  for (const file of readdirSync(source).filter(name => name.endsWith('.mjs'))) {
+    const imports = [...readFileSync(new URL(file, source), 'utf8').matchAll(/(?:from |import\()'([^']+)'/g)].map(match => match[1]);
+    // Only backend/src and the site-level modules deploy.sh copies are staged
+    // for the Lambdas, so nothing else may be imported.
+    for (const path of imports.filter(path => path.startsWith('../'))) {
+      assert.match(path, /^\.\.\/\.\.\/[\w-]+\.mjs$/, file);
+      assert.ok(deploy.includes(`cp "$PROJECT_ROOT/${path.slice(6)}" "$LAMBDA_DIR/"`), `${file} imports ${path}`);
+    }
+  }
+  assert.deepEqual([...new Set(readFileSync(new URL('../../infra/template.yaml', import.meta.url), 'utf8')
+    .match(/CodeUri: \S+/g))], ['CodeUri: ../build/lambda/']);
+});
@@ -0,0 +1,314 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import test from 'node:test';
+import {
+  BatchWriteCommand,
+  DeleteCommand,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  TransactWriteCommand,
+  UpdateCommand
+} from '@aws-sdk/lib-dynamodb';
+import { createFileTable, createMemoryTable } from '../dev/memory-table.mjs';
+import { handler } from '../src/api.mjs';
+import { config } from '../src/config.mjs';
+import { exchangeLoginCode, secretHash } from '../src/session.mjs';
+import {
+  acquireCommandRateLimit,
+  acquireMonitorLease,
+  consumeDiscordOAuthState,
+  deleteUserSession,
+  getSession,
+  listTrackers,
+  listUserSessions,
+  putDiscordOAuthState,
+  putLoginCode,
+  putSession,
+  putTracker,
+  recordTrackerMissing,
+  releaseMonitorLease,
+  updateTrackerStatus,
+  upsertDiscordProfile,
+  useStorageTable
+} from '../src/storage.mjs';
+
+config.tableName = 'CourseSnagTable';
+
+const tracker = {
+  kind: 'section',
+  trackerId: 'FA26-12345',
+  roster: 'FA26',
+  subject: 'CS',
+  classNbr: '12345',
+  catalogNbr: '2110',
+  title: 'Object-Oriented Programming',
+  section: 'LEC 001',
+  ssrComponent: 'LEC',
+  classTime: 'MWF 10:10AM'
+};
+
+function useFreshTable(options) {
+  const table = createMemoryTable(options);
+  useStorageTable(table);
+  return table;
+}
+
+test('enforces conditional writes with ConditionalCheckFailedException', async () => {
+  const table = createMemoryTable();
+  const put = () => table.send(new PutCommand({
+    TableName: 'CourseSnagTable',
+    Item: { PK: 'OAUTH#state', SK: 'DISCORD', returnOrigin: 'http://localhost:4173' },
+    ConditionExpression: 'attribute_not_exists(PK)'
+  }));
+
+  await put();
+  await assert.rejects(put, { name: 'ConditionalCheckFailedException' });
+});
+
+test('applies update expressions against the item as it was before the update', async () => {
+  const table = createMemoryTable();
+  const missing = () => table.send(new UpdateCommand({
+    TableName: 'CourseSnagTable',
+    Key: { PK: 'USER#1', SK: 'TRACKER#a' },
+    UpdateExpression: 'SET missingPolls = if_not_exists(missingPolls, :zero) + :one, firstSeen = if_not_exists(firstSeen, :now) REMOVE lastStatus',
+    ExpressionAttributeValues: { ':zero': 0, ':one': 1, ':now': 'first' },
+    ReturnValues: 'UPDATED_NEW'
+  }));
+
+  assert.deepEqual((await missing()).Attributes, { missingPolls: 1, firstSeen: 'first' });
+  assert.deepEqual((await missing()).Attributes, { missingPolls: 2, firstSeen: 'first' });
+});
+
+test('rejects expression names and values that no expression uses', async () => {
+  const table = createMemoryTable();
+  await assert.rejects(() => table.send(new UpdateCommand({
+    TableName: 'CourseSnagTable',
+    Key: { PK: 'USER#1', SK: 'PROFILE' },
+    UpdateExpression: 'SET lastActiveAt = :now',
+    ExpressionAttributeValues: { ':now': 'now', ':unused': 1 }
+  })), { name: 'ValidationException', message: /unused in expressions/ });
+});
+
+test('refuses expression syntax and commands outside the supported subset', async () => {
+  const table = createMemoryTable();
+  const key = { PK: 'USER#1', SK: 'PROFILE' };
+  const refused = { name: 'ValidationException', message: /in-memory table does not support/ };
+  const updates = [
+    ['ADD visits :one', { ':one': 1 }],
+    ['SET visits = visits - :one', { ':one': 1 }],
+    ['SET tags = list_append(tags, :tags)', { ':tags': ['a'] }]
+  ];
+  for (const [UpdateExpression, ExpressionAttributeValues] of updates) {
+    await assert.rejects(() => table.send(new UpdateCommand({
+      TableName: 'CourseSnagTable', Key: key, UpdateExpression, ExpressionAttributeValues
+    })), refused);
+  }
+  const conditions = [
+    ['NOT attribute_exists(PK)', undefined],
+    ['visits BETWEEN :low AND :high', { ':low': 1, ':high': 2 }],
+    ['visits IN (:low, :high)', { ':low': 1, ':high': 2 }],
+    ['size(tags) > :low', { ':low': 1 }],
+    ['contains(tags, :tag)', { ':tag': 'a' }]
+  ];
+  for (const [ConditionExpression, ExpressionAttributeValues] of conditions) {
+    await assert.rejects(() => table.send(new PutCommand({
+      TableName: 'CourseSnagTable', Item: key, ConditionExpression, ExpressionAttributeValues
+    })), refused);
+  }
+  await assert.rejects(() => table.send(new DeleteCommand({
+    TableName: 'CourseSnagTable', Key: key, ReturnValues: 'UPDATED_OLD'
+  })), refused);
+  await assert.rejects(() => table.send(new BatchWriteCommand({ RequestItems: {} })), refused);
+});
+
+test('applies a transaction whole or cancels it with a reason per item', async () => {
+  const table = createMemoryTable({ items: [{ PK: 'USER#1', SK: 'WATCHLIST', watchlistVersion: 2 }] });
+  const write = version => new TransactWriteCommand({
+    TransactItems: [
+      { Put: { TableName: 'CourseSnagTable', Item: { PK: 'USER#1', SK: 'TRACKER#a' } } },
+      {
+        Update: {
+          TableName: 'CourseSnagTable',
+          Key: { PK: 'USER#1', SK: 'WATCHLIST' },
+          UpdateExpression: 'SET watchlistVersion = watchlistVersion + :one',
+          ConditionExpression: 'watchlistVersion = :expected',
+          ExpressionAttributeValues: { ':one': 1, ':expected': version }
+        }
+      }
+    ]
+  });
+
+  await assert.rejects(() => table.send(write(1)), error => (
+    error.name === 'TransactionCanceledException'
+    && error.CancellationReasons.map(reason => reason.Code).join() === 'None,ConditionalCheckFailed'
+  ));
+  assert.deepEqual(table.items(), [{ PK: 'USER#1', SK: 'WATCHLIST', watchlistVersion: 2 }]);
+
+  await table.send(write(2));
+  assert.deepEqual(table.items().map(item => item.watchlistVersion ?? item.SK), [3, 'TRACKER#a']);
+  await assert.rejects(() => table.send(new TransactWriteCommand({
+    TransactItems: [
+      { Delete: { TableName: 'CourseSnagTable', Key: { PK: 'USER#1', SK: 'TRACKER#a' } } },
+      { ConditionCheck: { TableName: 'CourseSnagTable', Key: { PK: 'USER#1', SK: 'TRACKER#a' }, ConditionExpression: 'attribute_exists(PK)' } }
+    ]
+  })), { name: 'ValidationException', message: /multiple operations on one item/ });
+});
+
+test('drops items once their expiresAt time passes', async () => {
+  let now = Date.parse('2026-08-20T12:00:00.000Z');
+  const table = createMemoryTable({ now: () => now });
+  await table.send(new PutCommand({
+    TableName: 'CourseSnagTable',
+    Item: { PK: 'LOGIN#hash', SK: 'CODE', expiresAt: now / 1000 + 120 }
+  }));
+  const read = () => table.send(new GetCommand({ TableName: 'CourseSnagTable', Key: { PK: 'LOGIN#hash', SK: 'CODE' } }));
+
+  assert.ok((await read()).Item);
+  now += 120 * 1000;
+  assert.equal((await read()).Item, undefined);
+});
+
+test('pages queries in sort-key order with Limit and ExclusiveStartKey', async () => {
+  const table = createMemoryTable({
+    items: ['b', 'c', 'a'].map(id => ({ PK: 'USER#1', SK: `TRACKER#${id}`, GSI1PK: 'ACTIVE', GSI1SK: id }))
+  });
+  const query = ExclusiveStartKey => table.send(new QueryCommand({
+    TableName: 'CourseSnagTable',
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :active',
+    ExpressionAttributeValues: { ':active': 'ACTIVE' },
+    ScanIndexForward: false,
+    Limit: 2,
+    ExclusiveStartKey
+  }));
+
+  const first = await query();
+  assert.deepEqual(first.Items.map(item => item.GSI1SK), ['c', 'b']);
+  const second = await query(first.LastEvaluatedKey);
+  assert.deepEqual(second.Items.map(item => item.GSI1SK), ['a']);
+  assert.equal(second.LastEvaluatedKey, undefined);
+  await assert.rejects(() => table.send(new QueryCommand({
+    TableName: 'CourseSnagTable',
+    IndexName: 'GSI1',
+    KeyConditionExpression: 'GSI1PK = :active',
+    ExpressionAttributeValues: { ':active': 'ACTIVE' },
+    ConsistentRead: true
+  })), { name: 'ValidationException' });
+});
+
+test('runs profile, tracker, and session storage offline', async () => {
+  useFreshTable();
+  await upsertDiscordProfile({ userId: '123', username: 'student', displayName: 'Student' });
+  assert.equal((await putTracker('123', tracker)).created, true);
+  assert.equal((await putTracker('123', tracker)).created, false);
+
+  const [stored] = await listTrackers('123');
+  assert.equal(stored.lastStatus, 'UNKNOWN');
+  assert.equal(stored.GSI1SK.startsWith('FA26#CS#'), true);
+  assert.equal(await recordTrackerMissing(stored, 'poll-1', '2026-08-20T12:00:00.000Z'), 1);
+  assert.equal(await recordTrackerMissing(stored, 'poll-1', '2026-08-20T12:00:00.000Z'), 0);
+
+  await putSession('123', 'token-hash', 3600, { sessionId: 'session-1', device: 'Chrome on macOS' });
+  assert.deepEqual((await listUserSessions('123')).map(item => item.sessionId), ['session-1']);
+  assert.equal(await deleteUserSession('123', 'session-1'), true);
+  assert.equal(await getSession('token-hash'), null);
+});
+
+test('consumes OAuth state once and enforces command and monitor leases', async () => {
+  useFreshTable();
+  await putDiscordOAuthState('state-1', 600, 'http://localhost:4173');
+  assert.equal((await consumeDiscordOAuthState('state-1')).returnOrigin, 'http://localhost:4173');
+  assert.equal(await consumeDiscordOAuthState('state-1'), null);
+
+  assert.equal(await acquireCommandRateLimit('123', 'status', 30), true);
+  assert.equal(await acquireCommandRateLimit('123', 'status', 30), false);
+
+  const startedAt = new Date();
+  assert.equal(await acquireMonitorLease('run-a', startedAt), true);
+  assert.equal(await acquireMonitorLease('run-b', startedAt), false);
+  await releaseMonitorLease('run-b');
+  assert.equal(await acquireMonitorLease('run-b', startedAt), false);
+  await releaseMonitorLease('run-a');
+  assert.equal(await acquireMonitorLease('run-b', startedAt), true);
+});
+
+test('persists the file-backed table across reopenings', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'coursesnag-table-'));
+  try {
+    const path = join(directory, 'table.json');
+    useStorageTable(createFileTable(path));
+    await upsertDiscordProfile({ userId: '123', username: 'student', displayName: 'Student' });
+    assert.equal(JSON.parse(readFileSync(path, 'utf8')).items.length, 1);
+
+    const reopened = createFileTable(path);
+    const { Item } = await reopened.send(new GetCommand({
+      TableName: 'CourseSnagTable',
+      Key: { PK: 'USER#123', SK: 'PROFILE' }
+    }));
+    assert.equal(Item.discordUsername, 'student');
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('serves the watchlist API from the in-memory table', async () => {
+  useFreshTable();
+  await upsertDiscordProfile({ userId: '123', username: 'student', displayName: 'Student' });
+  const code = 'c'.repeat(43);
+  await putLoginCode('123', secretHash(code), 120);
+  const { sessionToken } = await exchangeLoginCode(code, 'Mozilla/5.0 (Macintosh) Chrome/120.0');
+  const headers = { authorization: `Bearer ${sessionToken}` };
+
+  const created = await handler({ routeKey: 'POST /trackers', headers, body: JSON.stringify(tracker) });
+  assert.equal(created.statusCode, 201);
+  const listed = await handler({ routeKey: 'GET /trackers', headers });
+  assert.equal(JSON.parse(listed.body).trackers.length, 1);
+  assert.equal(listed.headers.etag, created.headers.etag);
+
+  // A monitor poll records a new status without changing the watchlist ETag.
+  const [stored] = await listTrackers('123');
+  await updateTrackerStatus(stored, 'O', new Date(Date.now() + 60_000).toISOString(), null, { alertType: 'open' });
+  const polled = await handler({ routeKey: 'GET /trackers', headers: { ...headers, 'if-none-match': created.headers.etag } });
+  assert.equal(polled.statusCode, 304);
+  const edited = await handler({
+    routeKey: 'PATCH /trackers/{trackerId}',
+    pathParameters: { trackerId: stored.trackerId },
+    headers: { ...headers, 'if-match': created.headers.etag },
+    body: JSON.stringify({ notifications: { notifyOnClose: false } })
+  });
+  assert.equal(edited.statusCode, 200);
+  assert.notEqual(edited.headers.etag, created.headers.etag);
+
+  // Two edits sent against the same ETag at once: only one may apply.
+  const racing = notifications => handler({
+    routeKey: 'PATCH /trackers/{trackerId}',
+    pathParameters: { trackerId: stored.trackerId },
+    headers: { ...headers, 'if-match': edited.headers.etag },
+    body: JSON.stringify({ notifications })
+  });
+  const raced = await Promise.all([racing({ notifyOnWaitlist: false }), racing({ notifyOnWaitlist: true })]);
+  assert.deepEqual(raced.map(response => response.statusCode).sort(), [200, 412]);
+  const winner = raced.find(response => response.statusCode === 200);
+  assert.equal((await handler({ routeKey: 'GET /trackers', headers })).headers.etag, winner.headers.etag);
+
+  // A refused edit leaves the ETag alone, so the client's next edit still matches.
+  const editAfterWinner = notifications => handler({
+    routeKey: 'PATCH /trackers/{trackerId}',
+    pathParameters: { trackerId: stored.trackerId },
+    headers: { ...headers, 'if-match': winner.headers.etag },
+    body: JSON.stringify({ notifications })
+  });
+  assert.equal((await editAfterWinner({ notifyOnWaitlist: 'yes' })).statusCode, 400);
+  assert.equal((await handler({ routeKey: 'GET /trackers', headers })).headers.etag, winner.headers.etag);
+  assert.equal((await editAfterWinner({ notifyOnWaitlist: true })).statusCode, 200);
+
+  const stale = await handler({
+    routeKey: 'DELETE /trackers/{trackerId}',
+    pathParameters: { trackerId: JSON.parse(created.body).tracker.trackerId },
+    headers: { ...headers, 'if-match': '"stale"' }
+  });
+  assert.equal(stale.statusCode, 412);
+});
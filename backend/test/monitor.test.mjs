@@ -1,9 +1,15 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
+import { buildCourseSectionIndex, buildStatusIndex } from '../src/cornell.mjs';
 import {
+  MISSING_POLLS_BEFORE_RETIREMENT,
+  flapPolicyFromConfig,
+  missingSectionsLookPartial,
   monitorStatusForFailures,
+  observeTracker,
   partitionTrackersForRoster,
-  rotateMonitorGroups
+  rotateMonitorGroups,
+  trackerRetirementIsDue
 } from '../src/monitor.mjs';
 
 test('marks any Cornell group failure as a degraded monitor run', () => {
@@ -13,17 +19,19 @@ test('marks any Cornell group failure as a degraded monitor run', () => {
   assert.equal(monitorStatusForFailures(0, 2), 'degraded');
 });
 
-test('separates trackers outside Cornell current roster for removal', () => {
+test('separates trackers outside Cornell active rosters for rollover', () => {
   const trackers = [
     { trackerId: 'FA26:1', roster: 'FA26' },
     { trackerId: 'SP26:2', roster: 'SP26' },
-    { trackerId: 'FA26:3', roster: 'FA26' }
+    { trackerId: 'SU26:3', roster: 'SU26' },
+    { trackerId: 'SP27:4', roster: 'SP27' }
   ];
 
-  const result = partitionTrackersForRoster(trackers, 'FA26');
+  const result = partitionTrackersForRoster(trackers, { current: 'SU26', active: ['SU26', 'FA26'] });
 
-  assert.deepEqual(result.current.map(item => item.trackerId), ['FA26:1', 'FA26:3']);
+  assert.deepEqual(result.current.map(item => item.trackerId), ['FA26:1', 'SU26:3']);
   assert.deepEqual(result.expired.map(item => item.trackerId), ['SP26:2']);
+  assert.deepEqual(result.inactive.map(item => item.trackerId), ['SP27:4']);
 });
 
 test('rotates monitor groups after a partial run so later subjects cannot starve', () => {
@@ -38,3 +46,62 @@ test('rotates monitor groups after a partial run so later subjects cannot starve
     ['FA26:MATH', 'FA26:AEM', 'FA26:CS']
   );
 });
+
+test('expands course trackers against sections added after the tracker was created', () => {
+  const classes = [{
+    subject: 'CS',
+    catalogNbr: '2110',
+    enrollGroups: [{ classSections: [
+      { classNbr: 11111, section: '001', ssrComponent: 'LEC', openStatus: 'C' },
+      { classNbr: 22222, section: '002', ssrComponent: 'LEC', openStatus: 'O' }
+    ] }]
+  }];
+  const statuses = buildStatusIndex(classes);
+  const courseSections = buildCourseSectionIndex(classes);
+
+  assert.deepEqual(
+    observeTracker({ kind: 'course', subject: 'CS', catalogNbr: '2110', ssrComponent: 'LEC' }, statuses, courseSections),
+    { status: 'O', openSections: [{ classNbr: '22222', section: '002', ssrComponent: 'LEC' }] }
+  );
+  assert.deepEqual(observeTracker({ classNbr: '11111' }, statuses, courseSections), { status: 'C' });
+  assert.equal(observeTracker({ classNbr: '99999' }, statuses, courseSections), null);
+  assert.equal(
+    observeTracker({ kind: 'course', subject: 'CS', catalogNbr: '3110' }, statuses, courseSections),
+    null
+  );
+});
+
+test('retires a missing tracker only after consecutive missed polls', () => {
+  assert.equal(trackerRetirementIsDue(0), false);
+  assert.equal(trackerRetirementIsDue(MISSING_POLLS_BEFORE_RETIREMENT - 1), false);
+  assert.equal(trackerRetirementIsDue(MISSING_POLLS_BEFORE_RETIREMENT), true);
+});
+
+test('refuses to count absences when most of a subject vanishes at once', () => {
+  const trackers = [
+    { trackerId: 'FA26:1' },
+    { trackerId: 'FA26:1' },
+    { trackerId: 'FA26:2' },
+    { trackerId: 'FA26:3' }
+  ];
+  const classes = [{ subject: 'CS' }];
+
+  assert.equal(missingSectionsLookPartial(classes, trackers, []), false);
+  assert.equal(missingSectionsLookPartial(classes, trackers, [trackers[3]]), false);
+  assert.equal(missingSectionsLookPartial(classes, trackers, [trackers[2], trackers[3]]), true);
+  assert.equal(missingSectionsLookPartial([], trackers.slice(0, 1), trackers.slice(0, 1)), true);
+  assert.equal(missingSectionsLookPartial(classes, trackers.slice(0, 1), trackers.slice(0, 1)), false);
+});
+
+test('reads flap policy overrides and falls back to defaults', () => {
+  assert.deepEqual(flapPolicyFromConfig({
+    flapMinimumDwellMinutes: '',
+    flapAlertCooldownMinutes: '',
+    flapConfirmCloseAlerts: ''
+  }), { minimumDwellMinutes: 5, alertCooldownMinutes: 15, confirmCloseAlerts: true });
+  assert.deepEqual(flapPolicyFromConfig({
+    flapMinimumDwellMinutes: '0',
+    flapAlertCooldownMinutes: 'soon',
+    flapConfirmCloseAlerts: 'false'
+  }), { minimumDwellMinutes: 0, alertCooldownMinutes: 15, confirmCloseAlerts: false });
+});
@@ -1,6 +1,11 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
-import { shouldDeliverNotification } from '../src/notifier.mjs';
+import {
+  closedAlertNeedsNewMessage,
+  notificationIsHeld,
+  shouldDeliverNotification,
+  webhookDeliveryIsDue
+} from '../src/notifier.mjs';
 
 test('suppresses course alerts outside Discord Active while preserving account and season messages', () => {
   assert.equal(shouldDeliverNotification({ type: 'course-opened' }, 'local'), false);
@@ -10,3 +15,32 @@ test('suppresses course alerts outside Discord Active while preserving account a
   assert.equal(shouldDeliverNotification({ type: 'season-online' }, 'starting'), true);
   assert.equal(shouldDeliverNotification({ type: 'connection-confirmed' }, 'local'), true);
 });
+
+test('holds close and waitlist alerts during quiet hours and lets open alerts bypass', () => {
+  const quietHours = { enabled: true, startHour: 22, endHour: 7, openAlertsBypass: true };
+  const night = new Date('2026-08-18T03:00:00Z'); // 23:00 EDT
+  const day = new Date('2026-08-18T15:00:00Z'); // 11:00 EDT
+
+  assert.equal(notificationIsHeld({ type: 'course-not-open', status: 'W' }, quietHours, night), true);
+  assert.equal(notificationIsHeld({ type: 'course-not-open', status: 'C' }, quietHours, day), false);
+  assert.equal(notificationIsHeld({ type: 'course-opened' }, quietHours, night), false);
+  assert.equal(
+    notificationIsHeld({ type: 'course-opened' }, { ...quietHours, openAlertsBypass: false }, night),
+    true
+  );
+  assert.equal(notificationIsHeld({ type: 'tracker-retired' }, quietHours, night), false);
+  assert.equal(shouldDeliverNotification({ type: 'alert-digest' }, 'local'), false);
+});
+
+test('sends a new close DM unless the owner chose edits only and the edit worked', () => {
+  assert.equal(closedAlertNeedsNewMessage('edit-and-send', true), true);
+  assert.equal(closedAlertNeedsNewMessage('edit', true), false);
+  assert.equal(closedAlertNeedsNewMessage('edit', false), true);
+  assert.equal(closedAlertNeedsNewMessage('send', false), true);
+});
+
+test('delivers webhooks on the first SQS receive only', () => {
+  assert.equal(webhookDeliveryIsDue({ attributes: { ApproximateReceiveCount: '1' } }), true);
+  assert.equal(webhookDeliveryIsDue({}), true);
+  assert.equal(webhookDeliveryIsDue({ attributes: { ApproximateReceiveCount: '2' } }), false);
+});
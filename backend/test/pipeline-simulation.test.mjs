@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { startPipelineSimulation, withPipelineSimulation } from '../dev/pipeline-simulation.mjs';
+
+const STUDENT_ID = '222222222222222222';
+
+const fixtures = {
+  rosters: {
+    status: 'success',
+    data: { rosters: [{ slug: 'FA26', isDefaultRoster: 'Y' }] },
+    message: null
+  },
+  subjects: {
+    FA26: { status: 'success', data: { subjects: [{ value: 'CS', descr: 'Computer Science' }] }, message: null }
+  },
+  classes: {
+    FA26: {
+      CS: {
+        status: 'success',
+        data: { classes: [{
+          subject: 'CS',
+          catalogNbr: '2110',
+          titleLong: 'Object-Oriented Programming and Data Structures',
+          enrollGroups: [{ classSections: [
+            { classNbr: 12345, section: '001', ssrComponent: 'LEC', openStatus: 'C' }
+          ] }]
+        }] },
+        message: null
+      }
+    }
+  }
+};
+
+const tracker = {
+  kind: 'section',
+  roster: 'FA26',
+  subject: 'CS',
+  classNbr: '12345',
+  catalogNbr: '2110',
+  title: 'Object-Oriented Programming',
+  section: 'LEC 001',
+  ssrComponent: 'LEC',
+  classTime: 'MWF 10:10AM'
+};
+
+async function watchSection(simulation) {
+  const sessionToken = await simulation.signIn({ id: STUDENT_ID, username: 'student' });
+  const created = await simulation.request('POST', '/trackers', { sessionToken, body: tracker });
+  assert.equal(created.statusCode, 201);
+}
+
+const headline = message => message.content.split('\n')[0];
+const latency = ({ type, detectedAt, queuedAt, providerAcceptedAt }) => ({ type, detectedAt, queuedAt, providerAcceptedAt });
+
+test('delivers a scripted open and close between the season ONLINE and OFFLINE messages', async () => {
+  await withPipelineSimulation({ start: '2026-08-24T09:55:00-04:00', fixtures }, async simulation => {
+    await watchSection(simulation);
+    simulation.at('09:58', sim => sim.startSeason());
+    simulation.section('12345').opensAt('10:03').closesAt('10:18');
+    simulation.at('10:24', sim => sim.stopSeason());
+    // Monitoring is off by now, so this opening must not reach anyone.
+    simulation.section('12345').opensAt('10:30');
+    await simulation.runUntil('10:45');
+
+    assert.deepEqual(simulation.directMessagesTo(STUDENT_ID).map(message => [message.sentAt, headline(message)]), [
+      ['2026-08-24T13:55:00.000Z', '✅ **CourseSnag is connected.**'],
+      ['2026-08-24T13:58:00.000Z', 'CourseSnag Discord tracking is back **ONLINE**! Track your courses at https://coursesnag.pages.dev'],
+      ['2026-08-24T13:58:01.000Z', '🔒 **CS 2110 is not open.**'],
+      ['2026-08-24T14:05:01.000Z', '🎉 **CS 2110 is open!**'],
+      ['2026-08-24T14:20:02.000Z', '🔒 **CS 2110 is not open.**'],
+      ['2026-08-24T14:24:00.000Z', 'CourseSnag Discord tracking is currently **OFFLINE**. We will return before the next enrollment period!']
+    ]);
+    assert.deepEqual(simulation.deliveries.map(latency), [
+      { type: 'season-online', detectedAt: null, queuedAt: null, providerAcceptedAt: '2026-08-24T13:58:00.000Z' },
+      {
+        type: 'course-not-open',
+        detectedAt: '2026-08-24T13:58:01.000Z',
+        queuedAt: '2026-08-24T13:58:01.000Z',
+        providerAcceptedAt: '2026-08-24T13:58:01.000Z'
+      },
+      {
+        type: 'course-opened',
+        detectedAt: '2026-08-24T14:05:01.000Z',
+        queuedAt: '2026-08-24T14:05:01.000Z',
+        providerAcceptedAt: '2026-08-24T14:05:01.000Z'
+      },
+      // The close is confirmed with a second Cornell read one second later.
+      {
+        type: 'course-not-open',
+        detectedAt: '2026-08-24T14:20:01.000Z',
+        queuedAt: '2026-08-24T14:20:02.000Z',
+        providerAcceptedAt: '2026-08-24T14:20:02.000Z'
+      },
+      { type: 'season-offline', detectedAt: null, queuedAt: null, providerAcceptedAt: '2026-08-24T14:24:00.000Z' }
+    ]);
+  });
+});
+
+test('records the delay added by a Cornell outage, a Discord rate limit, and a queue retry', async () => {
+  await withPipelineSimulation({
+    start: '2026-08-24T10:00:00-04:00',
+    fixtures,
+    mode: 'cloud'
+  }, async simulation => {
+    await watchSection(simulation);
+    await simulation.runUntil('10:05');
+    simulation.section('12345').opensAt('10:07');
+    simulation.at('10:09', ({ cornell }) => cornell.failNext({ status: 503, subject: 'CS' }));
+    simulation.at('10:14', ({ discord }) => {
+      discord.rateLimitNext({ method: 'POST', path: /^\/channels\/\d+\/messages$/, retryAfter: 0.25 });
+      discord.failNext({ status: 500, method: 'POST', path: /^\/channels\/\d+\/messages$/ });
+    });
+    await simulation.runUntil('10:30');
+
+    const opened = simulation.deliveries.filter(delivery => delivery.type === 'course-opened');
+    assert.deepEqual(opened.map(latency), [{
+      type: 'course-opened',
+      detectedAt: '2026-08-24T14:15:01.000Z',
+      queuedAt: '2026-08-24T14:15:01.000Z',
+      // The 429 and the 500 use the first receive; the retry waits out the
+      // three-minute visibility timeout that began when it was received.
+      providerAcceptedAt: '2026-08-24T14:18:01.000Z'
+    }]);
+    assert.equal(simulation.directMessagesTo(STUDENT_ID).filter(message => headline(message) === '🎉 **CS 2110 is open!**').length, 1);
+    assert.deepEqual(simulation.queue.pending(), []);
+  });
+});
+
+test('reports and records the status the close confirmation read', async () => {
+  await withPipelineSimulation({
+    start: '2026-08-24T10:00:00-04:00',
+    fixtures,
+    mode: 'cloud'
+  }, async simulation => {
+    const sessionToken = await simulation.signIn({ id: STUDENT_ID, username: 'student' });
+    await simulation.request('POST', '/trackers', { sessionToken, body: tracker });
+    simulation.section('12345').opensAt('10:07').closesAt('10:22');
+    // The 10:25 poll reads the section closed at 10:25:01; by the
+    // confirming read a second later it is waitlisted.
+    simulation.section('12345').waitlistsAt('10:25:02');
+    await simulation.runUntil('10:27');
+
+    assert.deepEqual(simulation.directMessagesTo(STUDENT_ID).slice(-2).map(message => [message.sentAt, headline(message)]), [
+      ['2026-08-24T14:10:01.000Z', '🎉 **CS 2110 is open!**'],
+      ['2026-08-24T14:25:02.000Z', '🔒 **CS 2110 is waitlisted.**']
+    ]);
+    const listed = await simulation.request('GET', '/trackers', { sessionToken });
+    assert.equal(listed.body.trackers[0].lastStatus, 'W');
+  });
+});
+
+test('restores the real clock and console however the simulation ends', async () => {
+  const RealDate = Date;
+  const simulation = await startPipelineSimulation({ start: '2026-08-24T10:00:00-04:00', fixtures });
+  assert.equal(new Date().toISOString(), '2026-08-24T14:00:00.000Z');
+  await assert.rejects(
+    () => startPipelineSimulation({ start: '2026-08-24T10:00:00-04:00', fixtures }),
+    /Only one pipeline simulation/
+  );
+  await simulation.close();
+  assert.equal(Date, RealDate);
+  assert.notEqual(new Date().toISOString(), '2026-08-24T14:00:00.000Z');
+
+  const realLog = console.log;
+  await assert.rejects(
+    () => withPipelineSimulation({ start: '2026-08-24T10:00:00-04:00', fixtures }, async () => {
+      throw new Error('scenario failed');
+    }),
+    /scenario failed/
+  );
+  // A setup failure after the globals are swapped puts them back too.
+  await assert.rejects(() => startPipelineSimulation({ start: '2026-08-24T10:00:00-04:00', fixtures: null }));
+  assert.equal(Date, RealDate);
+  assert.equal(console.log, realLog);
+  await withPipelineSimulation({ start: '2026-08-24T10:00:00-04:00', fixtures }, async simulation => {
+    assert.equal(simulation.now().toISOString(), '2026-08-24T14:00:00.000Z');
+  });
+});
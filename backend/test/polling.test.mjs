@@ -4,7 +4,9 @@ import {
   MONITOR_TIME_ZONE,
   monitorPollIsDue,
   monitorTransitionId,
-  pollingIntervalMinutesAt
+  pollingIntervalMinutesAt,
+  quietHoursAreActiveAt,
+  quietHoursEndAfter
 } from '../src/polling.mjs';
 
 test('uses the approved half-refresh schedule in New York time', () => {
@@ -58,3 +60,28 @@ test('builds stable transition identities that change after a later observation'
     lastCheckedAt: '2026-08-17T12:10:00.000Z'
   }, 'course-opened', 'O'));
 });
+
+test('applies quiet hours in New York time, including windows past midnight', () => {
+  const overnight = { enabled: true, startHour: 22, endHour: 7 };
+  assert.equal(quietHoursAreActiveAt(overnight, new Date('2026-08-18T01:30:00Z')), false); // 21:30 EDT
+  assert.equal(quietHoursAreActiveAt(overnight, new Date('2026-08-18T02:00:00Z')), true); // 22:00 EDT
+  assert.equal(quietHoursAreActiveAt(overnight, new Date('2026-08-18T10:59:00Z')), true); // 06:59 EDT
+  assert.equal(quietHoursAreActiveAt(overnight, new Date('2026-08-18T11:00:00Z')), false); // 07:00 EDT
+  assert.equal(quietHoursAreActiveAt({ ...overnight, enabled: false }, new Date('2026-08-18T02:00:00Z')), false);
+  assert.equal(
+    quietHoursAreActiveAt({ enabled: true, startHour: 13, endHour: 15 }, new Date('2026-08-17T17:30:00Z')),
+    true
+  ); // 13:30 EDT
+});
+
+test('finds the end of the current quiet-hours window', () => {
+  const overnight = { enabled: true, startHour: 22, endHour: 7 };
+  assert.equal(
+    quietHoursEndAfter(overnight, new Date('2026-08-18T02:40:00Z')).toISOString(),
+    '2026-08-18T11:00:00.000Z'
+  );
+  assert.equal(
+    quietHoursEndAfter(overnight, new Date('2026-01-15T03:10:00Z')).toISOString(),
+    '2026-01-15T12:00:00.000Z'
+  ); // 07:00 EST
+});
@@ -1,6 +1,12 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
-import { bearerToken, secretHash } from '../src/session.mjs';
+import {
+  bearerToken,
+  publicSession,
+  secretHash,
+  sessionDevice,
+  sessionNeedsTouch
+} from '../src/session.mjs';
 
 test('reads a CourseSnag bearer token', () => {
   const token = 'a'.repeat(43);
@@ -12,3 +18,51 @@ test('hashes opaque credentials before storage', () => {
   assert.equal(secretHash('secret').length, 64);
   assert.notEqual(secretHash('secret'), 'secret');
 });
+
+test('summarizes a user agent as a browser and platform', () => {
+  assert.equal(
+    sessionDevice('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/537.36'),
+    'Chrome on macOS'
+  );
+  assert.equal(
+    sessionDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'),
+    'Safari on iOS'
+  );
+  assert.equal(
+    sessionDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/537.36 Edg/128.0.0.0'),
+    'Edge on Windows'
+  );
+  assert.equal(sessionDevice('Mozilla/5.0 (X11; Linux x86_64; rv:129.0) Gecko/20100101 Firefox/129.0'), 'Firefox on Linux');
+  assert.equal(sessionDevice(''), 'Unknown device');
+});
+
+test('extends a session at most once per interval', () => {
+  const now = new Date('2026-09-01T12:00:00.000Z');
+  assert.equal(sessionNeedsTouch({ sessionId: 's1', lastUsedAt: '2026-09-01T11:50:00.000Z' }, now), false);
+  assert.equal(sessionNeedsTouch({ sessionId: 's1', lastUsedAt: '2026-09-01T11:45:00.000Z' }, now), true);
+  assert.equal(sessionNeedsTouch({ lastUsedAt: '2026-09-01T11:59:00.000Z' }, now), true);
+  assert.equal(sessionNeedsTouch({ sessionId: 's1' }, now), true);
+});
+
+test('describes a session without its token hash', () => {
+  const item = {
+    PK: `SESSION#${'f'.repeat(64)}`,
+    SK: 'SESSION',
+    userId: '123',
+    sessionId: 's1',
+    device: 'Firefox on Linux',
+    createdAt: '2026-08-01T12:00:00.000Z',
+    lastUsedAt: '2026-08-20T12:00:00.000Z',
+    expiresAt: 1789992000
+  };
+  assert.deepEqual(publicSession(item, 'f'.repeat(64)), {
+    sessionId: 's1',
+    device: 'Firefox on Linux',
+    current: true,
+    createdAt: '2026-08-01T12:00:00.000Z',
+    lastUsedAt: '2026-08-20T12:00:00.000Z',
+    expiresAt: '2026-09-21T12:00:00.000Z'
+  });
+  assert.equal(publicSession(item, 'other').current, false);
+  assert.equal(publicSession({ ...item, device: '', lastUsedAt: '' }).device, 'Unknown device');
+});
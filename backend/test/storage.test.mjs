@@ -1,6 +1,22 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
-import { aggregateTrackerCounts, deduplicateDiscordProfiles } from '../src/storage.mjs';
+import { ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { createMemoryTable } from '../dev/memory-table.mjs';
+import { config } from '../src/config.mjs';
+import {
+  acquireCommandRateLimit,
+  aggregateTrackerCounts,
+  claimRosterRollover,
+  deduplicateDiscordProfiles,
+  deleteUserData,
+  putChannelSubscription,
+  putLoginCode,
+  putSession,
+  putTracker,
+  seatStatisticsKey,
+  upsertDiscordProfile,
+  useStorageTable
+} from '../src/storage.mjs';
 
 test('deduplicates Discord recipients and prefers the canonical Discord-owned profile', () => {
   const profiles = [
@@ -43,3 +59,69 @@ test('counts distinct Discord tracker owners for requested sections', () => {
     4444: 0
   });
 });
+
+test('keys seat statistics by section or by course and component', () => {
+  assert.deepEqual(seatStatisticsKey({ kind: 'section', roster: 'FA26', classNbr: '12345' }), {
+    PK: 'SECTION#FA26#12345',
+    SK: 'STATS'
+  });
+  assert.equal(
+    seatStatisticsKey({ kind: 'course', roster: 'FA26', subject: 'CS', catalogNbr: '2110', ssrComponent: 'LEC' }).PK,
+    'COURSE#FA26#CS#2110#LEC'
+  );
+  assert.equal(
+    seatStatisticsKey({ kind: 'course', roster: 'FA26', subject: 'CS', catalogNbr: '2110', ssrComponent: '' }).PK,
+    'COURSE#FA26#CS#2110'
+  );
+});
+
+test('erases a user\'s rows with queries alone and leaves other users\' rows', async () => {
+  config.tableName = 'CourseSnagTable';
+  const table = createMemoryTable();
+  useStorageTable({
+    send(command) {
+      if (command instanceof ScanCommand) throw new Error('deleteUserData must not scan the table.');
+      return table.send(command);
+    }
+  });
+  const tracker = {
+    kind: 'section',
+    trackerId: 'FA26:12345',
+    roster: 'FA26',
+    subject: 'CS',
+    classNbr: '12345',
+    catalogNbr: '2110',
+    title: 'Object-Oriented Programming',
+    section: 'LEC 001',
+    ssrComponent: 'LEC',
+    classTime: 'MWF 10:10AM'
+  };
+  for (const userId of ['123', '456']) {
+    await upsertDiscordProfile({ userId, username: `user${userId}`, displayName: 'Student' });
+    const saved = await putTracker(userId, tracker);
+    await putSession(userId, `token-${userId}`, 3600, { sessionId: `session-${userId}` });
+    await putLoginCode(userId, `code-${userId}`, 120);
+    await acquireCommandRateLimit(userId, 'tracked', 10);
+    await claimRosterRollover(saved.item, 'SP27', 'moved', 'SP27:54321');
+    await putChannelSubscription({ guildId: '700', channelId: `70${userId.at(-1)}`, createdBy: userId }, tracker);
+  }
+
+  const removed = await deleteUserData('123');
+
+  assert.deepEqual(removed.map(item => item.PK).sort(), [
+    'LOGIN#code-123',
+    'RATELIMIT#123',
+    'ROLLOVER#FA26#SP27',
+    'SESSION#token-123',
+    'USER#123',
+    'USER#123',
+    'USER#123'
+  ]);
+  assert.equal(removed.at(-1).SK, 'PROFILE');
+  const remaining = table.items();
+  assert.deepEqual(remaining.filter(item => /\b123\b/.test(JSON.stringify(item))), []);
+  const subscription = remaining.find(item => item.PK === 'CHANNEL#703');
+  assert.equal(subscription.trackerId, 'FA26:12345');
+  assert.equal(remaining.find(item => item.PK === 'CHANNEL#706').createdBy, '456');
+  assert.equal(remaining.filter(item => item.PK === 'USER#456').length, 3);
+});
@@ -0,0 +1,222 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import http from 'node:http';
+import test from 'node:test';
+import {
+  WEBHOOK_DISABLE_AFTER_FAILURES,
+  deliverWebhook,
+  destinationDeliveryUpdate,
+  destinationIsDue,
+  isPublicAddress,
+  postWebhook,
+  signWebhookPayload,
+  webhookPayload,
+  webhookRetryAfter
+} from '../src/webhooks.mjs';
+
+const message = {
+  eventId: 'event-1',
+  type: 'course-opened',
+  discordUserId: '123',
+  status: 'O',
+  tracker: { trackerId: 'FA26:12345', roster: 'FA26', subject: 'CS', classNbr: '12345' },
+  sourceObservedAt: '2026-08-18T15:00:00.000Z',
+  detectedAt: '2026-08-18T15:00:01.000Z',
+  queuedAt: '2026-08-18T15:00:02.000Z'
+};
+const destination = {
+  destinationId: 'abc',
+  url: 'https://hooks.example.com/coursesnag',
+  secret: 'shared-secret-value'
+};
+const now = new Date('2026-08-18T15:00:03.000Z');
+const publicLookup = async () => [{ address: '93.184.215.14', family: 4 }];
+
+test('builds the payload from the queued alert without the Discord user ID', () => {
+  const payload = webhookPayload(message);
+
+  assert.equal(payload.discordUserId, undefined);
+  assert.equal(payload.eventId, 'event-1');
+  assert.deepEqual(payload.tracker, message.tracker);
+  assert.equal(payload.queuedAt, '2026-08-18T15:00:02.000Z');
+});
+
+test('signs the timestamp and raw body with the destination secret', async () => {
+  const requests = [];
+  const result = await deliverWebhook(destination, message, {
+    now,
+    lookupImpl: publicLookup,
+    postImpl: async (url, address, options) => {
+      requests.push({ url, address, options });
+      return { ok: true, status: 204 };
+    }
+  });
+
+  assert.deepEqual(result, { ok: true, attempts: 1 });
+  const [{ url, address, options }] = requests;
+  const expected = createHmac('sha256', destination.secret)
+    .update(`1787065203.${options.body}`)
+    .digest('hex');
+  assert.equal(url, destination.url);
+  assert.equal(address, '93.184.215.14');
+  assert.equal(options.headers['x-coursesnag-timestamp'], '1787065203');
+  assert.equal(options.headers['x-coursesnag-event-id'], 'event-1');
+  assert.equal(options.headers['x-coursesnag-signature'], `sha256=${expected}`);
+  assert.equal(signWebhookPayload(destination.secret, '1787065203', options.body), `sha256=${expected}`);
+});
+
+test('retries server errors once and does not retry client errors', async () => {
+  let calls = 0;
+  const serverError = await deliverWebhook(destination, message, {
+    now,
+    lookupImpl: publicLookup,
+    postImpl: async () => {
+      calls += 1;
+      return { ok: false, status: 503 };
+    }
+  });
+  assert.deepEqual(serverError, { ok: false, attempts: 2, error: 'HTTP 503' });
+  assert.equal(calls, 2);
+
+  calls = 0;
+  const clientError = await deliverWebhook(destination, message, {
+    now,
+    lookupImpl: publicLookup,
+    postImpl: async () => {
+      calls += 1;
+      return { ok: false, status: 410 };
+    }
+  });
+  assert.deepEqual(clientError, { ok: false, attempts: 1, error: 'HTTP 410' });
+  assert.equal(calls, 1);
+});
+
+test('refuses a destination whose host resolves to a non-public address', async () => {
+  for (const address of [
+    '10.1.2.3',
+    '127.0.0.1',
+    '169.254.169.254',
+    '172.20.0.1',
+    '192.168.1.1',
+    '::1',
+    'fd12::1',
+    'fe80::1',
+    '::ffff:10.0.0.1',
+    // 6to4 and NAT64 addresses that carry a private IPv4 address.
+    '2002:a9fe:a9fe::1',
+    '2002:7f00:1::',
+    '64:ff9b::10.0.0.1',
+    '64:ff9b::a9fe:a9fe'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.215.14', '2606:4700::1', '2002:5db8:d70e::1', '64:ff9b::93.184.215.14']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+
+  let calls = 0;
+  const lookups = [];
+  const refused = await deliverWebhook(destination, message, {
+    now,
+    // One private answer is enough, since the connection may use any of them.
+    lookupImpl: async (hostname, options) => {
+      lookups.push({ hostname, options });
+      return [{ address: '93.184.215.14', family: 4 }, { address: '169.254.169.254', family: 4 }];
+    },
+    postImpl: async () => {
+      calls += 1;
+      return { ok: true, status: 204 };
+    }
+  });
+  assert.deepEqual(refused, {
+    ok: false,
+    attempts: 0,
+    error: 'hooks.example.com resolves to a non-public address (169.254.169.254)'
+  });
+  assert.deepEqual(lookups, [{ hostname: 'hooks.example.com', options: { all: true, verbatim: true } }]);
+
+  const unresolved = await deliverWebhook(destination, message, {
+    now,
+    lookupImpl: async () => {
+      throw Object.assign(new Error('getaddrinfo ENOTFOUND hooks.example.com'), { code: 'ENOTFOUND' });
+    },
+    postImpl: async () => {
+      calls += 1;
+      return { ok: true, status: 204 };
+    }
+  });
+  assert.deepEqual(unresolved, { ok: false, attempts: 0, error: 'Could not resolve hooks.example.com: ENOTFOUND' });
+  assert.equal(calls, 0);
+});
+
+test('sends each attempt to the address its own lookup checked', async () => {
+  // A rebinding name answers with a public address first and loopback next.
+  const answers = ['93.184.215.14', '127.0.0.1'];
+  const posted = [];
+  const result = await deliverWebhook(destination, message, {
+    now,
+    lookupImpl: async () => [{ address: answers.shift(), family: 4 }],
+    postImpl: async (url, address) => {
+      posted.push(address);
+      return { ok: false, status: 503 };
+    }
+  });
+  assert.deepEqual(posted, ['93.184.215.14']);
+  assert.deepEqual(result, {
+    ok: false,
+    attempts: 1,
+    error: 'hooks.example.com resolves to a non-public address (127.0.0.1)'
+  });
+});
+
+test('connects to the checked address with the destination host in the Host header', async () => {
+  const received = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      received.push({ host: request.headers.host, url: request.url, body });
+      response.writeHead(204);
+      response.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const { port } = server.address();
+    // The name does not resolve, so the request can only arrive through the address.
+    const response = await postWebhook(`http://hooks.invalid:${port}/coursesnag?x=1`, '127.0.0.1', {
+      headers: { 'content-type': 'application/json' },
+      body: '{"ok":true}'
+    });
+    assert.deepEqual(response, { ok: true, status: 204 });
+    assert.deepEqual(received, [{ host: `hooks.invalid:${port}`, url: '/coursesnag?x=1', body: '{"ok":true}' }]);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('backs off failing destinations and disables them after repeated failures', () => {
+  const failed = destinationDeliveryUpdate({ consecutiveFailures: 2 }, { ok: false, error: 'HTTP 500' }, now);
+  assert.equal(failed.consecutiveFailures, 3);
+  assert.equal(failed.enabled, true);
+  assert.equal(failed.retryAfter, '2026-08-18T15:04:03.000Z');
+  assert.equal(destinationIsDue({ retryAfter: failed.retryAfter }, now), false);
+  assert.equal(destinationIsDue({ retryAfter: failed.retryAfter }, new Date('2026-08-18T15:05:00Z')), true);
+
+  assert.equal(webhookRetryAfter(30, now), '2026-08-18T16:00:03.000Z');
+  const disabled = destinationDeliveryUpdate(
+    { consecutiveFailures: WEBHOOK_DISABLE_AFTER_FAILURES - 1 },
+    { ok: false, error: 'Timed out' },
+    now
+  );
+  assert.equal(disabled.enabled, false);
+  assert.equal(destinationIsDue({ enabled: false }, now), false);
+
+  assert.deepEqual(destinationDeliveryUpdate({ consecutiveFailures: 4 }, { ok: true }, now), {
+    consecutiveFailures: 0,
+    lastDeliveredAt: '2026-08-18T15:00:03.000Z',
+    lastError: '',
+    retryAfter: ''
+  });
+});
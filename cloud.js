@@ -5,12 +5,23 @@
   const config = window.COURSESNAG_CONFIG || {};
   const SESSION_KEY = 'csw.discordSession';
   const LEGACY_GOOGLE_KEY = 'csw.googleCredential';
+  const MERGE_PENDING_KEY = 'csw.watchlistMergePending';
+  const TRACKER_BATCH_SIZE = 50;
+  const OUTBOX_KEY = 'csw.discordOutbox';
+  const OUTBOX_RETRY_BASE_MS = 5000;
+  const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
   const REQUEST_TIMEOUT_MS = 12000;
 
   const state = {
     mode: 'checking',
     sessionToken: null,
     profile: null,
+    sessions: [],
+    reconciliation: null,
+    outbox: [],
+    outboxFlushing: false,
+    outboxTimer: null,
+    watchlistETag: null,
     syncing: false,
     discordBusy: false,
     modeChecked: false,
@@ -21,6 +32,10 @@
   };
 
   function trackerId(tracker) {
+    if (tracker.kind === 'course') {
+      const courseId = `${tracker.roster}:${tracker.subject}-${tracker.catalogNbr}`;
+      return tracker.ssrComponent ? `${courseId}-${tracker.ssrComponent}` : courseId;
+    }
     return `${tracker.roster}:${String(tracker.classNbr)}`;
   }
 
@@ -97,11 +112,158 @@
       ? 'Opening Discord…'
       : 'Connect Discord and add bot';
     state.els.discordButton.disabled = state.discordBusy;
+    state.els.exportButton.hidden = !connected;
+    state.els.exportButton.disabled = state.discordBusy;
     state.els.signOutButton.hidden = !hasSession;
     state.els.signOutButton.disabled = state.discordBusy;
+    if (state.els.accountDeletion) {
+      state.els.accountDeletion.hidden = !connected;
+      state.els.deleteAccountButton.disabled = state.discordBusy;
+    }
+    renderQuietHours();
+    renderClosedAlertDelivery();
+    renderSessions();
+    renderReconciliation();
+    renderConflicts();
     if (shouldAnnounce) announceState();
   }
 
+  function hourLabel(hour) {
+    const suffix = hour < 12 ? 'AM' : 'PM';
+    return `${hour % 12 || 12} ${suffix}`;
+  }
+
+  function renderQuietHours() {
+    const quietHours = state.profile?.quietHours;
+    if (!state.els.quietHours) return;
+    state.els.quietHours.hidden = !isSignedIn() || !quietHours;
+    if (!quietHours) return;
+
+    for (const select of [state.els.quietHoursStart, state.els.quietHoursEnd]) {
+      if (select.options.length) continue;
+      select.innerHTML = Array.from({ length: 24 }, (_, hour) => (
+        `<option value="${hour}">${hourLabel(hour)}</option>`
+      )).join('');
+    }
+    state.els.quietHoursEnabled.checked = quietHours.enabled;
+    state.els.quietHoursStart.value = String(quietHours.startHour);
+    state.els.quietHoursEnd.value = String(quietHours.endHour);
+    state.els.quietHoursOpenBypass.checked = quietHours.openAlertsBypass;
+    state.els.quietHoursStart.disabled = !quietHours.enabled;
+    state.els.quietHoursEnd.disabled = !quietHours.enabled;
+    state.els.quietHoursOpenBypass.disabled = !quietHours.enabled;
+  }
+
+  function renderClosedAlertDelivery() {
+    const delivery = state.profile?.closedAlertDelivery;
+    if (!state.els.closedAlertSettings) return;
+    state.els.closedAlertSettings.hidden = !isSignedIn() || !delivery;
+    if (delivery) state.els.closedAlertDelivery.value = delivery;
+  }
+
+  function sessionTime(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime())
+      ? 'an unknown time'
+      : date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function renderSessions() {
+    if (!state.els.sessionSettings) return;
+    state.els.sessionSettings.hidden = !isSignedIn() || !state.sessions.length;
+    state.els.signOutAllButton.disabled = state.discordBusy;
+    state.els.sessionList.replaceChildren(...state.sessions.map(session => {
+      const item = document.createElement('li');
+      item.className = 'session-item';
+      const label = document.createElement('span');
+      label.textContent = session.current ? `${session.device} (this device)` : session.device;
+      const detail = document.createElement('span');
+      detail.className = 'session-detail';
+      detail.textContent = `Last used ${sessionTime(session.lastUsedAt)}`;
+      label.append(detail);
+      item.append(label);
+      if (!session.current && session.sessionId) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-small btn-secondary';
+        button.textContent = 'Sign out';
+        button.disabled = state.discordBusy;
+        button.addEventListener('click', () => void revokeDevice(session));
+        item.append(button);
+      }
+      return item;
+    }));
+  }
+
+  async function loadSessions() {
+    if (!isSignedIn()) return;
+    try {
+      const payload = await cloudFetch('/sessions');
+      state.sessions = payload.sessions || [];
+    } catch (error) {
+      console.warn('Signed-in devices could not be loaded:', error);
+      state.sessions = [];
+    }
+    renderSessions();
+  }
+
+  async function revokeDevice(session) {
+    if (state.discordBusy || !isSignedIn()) return;
+    state.discordBusy = true;
+    renderAccount(false);
+    try {
+      await cloudFetch(`/sessions/${encodeURIComponent(session.sessionId)}`, { method: 'DELETE' });
+      state.sessions = state.sessions.filter(item => item.sessionId !== session.sessionId);
+      setSyncStatus(`${session.device} was signed out.`, 'success');
+    } catch (error) {
+      setSyncStatus(error.message, 'error');
+    } finally {
+      state.discordBusy = false;
+      renderAccount(false);
+    }
+  }
+
+  async function signOutEverywhere() {
+    if (state.discordBusy || !isSignedIn()) return;
+    const confirmed = window.confirm(
+      'Sign out of CourseSnag Discord Alerts on every device, including this one?'
+    );
+    if (!confirmed) return;
+
+    state.discordBusy = true;
+    renderAccount(false);
+    try {
+      await cloudFetch('/sessions', { method: 'DELETE' });
+      state.discordBusy = false;
+      clearSession('Signed out on every device. Your browser watchlist remains on this device.');
+    } catch (error) {
+      state.discordBusy = false;
+      setSyncStatus(error.message, 'error');
+      renderAccount(false);
+    }
+  }
+
+  async function saveProfileSettings(settings, subject) {
+    if (!isSignedIn()) return;
+    try {
+      setSyncStatus(`Saving ${subject}…`, 'working');
+      const payload = await cloudFetch('/me', {
+        method: 'PATCH',
+        body: JSON.stringify(settings)
+      });
+      state.profile = payload.profile;
+      setSyncStatus(`${subject[0].toUpperCase()}${subject.slice(1)} saved.`, 'success');
+    } catch (error) {
+      setSyncStatus(error.message, 'error');
+    }
+    renderQuietHours();
+    renderClosedAlertDelivery();
+  }
+
+  function saveQuietHours(changes) {
+    return saveProfileSettings({ quietHours: changes }, 'quiet hours');
+  }
+
   function restoreSession() {
     const stored = localStorage.getItem(SESSION_KEY);
     if (stored && /^[A-Za-z0-9_-]{32,}$/.test(stored)) {
@@ -115,7 +277,14 @@
   function clearSession(message = '') {
     state.sessionToken = null;
     state.profile = null;
+    state.sessions = [];
+    state.reconciliation = null;
+    clearTimeout(state.outboxTimer);
+    state.outbox = [];
+    state.watchlistETag = null;
+    saveOutbox();
     localStorage.removeItem(SESSION_KEY);
+    localStorage.removeItem(MERGE_PENDING_KEY);
     renderAccount();
     if (message) setSyncStatus(message);
   }
@@ -145,9 +314,12 @@
         signal: controller.signal
       });
 
+      const etag = response.headers.get('etag');
+      if (etag && path.startsWith('/trackers')) state.watchlistETag = etag;
+      if (response.status === 304) return null;
       if (authenticated && response.status === 401) {
         clearSession('The Discord session expired. Connect Discord again.');
-        throw new Error('Discord session expired.');
+        throw Object.assign(new Error('Discord session expired.'), { status: 401 });
       }
       if (!response.ok) {
         let message = `Discord Alerts service returned HTTP ${response.status}`;
@@ -157,7 +329,7 @@
         } catch {
           // Keep the HTTP status message.
         }
-        throw new Error(message);
+        throw Object.assign(new Error(message), { status: response.status });
       }
       if (response.status === 204) return null;
       return await response.json();
@@ -199,8 +371,28 @@
     return state.modeCheckPromise;
   }
 
-  async function deleteCloudTracker(id) {
-    await cloudFetch(`/trackers/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  // Edits carry the watchlist ETag so an edit made against a list another
+  // tab or device has since changed is refused with 412 instead of applied.
+  function watchlistHeaders(idempotencyKey = '') {
+    return {
+      ...(state.watchlistETag ? { 'if-match': state.watchlistETag } : {}),
+      ...(idempotencyKey ? { 'idempotency-key': idempotencyKey } : {})
+    };
+  }
+
+  async function deleteCloudTracker(id, idempotencyKey = '') {
+    await cloudFetch(`/trackers/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      headers: watchlistHeaders(idempotencyKey)
+    });
+  }
+
+  async function updateCloudTrackerNotifications(id, notifications, idempotencyKey = '') {
+    return cloudFetch(`/trackers/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: watchlistHeaders(idempotencyKey),
+      body: JSON.stringify({ notifications })
+    });
   }
 
   async function getTrackerCounts(roster, subject, classNbrs) {
@@ -215,22 +407,424 @@
     return publicFetch(`/tracker-counts?${params.toString()}`);
   }
 
-  async function uploadTracker(tracker) {
+  async function getSectionHistory(roster, classNbr) {
+    if (!state.initialized) return null;
+    if (!state.modeChecked) await fetchMode();
+    if (state.mode !== 'cloud') return null;
+    return publicFetch(`/sections/${encodeURIComponent(roster)}/${encodeURIComponent(classNbr)}/history`);
+  }
+
+  async function getCourseStatistics(roster, subject, catalogNbr, ssrComponent = '') {
+    if (!state.initialized) return null;
+    if (!state.modeChecked) await fetchMode();
+    if (state.mode !== 'cloud') return null;
+    const path = [roster, subject, catalogNbr].map(encodeURIComponent).join('/');
+    const query = ssrComponent ? `?component=${encodeURIComponent(ssrComponent)}` : '';
+    return publicFetch(`/courses/${path}/statistics${query}`);
+  }
+
+  function trackerPayload(tracker) {
+    return {
+      kind: tracker.kind || 'section',
+      roster: tracker.roster,
+      subject: tracker.subject,
+      classNbr: String(tracker.classNbr || ''),
+      catalogNbr: tracker.catalogNbr || '',
+      title: tracker.title || '',
+      section: tracker.section || '',
+      ssrComponent: tracker.ssrComponent || '',
+      classTime: tracker.classTime || ''
+    };
+  }
+
+  async function uploadTracker(tracker, idempotencyKey = '') {
     return cloudFetch('/trackers', {
       method: 'POST',
-      body: JSON.stringify({
-        roster: tracker.roster,
-        subject: tracker.subject,
-        classNbr: String(tracker.classNbr),
-        catalogNbr: tracker.catalogNbr || '',
-        title: tracker.title || '',
-        section: tracker.section || '',
-        ssrComponent: tracker.ssrComponent || '',
-        classTime: tracker.classTime || ''
-      })
+      headers: watchlistHeaders(idempotencyKey),
+      body: JSON.stringify(trackerPayload(tracker))
     });
   }
 
+  function loadOutbox() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+      state.outbox = Array.isArray(stored)
+        ? stored.filter(entry => entry?.trackerId && entry.tracker && (entry.op === 'add' || entry.op === 'remove'))
+        : [];
+    } catch {
+      state.outbox = [];
+    }
+  }
+
+  function pendingTrackerIds() {
+    return state.outbox.filter(entry => entry.op === 'add').map(entry => entry.trackerId);
+  }
+
+  function saveOutbox() {
+    if (state.outbox.length) {
+      localStorage.setItem(OUTBOX_KEY, JSON.stringify(state.outbox));
+    } else {
+      localStorage.removeItem(OUTBOX_KEY);
+    }
+    window.dispatchEvent(new CustomEvent('coursesnag:outbox-changed', {
+      detail: { trackerIds: pendingTrackerIds() }
+    }));
+  }
+
+  // Only the latest operation per tracker is kept: a removal replaces a
+  // pending add and an add replaces a pending removal. Both requests are
+  // idempotent on the server, so replaying the outbox converges on the
+  // browser's list even when an earlier attempt reached the API.
+  function enqueueOperation(op, tracker) {
+    const id = trackerId(tracker);
+    state.outbox = state.outbox.filter(entry => entry.trackerId !== id);
+    state.outbox.push({
+      id: outboxEntryId(),
+      op,
+      trackerId: id,
+      tracker: {
+        ...trackerPayload(tracker),
+        ...(op === 'add' && tracker.notifications ? { notifications: tracker.notifications } : {})
+      },
+      attempts: 0,
+      nextAttemptAt: 0,
+      queuedAt: new Date().toISOString()
+    });
+    saveOutbox();
+    return flushOutbox();
+  }
+
+  function outboxEntryId() {
+    return window.crypto?.randomUUID?.()
+      || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  function outboxRetryDelay(attempts) {
+    return Math.min(OUTBOX_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), OUTBOX_RETRY_MAX_MS);
+  }
+
+  // Network failures, timeouts, throttling, and server errors are retried;
+  // any other rejection would fail the same way again. A watchlist conflict
+  // (412) waits for the user instead.
+  function isRetryable(error) {
+    return !error.status || error.status === 429 || error.status >= 500;
+  }
+
+  // Each request carries a key derived from the queued entry, so a retry
+  // after a lost response is answered from the API's stored result.
+  async function sendOperation(entry) {
+    if (entry.op === 'remove') {
+      await deleteCloudTracker(entry.trackerId, `${entry.id}:remove`);
+      return;
+    }
+    await uploadTracker(entry.tracker, `${entry.id}:add`);
+    if (entry.tracker.notifications) {
+      await updateCloudTrackerNotifications(entry.trackerId, entry.tracker.notifications, `${entry.id}:notifications`);
+    }
+  }
+
+  // After a 412 the browser loads the changed list so the other tab's or
+  // device's edits appear here before the user decides on the queued ones.
+  async function reloadWatchlist() {
+    const payload = await cloudFetch('/trackers');
+    if (!state.reconciliation) {
+      state.adapter.replaceLocalTrackers(withPendingOperations(payload?.trackers || []));
+    }
+  }
+
+  function operationMessage(entry) {
+    const { subject, catalogNbr, classNbr } = entry.tracker;
+    return entry.op === 'add'
+      ? `${subject} ${catalogNbr || classNbr} was added to your Discord watchlist.`
+      : 'The section was removed from the browser and Discord watchlists.';
+  }
+
+  function scheduleOutboxFlush() {
+    clearTimeout(state.outboxTimer);
+    state.outboxTimer = null;
+    const waiting = state.outbox.filter(entry => !entry.conflict);
+    if (!waiting.length || !state.sessionToken) return;
+    const nextAttemptAt = Math.min(...waiting.map(entry => entry.nextAttemptAt));
+    state.outboxTimer = setTimeout(() => void flushOutbox(), Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  async function flushOutbox() {
+    if (state.outboxFlushing || state.mode !== 'cloud' || !state.sessionToken) return;
+    state.outboxFlushing = true;
+    try {
+      for (;;) {
+        const now = Date.now();
+        const entry = state.outbox.find(item => !item.conflict && item.nextAttemptAt <= now);
+        if (!entry) break;
+        try {
+          setSyncStatus(entry.op === 'add'
+            ? 'Adding the section to your Discord watchlist…'
+            : 'Removing the section from your Discord watchlist…', 'working');
+          await sendOperation(entry);
+          // A newer operation for the same tracker may have replaced this one
+          // while it was in flight; that one stays queued.
+          state.outbox = state.outbox.filter(item => item !== entry);
+          saveOutbox();
+          setSyncStatus(operationMessage(entry), 'success');
+          window.dispatchEvent(new CustomEvent('coursesnag:watcher-counts-invalidated', {
+            detail: { tracker: entry.tracker }
+          }));
+        } catch (error) {
+          if (!state.sessionToken) break;
+          if (error.status === 412) {
+            // Every queued edit was made against the list that just changed,
+            // so none is resent over the other change until the user says so.
+            for (const item of state.outbox) item.conflict = true;
+            saveOutbox();
+            try {
+              await reloadWatchlist();
+            } catch (reloadError) {
+              console.warn('Discord watchlist reload failed:', reloadError);
+            }
+            renderConflicts();
+            setSyncStatus('Your Discord watchlist changed in another tab or device. Review the reloaded list, then apply or discard your changes.', 'error');
+            continue;
+          }
+          if (!isRetryable(error)) {
+            state.outbox = state.outbox.filter(item => item !== entry);
+            saveOutbox();
+            setSyncStatus(error.message, 'error');
+            continue;
+          }
+          entry.attempts += 1;
+          entry.nextAttemptAt = Date.now() + outboxRetryDelay(entry.attempts);
+          saveOutbox();
+          setSyncStatus('Discord watchlist changes are waiting to sync. CourseSnag will retry automatically.', 'error');
+        }
+      }
+    } finally {
+      state.outboxFlushing = false;
+      scheduleOutboxFlush();
+    }
+  }
+
+  function conflictedOperations() {
+    return state.outbox.filter(entry => entry.conflict);
+  }
+
+  function renderConflicts() {
+    if (!state.els.conflictSettings) return;
+    const conflicted = conflictedOperations();
+    state.els.conflictSettings.hidden = !isSignedIn() || !conflicted.length;
+    const adds = conflicted.filter(entry => entry.op === 'add').map(entry => entry.tracker);
+    const removals = conflicted.filter(entry => entry.op === 'remove').map(entry => entry.tracker);
+    state.els.conflictGroups.replaceChildren(
+      ...(adds.length ? [reconciliationGroup('Waiting to add', adds, false)] : []),
+      ...(removals.length ? [reconciliationGroup('Waiting to remove', removals, false)] : [])
+    );
+  }
+
+  function applyConflictedOperations() {
+    for (const entry of conflictedOperations()) {
+      delete entry.conflict;
+      entry.attempts = 0;
+      entry.nextAttemptAt = 0;
+    }
+    saveOutbox();
+    renderConflicts();
+    void flushOutbox();
+  }
+
+  async function discardConflictedOperations() {
+    state.outbox = state.outbox.filter(entry => !entry.conflict);
+    saveOutbox();
+    renderConflicts();
+    try {
+      await reloadWatchlist();
+      setSyncStatus('Your queued changes were discarded. Discord watchlist loaded.', 'success');
+    } catch (error) {
+      setSyncStatus(error.message, 'error');
+    }
+  }
+
+  function retryOutboxNow() {
+    for (const entry of state.outbox) entry.nextAttemptAt = 0;
+    void flushOutbox();
+  }
+
+  // A replaced browser list keeps the queued changes that the server has
+  // not seen yet, so a sync never undoes an edit still in the outbox.
+  function withPendingOperations(cloudTrackers) {
+    if (!state.outbox.length) return cloudTrackers;
+    const pending = new Map(state.outbox.map(entry => [entry.trackerId, entry]));
+    const cloudIds = new Set(cloudTrackers.map(tracker => tracker.trackerId));
+    return [
+      ...cloudTrackers.filter(tracker => pending.get(tracker.trackerId)?.op !== 'remove'),
+      ...state.outbox
+        .filter(entry => entry.op === 'add' && !cloudIds.has(entry.trackerId))
+        .map(entry => ({ ...entry.tracker, lastStatus: 'UNKNOWN' }))
+    ];
+  }
+
+  function trackerLabel(tracker) {
+    const course = [tracker.subject, tracker.catalogNbr].filter(Boolean).join(' ');
+    if (tracker.kind === 'course') {
+      return `${course}${tracker.ssrComponent ? ` ${tracker.ssrComponent}` : ''}, any section`;
+    }
+    const section = [tracker.ssrComponent, tracker.section].filter(Boolean).join(' ');
+    return `${course}${section ? ` ${section}` : ''} (${tracker.classNbr})`;
+  }
+
+  // A fresh sign-in compares the browser list with the Discord watchlist.
+  // When the browser has sections Discord lacks, the browser list is kept
+  // until the user chooses which of them to upload.
+  function offerReconciliation(cloudTrackers) {
+    const localTrackers = state.adapter.getLocalTrackers?.() || [];
+    const cloudIds = new Set(cloudTrackers.map(tracker => tracker.trackerId));
+    const localIds = new Set(localTrackers.map(trackerId));
+    const localOnly = localTrackers.filter(tracker => !cloudIds.has(trackerId(tracker)));
+    if (!localOnly.length) return false;
+
+    showReconciliation({
+      localOnly,
+      serverOnly: cloudTrackers.filter(tracker => !localIds.has(tracker.trackerId)),
+      common: cloudTrackers.filter(tracker => localIds.has(tracker.trackerId))
+    });
+    return true;
+  }
+
+  function reconciliationGroup(title, trackers, selectable) {
+    const group = document.createElement('div');
+    group.className = 'watchlist-merge-group';
+    const heading = document.createElement('strong');
+    heading.textContent = `${title} (${trackers.length})`;
+    const list = document.createElement('ul');
+    list.replaceChildren(...trackers.map((tracker, index) => {
+      const item = document.createElement('li');
+      if (!selectable) {
+        item.textContent = trackerLabel(tracker);
+        return item;
+      }
+      const label = document.createElement('label');
+      label.className = 'quiet-hours-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.dataset.mergeIndex = String(index);
+      label.append(checkbox, trackerLabel(tracker));
+      item.append(label);
+      return item;
+    }));
+    group.append(heading, list);
+    return group;
+  }
+
+  function renderReconciliation() {
+    if (!state.els.mergeSettings) return;
+    const reconciliation = state.reconciliation;
+    state.els.mergeSettings.hidden = !isSignedIn() || !reconciliation;
+    state.els.mergeButton.disabled = state.discordBusy;
+    state.els.replaceButton.disabled = state.discordBusy;
+    if (!reconciliation) {
+      state.els.mergeGroups.replaceChildren();
+      return;
+    }
+    if (state.els.mergeGroups.dataset.rendered === 'true') return;
+    state.els.mergeGroups.replaceChildren(
+      reconciliationGroup('Only in this browser', reconciliation.localOnly, true),
+      ...(reconciliation.serverOnly.length
+        ? [reconciliationGroup('Only in Discord', reconciliation.serverOnly, false)]
+        : []),
+      ...(reconciliation.common.length
+        ? [reconciliationGroup('In both', reconciliation.common, false)]
+        : [])
+    );
+    state.els.mergeGroups.dataset.rendered = 'true';
+  }
+
+  function showReconciliation(reconciliation) {
+    state.reconciliation = reconciliation;
+    state.els.mergeGroups.dataset.rendered = 'false';
+    renderReconciliation();
+  }
+
+  async function finishReconciliation(message) {
+    const cloudPayload = await cloudFetch('/trackers');
+    state.adapter.replaceLocalTrackers(withPendingOperations(cloudPayload.trackers || []));
+    localStorage.removeItem(MERGE_PENDING_KEY);
+    showReconciliation(null);
+    setSyncStatus(message, 'success');
+  }
+
+  async function uploadTrackerBatch(trackers) {
+    const results = [];
+    for (let start = 0; start < trackers.length; start += TRACKER_BATCH_SIZE) {
+      const chunk = trackers.slice(start, start + TRACKER_BATCH_SIZE);
+      const payload = await cloudFetch('/trackers:batch', {
+        method: 'POST',
+        body: JSON.stringify({
+          trackers: chunk.map(tracker => ({
+            ...trackerPayload(tracker),
+            ...(tracker.notifications ? { notifications: tracker.notifications } : {})
+          }))
+        })
+      });
+      for (const result of payload.results || []) {
+        results.push({ ...result, local: chunk[result.index] });
+      }
+    }
+    return results;
+  }
+
+  async function mergeLocalTrackers() {
+    const reconciliation = state.reconciliation;
+    if (state.discordBusy || !isSignedIn() || !reconciliation) return;
+    const selected = [...state.els.mergeGroups.querySelectorAll('input[data-merge-index]')]
+      .filter(input => input.checked)
+      .map(input => reconciliation.localOnly[Number(input.dataset.mergeIndex)]);
+
+    state.discordBusy = true;
+    renderAccount(false);
+    try {
+      setSyncStatus('Adding the selected sections to your Discord watchlist…', 'working');
+      const results = await uploadTrackerBatch(selected);
+      for (const result of results.filter(item => item.status === 'created')) {
+        window.dispatchEvent(new CustomEvent('coursesnag:watcher-counts-invalidated', {
+          detail: { tracker: result.tracker }
+        }));
+      }
+      const rejected = results.filter(result => result.status === 'invalid' || result.status === 'failed');
+      if (rejected.length) {
+        // Keep the rejected sections in the browser so nothing is lost; the
+        // user can retry them or drop them with the Discord-only choice.
+        showReconciliation({ ...reconciliation, localOnly: rejected.map(result => result.local) });
+        setSyncStatus(
+          `${rejected.length} ${rejected.length === 1 ? 'section' : 'sections'} could not be added: ${rejected[0].error}`,
+          'error'
+        );
+        return;
+      }
+      const added = results.length;
+      await finishReconciliation(added
+        ? `${added} ${added === 1 ? 'section was' : 'sections were'} added. Discord watchlist loaded.`
+        : 'Discord watchlist loaded.');
+    } catch (error) {
+      setSyncStatus(error.message, 'error');
+    } finally {
+      state.discordBusy = false;
+      renderAccount(false);
+    }
+  }
+
+  async function replaceWithCloudTrackers() {
+    if (state.discordBusy || !isSignedIn() || !state.reconciliation) return;
+    state.discordBusy = true;
+    renderAccount(false);
+    try {
+      await finishReconciliation('Discord watchlist loaded.');
+    } catch (error) {
+      setSyncStatus(error.message, 'error');
+    } finally {
+      state.discordBusy = false;
+      renderAccount(false);
+    }
+  }
+
   async function syncNow() {
     if (state.mode !== 'cloud' || !state.sessionToken || !state.adapter || state.syncing) return;
     state.syncing = true;
@@ -244,9 +838,24 @@
         renderAccount(false);
       }
 
-      const cloudPayload = await cloudFetch('/trackers');
-      state.adapter.replaceLocalTrackers(cloudPayload.trackers || []);
-      setSyncStatus('Discord watchlist loaded.', 'success');
+      await flushOutbox();
+      const mergePending = Boolean(localStorage.getItem(MERGE_PENDING_KEY));
+      const cloudPayload = await cloudFetch('/trackers', state.watchlistETag && !mergePending
+        ? { headers: { 'if-none-match': state.watchlistETag } }
+        : {});
+      const cloudTrackers = cloudPayload?.trackers || [];
+      if (!cloudPayload) {
+        setSyncStatus('Discord watchlist is up to date.', 'success');
+      } else if (mergePending && offerReconciliation(cloudTrackers)) {
+        setSyncStatus('Choose which browser sections to add to your Discord watchlist.', 'working');
+      } else {
+        localStorage.removeItem(MERGE_PENDING_KEY);
+        showReconciliation(null);
+        state.adapter.replaceLocalTrackers(withPendingOperations(cloudTrackers));
+        setSyncStatus(state.outbox.length
+          ? 'Discord watchlist loaded. Some changes are still waiting to sync.'
+          : 'Discord watchlist loaded.', state.outbox.length ? 'working' : 'success');
+      }
     } catch (error) {
       console.error('Discord synchronization failed:', error);
       setSyncStatus(error.message, 'error');
@@ -254,6 +863,7 @@
       state.syncing = false;
       announceState();
     }
+    await loadSessions();
   }
 
   async function startDiscordSignIn() {
@@ -291,6 +901,57 @@
     }
   }
 
+  async function downloadAccountData() {
+    if (state.discordBusy || !isSignedIn()) return;
+    state.discordBusy = true;
+    renderAccount(false);
+    try {
+      setSyncStatus('Preparing your CourseSnag data export…', 'working');
+      const payload = await cloudFetch('/me/export');
+      const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `coursesnag-export-${String(payload.exportedAt || '').slice(0, 10) || 'data'}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      setSyncStatus('Your CourseSnag data export was downloaded.', 'success');
+    } catch (error) {
+      setSyncStatus(error.message, 'error');
+    } finally {
+      state.discordBusy = false;
+      renderAccount(false);
+    }
+  }
+
+  async function deleteAccount() {
+    if (state.discordBusy || !isSignedIn()) return;
+    const confirmed = window.confirm(
+      'Delete your CourseSnag Discord account? Your Discord watchlist, sessions, and alert settings will be erased. This cannot be undone.'
+    );
+    if (!confirmed) return;
+
+    state.discordBusy = true;
+    renderAccount(false);
+    try {
+      setSyncStatus('Deleting your CourseSnag Discord account…', 'working');
+      const payload = await cloudFetch('/me', { method: 'DELETE' });
+      for (const tracker of payload?.trackers || []) {
+        window.dispatchEvent(new CustomEvent('coursesnag:watcher-counts-invalidated', {
+          detail: { tracker }
+        }));
+      }
+      state.discordBusy = false;
+      clearSession('Your CourseSnag Discord account was deleted. Your browser watchlist remains on this device.');
+    } catch (error) {
+      state.discordBusy = false;
+      setSyncStatus(error.message, 'error');
+      renderAccount(false);
+    }
+  }
+
   async function handleDiscordReturn() {
     const current = new URL(window.location.href);
     const result = current.searchParams.get('discord');
@@ -317,6 +978,7 @@
         state.sessionToken = payload.sessionToken;
         state.profile = payload.profile;
         localStorage.setItem(SESSION_KEY, payload.sessionToken);
+        localStorage.setItem(MERGE_PENDING_KEY, '1');
         renderAccount(false);
         setSyncStatus('Discord connected. Loading your watchlist…', 'success');
         await syncNow();
@@ -346,31 +1008,30 @@
 
   async function trackerAdded(tracker) {
     if (state.mode !== 'cloud' || !state.sessionToken) return;
+    await enqueueOperation('add', tracker);
+  }
+
+  async function trackerPreferencesChanged(tracker, notifications) {
+    if (state.mode !== 'cloud' || !state.sessionToken) return;
+    const pendingAdd = state.outbox.find(entry => entry.trackerId === trackerId(tracker) && entry.op === 'add');
+    if (pendingAdd) {
+      // The queued add carries the preferences, so they sync with it.
+      pendingAdd.tracker.notifications = { ...(pendingAdd.tracker.notifications || {}), ...notifications };
+      saveOutbox();
+      return;
+    }
     try {
-      setSyncStatus('Adding the section to your Discord watchlist…', 'working');
-      await uploadTracker(tracker);
-      setSyncStatus(`${tracker.subject} ${tracker.catalogNbr || tracker.classNbr} was added to your Discord watchlist.`, 'success');
-      window.dispatchEvent(new CustomEvent('coursesnag:watcher-counts-invalidated', {
-        detail: { tracker }
-      }));
+      setSyncStatus('Saving alert preferences to your Discord watchlist…', 'working');
+      await updateCloudTrackerNotifications(trackerId(tracker), notifications);
+      setSyncStatus(`Alert preferences for ${tracker.subject} ${tracker.catalogNbr || tracker.classNbr} were saved.`, 'success');
     } catch (error) {
       setSyncStatus(error.message, 'error');
     }
   }
 
   async function trackerRemoved(tracker) {
-    const id = trackerId(tracker);
     if (state.mode !== 'cloud' || !state.sessionToken) return;
-    try {
-      setSyncStatus('Removing the section from your Discord watchlist…', 'working');
-      await deleteCloudTracker(id);
-      setSyncStatus('The section was removed from the browser and Discord watchlists.', 'success');
-      window.dispatchEvent(new CustomEvent('coursesnag:watcher-counts-invalidated', {
-        detail: { tracker }
-      }));
-    } catch (error) {
-      setSyncStatus(error.message, 'error');
-    }
+    await enqueueOperation('remove', tracker);
   }
 
   async function initialize(adapter) {
@@ -383,15 +1044,60 @@
       modeDescription: document.getElementById('cloud-mode-description'),
       syncStatus: document.getElementById('cloud-sync-status'),
       signOutButton: document.getElementById('cloud-signout-btn'),
+      exportButton: document.getElementById('cloud-export-btn'),
       discordProfileName: document.getElementById('discord-profile-name'),
       discordProfileDetail: document.getElementById('discord-profile-detail'),
       discordProfile: document.getElementById('discord-profile'),
-      discordButton: document.getElementById('discord-connect-btn')
+      discordButton: document.getElementById('discord-connect-btn'),
+      quietHours: document.getElementById('quiet-hours-settings'),
+      quietHoursEnabled: document.getElementById('quiet-hours-enabled'),
+      quietHoursStart: document.getElementById('quiet-hours-start'),
+      quietHoursEnd: document.getElementById('quiet-hours-end'),
+      quietHoursOpenBypass: document.getElementById('quiet-hours-open-bypass'),
+      closedAlertSettings: document.getElementById('closed-alert-settings'),
+      closedAlertDelivery: document.getElementById('closed-alert-delivery'),
+      accountDeletion: document.getElementById('account-deletion-settings'),
+      deleteAccountButton: document.getElementById('cloud-delete-account-btn'),
+      sessionSettings: document.getElementById('session-settings'),
+      sessionList: document.getElementById('session-list'),
+      signOutAllButton: document.getElementById('cloud-signout-all-btn'),
+      mergeSettings: document.getElementById('watchlist-merge-settings'),
+      mergeGroups: document.getElementById('watchlist-merge-groups'),
+      mergeButton: document.getElementById('watchlist-merge-btn'),
+      replaceButton: document.getElementById('watchlist-replace-btn'),
+      conflictSettings: document.getElementById('watchlist-conflict-settings'),
+      conflictGroups: document.getElementById('watchlist-conflict-groups'),
+      conflictApplyButton: document.getElementById('watchlist-conflict-apply-btn'),
+      conflictDiscardButton: document.getElementById('watchlist-conflict-discard-btn')
     };
 
     state.els.signOutButton.addEventListener('click', signOut);
+    state.els.exportButton.addEventListener('click', downloadAccountData);
+    state.els.signOutAllButton.addEventListener('click', signOutEverywhere);
+    state.els.mergeButton.addEventListener('click', mergeLocalTrackers);
+    state.els.replaceButton.addEventListener('click', replaceWithCloudTrackers);
+    state.els.conflictApplyButton.addEventListener('click', applyConflictedOperations);
+    state.els.conflictDiscardButton.addEventListener('click', () => void discardConflictedOperations());
+    state.els.deleteAccountButton.addEventListener('click', deleteAccount);
     state.els.discordButton.addEventListener('click', startDiscordSignIn);
+    state.els.quietHoursEnabled.addEventListener('change', event => {
+      void saveQuietHours({ enabled: event.target.checked });
+    });
+    state.els.quietHoursStart.addEventListener('change', event => {
+      void saveQuietHours({ startHour: Number(event.target.value) });
+    });
+    state.els.quietHoursEnd.addEventListener('change', event => {
+      void saveQuietHours({ endHour: Number(event.target.value) });
+    });
+    state.els.quietHoursOpenBypass.addEventListener('change', event => {
+      void saveQuietHours({ openAlertsBypass: event.target.checked });
+    });
+    state.els.closedAlertDelivery.addEventListener('change', event => {
+      void saveProfileSettings({ closedAlertDelivery: event.target.value }, 'close alert setting');
+    });
     restoreSession();
+    loadOutbox();
+    window.addEventListener('online', retryOutboxNow);
     renderMode(false);
     renderAccount(false);
 
@@ -414,9 +1120,13 @@
     initialize,
     syncNow,
     trackerAdded,
+    trackerPreferencesChanged,
     trackerRemoved,
     getTrackerCounts,
+    getSectionHistory,
+    getCourseStatistics,
     refreshMode: fetchMode,
+    getPendingTrackerIds: pendingTrackerIds,
     getState: publicState
   };
 })();
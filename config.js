@@ -1,4 +1,9 @@
 // Public browser configuration. These values identify services; they are not secrets.
 window.COURSESNAG_CONFIG = Object.freeze({
-  apiBaseUrl: 'https://ysc5mgv0ne.execute-api.us-east-1.amazonaws.com/dev'
+  apiBaseUrl: 'https://ysc5mgv0ne.execute-api.us-east-1.amazonaws.com/dev',
+  // Cornell Class Roster API. Local testing can point this at a fake server.
+  cornellApiBase: 'https://classes.cornell.edu/api/2.0',
+  // Optional rosters to search alongside Cornell's default, such as ['FA26'].
+  // Keep this in step with ACTIVE_ROSTERS for the Discord monitor.
+  activeRosters: []
 });
@@ -0,0 +1,9 @@
+// Formats a Cornell section's first meeting as trackers show it, such as
+// `TR 10:10AM - 11:00AM`. The site and the backend's course index both import
+// it, so a section tracked from Discord shows the same class time.
+export function formatMeetingTimes(meetings) {
+  if (!meetings || meetings.length === 0) return '';
+  const meeting = meetings[0];
+  if (!meeting.timeStart || !meeting.timeEnd) return meeting.pattern ? meeting.pattern : 'TBA';
+  return `${meeting.pattern || ''} ${meeting.timeStart} - ${meeting.timeEnd}`.trim();
+}
@@ -57,13 +57,13 @@ DISCORD_DESCRIPTION="$(printf 'Track and get alerts for your Cornell courses: ht
 INSTALL_SETTINGS='{
   "install_params": {
     "scopes": ["applications.commands", "bot"],
-    "permissions": "0"
+    "permissions": "3072"
   },
   "integration_types_config": {
     "0": {
       "oauth2_install_params": {
         "scopes": ["applications.commands", "bot"],
-        "permissions": "0"
+        "permissions": "3072"
       }
     },
     "1": {
@@ -95,25 +95,115 @@ curl -fsS \
   https://discord.com/api/v10/applications/@me >/dev/null
 
 if [[ "$DISCORD_STATUS" == "ONLINE" ]]; then
-  COMMAND_BODY="$(jq -nc '{
-    name: "tracked",
-    type: 1,
-    description: "Show the courses in your CourseSnag Discord watchlist",
-    integration_types: [0],
-    contexts: [0, 1]
-  }')"
-  curl -fsS \
-    -X POST \
-    -H "Authorization: Bot $DISCORD_BOT_TOKEN" \
-    -H 'Content-Type: application/json' \
-    --data "$COMMAND_BODY" \
-    "https://discord.com/api/v10/applications/${DISCORD_APPLICATION_ID}/commands" >/dev/null
+  COMMAND_BODIES="$(jq -nc '[
+    {
+      name: "tracked",
+      type: 1,
+      description: "Show the courses in your CourseSnag Discord watchlist",
+      integration_types: [0],
+      contexts: [0, 1]
+    },
+    {
+      name: "track",
+      type: 1,
+      description: "Add a Cornell course or section to your CourseSnag Discord watchlist",
+      integration_types: [0],
+      contexts: [0, 1],
+      options: [
+        {
+          name: "course",
+          description: "Course code, for example CS 2110",
+          type: 3,
+          required: true,
+          autocomplete: true
+        },
+        {
+          name: "section",
+          description: "Section to watch, or any section",
+          type: 3,
+          required: true,
+          autocomplete: true
+        }
+      ]
+    },
+    {
+      name: "untrack",
+      type: 1,
+      description: "Remove a course from your CourseSnag Discord watchlist",
+      integration_types: [0],
+      contexts: [0, 1],
+      options: [
+        {
+          name: "tracker",
+          description: "Tracked course or section",
+          type: 3,
+          required: true,
+          autocomplete: true
+        }
+      ]
+    },
+    {
+      name: "subscribe",
+      type: 1,
+      description: "Post CourseSnag alerts for a Cornell course or section in this channel",
+      integration_types: [0],
+      contexts: [0],
+      default_member_permissions: "16",
+      options: [
+        {
+          name: "course",
+          description: "Course code, for example CS 2110",
+          type: 3,
+          required: true,
+          autocomplete: true
+        },
+        {
+          name: "section",
+          description: "Section to follow, or any section",
+          type: 3,
+          required: true,
+          autocomplete: true
+        },
+        {
+          name: "role",
+          description: "Role to mention with each alert",
+          type: 8,
+          required: false
+        }
+      ]
+    },
+    {
+      name: "unsubscribe",
+      type: 1,
+      description: "Stop posting CourseSnag alerts for a course in this channel",
+      integration_types: [0],
+      contexts: [0],
+      default_member_permissions: "16",
+      options: [
+        {
+          name: "subscription",
+          description: "Course or section this channel follows",
+          type: 3,
+          required: true,
+          autocomplete: true
+        }
+      ]
+    }
+  ] | .[]')"
+  while IFS= read -r command_body; do
+    curl -fsS \
+      -X POST \
+      -H "Authorization: Bot $DISCORD_BOT_TOKEN" \
+      -H 'Content-Type: application/json' \
+      --data "$command_body" \
+      "https://discord.com/api/v10/applications/${DISCORD_APPLICATION_ID}/commands" >/dev/null
+  done <<<"$COMMAND_BODIES"
   COMMAND_RESULT="registered"
 else
   COMMAND_IDS="$(curl -fsS \
     -H "Authorization: Bot $DISCORD_BOT_TOKEN" \
     "https://discord.com/api/v10/applications/${DISCORD_APPLICATION_ID}/commands" \
-    | jq -r '.[] | select(.name == "tracked" and .type == 1) | .id')"
+    | jq -r '.[] | select((.name == "tracked" or .name == "track" or .name == "untrack" or .name == "subscribe" or .name == "unsubscribe") and .type == 1) | .id')"
   while IFS= read -r command_id; do
     [[ -z "$command_id" ]] && continue
     curl -fsS \
@@ -128,4 +218,4 @@ if [[ "$DISCORD_STATUS" == "ONLINE" ]]; then
   echo "Discord interactions endpoint configured: $INTERACTIONS_URL"
 fi
 echo "Discord application description updated: Status: $DISCORD_STATUS"
-echo "Discord command $COMMAND_RESULT: /tracked"
+echo "Discord commands $COMMAND_RESULT: /tracked, /track, /untrack, /subscribe, /unsubscribe"
@@ -19,6 +19,7 @@ set +a
 : "${STAGE_NAME:=dev}"
 : "${ALLOWED_ORIGIN:=https://coursesnag.pages.dev}"
 : "${LOCAL_DEVELOPMENT_ORIGIN:=http://localhost:4173}"
+: "${ACTIVE_ROSTERS:=}"
 : "${DISCORD_APPLICATION_ID:?DISCORD_APPLICATION_ID is required}"
 : "${DISCORD_PUBLIC_KEY:?DISCORD_PUBLIC_KEY is required}"
 : "${BUDGET_ALERT_EMAIL:?Add BUDGET_ALERT_EMAIL to infra/parameters.local.env before deployment}"
@@ -57,9 +58,15 @@ aws s3api put-bucket-lifecycle-configuration \
   --lifecycle-configuration "file://$PROJECT_ROOT/infra/artifact-lifecycle.json" \
   --profile "$AWS_PROFILE" >/dev/null
 
-mkdir -p "$PROJECT_ROOT/build"
-
-npm --prefix "$PROJECT_ROOT/backend" ci --omit=dev
+# The Lambdas get only backend/src, its production dependencies, and the
+# site-level modules it imports, laid out as in the repository. The local
+# server, fakes, and tests in backend/dev and backend/test stay behind.
+LAMBDA_DIR="$PROJECT_ROOT/build/lambda"
+rm -rf "$LAMBDA_DIR"
+mkdir -p "$LAMBDA_DIR/backend"
+cp -R "$PROJECT_ROOT/backend/src" "$PROJECT_ROOT/backend/package.json" "$PROJECT_ROOT/backend/package-lock.json" "$LAMBDA_DIR/backend/"
+cp "$PROJECT_ROOT/meeting-times.mjs" "$LAMBDA_DIR/"
+npm --prefix "$LAMBDA_DIR/backend" ci --omit=dev
 
 aws cloudformation package \
   --template-file "$PROJECT_ROOT/infra/template.yaml" \
@@ -87,6 +94,7 @@ aws cloudformation deploy \
     DiscordPublicKey="$DISCORD_PUBLIC_KEY" \
     BudgetAlertEmail="$BUDGET_ALERT_EMAIL" \
     AnnualBudgetAmount=50 \
+    ActiveRosters="$ACTIVE_ROSTERS" \
   --tags Project=CourseSnag Environment="$STAGE_NAME" \
   --region "$AWS_REGION" \
   --profile "$AWS_PROFILE"
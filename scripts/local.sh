@@ -10,6 +10,17 @@ if [[ "$PORT" != "4173" ]]; then
   exit 1
 fi
 
+# --backend also runs the API, Discord interactions, monitor, and notifier in
+# one Node process with local storage, so Discord mode works without AWS.
+if [[ "${1:-}" == "--backend" ]]; then
+  shift
+  if [[ ! -d "$PROJECT_ROOT/backend/node_modules" ]]; then
+    echo "Run npm install in backend/ before starting the local backend." >&2
+    exit 1
+  fi
+  exec node "$PROJECT_ROOT/backend/dev/local-server.mjs" --site-port "$PORT" "$@"
+fi
+
 echo "CourseSnag local test site: http://localhost:${PORT}"
 echo "Keep this terminal open while testing. Press Ctrl+C to stop."
 exec python3 -m http.server "$PORT" --bind 127.0.0.1 --directory "$PROJECT_ROOT"
@@ -348,7 +348,7 @@ case "$ACTION" in
         --region "$AWS_REGION" \
         --profile "$AWS_PROFILE"
       configure_discord online
-      echo "CourseSnag is already in Discord Active mode. No Discord alert was sent; /tracked is available and the application description confirms Status: ONLINE."
+      echo "CourseSnag is already in Discord Active mode. No Discord alert was sent; /tracked, /track, /untrack, /subscribe, and /unsubscribe are available and the application description confirms Status: ONLINE."
       exit 0
     fi
     aws ssm put-parameter \
@@ -373,7 +373,7 @@ case "$ACTION" in
     set_request_functions_enabled true
     configure_discord online
     invoke_monitor_now
-    echo "CourseSnag is in Discord Active mode. An immediate monitor run was queued; later checks follow the adaptive 5/10/30-minute schedule. /tracked is available and the application description shows Status: ONLINE."
+    echo "CourseSnag is in Discord Active mode. An immediate monitor run was queued; later checks follow the adaptive 5/10/30-minute schedule. /tracked, /track, /untrack, /subscribe, and /unsubscribe are available and the application description shows Status: ONLINE."
     ;;
   stop)
     PREVIOUS_MODE="$(current_mode)"
@@ -384,7 +384,7 @@ case "$ACTION" in
         --profile "$AWS_PROFILE"
       set_request_functions_enabled false
       configure_discord offline
-      echo "CourseSnag is already in Local Standby mode. No Discord alert was sent; /tracked is unavailable and the application description confirms Status: OFFLINE."
+      echo "CourseSnag is already in Local Standby mode. No Discord alert was sent; /tracked, /track, /untrack, /subscribe, and /unsubscribe are unavailable and the application description confirms Status: OFFLINE."
       exit 0
     fi
     aws ssm put-parameter \
@@ -408,7 +408,7 @@ case "$ACTION" in
       --profile "$AWS_PROFILE" >/dev/null
     set_request_functions_enabled false
     configure_discord offline
-    echo "CourseSnag is in Local Standby mode. Scheduled AWS polling and /tracked are disabled, and the application description shows Status: OFFLINE."
+    echo "CourseSnag is in Local Standby mode. Scheduled AWS polling and the Discord commands are disabled, and the application description shows Status: OFFLINE."
     ;;
   status)
     show_status